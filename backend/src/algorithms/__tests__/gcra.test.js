@@ -0,0 +1,91 @@
+/**
+ * GCRA Algorithm Tests
+ *
+ * Tests the limiter wrapper around the GCRA Lua script and the precise
+ * retry-after it reports through the middleware headers
+ */
+
+const { GcraLimiter } = require('../gcra');
+const { ALGORITHMS, setRateLimitHeaders } = require('../../middleware/rateLimiter');
+
+const createClient = (reply) => {
+  const client = {
+    defineCommand: jest.fn((name) => {
+      client[name] = jest.fn().mockResolvedValue(reply);
+    }),
+  };
+  return client;
+};
+
+const createResponse = () => {
+  const headers = {};
+  return {
+    headers,
+    set: jest.fn((values) => Object.assign(headers, values)),
+  };
+};
+
+describe('GCRA Limiter', () => {
+  test('should keep one TAT key per identifier', async () => {
+    const client = createClient([1, 0, 250]);
+    const limiter = new GcraLimiter({ storeClient: client, keyPrefix: 'webhook', points: 4, duration: 1 });
+
+    await limiter.consume('203.0.113.1');
+
+    expect(client.defineCommand).toHaveBeenCalledWith('rlGcra', expect.objectContaining({ numberOfKeys: 1 }));
+    expect(client.rlGcra.mock.calls[0][0]).toBe('webhook:gcra:203.0.113.1');
+  });
+
+  test('should space requests evenly by default', async () => {
+    const client = createClient([1, 0, 250]);
+    const limiter = new GcraLimiter({ storeClient: client, keyPrefix: 'webhook', points: 4, duration: 1 });
+
+    await limiter.consume('203.0.113.1');
+
+    // 4 per second => one every 250ms, tolerance of a single interval
+    expect(client.rlGcra).toHaveBeenCalledWith('webhook:gcra:203.0.113.1', 250, 250, 1);
+  });
+
+  test('should allow back to back requests up to the burst', async () => {
+    const client = createClient([1, 2, 250]);
+    const limiter = new GcraLimiter({ storeClient: client, keyPrefix: 'webhook', points: 4, duration: 1, capacity: 3 });
+
+    const res = await limiter.consume('203.0.113.1');
+
+    expect(client.rlGcra).toHaveBeenCalledWith('webhook:gcra:203.0.113.1', 250, 750, 1);
+    expect(res.remainingPoints).toBe(2);
+    expect(res.consumedPoints).toBe(1);
+  });
+
+  test('should reject with the exact wait until the request is on schedule', async () => {
+    const client = createClient([0, 0, 187]);
+    const limiter = new GcraLimiter({ storeClient: client, keyPrefix: 'webhook', points: 4, duration: 1 });
+
+    await expect(limiter.consume('203.0.113.1')).rejects.toMatchObject({
+      remainingPoints: 0,
+      msBeforeNext: 187,
+    });
+  });
+});
+
+describe('GCRA Limiter - Headers', () => {
+  test('should be selectable as a middleware algorithm', () => {
+    expect(ALGORITHMS).toContain('gcra');
+  });
+
+  test('should report retry-after with millisecond precision', () => {
+    const res = createResponse();
+
+    setRateLimitHeaders(res, { remainingPoints: 0, msBeforeNext: 187 }, { points: 4, duration: 1, algorithm: 'gcra' });
+
+    expect(res.headers['X-RateLimit-RetryAfter']).toBe('0.187');
+  });
+
+  test('should keep whole seconds for other algorithms', () => {
+    const res = createResponse();
+
+    setRateLimitHeaders(res, { remainingPoints: 0, msBeforeNext: 187 }, { points: 4, duration: 1, algorithm: 'fixed-window' });
+
+    expect(res.headers['X-RateLimit-RetryAfter']).toBe('1');
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * Quota Algorithm Tests
+ *
+ * Tests billing period boundaries and the limiter wrapper around the
+ * quota Lua script
+ */
+
+const { QuotaLimiter, getPeriodBounds } = require('../quota');
+const { ALGORITHMS } = require('../../middleware/rateLimiter');
+
+const createClient = (reply) => {
+  const client = {
+    get: jest.fn(),
+    del: jest.fn(),
+    defineCommand: jest.fn((name) => {
+      client[name] = jest.fn().mockResolvedValue(reply);
+    }),
+  };
+  return client;
+};
+
+const at = iso => new Date(iso).getTime();
+const iso = ms => new Date(ms).toISOString();
+
+describe('Quota Periods', () => {
+  test('should follow calendar months by default', () => {
+    const { start, end } = getPeriodBounds({ unit: 'month', count: 1 }, at('2026-02-14T08:00:00Z'));
+
+    expect(iso(start)).toBe('2026-02-01T00:00:00.000Z');
+    expect(iso(end)).toBe('2026-03-01T00:00:00.000Z');
+  });
+
+  test('should start monthly billing cycles on the anchor day', () => {
+    const period = { unit: 'month', count: 1, anchor: '2026-01-15T00:00:00Z' };
+
+    expect(iso(getPeriodBounds(period, at('2026-03-20T00:00:00Z')).start)).toBe('2026-03-15T00:00:00.000Z');
+    expect(iso(getPeriodBounds(period, at('2026-03-10T00:00:00Z')).start)).toBe('2026-02-15T00:00:00.000Z');
+  });
+
+  test('should clamp cycles anchored past the 28th to the end of short months', () => {
+    const period = { unit: 'month', count: 1, anchor: '2026-01-31T00:00:00Z' };
+    const { start, end } = getPeriodBounds(period, at('2026-03-05T00:00:00Z'));
+
+    expect(iso(start)).toBe('2026-02-28T00:00:00.000Z');
+    expect(iso(end)).toBe('2026-03-31T00:00:00.000Z');
+  });
+
+  test('should group several months into one period', () => {
+    const { start, end } = getPeriodBounds({ unit: 'month', count: 3 }, at('2026-05-02T00:00:00Z'));
+
+    expect(iso(start)).toBe('2026-04-01T00:00:00.000Z');
+    expect(iso(end)).toBe('2026-07-01T00:00:00.000Z');
+  });
+
+  test('should count day periods from the anchor', () => {
+    const period = { unit: 'day', count: 30, anchor: '2026-01-01T00:00:00Z' };
+    const { start, end } = getPeriodBounds(period, at('2026-02-05T12:00:00Z'));
+
+    expect(iso(start)).toBe('2026-01-31T00:00:00.000Z');
+    expect(iso(end)).toBe('2026-03-02T00:00:00.000Z');
+  });
+});
+
+describe('Quota Limiter', () => {
+  beforeEach(() => {
+    jest.spyOn(Date, 'now').mockReturnValue(at('2026-02-14T00:00:00Z'));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should keep one counter per identifier and period, expiring at the period end', async () => {
+    const client = createClient([1, 1]);
+    const limiter = new QuotaLimiter({ storeClient: client, keyPrefix: 'rule:r1', points: 100000 });
+
+    await limiter.consume('key_1');
+
+    expect(client.defineCommand).toHaveBeenCalledWith('rlQuota', expect.objectContaining({ numberOfKeys: 1 }));
+    expect(client.rlQuota).toHaveBeenCalledWith(
+      'rule:r1:quota:key_1:20260201T000000Z',
+      100000,
+      1,
+      at('2026-03-01T00:00:00Z') - at('2026-02-14T00:00:00Z')
+    );
+  });
+
+  test('should report remaining requests in the period', async () => {
+    const client = createClient([1, 40]);
+    const limiter = new QuotaLimiter({ storeClient: client, keyPrefix: 'rule:r1', points: 100 });
+
+    const res = await limiter.consume('key_1', 5);
+
+    expect(res.remainingPoints).toBe(60);
+    expect(res.consumedPoints).toBe(40);
+  });
+
+  test('should reject until the period ends once the quota is used up', async () => {
+    const client = createClient([0, 100]);
+    const limiter = new QuotaLimiter({ storeClient: client, keyPrefix: 'rule:r1', points: 100 });
+
+    await expect(limiter.consume('key_1')).rejects.toMatchObject({
+      remainingPoints: 0,
+      msBeforeNext: at('2026-03-01T00:00:00Z') - at('2026-02-14T00:00:00Z'),
+    });
+  });
+
+  test('should give points back on reward', async () => {
+    const client = createClient([1, 9]);
+    const limiter = new QuotaLimiter({ storeClient: client, keyPrefix: 'rule:r1', points: 100 });
+
+    await limiter.reward('key_1', 2);
+
+    expect(client.rlQuota.mock.calls[0][2]).toBe(-2);
+  });
+
+  test('should read and reset usage of the current period', async () => {
+    const client = createClient([1, 0]);
+    client.get.mockResolvedValue('25');
+    client.del.mockResolvedValue(1);
+    const limiter = new QuotaLimiter({
+      storeClient: client,
+      keyPrefix: 'rule:r1',
+      points: 100,
+      period: { unit: 'day', count: 7, anchor: '2026-02-09T00:00:00Z' },
+    });
+
+    await expect(limiter.get('key_1')).resolves.toEqual({
+      used: 25,
+      remaining: 75,
+      limit: 100,
+      periodStart: '2026-02-09T00:00:00.000Z',
+      resetAt: '2026-02-16T00:00:00.000Z',
+    });
+    await expect(limiter.delete('key_1')).resolves.toBe(true);
+    expect(client.del).toHaveBeenCalledWith('rule:r1:quota:key_1:20260209T000000Z');
+  });
+
+  test('should be selectable as a middleware algorithm', () => {
+    expect(ALGORITHMS).toContain('quota');
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * Sliding Window Log Algorithm Tests
+ *
+ * Tests the limiter wrapper around the sliding window log Lua script
+ */
+
+const { SlidingWindowLogLimiter } = require('../slidingWindowLog');
+
+const createClient = (reply) => {
+  const client = {
+    defineCommand: jest.fn((name) => {
+      client[name] = jest.fn().mockResolvedValue(reply);
+    }),
+  };
+  return client;
+};
+
+describe('Sliding Window Log Limiter', () => {
+  test('should use the PRD counter key layout', async () => {
+    const client = createClient([1, 9, 60000]);
+    const limiter = new SlidingWindowLogLimiter({ storeClient: client, keyPrefix: 'ratelimit', points: 10, duration: 60 });
+
+    await limiter.consume('user_1');
+
+    const [key, limit, windowMs, points] = client.rlSlidingWindowLog.mock.calls[0];
+    expect(key).toBe('ratelimit:counter:user_1:60');
+    expect(limit).toBe(10);
+    expect(windowMs).toBe(60000);
+    expect(points).toBe(1);
+  });
+
+  test('should give every request a unique member prefix', async () => {
+    const client = createClient([1, 9, 60000]);
+    const limiter = new SlidingWindowLogLimiter({ storeClient: client, keyPrefix: 'ratelimit', points: 10, duration: 60 });
+
+    await limiter.consume('user_1');
+    await limiter.consume('user_1');
+
+    const members = client.rlSlidingWindowLog.mock.calls.map(call => call[4]);
+    expect(members[0]).not.toBe(members[1]);
+  });
+
+  test('should report the exact time until the oldest blocking entry expires', async () => {
+    const client = createClient([0, 0, 1234]);
+    const limiter = new SlidingWindowLogLimiter({ storeClient: client, keyPrefix: 'ratelimit', points: 10, duration: 60 });
+
+    await expect(limiter.consume('user_1')).rejects.toMatchObject({
+      remainingPoints: 0,
+      msBeforeNext: 1234,
+      consumedPoints: 10,
+    });
+  });
+
+  test('should drop only the refunded request\'s entries on reward', async () => {
+    const client = createClient([1, 8, 60000, 'req_a']);
+    client.zrem = jest.fn().mockResolvedValue(2);
+    const limiter = new SlidingWindowLogLimiter({ storeClient: client, keyPrefix: 'ratelimit', points: 10, duration: 60 });
+
+    const consumed = await limiter.consume('user_1', 2);
+    await limiter.reward('user_1', 2, consumed);
+
+    expect(consumed.member).toBe('req_a');
+    expect(client.zrem).toHaveBeenCalledWith('ratelimit:counter:user_1:60', 'req_a:1', 'req_a:2');
+  });
+
+  test('should refuse to refund without the consume result', async () => {
+    const client = createClient([1, 9, 60000, 'req_a']);
+    client.zrem = jest.fn();
+    const limiter = new SlidingWindowLogLimiter({ storeClient: client, keyPrefix: 'ratelimit', points: 10, duration: 60 });
+
+    await expect(limiter.reward('user_1', 1)).rejects.toThrow('need the result of the consume');
+    expect(client.zrem).not.toHaveBeenCalled();
+  });
+});
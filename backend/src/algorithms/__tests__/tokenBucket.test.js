@@ -0,0 +1,68 @@
+/**
+ * Token Bucket Algorithm Tests
+ *
+ * Tests the limiter wrapper around the token bucket Lua script
+ */
+
+const { TokenBucketLimiter } = require('../tokenBucket');
+
+const createClient = (reply) => {
+  const client = {
+    defineCommand: jest.fn((name) => {
+      client[name] = jest.fn().mockResolvedValue(reply);
+    }),
+  };
+  return client;
+};
+
+describe('Token Bucket Limiter', () => {
+  test('should register the Lua script once per client', () => {
+    const client = createClient([1, 4, 500]);
+
+    new TokenBucketLimiter({ storeClient: client, keyPrefix: 'tb', points: 10, duration: 60 });
+    new TokenBucketLimiter({ storeClient: client, keyPrefix: 'tb', points: 10, duration: 60 });
+
+    expect(client.defineCommand).toHaveBeenCalledTimes(1);
+    expect(client.defineCommand).toHaveBeenCalledWith('rlTokenBucket', expect.objectContaining({ numberOfKeys: 1 }));
+  });
+
+  test('should default capacity to points and pass the refill rate per millisecond', async () => {
+    const client = createClient([1, 9, 6000]);
+    const limiter = new TokenBucketLimiter({ storeClient: client, keyPrefix: 'tb', points: 10, duration: 60 });
+
+    await limiter.consume('203.0.113.1');
+
+    expect(client.rlTokenBucket).toHaveBeenCalledWith('tb:tb:203.0.113.1', 10, 10 / 60000, 1);
+  });
+
+  test('should resolve with remaining tokens when allowed', async () => {
+    const client = createClient([1, 14, 1500]);
+    const limiter = new TokenBucketLimiter({ storeClient: client, keyPrefix: 'tb', points: 10, duration: 60, capacity: 20 });
+
+    const res = await limiter.consume('user_1', 5);
+
+    expect(res.remainingPoints).toBe(14);
+    expect(res.msBeforeNext).toBe(1500);
+    expect(res.consumedPoints).toBe(6);
+    expect(client.rlTokenBucket).toHaveBeenCalledWith('tb:tb:user_1', 20, 10 / 60000, 5);
+  });
+
+  test('should reject with a RateLimiterRes when the bucket is empty', async () => {
+    const client = createClient([0, 0, 4200]);
+    const limiter = new TokenBucketLimiter({ storeClient: client, keyPrefix: 'tb', points: 10, duration: 60 });
+
+    await expect(limiter.consume('user_1')).rejects.toMatchObject({
+      remainingPoints: 0,
+      msBeforeNext: 4200,
+    });
+  });
+
+  test('should return tokens on reward', async () => {
+    const client = createClient([1, 10, 0]);
+    const limiter = new TokenBucketLimiter({ storeClient: client, keyPrefix: 'tb', points: 10, duration: 60 });
+
+    await limiter.reward('user_1', 2);
+
+    expect(client.rlTokenBucket).toHaveBeenCalledWith('tb:tb:user_1', 10, 10 / 60000, -2);
+  });
+});
@@ -0,0 +1,148 @@
+/**
+ * Composite Limiter
+ *
+ * Evaluates an ordered list of fixed-window limits (e.g. global, per-IP,
+ * per-user, per-endpoint as in PRD 11.3) in a single Lua script. Points are
+ * only committed when every limit has room, so a denial by one layer never
+ * uses up another layer's allowance.
+ *
+ * Each layer counts in its own window key: {keyPrefix}:fw:{identifier}:{windowIndex}
+ *
+ * Layers with calendar: 'day' or 'month' use UTC calendar periods instead of
+ * duration-based windows, so daily and monthly quotas reset at midnight and
+ * on the first of the month: {keyPrefix}:fw:{identifier}:d20260125 / m202601
+ */
+
+/**
+ * KEYS[i]     - window counter of layer i
+ * ARGV[1]     - points requested
+ * ARGV[2i]    - limit of layer i
+ * ARGV[2i+1]  - ms left in the current window of layer i
+ *
+ * Returns { allowed (1/0), index of the first layer that denied (0 if none), count of each layer... }
+ */
+const COMPOSITE_SCRIPT = `
+local requested = tonumber(ARGV[1])
+local counts = {}
+local denied = 0
+
+for i = 1, #KEYS do
+  local limit = tonumber(ARGV[i * 2])
+  local current = tonumber(redis.call('GET', KEYS[i]) or '0')
+  counts[i] = current
+  if denied == 0 and current + requested > limit then
+    denied = i
+  end
+end
+
+if denied == 0 then
+  for i = 1, #KEYS do
+    counts[i] = redis.call('INCRBY', KEYS[i], requested)
+    if counts[i] == requested then
+      redis.call('PEXPIRE', KEYS[i], tonumber(ARGV[i * 2 + 1]))
+    end
+  end
+end
+
+return { denied == 0 and 1 or 0, denied, unpack(counts) }
+`;
+
+class CompositeLimiter {
+  /**
+   * @param {Object} options - Limiter options
+   * @param {Object} options.storeClient - ioredis client
+   */
+  constructor({ storeClient }) {
+    this.client = storeClient;
+
+    if (typeof this.client.rlComposite !== 'function') {
+      this.client.defineCommand('rlComposite', { lua: COMPOSITE_SCRIPT });
+    }
+  }
+
+  /**
+   * Get the counter key and time left in the current UTC day or month
+   *
+   * @param {Object} layer - { keyPrefix, key, calendar }
+   * @param {number} now - Current time in ms
+   * @returns {Object} { windowKey, msBeforeNext }
+   */
+  getCalendarWindow(layer, now) {
+    const date = new Date(now);
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth();
+    const pad = value => String(value).padStart(2, '0');
+
+    const isDay = layer.calendar === 'day';
+    const end = isDay
+      ? Date.UTC(year, month, date.getUTCDate() + 1)
+      : Date.UTC(year, month + 1, 1);
+    const index = isDay
+      ? `d${year}${pad(month + 1)}${pad(date.getUTCDate())}`
+      : `m${year}${pad(month + 1)}`;
+
+    return {
+      windowKey: `${layer.keyPrefix}:fw:${layer.key}:${index}`,
+      msBeforeNext: end - now,
+    };
+  }
+
+  /**
+   * Get the counter key and time left in the current window of a layer
+   *
+   * @param {Object} layer - { keyPrefix, key, duration, calendar? }
+   * @param {number} now - Current time in ms
+   * @returns {Object} { windowKey, msBeforeNext }
+   */
+  getWindow(layer, now = Date.now()) {
+    if (layer.calendar) {
+      return this.getCalendarWindow(layer, now);
+    }
+
+    const windowMs = layer.duration * 1000;
+    const index = Math.floor(now / windowMs);
+
+    return {
+      windowKey: `${layer.keyPrefix}:fw:${layer.key}:${index}`,
+      msBeforeNext: (index + 1) * windowMs - now,
+    };
+  }
+
+  /**
+   * Consume points from every layer, or from none of them
+   *
+   * @param {Object[]} layers - Ordered layers: { name, keyPrefix, key, points, duration, calendar? }
+   * @param {number} points - Points to consume
+   * @returns {Promise<Object>} { allowed, deniedBy (layer index or -1), results: [{ remainingPoints, msBeforeNext, consumedPoints }] }
+   */
+  async consume(layers, points = 1) {
+    const now = Date.now();
+    const windows = layers.map(layer => this.getWindow(layer, now));
+
+    const args = [points];
+    layers.forEach((layer, i) => {
+      args.push(layer.points, windows[i].msBeforeNext);
+    });
+
+    const [allowed, denied, ...counts] = await this.client.rlComposite(
+      layers.length,
+      ...windows.map(window => window.windowKey),
+      ...args
+    );
+
+    return {
+      allowed: allowed === 1,
+      deniedBy: denied - 1,
+      results: layers.map((layer, i) => ({
+        remainingPoints: Math.max(0, layer.points - counts[i]),
+        msBeforeNext: windows[i].msBeforeNext,
+        consumedPoints: counts[i],
+      })),
+    };
+  }
+}
+
+module.exports = {
+  CompositeLimiter,
+  COMPOSITE_SCRIPT,
+};
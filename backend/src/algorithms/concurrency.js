@@ -0,0 +1,107 @@
+/**
+ * Concurrency Limiter
+ *
+ * Caps the number of requests an identifier may have in flight at once.
+ * Each admitted request holds a lease: a member of a Redis sorted set scored
+ * by its expiry time (ms). Leases are released when the response ends, and
+ * expire on their own if the instance holding them dies mid-request.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * KEYS[1] - lease sorted set
+ * ARGV[1] - max concurrent leases
+ * ARGV[2] - lease length in ms
+ * ARGV[3] - lease id
+ *
+ * Returns { acquired (1/0), free slots left, ms until the oldest lease expires }
+ */
+const ACQUIRE_LEASE_SCRIPT = `
+local limit = tonumber(ARGV[1])
+local leaseMs = tonumber(ARGV[2])
+
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+
+redis.call('ZREMRANGEBYSCORE', KEYS[1], '-inf', now)
+local count = redis.call('ZCARD', KEYS[1])
+
+if count < limit then
+  redis.call('ZADD', KEYS[1], now + leaseMs, ARGV[3])
+  redis.call('PEXPIRE', KEYS[1], leaseMs)
+  return { 1, limit - count - 1, leaseMs }
+end
+
+local oldest = redis.call('ZRANGE', KEYS[1], 0, 0, 'WITHSCORES')
+local msBeforeNext = leaseMs
+if oldest[2] then
+  msBeforeNext = tonumber(oldest[2]) - now
+end
+
+return { 0, 0, msBeforeNext }
+`;
+
+class ConcurrencyLimiter {
+  /**
+   * @param {Object} options - Limiter options
+   * @param {Object} options.storeClient - ioredis client
+   * @param {string} options.keyPrefix - Redis key prefix
+   * @param {number} options.maxConcurrent - Max in-flight requests per identifier
+   * @param {number} options.leaseMs - How long a lease lives if it is never released
+   */
+  constructor({ storeClient, keyPrefix, maxConcurrent, leaseMs }) {
+    this.client = storeClient;
+    this.keyPrefix = keyPrefix;
+    this.maxConcurrent = maxConcurrent;
+    this.leaseMs = leaseMs;
+
+    if (typeof this.client.rlAcquireLease !== 'function') {
+      this.client.defineCommand('rlAcquireLease', { numberOfKeys: 1, lua: ACQUIRE_LEASE_SCRIPT });
+    }
+  }
+
+  getKey(key) {
+    return `${this.keyPrefix}:concurrency:${key}`;
+  }
+
+  /**
+   * Try to take an in-flight slot
+   *
+   * @param {string} key - Client identifier
+   * @returns {Promise<Object>} { acquired, leaseId, remaining, msBeforeNext }
+   */
+  async acquire(key) {
+    const leaseId = `${Date.now()}-${crypto.randomBytes(6).toString('hex')}`;
+
+    const [acquired, remaining, msBeforeNext] = await this.client.rlAcquireLease(
+      this.getKey(key),
+      this.maxConcurrent,
+      this.leaseMs,
+      leaseId
+    );
+
+    return {
+      acquired: acquired === 1,
+      leaseId: acquired === 1 ? leaseId : null,
+      remaining,
+      msBeforeNext,
+    };
+  }
+
+  /**
+   * Give an in-flight slot back
+   *
+   * @param {string} key - Client identifier
+   * @param {string} leaseId - Lease returned by acquire()
+   * @returns {Promise<void>}
+   */
+  async release(key, leaseId) {
+    await this.client.zrem(this.getKey(key), leaseId);
+  }
+}
+
+module.exports = {
+  ConcurrencyLimiter,
+  ACQUIRE_LEASE_SCRIPT,
+};
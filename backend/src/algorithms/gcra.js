@@ -0,0 +1,118 @@
+/**
+ * GCRA (Generic Cell Rate Algorithm)
+ *
+ * Spaces requests evenly instead of refilling a bucket: each identifier has a
+ * theoretical arrival time (TAT), the moment its next request would be on
+ * schedule. Every admitted request pushes the TAT forward by one emission
+ * interval (duration / points); a request is rejected while it arrives more
+ * than `capacity` intervals ahead of schedule.
+ *
+ * State is a single Redis key per identifier holding the TAT in ms, updated
+ * atomically by a Lua script using the Redis server clock.
+ */
+
+const { RateLimiterRes } = require('rate-limiter-flexible');
+
+/**
+ * KEYS[1] - TAT key
+ * ARGV[1] - emission interval in ms
+ * ARGV[2] - burst tolerance in ms (interval × capacity)
+ * ARGV[3] - points requested (negative to give points back)
+ *
+ * Returns { allowed (1/0), remaining, ms until the request could succeed / TAT catches up with now }
+ */
+const GCRA_SCRIPT = `
+local interval = tonumber(ARGV[1])
+local tolerance = tonumber(ARGV[2])
+local requested = tonumber(ARGV[3])
+
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + tonumber(time[2]) / 1000
+
+local tat = tonumber(redis.call('GET', KEYS[1]))
+if tat == nil or tat < now then
+  tat = now
+end
+
+local newTat = tat + interval * requested
+local allowAt = newTat - tolerance
+
+if allowAt > now then
+  local remaining = math.max(0, math.floor((now + tolerance - tat) / interval))
+  return { 0, remaining, math.ceil(allowAt - now) }
+end
+
+if newTat > now then
+  redis.call('SET', KEYS[1], tostring(newTat), 'PX', math.ceil(newTat - now))
+else
+  redis.call('DEL', KEYS[1])
+end
+
+return { 1, math.floor((now - allowAt) / interval), math.max(0, math.ceil(newTat - now)) }
+`;
+
+class GcraLimiter {
+  /**
+   * @param {Object} options - Limiter options
+   * @param {Object} options.storeClient - ioredis client
+   * @param {string} options.keyPrefix - Redis key prefix
+   * @param {number} options.points - Requests per duration (sets the spacing)
+   * @param {number} options.duration - Period in seconds
+   * @param {number} [options.capacity] - Requests allowed back to back, defaults to 1 (strict spacing)
+   */
+  constructor({ storeClient, keyPrefix, points, duration, capacity }) {
+    this.client = storeClient;
+    this.keyPrefix = keyPrefix;
+    this.points = points;
+    this.duration = duration;
+    this.capacity = capacity || 1;
+    this.intervalMs = (duration * 1000) / points;
+
+    if (typeof this.client.rlGcra !== 'function') {
+      this.client.defineCommand('rlGcra', { numberOfKeys: 1, lua: GCRA_SCRIPT });
+    }
+  }
+
+  getKey(key) {
+    return `${this.keyPrefix}:gcra:${key}`;
+  }
+
+  /**
+   * Admit a request if it is on schedule
+   * Resolves with a RateLimiterRes when allowed, rejects with one when not
+   *
+   * @param {string} key - Client identifier
+   * @param {number} points - Requests to admit
+   * @returns {Promise<RateLimiterRes>} Limiter result
+   */
+  async consume(key, points = 1) {
+    const [allowed, remaining, msBeforeNext] = await this.client.rlGcra(
+      this.getKey(key),
+      this.intervalMs,
+      this.intervalMs * this.capacity,
+      points
+    );
+
+    const res = new RateLimiterRes(remaining, msBeforeNext, this.capacity - remaining);
+    if (allowed !== 1) {
+      throw res;
+    }
+    return res;
+  }
+
+  /**
+   * Give points back, e.g. when a request should not have counted
+   *
+   * @param {string} key - Client identifier
+   * @param {number} points - Points to return
+   * @returns {Promise<RateLimiterRes>} Limiter result
+   */
+  async reward(key, points = 1) {
+    return this.consume(key, -points);
+  }
+}
+
+module.exports = {
+  GcraLimiter,
+  GCRA_SCRIPT,
+};
@@ -0,0 +1,203 @@
+/**
+ * Quota Algorithm
+ *
+ * Counts requests over long billing periods (days to months) instead of
+ * short sliding or fixed windows. A period is either a number of calendar
+ * months or a number of days, counted from an anchor date:
+ *
+ *   { unit: 'month', count: 1 }                             calendar months (UTC)
+ *   { unit: 'month', count: 1, anchor: '2026-01-15' }       monthly cycle starting on the 15th
+ *   { unit: 'day', count: 30, anchor: '2026-01-01' }        consecutive 30-day periods
+ *
+ * Monthly cycles anchored past the 28th start on the last day of shorter
+ * months. Each period has its own counter, {keyPrefix}:quota:{identifier}:{periodStart},
+ * which expires when the period ends.
+ */
+
+const { RateLimiterRes } = require('rate-limiter-flexible');
+
+const DAY_MS = 86400 * 1000;
+
+/**
+ * KEYS[1] - period counter
+ * ARGV[1] - limit (max requests per period)
+ * ARGV[2] - points requested (negative to give points back)
+ * ARGV[3] - ms until the period ends
+ *
+ * Returns { allowed (1/0), count after the request }
+ */
+const QUOTA_SCRIPT = `
+local limit = tonumber(ARGV[1])
+local requested = tonumber(ARGV[2])
+
+local current = tonumber(redis.call('GET', KEYS[1]) or '0')
+if requested > 0 and current + requested > limit then
+  return { 0, current }
+end
+
+current = redis.call('INCRBY', KEYS[1], requested)
+if current < 0 then
+  current = 0
+  redis.call('SET', KEYS[1], 0)
+end
+redis.call('PEXPIRE', KEYS[1], tonumber(ARGV[3]))
+
+return { 1, current }
+`;
+
+/**
+ * Add calendar months to an anchor, clamping the day to the target month
+ *
+ * @param {Date} anchor - Anchor date
+ * @param {number} months - Months to add
+ * @returns {number} Timestamp in ms
+ */
+const addMonths = (anchor, months) => {
+  const year = anchor.getUTCFullYear();
+  const month = anchor.getUTCMonth() + months;
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+  return Date.UTC(
+    year,
+    month,
+    Math.min(anchor.getUTCDate(), lastDay),
+    anchor.getUTCHours(),
+    anchor.getUTCMinutes(),
+    anchor.getUTCSeconds()
+  );
+};
+
+/**
+ * Get the billing period containing a point in time
+ *
+ * @param {Object} period - { unit: 'month' | 'day', count, anchor? }
+ * @param {number} [now] - Time in ms
+ * @returns {Object} { start, end } timestamps in ms
+ */
+const getPeriodBounds = (period, now = Date.now()) => {
+  const anchor = new Date(period.anchor || 0);
+  const count = period.count || 1;
+
+  if (period.unit === 'month') {
+    const date = new Date(now);
+    let months = (date.getUTCFullYear() - anchor.getUTCFullYear()) * 12
+      + (date.getUTCMonth() - anchor.getUTCMonth());
+    if (addMonths(anchor, months) > now) {
+      months -= 1;
+    }
+
+    const index = Math.floor(months / count);
+    return {
+      start: addMonths(anchor, index * count),
+      end: addMonths(anchor, (index + 1) * count),
+    };
+  }
+
+  const length = count * DAY_MS;
+  const index = Math.floor((now - anchor.getTime()) / length);
+  const start = anchor.getTime() + index * length;
+
+  return { start, end: start + length };
+};
+
+class QuotaLimiter {
+  /**
+   * @param {Object} options - Limiter options
+   * @param {Object} options.storeClient - ioredis client
+   * @param {string} options.keyPrefix - Redis key prefix
+   * @param {number} options.points - Max requests per period
+   * @param {Object} [options.period] - { unit: 'month' | 'day', count, anchor? } (default: calendar months)
+   */
+  constructor({ storeClient, keyPrefix, points, period }) {
+    this.client = storeClient;
+    this.keyPrefix = keyPrefix;
+    this.points = points;
+    this.period = period || { unit: 'month', count: 1 };
+
+    if (typeof this.client.rlQuota !== 'function') {
+      this.client.defineCommand('rlQuota', { numberOfKeys: 1, lua: QUOTA_SCRIPT });
+    }
+  }
+
+  /**
+   * Get the counter key and bounds of the current period
+   *
+   * @param {string} key - Client identifier
+   * @param {number} now - Current time in ms
+   * @returns {Object} { periodKey, start, end }
+   */
+  getPeriod(key, now = Date.now()) {
+    const { start, end } = getPeriodBounds(this.period, now);
+    const periodId = new Date(start).toISOString().replace(/[-:]|\.\d+/g, '');
+
+    return { periodKey: `${this.keyPrefix}:quota:${key}:${periodId}`, start, end };
+  }
+
+  /**
+   * Count a request in the current period
+   * Resolves with a RateLimiterRes when allowed, rejects with one when not
+   *
+   * @param {string} key - Client identifier
+   * @param {number} points - Requests to count
+   * @returns {Promise<RateLimiterRes>} Limiter result
+   */
+  async consume(key, points = 1) {
+    const now = Date.now();
+    const { periodKey, end } = this.getPeriod(key, now);
+
+    const [allowed, count] = await this.client.rlQuota(periodKey, this.points, points, end - now);
+
+    const res = new RateLimiterRes(Math.max(0, this.points - count), end - now, count);
+    if (allowed !== 1) {
+      throw res;
+    }
+    return res;
+  }
+
+  /**
+   * Give points back, e.g. when a request should not have counted
+   *
+   * @param {string} key - Client identifier
+   * @param {number} points - Points to return
+   * @returns {Promise<RateLimiterRes>} Limiter result
+   */
+  async reward(key, points = 1) {
+    return this.consume(key, -points);
+  }
+
+  /**
+   * Read usage in the current period without counting a request
+   *
+   * @param {string} key - Client identifier
+   * @returns {Promise<Object>} { used, remaining, limit, periodStart, resetAt }
+   */
+  async get(key) {
+    const { periodKey, start, end } = this.getPeriod(key);
+    const used = parseInt(await this.client.get(periodKey), 10) || 0;
+
+    return {
+      used,
+      remaining: Math.max(0, this.points - used),
+      limit: this.points,
+      periodStart: new Date(start).toISOString(),
+      resetAt: new Date(end).toISOString(),
+    };
+  }
+
+  /**
+   * Reset usage in the current period
+   *
+   * @param {string} key - Client identifier
+   * @returns {Promise<boolean>} Whether there was usage to reset
+   */
+  async delete(key) {
+    const { periodKey } = this.getPeriod(key);
+    return (await this.client.del(periodKey)) > 0;
+  }
+}
+
+module.exports = {
+  QuotaLimiter,
+  QUOTA_SCRIPT,
+  getPeriodBounds,
+};
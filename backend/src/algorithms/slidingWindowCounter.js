@@ -0,0 +1,140 @@
+/**
+ * Sliding Window Counter Algorithm
+ *
+ * Keeps one counter per fixed window and estimates the sliding window count
+ * by weighting the previous window by how much of it still overlaps
+ * (PRD 11.2):
+ *
+ *   estimate = previous × (1 - elapsed / window) + current
+ *
+ * Uses two small keys per identifier instead of one entry per request, at the
+ * cost of a slight approximation at window edges.
+ */
+
+const { RateLimiterRes } = require('rate-limiter-flexible');
+
+/**
+ * KEYS[1] - current window counter
+ * KEYS[2] - previous window counter
+ * ARGV[1] - limit (max requests per window)
+ * ARGV[2] - window length in ms
+ * ARGV[3] - ms elapsed in the current window
+ * ARGV[4] - points requested (negative to give points back)
+ *
+ * Returns { allowed (1/0), remaining, ms until the request could succeed / window fully drains }
+ */
+const SLIDING_WINDOW_COUNTER_SCRIPT = `
+local limit = tonumber(ARGV[1])
+local window = tonumber(ARGV[2])
+local elapsed = tonumber(ARGV[3])
+local requested = tonumber(ARGV[4])
+
+local current = tonumber(redis.call('GET', KEYS[1]) or '0')
+local previous = tonumber(redis.call('GET', KEYS[2]) or '0')
+local weight = (window - elapsed) / window
+local estimate = previous * weight + current
+
+if estimate + requested <= limit then
+  current = redis.call('INCRBY', KEYS[1], requested)
+  if current < 0 then
+    current = 0
+    redis.call('SET', KEYS[1], 0)
+  end
+  redis.call('PEXPIRE', KEYS[1], window * 2)
+  estimate = previous * weight + current
+  return { 1, math.floor(limit - estimate), (window - elapsed) + window }
+end
+
+-- How much of the estimate has to decay before this request fits
+local excess = estimate + requested - limit
+local msBeforeNext
+if previous * weight >= excess then
+  msBeforeNext = math.ceil(excess * window / previous)
+else
+  local carried = math.max(0, current + requested - limit)
+  msBeforeNext = (window - elapsed) + math.ceil(carried * window / math.max(current, 1))
+end
+
+return { 0, math.max(0, math.floor(limit - estimate)), msBeforeNext }
+`;
+
+class SlidingWindowCounterLimiter {
+  /**
+   * @param {Object} options - Limiter options
+   * @param {Object} options.storeClient - ioredis client
+   * @param {string} options.keyPrefix - Redis key prefix
+   * @param {number} options.points - Max requests per window
+   * @param {number} options.duration - Window length in seconds
+   */
+  constructor({ storeClient, keyPrefix, points, duration }) {
+    this.client = storeClient;
+    this.keyPrefix = keyPrefix;
+    this.points = points;
+    this.duration = duration;
+
+    if (typeof this.client.rlSlidingWindowCounter !== 'function') {
+      this.client.defineCommand('rlSlidingWindowCounter', { numberOfKeys: 2, lua: SLIDING_WINDOW_COUNTER_SCRIPT });
+    }
+  }
+
+  /**
+   * Get the counter keys and position within the current window
+   *
+   * @param {string} key - Client identifier
+   * @param {number} now - Current time in ms
+   * @returns {Object} { currentKey, previousKey, elapsed }
+   */
+  getWindow(key, now = Date.now()) {
+    const windowMs = this.duration * 1000;
+    const index = Math.floor(now / windowMs);
+
+    return {
+      currentKey: `${this.keyPrefix}:swc:${key}:${index}`,
+      previousKey: `${this.keyPrefix}:swc:${key}:${index - 1}`,
+      elapsed: now - index * windowMs,
+    };
+  }
+
+  /**
+   * Count a request in the current window
+   * Resolves with a RateLimiterRes when allowed, rejects with one when not
+   *
+   * @param {string} key - Client identifier
+   * @param {number} points - Requests to count
+   * @returns {Promise<RateLimiterRes>} Limiter result
+   */
+  async consume(key, points = 1) {
+    const { currentKey, previousKey, elapsed } = this.getWindow(key);
+
+    const [allowed, remaining, msBeforeNext] = await this.client.rlSlidingWindowCounter(
+      currentKey,
+      previousKey,
+      this.points,
+      this.duration * 1000,
+      elapsed,
+      points
+    );
+
+    const res = new RateLimiterRes(remaining, msBeforeNext, this.points - remaining);
+    if (allowed !== 1) {
+      throw res;
+    }
+    return res;
+  }
+
+  /**
+   * Give points back, e.g. when a request should not have counted
+   *
+   * @param {string} key - Client identifier
+   * @param {number} points - Points to return
+   * @returns {Promise<RateLimiterRes>} Limiter result
+   */
+  async reward(key, points = 1) {
+    return this.consume(key, -points);
+  }
+}
+
+module.exports = {
+  SlidingWindowCounterLimiter,
+  SLIDING_WINDOW_COUNTER_SCRIPT,
+};
@@ -0,0 +1,137 @@
+/**
+ * Sliding Window Log Algorithm
+ *
+ * Every admitted request is logged in a Redis sorted set scored by its
+ * timestamp (ms). Entries older than the window are trimmed before counting,
+ * so the limit holds over any window-length interval, with no edge bursts.
+ *
+ * Key layout (PRD 10.4): {keyPrefix}:counter:{identifier}:{window}
+ */
+
+const crypto = require('crypto');
+const { RateLimiterRes } = require('rate-limiter-flexible');
+
+/**
+ * KEYS[1] - sorted set key
+ * ARGV[1] - limit (max requests per window)
+ * ARGV[2] - window length in ms
+ * ARGV[3] - points requested
+ * ARGV[4] - unique member prefix for this request; its entries are
+ *           {prefix}:1 .. {prefix}:{points}
+ *
+ * Returns { allowed (1/0), remaining, ms until the request could succeed / window fully drains,
+ * member prefix of the logged entries (allowed only) }
+ */
+const SLIDING_WINDOW_LOG_SCRIPT = `
+local limit = tonumber(ARGV[1])
+local window = tonumber(ARGV[2])
+local requested = tonumber(ARGV[3])
+
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+
+redis.call('ZREMRANGEBYSCORE', KEYS[1], '-inf', now - window)
+local count = redis.call('ZCARD', KEYS[1])
+
+if count + requested <= limit then
+  for i = 1, requested do
+    redis.call('ZADD', KEYS[1], now, ARGV[4] .. ':' .. i)
+  end
+  redis.call('PEXPIRE', KEYS[1], window + 1000)
+  count = count + requested
+
+  local newest = redis.call('ZRANGE', KEYS[1], -1, -1, 'WITHSCORES')
+  local msBeforeNext = 0
+  if newest[2] then
+    msBeforeNext = tonumber(newest[2]) + window - now
+  end
+  return { 1, limit - count, msBeforeNext, ARGV[4] }
+end
+
+-- Oldest entry that has to expire before this request fits
+local index = count + requested - limit - 1
+local msBeforeNext = window
+if index < count then
+  local entry = redis.call('ZRANGE', KEYS[1], index, index, 'WITHSCORES')
+  if entry[2] then
+    msBeforeNext = tonumber(entry[2]) + window - now
+  end
+end
+
+return { 0, math.max(0, limit - count), msBeforeNext }
+`;
+
+class SlidingWindowLogLimiter {
+  /**
+   * @param {Object} options - Limiter options
+   * @param {Object} options.storeClient - ioredis client
+   * @param {string} options.keyPrefix - Redis key prefix
+   * @param {number} options.points - Max requests per window
+   * @param {number} options.duration - Window length in seconds
+   */
+  constructor({ storeClient, keyPrefix, points, duration }) {
+    this.client = storeClient;
+    this.keyPrefix = keyPrefix;
+    this.points = points;
+    this.duration = duration;
+
+    if (typeof this.client.rlSlidingWindowLog !== 'function') {
+      this.client.defineCommand('rlSlidingWindowLog', { numberOfKeys: 1, lua: SLIDING_WINDOW_LOG_SCRIPT });
+    }
+  }
+
+  getKey(key) {
+    return `${this.keyPrefix}:counter:${key}:${this.duration}`;
+  }
+
+  /**
+   * Log a request in the window
+   * Resolves with a RateLimiterRes when allowed, rejects with one when not.
+   * An allowed result carries the member prefix of its entries (member), so
+   * they can be refunded.
+   *
+   * @param {string} key - Client identifier
+   * @param {number} points - Requests to log
+   * @returns {Promise<RateLimiterRes>} Limiter result
+   */
+  async consume(key, points = 1) {
+    const [allowed, remaining, msBeforeNext, member] = await this.client.rlSlidingWindowLog(
+      this.getKey(key),
+      this.points,
+      this.duration * 1000,
+      points,
+      `${Date.now()}-${crypto.randomBytes(6).toString('hex')}`
+    );
+
+    const res = new RateLimiterRes(remaining, msBeforeNext, this.points - remaining);
+    if (allowed !== 1) {
+      throw res;
+    }
+    res.member = member;
+    return res;
+  }
+
+  /**
+   * Give points back by dropping the log entries of a request
+   * Only the refunded request's own entries are removed (ZREM), never those
+   * of requests logged concurrently.
+   *
+   * @param {string} key - Client identifier
+   * @param {number} points - Entries to drop
+   * @param {RateLimiterRes} consumed - Result of the consume being refunded
+   * @returns {Promise<void>}
+   */
+  async reward(key, points = 1, consumed) {
+    if (!consumed?.member) {
+      throw new Error('Sliding window log refunds need the result of the consume');
+    }
+
+    const members = Array.from({ length: points }, (value, i) => `${consumed.member}:${i + 1}`);
+    await this.client.zrem(this.getKey(key), ...members);
+  }
+}
+
+module.exports = {
+  SlidingWindowLogLimiter,
+  SLIDING_WINDOW_LOG_SCRIPT,
+};
@@ -0,0 +1,121 @@
+/**
+ * Token Bucket Algorithm
+ *
+ * Each identifier owns a bucket holding up to `capacity` tokens that refills
+ * continuously at `points` tokens per `duration` seconds. A request takes one
+ * token (or its cost); bursts up to the bucket capacity are allowed.
+ *
+ * State is a Redis hash updated atomically by a Lua script, using the Redis
+ * server clock so all instances agree on elapsed time.
+ */
+
+const { RateLimiterRes } = require('rate-limiter-flexible');
+
+/**
+ * KEYS[1] - bucket key
+ * ARGV[1] - capacity (max tokens)
+ * ARGV[2] - refill rate (tokens per millisecond)
+ * ARGV[3] - tokens requested (negative to return tokens)
+ *
+ * Returns { allowed (1/0), tokens left (floored), ms until the request could succeed / bucket is full }
+ */
+const TOKEN_BUCKET_SCRIPT = `
+local capacity = tonumber(ARGV[1])
+local rate = tonumber(ARGV[2])
+local requested = tonumber(ARGV[3])
+
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+
+local bucket = redis.call('HMGET', KEYS[1], 'tokens', 'ts')
+local tokens = tonumber(bucket[1])
+local ts = tonumber(bucket[2])
+
+if tokens == nil or ts == nil then
+  tokens = capacity
+  ts = now
+end
+
+tokens = math.min(capacity, tokens + math.max(0, now - ts) * rate)
+
+local allowed = 0
+local msBeforeNext
+if tokens >= requested then
+  allowed = 1
+  tokens = math.min(capacity, tokens - requested)
+  msBeforeNext = math.ceil((capacity - tokens) / rate)
+else
+  msBeforeNext = math.ceil((requested - tokens) / rate)
+end
+
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'ts', tostring(now))
+redis.call('PEXPIRE', KEYS[1], math.ceil((capacity - tokens) / rate) + 1000)
+
+return { allowed, math.floor(tokens), msBeforeNext }
+`;
+
+class TokenBucketLimiter {
+  /**
+   * @param {Object} options - Limiter options
+   * @param {Object} options.storeClient - ioredis client
+   * @param {string} options.keyPrefix - Redis key prefix
+   * @param {number} options.points - Tokens added per duration (refill rate)
+   * @param {number} options.duration - Refill period in seconds
+   * @param {number} [options.capacity] - Bucket size (burst limit), defaults to points
+   */
+  constructor({ storeClient, keyPrefix, points, duration, capacity }) {
+    this.client = storeClient;
+    this.keyPrefix = keyPrefix;
+    this.points = points;
+    this.duration = duration;
+    this.capacity = capacity || points;
+    this.refillPerMs = points / (duration * 1000);
+
+    if (typeof this.client.rlTokenBucket !== 'function') {
+      this.client.defineCommand('rlTokenBucket', { numberOfKeys: 1, lua: TOKEN_BUCKET_SCRIPT });
+    }
+  }
+
+  getKey(key) {
+    return `${this.keyPrefix}:tb:${key}`;
+  }
+
+  /**
+   * Take tokens from the bucket
+   * Resolves with a RateLimiterRes when allowed, rejects with one when not
+   *
+   * @param {string} key - Client identifier
+   * @param {number} points - Tokens to take
+   * @returns {Promise<RateLimiterRes>} Limiter result
+   */
+  async consume(key, points = 1) {
+    const [allowed, tokens, msBeforeNext] = await this.client.rlTokenBucket(
+      this.getKey(key),
+      this.capacity,
+      this.refillPerMs,
+      points
+    );
+
+    const res = new RateLimiterRes(tokens, msBeforeNext, this.capacity - tokens);
+    if (allowed !== 1) {
+      throw res;
+    }
+    return res;
+  }
+
+  /**
+   * Give points back, e.g. when a request should not have counted
+   *
+   * @param {string} key - Client identifier
+   * @param {number} points - Points to return
+   * @returns {Promise<RateLimiterRes>} Limiter result
+   */
+  async reward(key, points = 1) {
+    return this.consume(key, -points);
+  }
+}
+
+module.exports = {
+  TokenBucketLimiter,
+  TOKEN_BUCKET_SCRIPT,
+};
@@ -0,0 +1,54 @@
+/**
+ * Trusted Proxy Configuration Tests
+ *
+ * Tests TRUST_PROXY parsing and CLIENT_IP_HEADER selection
+ */
+
+const { parseTrustProxy, isTrustedProxy, getClientIpHeader } = require('../proxy');
+
+describe('Trusted Proxy Configuration', () => {
+  const originalTrustProxy = process.env.TRUST_PROXY;
+  const originalHeader = process.env.CLIENT_IP_HEADER;
+
+  afterEach(() => {
+    if (originalTrustProxy === undefined) delete process.env.TRUST_PROXY;
+    else process.env.TRUST_PROXY = originalTrustProxy;
+    if (originalHeader === undefined) delete process.env.CLIENT_IP_HEADER;
+    else process.env.CLIENT_IP_HEADER = originalHeader;
+  });
+
+  test('should expand Express keywords and keep CIDR entries', () => {
+    expect(parseTrustProxy('loopback, 203.0.113.0/24')).toEqual(['127.0.0.0/8', '::1/128', '203.0.113.0/24']);
+    expect(parseTrustProxy('uniquelocal')).toContain('10.0.0.0/8');
+    expect(parseTrustProxy('false')).toEqual([]);
+  });
+
+  test('should drop invalid entries', () => {
+    expect(parseTrustProxy('10.0.0.0/33, nonsense, 10.0.0.1')).toEqual(['10.0.0.1']);
+  });
+
+  test('should trust loopback peers by default', () => {
+    delete process.env.TRUST_PROXY;
+
+    expect(isTrustedProxy('127.0.0.1')).toBe(true);
+    expect(isTrustedProxy('::ffff:127.0.0.1')).toBe(true);
+    expect(isTrustedProxy('10.0.0.1')).toBe(false);
+  });
+
+  test('should follow changes to TRUST_PROXY', () => {
+    process.env.TRUST_PROXY = '10.0.0.0/8';
+    expect(isTrustedProxy('10.1.2.3')).toBe(true);
+    expect(isTrustedProxy('127.0.0.1')).toBe(false);
+
+    process.env.TRUST_PROXY = 'true';
+    expect(isTrustedProxy('198.51.100.1')).toBe(true);
+  });
+
+  test('should fall back to X-Forwarded-For for unsupported headers', () => {
+    process.env.CLIENT_IP_HEADER = 'Forwarded';
+    expect(getClientIpHeader()).toBe('forwarded');
+
+    process.env.CLIENT_IP_HEADER = 'x-evil-ip';
+    expect(getClientIpHeader()).toBe('x-forwarded-for');
+  });
+});
@@ -52,6 +52,10 @@ const corsOptions = {
     'X-RateLimit-Limit',
     'X-RateLimit-Remaining',
     'X-RateLimit-Reset',
+    'X-RateLimit-Cost',
+    'X-RateLimit-Scope',
+    'X-Concurrency-Limit',
+    'X-Concurrency-Remaining',
     'Retry-After',
   ],
   
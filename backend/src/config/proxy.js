@@ -0,0 +1,111 @@
+/**
+ * Trusted Proxy Configuration
+ *
+ * Decides which peers may report the client IP on a request's behalf.
+ *
+ * TRUST_PROXY lists the trusted proxies: CIDR ranges, single addresses, or the
+ * Express keywords loopback, linklocal and uniquelocal ('true' trusts every
+ * peer, 'false' none). The same list drives Express's req.ip, so both agree.
+ *
+ * CLIENT_IP_HEADER names the header the trusted proxies put the client IP in:
+ * x-forwarded-for (default), forwarded (RFC 7239), x-real-ip,
+ * cf-connecting-ip or x-client-ip.
+ */
+
+const { createCidrMatcher, isCidr } = require('../utils/cidr');
+const logger = require('../utils/logger');
+
+// Ranges behind the keywords Express accepts for 'trust proxy'
+const PROXY_KEYWORDS = {
+  loopback: ['127.0.0.0/8', '::1/128'],
+  linklocal: ['169.254.0.0/16', 'fe80::/10'],
+  uniquelocal: ['10.0.0.0/8', '172.16.0.0/12', '192.168.0.0/16', 'fc00::/7'],
+  true: ['0.0.0.0/0', '::/0'],
+  false: [],
+};
+
+// Headers a trusted proxy may report the client IP in
+const CLIENT_IP_HEADERS = ['x-forwarded-for', 'forwarded', 'x-real-ip', 'cf-connecting-ip', 'x-client-ip'];
+
+const DEFAULT_TRUST_PROXY = 'loopback';
+const DEFAULT_CLIENT_IP_HEADER = 'x-forwarded-for';
+
+// Parsed TRUST_PROXY and CLIENT_IP_HEADER values, rebuilt when they change
+let trustedProxies = { setting: null, matches: null };
+let clientIpHeader = { setting: null, header: null };
+
+/**
+ * Expand a TRUST_PROXY value into CIDR ranges
+ *
+ * @param {string} setting - Comma-separated keywords, addresses and ranges
+ * @returns {string[]} CIDR ranges
+ */
+const parseTrustProxy = (setting) => {
+  return setting
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .flatMap(entry => {
+      const keyword = entry.toLowerCase();
+      if (PROXY_KEYWORDS[keyword]) {
+        return PROXY_KEYWORDS[keyword];
+      }
+      if (isCidr(entry)) {
+        return [entry];
+      }
+      logger.warn('Ignoring invalid TRUST_PROXY entry', { entry });
+      return [];
+    });
+};
+
+/**
+ * Check whether a peer address is a trusted proxy
+ *
+ * @param {string} ip - Peer address
+ * @returns {boolean} Whether headers from this peer are trusted
+ */
+const isTrustedProxy = (ip) => {
+  const setting = process.env.TRUST_PROXY || DEFAULT_TRUST_PROXY;
+
+  if (trustedProxies.setting !== setting) {
+    trustedProxies = { setting, matches: createCidrMatcher(parseTrustProxy(setting)) };
+  }
+
+  return trustedProxies.matches(ip);
+};
+
+/**
+ * Get the header trusted proxies report the client IP in
+ *
+ * @returns {string} Lower-case header name
+ */
+const getClientIpHeader = () => {
+  const setting = process.env.CLIENT_IP_HEADER || DEFAULT_CLIENT_IP_HEADER;
+
+  if (clientIpHeader.setting !== setting) {
+    let header = setting.trim().toLowerCase();
+    if (!CLIENT_IP_HEADERS.includes(header)) {
+      logger.warn('Unsupported CLIENT_IP_HEADER, using default', { header, default: DEFAULT_CLIENT_IP_HEADER });
+      header = DEFAULT_CLIENT_IP_HEADER;
+    }
+    clientIpHeader = { setting, header };
+  }
+
+  return clientIpHeader.header;
+};
+
+/**
+ * Express 'trust proxy' function backed by the same list
+ *
+ * @param {string} addr - Address Express is evaluating
+ * @returns {boolean} Whether Express may look past this address
+ */
+const trustProxy = (addr) => isTrustedProxy(addr);
+
+module.exports = {
+  CLIENT_IP_HEADERS,
+  parseTrustProxy,
+  isTrustedProxy,
+  getClientIpHeader,
+  trustProxy,
+};
@@ -0,0 +1,84 @@
+/**
+ * OpenTelemetry Configuration
+ *
+ * Optional distributed tracing, off unless OTEL_ENABLED=true.
+ *
+ * When enabled, the OpenTelemetry Node SDK:
+ * - continues traces from incoming W3C traceparent headers and propagates
+ *   them on outgoing HTTP calls (HTTP instrumentation)
+ * - creates spans for Express middleware and every Redis command (ioredis
+ *   instrumentation; arguments are not recorded)
+ * - exports spans over OTLP/HTTP to OTEL_EXPORTER_OTLP_ENDPOINT
+ *   (default http://localhost:4318, e.g. a local collector)
+ *
+ * The standard OTEL_* variables (OTEL_SERVICE_NAME, OTEL_TRACES_SAMPLER,
+ * OTEL_EXPORTER_OTLP_HEADERS, ...) are honoured. Must be started before
+ * express and ioredis are loaded so their instrumentation can hook in.
+ */
+
+const logger = require('../utils/logger');
+
+// Paths scraped by probes and Prometheus, not worth a trace each
+const UNTRACED_PATHS = ['/health', '/metrics'];
+
+let sdk = null;
+
+/**
+ * Start the OpenTelemetry SDK if tracing is enabled
+ *
+ * @returns {boolean} Whether tracing was started
+ */
+const startTracing = () => {
+  if (process.env.OTEL_ENABLED !== 'true' || sdk) {
+    return Boolean(sdk);
+  }
+
+  const { NodeSDK } = require('@opentelemetry/sdk-node');
+  const { OTLPTraceExporter } = require('@opentelemetry/exporter-trace-otlp-http');
+  const { HttpInstrumentation } = require('@opentelemetry/instrumentation-http');
+  const { ExpressInstrumentation } = require('@opentelemetry/instrumentation-express');
+  const { IORedisInstrumentation } = require('@opentelemetry/instrumentation-ioredis');
+
+  sdk = new NodeSDK({
+    serviceName: process.env.OTEL_SERVICE_NAME || 'ratetui-backend',
+    traceExporter: new OTLPTraceExporter(),
+    instrumentations: [
+      new HttpInstrumentation({
+        ignoreIncomingRequestHook: (req) => UNTRACED_PATHS.some(path => req.url.startsWith(path)),
+      }),
+      new ExpressInstrumentation(),
+      new IORedisInstrumentation({ requireParentSpan: true }),
+    ],
+  });
+
+  sdk.start();
+  logger.info('OpenTelemetry tracing enabled', {
+    endpoint: process.env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT
+      || process.env.OTEL_EXPORTER_OTLP_ENDPOINT
+      || 'http://localhost:4318',
+  });
+
+  return true;
+};
+
+/**
+ * Flush pending spans and stop the SDK (on shutdown)
+ */
+const stopTracing = async () => {
+  if (!sdk) {
+    return;
+  }
+
+  try {
+    await sdk.shutdown();
+  } catch (error) {
+    logger.error('Failed to shut down tracing', { error: error.message });
+  } finally {
+    sdk = null;
+  }
+};
+
+module.exports = {
+  startTracing,
+  stopTracing,
+};
@@ -7,14 +7,23 @@
 
 require('dotenv').config();
 
+// Tracing hooks into express and ioredis, so it starts before they load
+const { startTracing, stopTracing } = require('./config/tracing');
+startTracing();
+
 const express = require('express');
 const helmet = require('helmet');
 const cors = require('cors');
 
 const logger = require('./utils/logger');
 const { connectRedis, closeRedis } = require('./config/redis');
+const { stopAnalytics } = require('./services/analytics');
+const { stopEvents } = require('./services/events');
 const { corsOptions } = require('./config/cors');
+const { trustProxy } = require('./config/proxy');
 const errorHandler = require('./middleware/errorHandler');
+const { ipFilter } = require('./middleware/ipFilter');
+const { trackRequest } = require('./middleware/analytics');
 const { 
   addRequestId, 
   morganMiddleware, 
@@ -24,6 +33,7 @@ const {
 
 // Import routes
 const healthRoutes = require('./routes/health');
+const metricsRoutes = require('./routes/metrics');
 const apiRoutes = require('./routes/api');
 const adminRoutes = require('./routes/admin');
 const authRoutes = require('./routes/auth');
@@ -68,7 +78,7 @@ app.use(helmet({
 app.use(cors(corsOptions));
 
 // Trust proxy (important for correct IP extraction)
-const trustProxy = process.env.TRUST_PROXY || 'loopback';
+// Same TRUST_PROXY list as extractClientIP, so req.ip agrees with the limiters
 app.set('trust proxy', trustProxy);
 
 // ===========================================
@@ -98,6 +108,15 @@ if (process.env.NODE_ENV !== 'test') {
 // Health check (no rate limiting)
 app.use('/health', healthRoutes);
 
+// Prometheus metrics (no rate limiting; METRICS_TOKEN protects it)
+app.use('/metrics', metricsRoutes);
+
+// Traffic and denial analytics (after health checks and metrics scrapes)
+app.use(trackRequest);
+
+// IP blocklist / allowlist (before any rate limiter)
+app.use(ipFilter);
+
 // API routes (will have rate limiting applied)
 app.use('/api', apiRoutes);
 
@@ -185,12 +204,18 @@ async function startServer() {
       logger.info(`${signal} received. Shutting down gracefully...`);
       logger.info(`Active connections: ${activeConnections.size}`);
 
+      // End live event streams so their connections can drain
+      stopEvents();
+
       // Stop accepting new connections
       server.close(async () => {
         logger.info('HTTP server closed');
         
+        await stopAnalytics();
         await closeRedis();
         logger.info('Redis connection closed');
+
+        await stopTracing();
         
         process.exit(0);
       });
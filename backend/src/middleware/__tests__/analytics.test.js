@@ -0,0 +1,46 @@
+/**
+ * Analytics Middleware Tests
+ *
+ * Tests which finished requests are counted as blocked
+ */
+
+const EventEmitter = require('events');
+
+jest.mock('../../services/analytics', () => ({
+  recordRequest: jest.fn(),
+}));
+
+const { recordRequest } = require('../../services/analytics');
+const { trackRequest } = require('../analytics');
+
+const finishRequest = (req, statusCode) => {
+  const res = new EventEmitter();
+  trackRequest({ method: 'GET', path: '/api/data', headers: {}, ip: '203.0.113.7', ...req }, res, jest.fn());
+  res.statusCode = statusCode;
+  res.emit('finish');
+};
+
+describe('Analytics Middleware', () => {
+  beforeEach(() => {
+    recordRequest.mockClear();
+  });
+
+  test('should count a request a limiter rejected as blocked', () => {
+    finishRequest({ rateLimited: { limiter: 'concurrency', scope: 'ip' } }, 429);
+
+    expect(recordRequest).toHaveBeenCalledWith(expect.objectContaining({ blocked: true }));
+  });
+
+  test('should count a request the IP filter or blocklist denied as blocked', () => {
+    finishRequest({ blocked: { reason: 'ip_blocked' } }, 403);
+
+    expect(recordRequest).toHaveBeenCalledWith(expect.objectContaining({ blocked: true }));
+  });
+
+  test('should not count other 403s and 429s as blocked', () => {
+    finishRequest({}, 403);
+    finishRequest({}, 429);
+
+    expect(recordRequest.mock.calls.map(([entry]) => entry.blocked)).toEqual([false, false]);
+  });
+});
@@ -0,0 +1,147 @@
+/**
+ * API Key Authentication Tests
+ *
+ * Tests key verification, scope checks and per-key limits on the apiKey limiter.
+ * Redis is not connected for the limiter, so it uses the in-memory fallback.
+ */
+
+jest.mock('../../services/apiKeyService', () => ({
+  verifyKey: jest.fn(),
+  hasScope: jest.requireActual('../../services/apiKeyService').hasScope,
+}));
+
+jest.mock('../../config/redis', () => ({
+  ...jest.requireActual('../../config/redis'),
+  isRedisConnected: jest.fn(() => true),
+}));
+
+const { verifyKey } = require('../../services/apiKeyService');
+const { isRedisConnected } = require('../../config/redis');
+const { requireApiKey } = require('../apiKeyAuth');
+const { createRateLimiterMiddleware } = require('../rateLimiter');
+
+const activeKey = {
+  id: 'key_1',
+  name: 'Partner',
+  ownerId: 'user_1',
+  scopes: ['data:read'],
+  rateLimit: null,
+  status: 'active',
+};
+
+const createResponse = () => ({
+  headers: {},
+  set: jest.fn(function (name, value) {
+    if (typeof name === 'object') {
+      Object.assign(this.headers, name);
+    } else {
+      this.headers[name] = value;
+    }
+  }),
+  status: jest.fn().mockReturnThis(),
+  json: jest.fn(),
+});
+
+const createRequest = (headers = {}) => ({ method: 'GET', path: '/partner/data', headers, query: {}, ip: '203.0.113.70' });
+
+const run = async (middleware, req) => {
+  const res = createResponse();
+  const next = jest.fn();
+  await middleware(req, res, next);
+  return { req, res, next };
+};
+
+describe('API Key Authentication', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    isRedisConnected.mockReturnValue(true);
+  });
+
+  test('should require an API key', async () => {
+    const { next } = await run(requireApiKey(), createRequest());
+
+    expect(next.mock.calls[0][0].code).toBe('UNAUTHORIZED');
+    expect(verifyKey).not.toHaveBeenCalled();
+  });
+
+  test('should attach a valid key to the request', async () => {
+    verifyKey.mockResolvedValue({ apiKey: activeKey });
+
+    const { req, next } = await run(requireApiKey(), createRequest({ 'x-api-key': 'rlk_valid' }));
+
+    expect(verifyKey).toHaveBeenCalledWith('rlk_valid');
+    expect(next).toHaveBeenCalledWith();
+    expect(req.apiKey).toBe(activeKey);
+  });
+
+  test.each([
+    ['unknown', 'Invalid API key'],
+    ['revoked', 'API key has been revoked'],
+    ['expired', 'API key has expired'],
+  ])('should reject %s keys', async (reason, message) => {
+    verifyKey.mockResolvedValue({ reason });
+
+    const { req, next } = await run(requireApiKey(), createRequest({ 'x-api-key': 'rlk_bad' }));
+
+    expect(next.mock.calls[0][0]).toMatchObject({ code: 'UNAUTHORIZED', message });
+    expect(req.apiKey).toBeUndefined();
+  });
+
+  test('should enforce scopes', async () => {
+    verifyKey.mockResolvedValue({ apiKey: activeKey });
+
+    const granted = await run(requireApiKey('data:read'), createRequest({ 'x-api-key': 'rlk_valid' }));
+    const denied = await run(requireApiKey('data:write'), createRequest({ 'x-api-key': 'rlk_valid' }));
+
+    expect(granted.next).toHaveBeenCalledWith();
+    expect(denied.next.mock.calls[0][0].code).toBe('FORBIDDEN');
+  });
+
+  test('should fail closed without Redis', async () => {
+    isRedisConnected.mockReturnValue(false);
+
+    const { next } = await run(requireApiKey(), createRequest({ 'x-api-key': 'rlk_valid' }));
+
+    expect(next.mock.calls[0][0].code).toBe('SERVICE_UNAVAILABLE');
+  });
+});
+
+describe('API Key Rate Limits', () => {
+  beforeEach(() => {
+    isRedisConnected.mockReturnValue(false);
+  });
+
+  const limiter = createRateLimiterMiddleware({
+    keyPrefix: 'apikey-test',
+    points: 100,
+    duration: 3600,
+    identifierType: 'apiKey',
+  });
+
+  test('should key on the verified key ID', async () => {
+    const req = { ...createRequest({ 'x-api-key': 'rlk_secret' }), apiKey: { ...activeKey, id: 'key_limit_1' } };
+
+    const { res } = await run(limiter, req);
+
+    expect(res.headers['X-RateLimit-Limit']).toBe('100');
+    expect(res.headers['X-RateLimit-Remaining']).toBe('99');
+  });
+
+  test('should skip requests without a verified key', async () => {
+    const { res, next } = await run(limiter, createRequest({ 'x-api-key': 'rlk_secret' }));
+
+    expect(next).toHaveBeenCalledWith();
+    expect(res.headers['X-RateLimit-Limit']).toBeUndefined();
+  });
+
+  test('should apply the key\'s own rate limit', async () => {
+    const apiKey = { ...activeKey, id: 'key_limit_2', rateLimit: { points: 2, duration: 60 } };
+
+    const withOverride = await run(limiter, { ...createRequest(), apiKey });
+    const withoutOverride = await run(limiter, { ...createRequest(), apiKey: { ...apiKey, rateLimit: null } });
+
+    expect(withOverride.res.headers['X-RateLimit-Limit']).toBe('2');
+    expect(withOverride.res.headers['X-RateLimit-Window']).toBe('60s');
+    expect(withoutOverride.res.headers['X-RateLimit-Limit']).toBe('100');
+  });
+});
@@ -0,0 +1,276 @@
+/**
+ * Composite Rate Limiter Tests
+ *
+ * Tests layered limit evaluation: all-or-nothing consumption, skipped
+ * layers and reporting of the most restrictive layer, including to
+ * analytics, metrics, events and traces.
+ * Redis is replaced by a fake client that runs the script logic in memory.
+ */
+
+const mockCounters = new Map();
+const mockClient = {
+  defineCommand: jest.fn((name) => {
+    mockClient[name] = jest.fn(async (numberOfKeys, ...args) => {
+      const keys = args.slice(0, numberOfKeys);
+      const [requested, ...limits] = args.slice(numberOfKeys);
+      const counts = keys.map(key => mockCounters.get(key) || 0);
+      const denied = counts.findIndex((count, i) => count + requested > limits[i * 2]) + 1;
+
+      if (denied === 0) {
+        keys.forEach((key, i) => {
+          counts[i] += requested;
+          mockCounters.set(key, counts[i]);
+        });
+      }
+      return [denied === 0 ? 1 : 0, denied, ...counts];
+    });
+  }),
+};
+
+jest.mock('../../config/redis', () => ({
+  getRedisClient: () => mockClient,
+  isRedisConnected: () => true,
+  getFailureMode: () => 'open',
+}));
+
+jest.mock('../../services/planService', () => ({
+  ...jest.requireActual('../../services/planService'),
+  resolvePlan: jest.fn(async () => ({ name: 'pro', limits: { minute: 600, day: 50000 } })),
+}));
+
+const { trace } = require('@opentelemetry/api');
+const {
+  tracing: { BasicTracerProvider, InMemorySpanExporter, SimpleSpanProcessor },
+} = require('@opentelemetry/sdk-node');
+const { createCompositeRateLimiterMiddleware, rateLimiters } = require('../rateLimiter');
+const { CompositeLimiter } = require('../../algorithms/composite');
+const analytics = require('../../services/analytics');
+const { register } = require('../../utils/metrics');
+const events = require('../../services/events');
+
+const exporter = new InMemorySpanExporter();
+trace.setGlobalTracerProvider(new BasicTracerProvider({ spanProcessors: [new SimpleSpanProcessor(exporter)] }));
+
+const createResponse = () => ({
+  headers: {},
+  set: jest.fn(function (name, value) {
+    if (typeof name === 'object') {
+      Object.assign(this.headers, name);
+    } else {
+      this.headers[name] = value;
+    }
+  }),
+  status: jest.fn().mockReturnThis(),
+  json: jest.fn(),
+});
+
+const runMiddleware = async (middleware, req = {}) => {
+  const res = createResponse();
+  const next = jest.fn();
+  await middleware({ method: 'GET', baseUrl: '/api', path: '/expensive', headers: {}, ip: '203.0.113.80', ...req }, res, next);
+  return { res, next };
+};
+
+const layers = [
+  { name: 'global', points: 100, duration: 60, identifierType: 'global' },
+  { name: 'ip', points: 3, duration: 60, identifierType: 'ip' },
+  { name: 'user', points: 50, duration: 60, identifierType: 'user' },
+  { name: 'endpoint', points: 2, duration: 60, identifierType: 'ip', includeEndpoint: true },
+];
+
+describe('Composite Rate Limiter', () => {
+  beforeEach(() => {
+    mockCounters.clear();
+  });
+
+  afterAll(() => {
+    trace.disable();
+  });
+
+  test('should check every applicable layer in one call', async () => {
+    const middleware = createCompositeRateLimiterMiddleware({ layers });
+
+    await runMiddleware(middleware, { user: { id: 'user_1' } });
+
+    expect(mockClient.rlComposite).toHaveBeenCalledTimes(1);
+    const [numberOfKeys, ...keys] = mockClient.rlComposite.mock.calls[0];
+    expect(numberOfKeys).toBe(4);
+    expect(keys[0]).toMatch(/^global:fw:all:\d+$/);
+    expect(keys[1]).toMatch(/^ip:fw:203\.0\.113\.80:\d+$/);
+    expect(keys[2]).toMatch(/^user:fw:user_1:\d+$/);
+    expect(keys[3]).toMatch(/^endpoint:fw:203\.0\.113\.80:GET:\/api\/expensive:\d+$/);
+  });
+
+  test('should skip layers without an identifier', async () => {
+    const middleware = createCompositeRateLimiterMiddleware({ layers });
+    mockClient.rlComposite?.mockClear();
+
+    await runMiddleware(middleware);
+
+    expect(mockClient.rlComposite.mock.calls[0][0]).toBe(3);
+  });
+
+  test('should report the most restrictive layer in the headers', async () => {
+    const middleware = createCompositeRateLimiterMiddleware({ layers });
+
+    const { res, next } = await runMiddleware(middleware);
+
+    expect(next).toHaveBeenCalledWith();
+    expect(res.headers['X-RateLimit-Scope']).toBe('endpoint');
+    expect(res.headers['X-RateLimit-Limit']).toBe('2');
+    expect(res.headers['X-RateLimit-Remaining']).toBe('1');
+  });
+
+  test('should not consume from any layer when one denies', async () => {
+    const middleware = createCompositeRateLimiterMiddleware({ layers });
+
+    await runMiddleware(middleware);
+    await runMiddleware(middleware);
+    const { res, next } = await runMiddleware(middleware);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(429);
+    expect(res.headers['X-RateLimit-Scope']).toBe('endpoint');
+    expect(res.json.mock.calls[0][0].error.scope).toBe('endpoint');
+
+    // The denied request left the per-IP layer at 2 of 3, so another endpoint still passes
+    const other = await runMiddleware(middleware, { path: '/data' });
+    expect(other.next).toHaveBeenCalledWith();
+    expect(other.res.headers['X-RateLimit-Scope']).toBe('ip');
+    expect(other.res.headers['X-RateLimit-Remaining']).toBe('0');
+  });
+
+  test('should record decisions under the middleware\'s keyPrefix', async () => {
+    const recordLimiterDecision = jest.spyOn(analytics, 'recordLimiterDecision');
+    const middleware = createCompositeRateLimiterMiddleware({ keyPrefix: 'layered', layers });
+
+    await runMiddleware(middleware);
+    await runMiddleware(middleware);
+    await runMiddleware(middleware);
+
+    expect(recordLimiterDecision.mock.calls).toEqual([['layered', false], ['layered', false], ['layered', true]]);
+    recordLimiterDecision.mockRestore();
+  });
+
+  test('should count and time decisions in the Prometheus metrics', async () => {
+    register.resetMetrics();
+    const middleware = createCompositeRateLimiterMiddleware({ keyPrefix: 'layered', layers });
+
+    await runMiddleware(middleware);
+    await runMiddleware(middleware);
+    await runMiddleware(middleware);
+
+    const { values: decisions } = await register.getSingleMetric('ratelimit_requests_total').get();
+    const { values: timings } = await register.getSingleMetric('ratelimit_check_duration_seconds').get();
+    const count = status => decisions.find(value => value.labels.limiter === 'layered' && value.labels.status === status)?.value;
+    expect(count('allowed')).toBe(2);
+    expect(count('limited')).toBe(1);
+    expect(decisions.find(value => value.labels.limiter === 'layered').labels.identifier_type).toBe('ip');
+    expect(timings.find(value => value.labels.limiter === 'layered' && value.labels.le === '+Inf').value).toBe(3);
+
+    const { values: roundTrips } = await register.getSingleMetric('ratelimit_redis_roundtrip_seconds').get();
+    expect(roundTrips.find(value => (
+      value.labels.limiter === 'layered' && value.labels.operation === 'composite' && value.labels.le === '+Inf'
+    )).value).toBe(3);
+  });
+
+  test('should publish decisions with the most restrictive layer', async () => {
+    const publishDecision = jest.spyOn(events, 'publishDecision');
+    const middleware = createCompositeRateLimiterMiddleware({ keyPrefix: 'layered', layers });
+
+    await runMiddleware(middleware);
+    await runMiddleware(middleware);
+    await runMiddleware(middleware);
+
+    expect(publishDecision).toHaveBeenLastCalledWith(expect.objectContaining({
+      limiter: 'layered',
+      status: 'limited',
+      scope: 'endpoint',
+      ip: '203.0.113.80',
+      remaining: 0,
+    }));
+    expect(publishDecision).toHaveBeenCalledTimes(3);
+    publishDecision.mockRestore();
+  });
+
+  test('should trace each check with the most restrictive layer', async () => {
+    exporter.reset();
+    const middleware = createCompositeRateLimiterMiddleware({ keyPrefix: 'layered', layers });
+
+    await runMiddleware(middleware);
+    await runMiddleware(middleware);
+    await runMiddleware(middleware);
+
+    const spans = exporter.getFinishedSpans().filter(span => span.name === 'ratelimit.check');
+    expect(spans).toHaveLength(3);
+    expect(spans[0].attributes).toEqual(expect.objectContaining({
+      'ratelimit.preset': 'layered',
+      'ratelimit.key_type': 'ip',
+      'ratelimit.scope': 'endpoint',
+      'ratelimit.decision': 'allowed',
+      'ratelimit.remaining': 1,
+    }));
+    expect(spans[2].attributes['ratelimit.decision']).toBe('limited');
+  });
+});
+
+describe('Composite Rate Limiter - expensiveLayered Preset', () => {
+  beforeEach(() => {
+    mockCounters.clear();
+    mockClient.rlComposite?.mockClear();
+  });
+
+  test('should count the per-IP api window as one of its layers', async () => {
+    await runMiddleware(rateLimiters.expensiveLayered);
+
+    const [numberOfKeys, ...keys] = mockClient.rlComposite.mock.calls[0];
+    expect(numberOfKeys).toBe(3);
+    expect(keys[1]).toMatch(/^api:fw:203\.0\.113\.80:\d+$/);
+  });
+
+  test('should add the windows of the signed-in user\'s plan', async () => {
+    const { res } = await runMiddleware(rateLimiters.expensiveLayered, { user: { id: 'user_1' } });
+
+    const [numberOfKeys, ...keys] = mockClient.rlComposite.mock.calls[0];
+    expect(numberOfKeys).toBe(6);
+    expect(keys[4]).toMatch(/^plan:user:minute:fw:user_1:\d+$/);
+    expect(keys[5]).toMatch(/^plan:user:day:fw:user_1:d\d{8}$/);
+    expect(res.headers['X-RateLimit-Plan']).toBe('pro');
+  });
+
+  test('should consume no layer, the api window included, when the endpoint layer denies', async () => {
+    for (let i = 0; i < 11; i += 1) {
+      await runMiddleware(rateLimiters.expensiveLayered);
+    }
+
+    const apiKey = [...mockCounters.keys()].find(key => key.startsWith('api:'));
+    expect(mockCounters.get(apiKey)).toBe(10);
+  });
+});
+
+describe('Composite Limiter - Calendar Windows', () => {
+  const limiter = new CompositeLimiter({ storeClient: mockClient });
+  const now = Date.UTC(2026, 0, 31, 18, 30);
+
+  test('should count daily quotas per UTC day', () => {
+    const window = limiter.getWindow({ keyPrefix: 'plan', key: 'key_1', calendar: 'day' }, now);
+
+    expect(window.windowKey).toBe('plan:fw:key_1:d20260131');
+    expect(window.msBeforeNext).toBe(Date.UTC(2026, 1, 1) - now);
+  });
+
+  test('should count monthly quotas per UTC month', () => {
+    const window = limiter.getWindow({ keyPrefix: 'plan', key: 'key_1', calendar: 'month' }, now);
+
+    expect(window.windowKey).toBe('plan:fw:key_1:m202601');
+    expect(window.msBeforeNext).toBe(Date.UTC(2026, 1, 1) - now);
+  });
+
+  test('should roll over at the year boundary', () => {
+    const newYearsEve = Date.UTC(2026, 11, 31, 23, 59, 59);
+    const window = limiter.getWindow({ keyPrefix: 'plan', key: 'key_1', calendar: 'month' }, newYearsEve);
+
+    expect(window.windowKey).toBe('plan:fw:key_1:m202612');
+    expect(window.msBeforeNext).toBe(1000);
+  });
+});
@@ -0,0 +1,199 @@
+/**
+ * Concurrency Limiter Tests
+ *
+ * Tests in-flight request tracking, lease release and the 429 response,
+ * and that decisions reach analytics, metrics, events and traces.
+ * Redis is replaced by a fake client that keeps leases in memory.
+ */
+
+const EventEmitter = require('events');
+
+const mockLeases = new Map();
+const mockClient = {
+  defineCommand: jest.fn((name) => {
+    mockClient[name] = jest.fn(async (key, limit, leaseMs, leaseId) => {
+      const held = mockLeases.get(key) || new Set();
+      if (held.size >= limit) {
+        return [0, 0, 1500];
+      }
+      held.add(leaseId);
+      mockLeases.set(key, held);
+      return [1, limit - held.size, leaseMs];
+    });
+  }),
+  zrem: jest.fn(async (key, leaseId) => {
+    mockLeases.get(key)?.delete(leaseId);
+  }),
+};
+
+jest.mock('../../config/redis', () => ({
+  getRedisClient: () => mockClient,
+  isRedisConnected: () => true,
+  getFailureMode: () => 'open',
+}));
+
+const { trace } = require('@opentelemetry/api');
+const {
+  tracing: { BasicTracerProvider, InMemorySpanExporter, SimpleSpanProcessor },
+} = require('@opentelemetry/sdk-node');
+const { createConcurrencyLimiterMiddleware } = require('../rateLimiter');
+const analytics = require('../../services/analytics');
+const { register } = require('../../utils/metrics');
+const events = require('../../services/events');
+
+const exporter = new InMemorySpanExporter();
+trace.setGlobalTracerProvider(new BasicTracerProvider({ spanProcessors: [new SimpleSpanProcessor(exporter)] }));
+
+const createResponse = () => {
+  const res = new EventEmitter();
+  res.headers = {};
+  res.set = jest.fn((name, value) => {
+    if (typeof name === 'object') {
+      Object.assign(res.headers, name);
+    } else {
+      res.headers[name] = value;
+    }
+  });
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn();
+  return res;
+};
+
+const runMiddleware = async (middleware) => {
+  const res = createResponse();
+  const next = jest.fn();
+  await middleware({ method: 'GET', path: '/expensive', headers: {}, ip: '203.0.113.7' }, res, next);
+  return { res, next };
+};
+
+describe('Concurrency Limiter', () => {
+  beforeEach(() => {
+    mockLeases.clear();
+  });
+
+  afterAll(() => {
+    trace.disable();
+  });
+
+  test('should admit requests up to the cap', async () => {
+    const middleware = createConcurrencyLimiterMiddleware({ keyPrefix: 'test', maxConcurrent: 2 });
+
+    const first = await runMiddleware(middleware);
+    const second = await runMiddleware(middleware);
+
+    expect(first.next).toHaveBeenCalledWith();
+    expect(second.next).toHaveBeenCalledWith();
+    expect(second.res.headers['X-Concurrency-Limit']).toBe('2');
+    expect(second.res.headers['X-Concurrency-Remaining']).toBe('0');
+  });
+
+  test('should reject with a distinct error code once the cap is hit', async () => {
+    const middleware = createConcurrencyLimiterMiddleware({ keyPrefix: 'test', maxConcurrent: 1 });
+
+    await runMiddleware(middleware);
+    const { res, next } = await runMiddleware(middleware);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(429);
+    expect(res.headers['Retry-After']).toBe('2');
+    expect(res.json.mock.calls[0][0].error.code).toBe('CONCURRENCY_LIMIT_EXCEEDED');
+  });
+
+  test('should free the slot when the response finishes', async () => {
+    const middleware = createConcurrencyLimiterMiddleware({ keyPrefix: 'test', maxConcurrent: 1 });
+
+    const first = await runMiddleware(middleware);
+    first.res.emit('finish');
+    const second = await runMiddleware(middleware);
+
+    expect(second.next).toHaveBeenCalledWith();
+  });
+
+  test('should release only once when both finish and close fire', async () => {
+    const middleware = createConcurrencyLimiterMiddleware({ keyPrefix: 'test', maxConcurrent: 1 });
+    mockClient.zrem.mockClear();
+
+    const { res } = await runMiddleware(middleware);
+    res.emit('finish');
+    res.emit('close');
+
+    expect(mockClient.zrem).toHaveBeenCalledTimes(1);
+    expect(mockClient.zrem).toHaveBeenCalledWith('test:concurrency:203.0.113.7', expect.any(String));
+  });
+
+  test('should record decisions in the analytics buckets', async () => {
+    const recordLimiterDecision = jest.spyOn(analytics, 'recordLimiterDecision');
+    const middleware = createConcurrencyLimiterMiddleware({ keyPrefix: 'test', maxConcurrent: 1 });
+
+    await runMiddleware(middleware);
+    await runMiddleware(middleware);
+
+    expect(recordLimiterDecision.mock.calls).toEqual([['test', false], ['test', true]]);
+    recordLimiterDecision.mockRestore();
+  });
+
+  test('should count and time decisions in the Prometheus metrics', async () => {
+    register.resetMetrics();
+    const middleware = createConcurrencyLimiterMiddleware({ keyPrefix: 'metered', maxConcurrent: 1 });
+
+    await runMiddleware(middleware);
+    await runMiddleware(middleware);
+
+    const { values: decisions } = await register.getSingleMetric('ratelimit_requests_total').get();
+    const { values: timings } = await register.getSingleMetric('ratelimit_check_duration_seconds').get();
+    const count = status => decisions.find(value => value.labels.limiter === 'metered' && value.labels.status === status)?.value;
+    expect(count('allowed')).toBe(1);
+    expect(count('limited')).toBe(1);
+    expect(timings.find(value => value.labels.limiter === 'metered' && value.labels.le === '+Inf').value).toBe(2);
+  });
+
+  test('should time the Redis calls that acquire and release slots', async () => {
+    register.resetMetrics();
+    const middleware = createConcurrencyLimiterMiddleware({ keyPrefix: 'metered', maxConcurrent: 1 });
+
+    const { res } = await runMiddleware(middleware);
+    res.emit('finish');
+    await new Promise(resolve => setImmediate(resolve));
+
+    const { values } = await register.getSingleMetric('ratelimit_redis_roundtrip_seconds').get();
+    const count = operation => values.find(value => (
+      value.labels.limiter === 'metered' && value.labels.operation === operation && value.labels.le === '+Inf'
+    ))?.value;
+    expect(count('acquire')).toBe(1);
+    expect(count('release')).toBe(1);
+  });
+
+  test('should publish decisions to the live event stream', async () => {
+    const publishDecision = jest.spyOn(events, 'publishDecision');
+    const middleware = createConcurrencyLimiterMiddleware({ keyPrefix: 'streamed', maxConcurrent: 1 });
+
+    await runMiddleware(middleware);
+    await runMiddleware(middleware);
+
+    expect(publishDecision.mock.calls.map(([decision]) => decision.status)).toEqual(['allowed', 'limited']);
+    expect(publishDecision).toHaveBeenLastCalledWith(expect.objectContaining({
+      limiter: 'streamed',
+      identifierType: 'ip',
+      ip: '203.0.113.7',
+      remaining: 0,
+    }));
+    publishDecision.mockRestore();
+  });
+
+  test('should trace each check', async () => {
+    exporter.reset();
+    const middleware = createConcurrencyLimiterMiddleware({ keyPrefix: 'traced', maxConcurrent: 1 });
+
+    await runMiddleware(middleware);
+    await runMiddleware(middleware);
+
+    const spans = exporter.getFinishedSpans().filter(span => span.name === 'ratelimit.check');
+    expect(spans.map(span => span.attributes['ratelimit.decision'])).toEqual(['allowed', 'limited']);
+    expect(spans[0].attributes).toEqual(expect.objectContaining({
+      'ratelimit.preset': 'traced',
+      'ratelimit.key_type': 'ip',
+      'ratelimit.algorithm': 'concurrency',
+      'ratelimit.remaining': 0,
+    }));
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * IP Filter Middleware Tests
+ *
+ * Tests blocklist rejection and allowlist bypass of the rate limiters
+ */
+
+jest.mock('../../config/redis', () => ({
+  getRedisClient: () => {
+    throw new Error('Redis client not initialized');
+  },
+  isRedisConnected: jest.fn(() => true),
+  getFailureMode: () => 'open',
+}));
+
+jest.mock('../../services/ipService', () => ({
+  checkIp: jest.fn(),
+}));
+
+const { isRedisConnected } = require('../../config/redis');
+const { checkIp } = require('../../services/ipService');
+const { ipFilter } = require('../ipFilter');
+
+const createRequest = () => ({
+  method: 'GET',
+  path: '/api/data',
+  headers: {},
+  ip: '203.0.113.90',
+});
+
+describe('IP Filter Middleware', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    isRedisConnected.mockReturnValue(true);
+  });
+
+  test('should reject blocked IPs with IP_BLOCKED', async () => {
+    checkIp.mockResolvedValue({
+      blocked: { value: '203.0.113.90', reason: 'abuse', expiresAt: '2030-01-01T00:00:00.000Z' },
+      whitelisted: null,
+    });
+    const next = jest.fn();
+
+    await ipFilter(createRequest(), {}, next);
+
+    expect(checkIp).toHaveBeenCalledWith('203.0.113.90');
+    const error = next.mock.calls[0][0];
+    expect(error.code).toBe('IP_BLOCKED');
+    expect(error.statusCode).toBe(403);
+    expect(error.details).toEqual({ expiresAt: '2030-01-01T00:00:00.000Z' });
+  });
+
+  test('should mark whitelisted IPs to bypass rate limiting', async () => {
+    checkIp.mockResolvedValue({ blocked: null, whitelisted: { value: '203.0.113.90' } });
+    const req = createRequest();
+    const next = jest.fn();
+
+    await ipFilter(req, {}, next);
+
+    expect(next).toHaveBeenCalledWith();
+    expect(req.rateLimitBypass).toBe(true);
+  });
+
+  test('should let blocking win over whitelisting', async () => {
+    checkIp.mockResolvedValue({ blocked: { value: '203.0.113.90' }, whitelisted: { value: '203.0.113.90' } });
+    const next = jest.fn();
+
+    await ipFilter(createRequest(), {}, next);
+
+    expect(next.mock.calls[0][0].code).toBe('IP_BLOCKED');
+  });
+
+  test('should pass requests through when the lists cannot be checked', async () => {
+    checkIp.mockRejectedValue(new Error('Connection lost'));
+    const next = jest.fn();
+
+    await ipFilter(createRequest(), {}, next);
+
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  test('should skip the check when Redis is not connected', async () => {
+    isRedisConnected.mockReturnValue(false);
+    const next = jest.fn();
+
+    await ipFilter(createRequest(), {}, next);
+
+    expect(checkIp).not.toHaveBeenCalled();
+    expect(next).toHaveBeenCalledWith();
+  });
+});
+
+describe('Rate Limiter - Whitelist bypass', () => {
+  test('should not count requests marked as bypassed', async () => {
+    isRedisConnected.mockReturnValue(false);
+    const { createRateLimiterMiddleware } = require('../rateLimiter');
+    const middleware = createRateLimiterMiddleware({ points: 1, duration: 60, customKeyGenerator: () => 'bypass' });
+
+    const results = [];
+    for (let i = 0; i < 3; i++) {
+      const res = { set: jest.fn(), status: jest.fn().mockReturnThis(), json: jest.fn() };
+      const next = jest.fn();
+      await middleware({ ...createRequest(), rateLimitBypass: true }, res, next);
+      results.push(next.mock.calls.length);
+    }
+
+    expect(results).toEqual([1, 1, 1]);
+  });
+});
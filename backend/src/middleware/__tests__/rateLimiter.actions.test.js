@@ -0,0 +1,117 @@
+/**
+ * Rate Limiter Action Tests
+ *
+ * Tests for the reject, throttle and log actions when a limit is exceeded.
+ * Redis is not connected here, so requests go through the in-memory fallback limiter.
+ */
+
+const { createRateLimiterMiddleware } = require('../rateLimiter');
+
+const createResponse = () => ({
+  headers: {},
+  set: jest.fn(function (name, value) {
+    if (typeof name === 'object') {
+      Object.assign(this.headers, name);
+    } else {
+      this.headers[name] = value;
+    }
+  }),
+  status: jest.fn().mockReturnThis(),
+  json: jest.fn(),
+});
+
+const createRequest = () => ({
+  method: 'GET',
+  path: '/test',
+  headers: {},
+  ip: '203.0.113.50',
+});
+
+const runMiddleware = async (middleware) => {
+  const res = createResponse();
+  const next = jest.fn();
+  await middleware(createRequest(), res, next);
+  return { res, next };
+};
+
+describe('Rate Limiter - Actions', () => {
+  const baseOptions = { points: 1, duration: 1 };
+
+  test('reject action should respond with 429 once the limit is exceeded', async () => {
+    const middleware = createRateLimiterMiddleware({
+      ...baseOptions,
+      customKeyGenerator: () => 'action-reject',
+    });
+
+    await runMiddleware(middleware);
+    const { res, next } = await runMiddleware(middleware);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(429);
+  });
+
+  test('log action should let the request through', async () => {
+    const middleware = createRateLimiterMiddleware({
+      ...baseOptions,
+      action: 'log',
+      customKeyGenerator: () => 'action-log',
+    });
+
+    await runMiddleware(middleware);
+    const { res, next } = await runMiddleware(middleware);
+
+    expect(next).toHaveBeenCalledWith();
+    expect(res.status).not.toHaveBeenCalled();
+    expect(res.headers['X-RateLimit-Remaining']).toBe('0');
+  });
+
+  test('throttle action should delay the request until capacity frees up', async () => {
+    const middleware = createRateLimiterMiddleware({
+      ...baseOptions,
+      action: 'throttle',
+      maxWaitMs: 3000,
+      customKeyGenerator: () => 'action-throttle',
+    });
+
+    await runMiddleware(middleware);
+    const { res, next } = await runMiddleware(middleware);
+
+    expect(next).toHaveBeenCalledWith();
+    expect(res.status).not.toHaveBeenCalled();
+    expect(parseInt(res.headers['X-RateLimit-Throttled'], 10)).toBeGreaterThan(0);
+  }, 10000);
+
+  test('throttle action should reject when the wait would exceed maxWaitMs', async () => {
+    const middleware = createRateLimiterMiddleware({
+      ...baseOptions,
+      action: 'throttle',
+      maxWaitMs: 10,
+      customKeyGenerator: () => 'action-throttle-short',
+    });
+
+    await runMiddleware(middleware);
+    const { res, next } = await runMiddleware(middleware);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(429);
+  });
+
+  test('throttle action should reject when the queue for a key is full', async () => {
+    const middleware = createRateLimiterMiddleware({
+      ...baseOptions,
+      action: 'throttle',
+      maxWaitMs: 3000,
+      maxQueueSize: 1,
+      customKeyGenerator: () => 'action-throttle-queue',
+    });
+
+    await runMiddleware(middleware);
+    const [first, second] = await Promise.all([
+      runMiddleware(middleware),
+      runMiddleware(middleware),
+    ]);
+
+    const statuses = [first, second].map(({ res }) => res.status.mock.calls.length);
+    expect(statuses.sort()).toEqual([0, 1]);
+  }, 10000);
+});
@@ -0,0 +1,103 @@
+/**
+ * Rate Limiter Cost Tests
+ *
+ * Tests cost-weighted requests: fixed and per-request costs, the cost header
+ * and rejection once the remaining points cannot cover a request.
+ * Redis is not connected here, so requests go through the in-memory fallback limiter.
+ */
+
+const { createRateLimiterMiddleware } = require('../rateLimiter');
+
+const createResponse = () => ({
+  headers: {},
+  set: jest.fn(function (name, value) {
+    if (typeof name === 'object') {
+      Object.assign(this.headers, name);
+    } else {
+      this.headers[name] = value;
+    }
+  }),
+  status: jest.fn().mockReturnThis(),
+  json: jest.fn(),
+});
+
+const runMiddleware = async (middleware, query = {}) => {
+  const res = createResponse();
+  const next = jest.fn();
+  await middleware({ method: 'GET', path: '/search', headers: {}, query, ip: '203.0.113.60' }, res, next);
+  return { res, next };
+};
+
+describe('Rate Limiter - Cost', () => {
+  const baseOptions = { points: 10, duration: 60 };
+
+  test('should consume one point by default', async () => {
+    const middleware = createRateLimiterMiddleware({
+      ...baseOptions,
+      customKeyGenerator: () => 'cost-default',
+    });
+
+    const { res } = await runMiddleware(middleware);
+
+    expect(res.headers['X-RateLimit-Cost']).toBe('1');
+    expect(res.headers['X-RateLimit-Remaining']).toBe('9');
+  });
+
+  test('should consume a fixed cost', async () => {
+    const middleware = createRateLimiterMiddleware({
+      ...baseOptions,
+      cost: 3,
+      customKeyGenerator: () => 'cost-fixed',
+    });
+
+    const { res } = await runMiddleware(middleware);
+
+    expect(res.headers['X-RateLimit-Cost']).toBe('3');
+    expect(res.headers['X-RateLimit-Remaining']).toBe('7');
+  });
+
+  test('should compute the cost from the request', async () => {
+    const middleware = createRateLimiterMiddleware({
+      ...baseOptions,
+      cost: (req) => Math.ceil(req.query.limit / 100),
+      customKeyGenerator: () => 'cost-function',
+    });
+
+    const small = await runMiddleware(middleware, { limit: '10' });
+    const large = await runMiddleware(middleware, { limit: '500' });
+
+    expect(small.res.headers['X-RateLimit-Cost']).toBe('1');
+    expect(large.res.headers['X-RateLimit-Cost']).toBe('5');
+    expect(large.res.headers['X-RateLimit-Remaining']).toBe('4');
+  });
+
+  test('should fall back to one point when the cost function fails', async () => {
+    const middleware = createRateLimiterMiddleware({
+      ...baseOptions,
+      cost: () => {
+        throw new Error('boom');
+      },
+      customKeyGenerator: () => 'cost-broken',
+    });
+
+    const { res, next } = await runMiddleware(middleware);
+
+    expect(next).toHaveBeenCalledWith();
+    expect(res.headers['X-RateLimit-Cost']).toBe('1');
+  });
+
+  test('should reject a request that costs more than the remaining points', async () => {
+    const middleware = createRateLimiterMiddleware({
+      ...baseOptions,
+      cost: (req) => Number(req.query.cost),
+      customKeyGenerator: () => 'cost-reject',
+    });
+
+    await runMiddleware(middleware, { cost: '8' });
+    const { res, next } = await runMiddleware(middleware, { cost: '3' });
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(429);
+    expect(res.json.mock.calls[0][0].error.cost).toBe(3);
+  });
+});
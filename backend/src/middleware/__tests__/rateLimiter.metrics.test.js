@@ -0,0 +1,105 @@
+/**
+ * Rate Limiter Metrics Tests
+ *
+ * Tests that limiter decisions and check latency are recorded in the
+ * Prometheus registry. Redis is not connected here, so requests go through
+ * the in-memory fallback limiter.
+ */
+
+const { createRateLimiterMiddleware } = require('../rateLimiter');
+const { register, getRouteLabel } = require('../../utils/metrics');
+
+const createResponse = () => ({
+  headers: {},
+  set: jest.fn(function (name, value) {
+    if (typeof name === 'object') {
+      Object.assign(this.headers, name);
+    } else {
+      this.headers[name] = value;
+    }
+  }),
+  status: jest.fn().mockReturnThis(),
+  json: jest.fn(),
+});
+
+const createRequest = () => ({
+  method: 'GET',
+  baseUrl: '/api',
+  path: '/search',
+  route: { path: '/search' },
+  headers: {},
+  ip: '203.0.113.60',
+});
+
+const runMiddleware = async (middleware) => {
+  const next = jest.fn();
+  await middleware(createRequest(), createResponse(), next);
+  return next;
+};
+
+/**
+ * Read the value of one labelled sample of a metric
+ */
+const getSample = async (name, labels) => {
+  const { values } = await register.getSingleMetric(name).get();
+  const sample = values.find(value => Object.entries(labels).every(([key, label]) => value.labels[key] === label));
+  return sample ? sample.value : 0;
+};
+
+describe('Rate Limiter - Metrics', () => {
+  beforeEach(() => {
+    register.resetMetrics();
+  });
+
+  test('should count allowed and limited requests by limiter, identifier type and route', async () => {
+    const middleware = createRateLimiterMiddleware({
+      keyPrefix: 'search',
+      points: 1,
+      duration: 1,
+      penalize: false,
+      customKeyGenerator: () => 'metrics-reject',
+    });
+
+    await runMiddleware(middleware);
+    await runMiddleware(middleware);
+
+    const labels = { limiter: 'search', identifier_type: 'ip', route: '/api/search' };
+    expect(await getSample('ratelimit_requests_total', { ...labels, status: 'allowed' })).toBe(1);
+    expect(await getSample('ratelimit_requests_total', { ...labels, status: 'limited' })).toBe(1);
+  });
+
+  test('should count requests let through by the log action separately', async () => {
+    const middleware = createRateLimiterMiddleware({
+      keyPrefix: 'rule:rule_1',
+      points: 1,
+      duration: 1,
+      action: 'log',
+      customKeyGenerator: () => 'metrics-log',
+    });
+
+    await runMiddleware(middleware);
+    await runMiddleware(middleware);
+
+    expect(await getSample('ratelimit_requests_total', { limiter: 'rule:rule_1', status: 'logged' })).toBe(1);
+  });
+
+  test('should time every limiter check', async () => {
+    const middleware = createRateLimiterMiddleware({
+      keyPrefix: 'timed',
+      points: 1,
+      duration: 1,
+      penalize: false,
+      customKeyGenerator: () => 'metrics-timed',
+    });
+
+    await runMiddleware(middleware);
+    await runMiddleware(middleware);
+
+    expect(await getSample('ratelimit_check_duration_seconds', { limiter: 'timed', le: '+Inf' })).toBe(2);
+  });
+
+  test('should label router-wide limiters with the mount path', () => {
+    expect(getRouteLabel({ baseUrl: '/api', path: '/users/42' })).toBe('/api');
+    expect(getRouteLabel({ baseUrl: '', path: '/' })).toBe('/');
+  });
+});
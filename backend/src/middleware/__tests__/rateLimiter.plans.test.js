@@ -0,0 +1,122 @@
+/**
+ * Rate Limiter Plan Tests
+ *
+ * Tests plan limits: per-request plan resolution, one layer per plan window
+ * and the plan header. Redis is replaced by a fake client that runs the
+ * composite script logic in memory.
+ */
+
+const mockCounters = new Map();
+const mockClient = {
+  defineCommand: jest.fn((name) => {
+    mockClient[name] = jest.fn(async (numberOfKeys, ...args) => {
+      const keys = args.slice(0, numberOfKeys);
+      const [requested, ...limits] = args.slice(numberOfKeys);
+      const counts = keys.map(key => mockCounters.get(key) || 0);
+      const denied = counts.findIndex((count, i) => count + requested > limits[i * 2]) + 1;
+
+      if (denied === 0) {
+        keys.forEach((key, i) => {
+          counts[i] += requested;
+          mockCounters.set(key, counts[i]);
+        });
+      }
+      return [denied === 0 ? 1 : 0, denied, ...counts];
+    });
+  }),
+};
+
+jest.mock('../../config/redis', () => ({
+  getRedisClient: () => mockClient,
+  isRedisConnected: () => true,
+  getFailureMode: () => 'open',
+}));
+
+jest.mock('../../services/planService', () => ({
+  ...jest.requireActual('../../services/planService'),
+  resolvePlan: jest.fn(),
+}));
+
+const { resolvePlan } = require('../../services/planService');
+const { createPlanLimiterMiddleware } = require('../rateLimiter');
+
+const createResponse = () => ({
+  headers: {},
+  set: jest.fn(function (name, value) {
+    if (typeof name === 'object') {
+      Object.assign(this.headers, name);
+    } else {
+      this.headers[name] = value;
+    }
+  }),
+  status: jest.fn().mockReturnThis(),
+  json: jest.fn(),
+});
+
+const runMiddleware = async (middleware, req = {}) => {
+  const res = createResponse();
+  const next = jest.fn();
+  await middleware({ method: 'GET', baseUrl: '/api', path: '/partner/data', headers: {}, ip: '203.0.113.90', ...req }, res, next);
+  return { res, next };
+};
+
+const tinyPlan = { name: 'tiny', limits: { minute: 5, day: 2, month: 100 } };
+
+describe('Rate Limiter - Plans', () => {
+  const middleware = createPlanLimiterMiddleware({ identifierType: 'apiKey' });
+
+  beforeEach(() => {
+    mockCounters.clear();
+    mockClient.rlComposite?.mockClear();
+    resolvePlan.mockReset();
+    resolvePlan.mockResolvedValue(tinyPlan);
+  });
+
+  test('should check one layer per plan window', async () => {
+    const { res, next } = await runMiddleware(middleware, { apiKey: { id: 'key_1', plan: 'tiny' } });
+
+    expect(next).toHaveBeenCalledWith();
+    expect(res.headers['X-RateLimit-Plan']).toBe('tiny');
+
+    const [numberOfKeys, ...keys] = mockClient.rlComposite.mock.calls[0];
+    expect(numberOfKeys).toBe(3);
+    expect(keys[0]).toMatch(/^plan:apiKey:minute:fw:key_1:\d+$/);
+    expect(keys[1]).toMatch(/^plan:apiKey:day:fw:key_1:d\d{8}$/);
+    expect(keys[2]).toMatch(/^plan:apiKey:month:fw:key_1:m\d{6}$/);
+  });
+
+  test('should reject once a quota is used up', async () => {
+    const req = { apiKey: { id: 'key_2', plan: 'tiny' } };
+
+    await runMiddleware(middleware, req);
+    const second = await runMiddleware(middleware, req);
+    const third = await runMiddleware(middleware, req);
+
+    expect(second.res.headers['X-RateLimit-Scope']).toBe('day');
+    expect(second.res.headers['X-RateLimit-Remaining']).toBe('0');
+    expect(third.res.status).toHaveBeenCalledWith(429);
+    expect(third.res.json.mock.calls[0][0].error.scope).toBe('day');
+  });
+
+  test('should resolve the plan on every request', async () => {
+    const req = { apiKey: { id: 'key_3' } };
+
+    await runMiddleware(middleware, req);
+    await runMiddleware(middleware, req);
+    resolvePlan.mockResolvedValue({ name: 'roomy', limits: { day: 10 } });
+    const upgraded = await runMiddleware(middleware, req);
+
+    expect(resolvePlan).toHaveBeenCalledTimes(3);
+    expect(upgraded.next).toHaveBeenCalledWith();
+    expect(upgraded.res.headers['X-RateLimit-Plan']).toBe('roomy');
+    expect(upgraded.res.headers['X-RateLimit-Remaining']).toBe('7');
+  });
+
+  test('should skip requests without a verified key', async () => {
+    const { res, next } = await runMiddleware(middleware);
+
+    expect(next).toHaveBeenCalledWith();
+    expect(resolvePlan).not.toHaveBeenCalled();
+    expect(res.headers['X-RateLimit-Plan']).toBeUndefined();
+  });
+});
@@ -0,0 +1,161 @@
+/**
+ * Rate Limiter Refund Tests
+ *
+ * Tests skipFailedRequests, skipSuccessfulRequests, skipLimitedRequests and
+ * custom requestWasSuccessful predicates.
+ * Redis is not connected here, so requests go through the in-memory fallback limiter.
+ */
+
+const EventEmitter = require('events');
+const { createRateLimiterMiddleware } = require('../rateLimiter');
+
+const createResponse = () => {
+  const res = new EventEmitter();
+  res.headers = {};
+  res.statusCode = 200;
+  res.set = jest.fn((name, value) => {
+    if (typeof name === 'object') {
+      Object.assign(res.headers, name);
+    } else {
+      res.headers[name] = value;
+    }
+  });
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn();
+  return res;
+};
+
+/**
+ * Run a request through the middleware and finish it with the given status
+ */
+const runRequest = async (middleware, statusCode, event = 'finish', rateLimited = undefined) => {
+  const res = createResponse();
+  const next = jest.fn();
+  const req = { method: 'POST', path: '/login', headers: {}, ip: '203.0.113.70' };
+  await middleware(req, res, next);
+
+  if (next.mock.calls.length > 0) {
+    // Set by a later limiter that rejected the request
+    req.rateLimited = rateLimited;
+    res.statusCode = statusCode;
+    if (event === 'close') {
+      res.writableFinished = false;
+    }
+    res.emit(event);
+    // Let the refund settle
+    await new Promise(resolve => setImmediate(resolve));
+  }
+
+  return { res, next };
+};
+
+describe('Rate Limiter - Refunds', () => {
+  const baseOptions = { points: 2, duration: 60 };
+
+  test('should count every request by default', async () => {
+    const middleware = createRateLimiterMiddleware({
+      ...baseOptions,
+      customKeyGenerator: () => 'refund-none',
+    });
+
+    await runRequest(middleware, 500);
+    await runRequest(middleware, 500);
+    const { res } = await runRequest(middleware, 500);
+
+    expect(res.status).toHaveBeenCalledWith(429);
+  });
+
+  test('skipFailedRequests should refund responses with status >= 400', async () => {
+    const middleware = createRateLimiterMiddleware({
+      ...baseOptions,
+      skipFailedRequests: true,
+      customKeyGenerator: () => 'refund-failed',
+    });
+
+    await runRequest(middleware, 500);
+    await runRequest(middleware, 404);
+    await runRequest(middleware, 200);
+    const { res, next } = await runRequest(middleware, 200);
+
+    expect(next).toHaveBeenCalledWith();
+    expect(res.status).not.toHaveBeenCalled();
+  });
+
+  test('skipFailedRequests should treat aborted connections as failed', async () => {
+    const middleware = createRateLimiterMiddleware({
+      ...baseOptions,
+      skipFailedRequests: true,
+      customKeyGenerator: () => 'refund-aborted',
+    });
+
+    await runRequest(middleware, 200, 'close');
+    await runRequest(middleware, 200, 'close');
+    const { next } = await runRequest(middleware, 200);
+
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  test('skipSuccessfulRequests should only count failures', async () => {
+    const middleware = createRateLimiterMiddleware({
+      ...baseOptions,
+      skipSuccessfulRequests: true,
+      customKeyGenerator: () => 'refund-successful',
+    });
+
+    await runRequest(middleware, 200);
+    await runRequest(middleware, 200);
+    await runRequest(middleware, 401);
+    await runRequest(middleware, 401);
+    const { res } = await runRequest(middleware, 401);
+
+    expect(res.status).toHaveBeenCalledWith(429);
+  });
+
+  test('should use a custom requestWasSuccessful predicate', async () => {
+    const middleware = createRateLimiterMiddleware({
+      ...baseOptions,
+      skipSuccessfulRequests: true,
+      // Cached responses do not count
+      requestWasSuccessful: (req, res) => res.statusCode === 304,
+      customKeyGenerator: () => 'refund-predicate',
+    });
+
+    await runRequest(middleware, 304);
+    await runRequest(middleware, 304);
+    await runRequest(middleware, 304);
+    const { next } = await runRequest(middleware, 200);
+
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  test('should refund only once when both finish and close fire', async () => {
+    const middleware = createRateLimiterMiddleware({
+      ...baseOptions,
+      skipFailedRequests: true,
+      customKeyGenerator: () => 'refund-once',
+    });
+
+    const first = await runRequest(middleware, 500);
+    first.res.emit('close');
+    await runRequest(middleware, 200);
+    await runRequest(middleware, 200);
+    const { res } = await runRequest(middleware, 200);
+
+    expect(res.status).toHaveBeenCalledWith(429);
+  });
+
+  test('skipLimitedRequests should refund requests a later limiter rejected', async () => {
+    const middleware = createRateLimiterMiddleware({
+      ...baseOptions,
+      skipLimitedRequests: true,
+      customKeyGenerator: () => 'refund-limited',
+    });
+
+    await runRequest(middleware, 429, 'finish', { limiter: 'expensive_layered', scope: 'endpoint' });
+    await runRequest(middleware, 500);
+    await runRequest(middleware, 200);
+    const { res } = await runRequest(middleware, 200);
+
+    expect(res.status).toHaveBeenCalledWith(429);
+  });
+});
@@ -9,6 +9,7 @@ const {
   isValidIP,
   getClientIdentifier,
   setRateLimitHeaders,
+  createRateLimiterMiddleware,
 } = require('../rateLimiter');
 
 describe('Rate Limiter - IP Validation', () => {
@@ -47,76 +48,116 @@ describe('Rate Limiter - IP Validation', () => {
 
 describe('Rate Limiter - IP Extraction', () => {
   describe('extractClientIP', () => {
-    test('should extract IP from X-Forwarded-For header (single IP)', () => {
+    const proxy = { remoteAddress: '127.0.0.1' };
+    const originalTrustProxy = process.env.TRUST_PROXY;
+    const originalHeader = process.env.CLIENT_IP_HEADER;
+
+    afterEach(() => {
+      if (originalTrustProxy === undefined) delete process.env.TRUST_PROXY;
+      else process.env.TRUST_PROXY = originalTrustProxy;
+      if (originalHeader === undefined) delete process.env.CLIENT_IP_HEADER;
+      else process.env.CLIENT_IP_HEADER = originalHeader;
+    });
+
+    test('should extract IP from X-Forwarded-For behind a trusted proxy', () => {
       const req = {
         headers: { 'x-forwarded-for': '203.0.113.1' },
-        ip: '192.168.1.1',
+        socket: proxy,
       };
       expect(extractClientIP(req)).toBe('203.0.113.1');
     });
 
-    test('should extract first IP from X-Forwarded-For chain', () => {
+    test('should take the nearest untrusted hop from the right', () => {
       const req = {
-        headers: { 'x-forwarded-for': '203.0.113.1, 70.41.3.18, 150.172.238.178' },
-        ip: '192.168.1.1',
+        headers: { 'x-forwarded-for': '198.51.100.66, 203.0.113.1' },
+        socket: proxy,
       };
+      // 198.51.100.66 could have been sent by the client itself
       expect(extractClientIP(req)).toBe('203.0.113.1');
     });
 
-    test('should handle X-Forwarded-For with spaces', () => {
+    test('should skip every trusted hop in the chain', () => {
+      process.env.TRUST_PROXY = 'loopback, 10.0.0.0/8';
+
       const req = {
-        headers: { 'x-forwarded-for': ' 203.0.113.1 , 70.41.3.18 ' },
-        ip: '192.168.1.1',
+        headers: { 'x-forwarded-for': ' 198.51.100.66 , 203.0.113.1, 10.0.0.7 ' },
+        socket: { remoteAddress: '10.0.0.2' },
       };
       expect(extractClientIP(req)).toBe('203.0.113.1');
     });
 
-    test('should skip private IPs in production X-Forwarded-For', () => {
-      const originalEnv = process.env.NODE_ENV;
-      process.env.NODE_ENV = 'production';
+    test('should ignore proxy headers from untrusted peers', () => {
+      const req = {
+        headers: {
+          'x-forwarded-for': '203.0.113.1',
+          'x-real-ip': '203.0.113.2',
+          'cf-connecting-ip': '203.0.113.3',
+        },
+        socket: { remoteAddress: '198.51.100.7' },
+      };
+      expect(extractClientIP(req)).toBe('198.51.100.7');
+    });
 
+    test('should stop at a malformed hop', () => {
       const req = {
-        headers: { 'x-forwarded-for': '192.168.1.1, 203.0.113.1, 10.0.0.1' },
-        ip: '192.168.1.1',
+        headers: { 'x-forwarded-for': '203.0.113.1, not-an-ip, 198.51.100.7' },
+        socket: proxy,
       };
-      
-      // Should skip 192.168.1.1 (private) and return first public IP
-      expect(extractClientIP(req)).toBe('203.0.113.1');
+      expect(extractClientIP(req)).toBe('198.51.100.7');
+    });
 
-      process.env.NODE_ENV = originalEnv;
+    test('should fall back to the peer when every hop is trusted', () => {
+      const req = {
+        headers: { 'x-forwarded-for': 'garbage' },
+        socket: proxy,
+      };
+      expect(extractClientIP(req)).toBe('127.0.0.1');
     });
 
-    test('should allow private IPs in development', () => {
-      const originalEnv = process.env.NODE_ENV;
-      process.env.NODE_ENV = 'development';
+    test('should read the RFC 7239 Forwarded header', () => {
+      process.env.CLIENT_IP_HEADER = 'forwarded';
 
       const req = {
-        headers: { 'x-forwarded-for': '192.168.1.1' },
-        ip: '127.0.0.1',
+        headers: { forwarded: 'for=198.51.100.66, for="[2001:db8:cafe::17]:4711";proto=https' },
+        socket: proxy,
       };
-      
-      expect(extractClientIP(req)).toBe('192.168.1.1');
+      expect(extractClientIP(req)).toBe('2001:db8:cafe::17');
+    });
 
-      process.env.NODE_ENV = originalEnv;
+    test('should treat obfuscated Forwarded identifiers as unusable', () => {
+      process.env.CLIENT_IP_HEADER = 'forwarded';
+
+      const req = {
+        headers: { forwarded: 'for=_hidden, for=203.0.113.9:8080' },
+        socket: proxy,
+      };
+      expect(extractClientIP(req)).toBe('203.0.113.9');
     });
 
-    test('should extract IP from X-Real-IP header', () => {
+    test('should only read the configured header', () => {
+      process.env.CLIENT_IP_HEADER = 'cf-connecting-ip';
+
       const req = {
-        headers: { 'x-real-ip': '203.0.113.1' },
-        ip: '192.168.1.1',
+        headers: {
+          'x-forwarded-for': '203.0.113.1',
+          'cf-connecting-ip': '203.0.113.3',
+        },
+        socket: proxy,
       };
-      expect(extractClientIP(req)).toBe('203.0.113.1');
+      expect(extractClientIP(req)).toBe('203.0.113.3');
     });
 
-    test('should extract IP from CF-Connecting-IP (Cloudflare)', () => {
+    test('should trust no proxy when TRUST_PROXY is false', () => {
+      process.env.TRUST_PROXY = 'false';
+
       const req = {
-        headers: { 'cf-connecting-ip': '203.0.113.1' },
-        ip: '192.168.1.1',
+        headers: { 'x-forwarded-for': '203.0.113.1' },
+        socket: proxy,
       };
-      expect(extractClientIP(req)).toBe('203.0.113.1');
+      expect(extractClientIP(req)).toBe('127.0.0.1');
     });
 
-    test('should fall back to req.ip if no headers', () => {
+    test('should fall back to req.ip without a socket address', () => {
       const req = {
         headers: {},
         ip: '203.0.113.1',
@@ -143,7 +184,7 @@ describe('Rate Limiter - IP Extraction', () => {
     test('should handle IPv6 addresses', () => {
       const req = {
         headers: { 'x-forwarded-for': '2001:db8:85a3::8a2e:370:7334' },
-        ip: '::1',
+        socket: { remoteAddress: '::1' },
       };
       expect(extractClientIP(req)).toBe('2001:db8:85a3::8a2e:370:7334');
     });
@@ -154,19 +195,6 @@ describe('Rate Limiter - IP Extraction', () => {
       };
       expect(extractClientIP(req)).toBe('unknown');
     });
-
-    test('should prioritize headers correctly', () => {
-      // X-Forwarded-For should have highest priority
-      const req = {
-        headers: {
-          'x-forwarded-for': '203.0.113.1',
-          'x-real-ip': '203.0.113.2',
-          'cf-connecting-ip': '203.0.113.3',
-        },
-        ip: '203.0.113.4',
-      };
-      expect(extractClientIP(req)).toBe('203.0.113.1');
-    });
   });
 
   describe('getClientIdentifier', () => {
@@ -187,20 +215,29 @@ describe('Rate Limiter - IP Extraction', () => {
       expect(getClientIdentifier(req, 'user')).toBe('user123');
     });
 
-    test('should get user from header if no user object', () => {
+    test('should not use an unverified user header', () => {
       const req = {
         headers: { 'x-user-id': 'user456' },
         ip: '203.0.113.1',
       };
-      expect(getClientIdentifier(req, 'user')).toBe('user456');
+      expect(getClientIdentifier(req, 'user')).toBeNull();
     });
 
-    test('should get API key identifier', () => {
+    test('should get the verified API key ID', () => {
       const req = {
-        headers: { 'x-api-key': 'abc123xyz' },
+        headers: { 'x-api-key': 'rlk_secret' },
+        apiKey: { id: 'key_1' },
         ip: '203.0.113.1',
       };
-      expect(getClientIdentifier(req, 'apiKey')).toBe('abc123xyz');
+      expect(getClientIdentifier(req, 'apiKey')).toBe('key_1');
+    });
+
+    test('should not use an unverified API key header', () => {
+      const req = {
+        headers: { 'x-api-key': 'rlk_secret' },
+        ip: '203.0.113.1',
+      };
+      expect(getClientIdentifier(req, 'apiKey')).toBeNull();
     });
 
     test('should return null for missing user identifier', () => {
@@ -213,6 +250,34 @@ describe('Rate Limiter - IP Extraction', () => {
   });
 });
 
+describe('Rate Limiter - User Identity', () => {
+  test('should not count or penalize requests by a claimed user ID', async () => {
+    const middleware = createRateLimiterMiddleware({ keyPrefix: 'identity', points: 1, duration: 60, identifierType: 'user' });
+    const res = { set: jest.fn(), status: jest.fn().mockReturnThis(), json: jest.fn() };
+    const next = jest.fn();
+    const req = { method: 'GET', path: '/rules', headers: { 'x-user-id': 'admin-001' }, ip: '203.0.113.1' };
+
+    await middleware(req, res, next);
+    await middleware(req, res, next);
+
+    expect(next).toHaveBeenCalledTimes(2);
+    expect(res.status).not.toHaveBeenCalled();
+  });
+
+  test('should count requests by the verified user', async () => {
+    const middleware = createRateLimiterMiddleware({ keyPrefix: 'identity-verified', points: 1, duration: 60, identifierType: 'user' });
+    const res = { set: jest.fn(), status: jest.fn().mockReturnThis(), json: jest.fn() };
+    const next = jest.fn();
+    const req = { method: 'GET', path: '/rules', headers: {}, user: { id: 'admin-001' }, ip: '203.0.113.1' };
+
+    await middleware(req, res, next);
+    await middleware(req, res, next);
+
+    expect(next).toHaveBeenCalledTimes(1);
+    expect(res.status).toHaveBeenCalledWith(429);
+  });
+});
+
 describe('Rate Limiter - Headers', () => {
   describe('setRateLimitHeaders', () => {
     let res;
@@ -358,10 +423,7 @@ describe('Rate Limiter - Security', () => {
     expect(ip).toBe('203.0.113.1');
   });
 
-  test('should filter private IPs in production', () => {
-    const originalEnv = process.env.NODE_ENV;
-    process.env.NODE_ENV = 'production';
-
+  test('should ignore private IPs prepended by the client', () => {
     const privateIPs = [
       '127.0.0.1',
       '10.0.0.1',
@@ -375,15 +437,13 @@ describe('Rate Limiter - Security', () => {
     privateIPs.forEach(privateIP => {
       const req = {
         headers: { 'x-forwarded-for': `${privateIP}, 203.0.113.1` },
-        ip: '192.168.1.1',
+        socket: { remoteAddress: '127.0.0.1' },
       };
       
-      // Should skip private IP and use public IP
+      // The trusted proxy reported 203.0.113.1; anything left of it is client-supplied
       const ip = extractClientIP(req);
       expect(ip).toBe('203.0.113.1');
     });
-
-    process.env.NODE_ENV = originalEnv;
   });
 });
 
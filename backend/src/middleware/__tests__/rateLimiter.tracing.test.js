@@ -0,0 +1,91 @@
+/**
+ * Rate Limiter Tracing Tests
+ *
+ * Tests that each limiter evaluation is traced as a ratelimit.check span
+ * with its preset, key type, decision and remaining points. Spans are
+ * captured in memory; Redis is not connected, so requests go through the
+ * in-memory fallback limiter.
+ */
+
+const { trace } = require('@opentelemetry/api');
+const {
+  tracing: { BasicTracerProvider, InMemorySpanExporter, SimpleSpanProcessor },
+} = require('@opentelemetry/sdk-node');
+const { createRateLimiterMiddleware } = require('../rateLimiter');
+
+const exporter = new InMemorySpanExporter();
+trace.setGlobalTracerProvider(new BasicTracerProvider({ spanProcessors: [new SimpleSpanProcessor(exporter)] }));
+
+const createResponse = () => ({
+  set: jest.fn(),
+  status: jest.fn().mockReturnThis(),
+  json: jest.fn(),
+});
+
+const runMiddleware = async (middleware) => {
+  const next = jest.fn();
+  await middleware({ method: 'GET', baseUrl: '/api', path: '/search', headers: {}, ip: '203.0.113.61' }, createResponse(), next);
+  return next;
+};
+
+const getCheckSpans = () => exporter.getFinishedSpans().filter(span => span.name === 'ratelimit.check');
+
+describe('Rate Limiter - Tracing', () => {
+  beforeEach(() => {
+    exporter.reset();
+  });
+
+  afterAll(() => {
+    trace.disable();
+  });
+
+  test('should trace allowed and limited decisions', async () => {
+    const middleware = createRateLimiterMiddleware({
+      keyPrefix: 'search',
+      points: 2,
+      duration: 1,
+      penalize: false,
+      customKeyGenerator: () => 'tracing-reject',
+    });
+
+    await runMiddleware(middleware);
+    await runMiddleware(middleware);
+    await runMiddleware(middleware);
+
+    const spans = getCheckSpans();
+    expect(spans).toHaveLength(3);
+    expect(spans[0].attributes).toEqual(expect.objectContaining({
+      'ratelimit.preset': 'search',
+      'ratelimit.key_type': 'ip',
+      'ratelimit.decision': 'allowed',
+      'ratelimit.remaining': 1,
+      'ratelimit.cost': 1,
+    }));
+    expect(spans[2].attributes).toEqual(expect.objectContaining({
+      'ratelimit.decision': 'limited',
+      'ratelimit.remaining': 0,
+    }));
+  });
+
+  test('should trace requests let through by the log action', async () => {
+    const middleware = createRateLimiterMiddleware({
+      keyPrefix: 'rule:rule_1',
+      points: 2,
+      duration: 1,
+      action: 'log',
+      identifierType: 'user',
+      customKeyGenerator: () => 'tracing-log',
+    });
+
+    await runMiddleware(middleware);
+    await runMiddleware(middleware);
+    const next = await runMiddleware(middleware);
+
+    expect(next).toHaveBeenCalledWith();
+    expect(getCheckSpans()[2].attributes).toEqual(expect.objectContaining({
+      'ratelimit.preset': 'rule:rule_1',
+      'ratelimit.key_type': 'user',
+      'ratelimit.decision': 'logged',
+    }));
+  });
+});
@@ -0,0 +1,41 @@
+/**
+ * Route Helpers Tests
+ *
+ * Tests translation of service errors into API errors.
+ */
+
+const { createErrorTranslator } = require('../routeHelpers');
+
+describe('Route Helpers - createErrorTranslator', () => {
+  const toApiError = createErrorTranslator('Rule storage', {
+    RULE_NOT_FOUND: ['Rule not found'],
+    CONFLICT: [/already exists/],
+  });
+
+  test('should map exact messages to their error code', () => {
+    const error = toApiError(new Error('Rule not found'));
+
+    expect(error.code).toBe('RULE_NOT_FOUND');
+    expect(error.statusCode).toBe(404);
+  });
+
+  test('should map matching messages and keep the service message', () => {
+    const error = toApiError(new Error('Rule "api-burst" already exists'));
+
+    expect(error.code).toBe('CONFLICT');
+    expect(error.message).toBe('Rule "api-burst" already exists');
+  });
+
+  test('should report missing Redis as the storage being unavailable', () => {
+    const error = toApiError(new Error('Redis connection required for rules'));
+
+    expect(error.code).toBe('SERVICE_UNAVAILABLE');
+    expect(error.message).toBe('Rule storage unavailable');
+  });
+
+  test('should pass unknown errors through unchanged', () => {
+    const original = new Error('Something else');
+
+    expect(toApiError(original)).toBe(original);
+  });
+});
@@ -0,0 +1,192 @@
+/**
+ * Rule Enforcer Middleware Tests
+ *
+ * Tests for matching dynamic rate limit rules against requests
+ */
+
+const EventEmitter = require('events');
+
+jest.mock('../../services/ruleService', () => ({
+  getCachedActiveRules: jest.fn(),
+}));
+
+jest.mock('../rateLimiter', () => {
+  const actual = jest.requireActual('../rateLimiter');
+  return { ...actual, createRateLimiterMiddleware: jest.fn(actual.createRateLimiterMiddleware) };
+});
+
+const { getCachedActiveRules } = require('../../services/ruleService');
+const { createRateLimiterMiddleware } = require('../rateLimiter');
+const { parseWindow, getQuotaPeriod } = require('../../models/RateLimitRule');
+const {
+  enforceRules,
+  matchesRule,
+  globToRegExp,
+} = require('../ruleEnforcer');
+
+const createRequest = (overrides = {}) => ({
+  method: 'GET',
+  baseUrl: '/api',
+  path: '/search',
+  headers: {},
+  ip: '203.0.113.10',
+  ...overrides,
+});
+
+describe('Rule Enforcer - Window Parsing', () => {
+  test('should convert window strings to seconds', () => {
+    expect(parseWindow('30s')).toBe(30);
+    expect(parseWindow('1m')).toBe(60);
+    expect(parseWindow('2h')).toBe(7200);
+    expect(parseWindow('1d')).toBe(86400);
+    expect(parseWindow('1w')).toBe(604800);
+    expect(parseWindow('1mo')).toBe(2592000);
+  });
+
+  test('should reject malformed windows', () => {
+    expect(parseWindow('1y')).toBeNull();
+    expect(parseWindow('m')).toBeNull();
+    expect(parseWindow(60)).toBeNull();
+    expect(parseWindow(undefined)).toBeNull();
+  });
+});
+
+describe('Rule Enforcer - Quota Windows', () => {
+  test('should keep windows up to a day on their own algorithm', () => {
+    expect(getQuotaPeriod({ window: '1h' })).toBeNull();
+    expect(getQuotaPeriod({ window: '1d', algorithm: 'sliding-window-counter' })).toBeNull();
+  });
+
+  test('should count longer windows per billing period', () => {
+    expect(getQuotaPeriod({ window: '1mo' })).toEqual({ unit: 'month', count: 1 });
+    expect(getQuotaPeriod({ window: '2w' })).toEqual({ unit: 'day', count: 14 });
+    expect(getQuotaPeriod({ window: '1d', algorithm: 'quota' })).toEqual({ unit: 'day', count: 1 });
+  });
+
+  test('should anchor custom billing cycles on periodStart', () => {
+    expect(getQuotaPeriod({ window: '1mo', periodStart: '2026-01-15T00:00:00Z' })).toEqual({
+      unit: 'month',
+      count: 1,
+      anchor: '2026-01-15T00:00:00Z',
+    });
+  });
+});
+
+describe('Rule Enforcer - Pattern Matching', () => {
+  test('should treat * as a wildcard and escape other characters', () => {
+    expect(globToRegExp('/api/*').test('/api/search')).toBe(true);
+    expect(globToRegExp('/api/*').test('/apis/search')).toBe(false);
+    expect(globToRegExp('10.0.0.*').test('10.0.0.42')).toBe(true);
+    expect(globToRegExp('10.0.0.*').test('10.0.0042')).toBe(false);
+  });
+
+  test('should match endpoint rules on the full request path', () => {
+    const rule = { target: { type: 'endpoint', pattern: '/api/search' } };
+
+    expect(matchesRule(rule, createRequest())).toBe(true);
+    expect(matchesRule(rule, createRequest({ path: '/data' }))).toBe(false);
+  });
+
+  test('should honour a method prefix on endpoint rules', () => {
+    const rule = { target: { type: 'endpoint', pattern: 'POST /api/*' } };
+
+    expect(matchesRule(rule, createRequest({ method: 'POST', path: '/upload' }))).toBe(true);
+    expect(matchesRule(rule, createRequest({ method: 'GET', path: '/upload' }))).toBe(false);
+  });
+
+  test('should match IP rules against the client IP', () => {
+    const rule = { target: { type: 'ip', pattern: '203.0.113.*' } };
+
+    expect(matchesRule(rule, createRequest())).toBe(true);
+    expect(matchesRule(rule, createRequest({ ip: '198.51.100.1' }))).toBe(false);
+  });
+
+  test('should match IP rules with CIDR patterns', () => {
+    const v4Rule = { target: { type: 'ip', pattern: '203.0.113.0/24' } };
+    const v6Rule = { target: { type: 'ip', pattern: '2001:db8:abcd::/48' } };
+
+    expect(matchesRule(v4Rule, createRequest())).toBe(true);
+    expect(matchesRule(v4Rule, createRequest({ ip: '203.0.114.1' }))).toBe(false);
+    expect(matchesRule(v6Rule, createRequest({ ip: '2001:db8:abcd:42::1' }))).toBe(true);
+    expect(matchesRule(v6Rule, createRequest({ ip: '2001:db8:abce::1' }))).toBe(false);
+  });
+
+  test('should match user and API key rules', () => {
+    const userRule = { target: { type: 'user', pattern: 'user_*' } };
+    const keyRule = { target: { type: 'apikey', pattern: 'key_partner_*' } };
+
+    expect(matchesRule(userRule, createRequest({ user: { id: 'user_42' } }))).toBe(true);
+    expect(matchesRule(userRule, createRequest())).toBe(false);
+    expect(matchesRule(keyRule, createRequest({ apiKey: { id: 'key_partner_1' } }))).toBe(true);
+    expect(matchesRule(keyRule, createRequest())).toBe(false);
+  });
+
+  test('should not match user rules on a claimed user header', () => {
+    const userRule = { target: { type: 'user', pattern: 'user_*' } };
+
+    expect(matchesRule(userRule, createRequest({ headers: { 'x-user-id': 'user_42' } }))).toBe(false);
+  });
+
+  test('should not match unknown target types', () => {
+    expect(matchesRule({ target: { type: 'global', pattern: '*' } }, createRequest())).toBe(false);
+  });
+});
+
+describe('Rule Enforcer - Middleware', () => {
+  test('should pass through when no rule matches', async () => {
+    getCachedActiveRules.mockResolvedValue([
+      { id: 'rule_1', target: { type: 'endpoint', pattern: '/api/upload' }, limit: { requests: 5, window: '1m' } },
+    ]);
+    const req = createRequest();
+    const next = jest.fn();
+
+    await enforceRules(req, {}, next);
+
+    expect(next).toHaveBeenCalledWith();
+    expect(req.rateLimitRule).toBeUndefined();
+  });
+
+  test('should pass through when rules cannot be loaded', async () => {
+    getCachedActiveRules.mockRejectedValue(new Error('Redis down'));
+    const next = jest.fn();
+
+    await enforceRules(createRequest(), {}, next);
+
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  test('should skip a matching rule with an invalid limit', async () => {
+    getCachedActiveRules.mockResolvedValue([
+      { id: 'rule_2', name: 'broken', target: { type: 'endpoint', pattern: '/api/*' }, limit: { requests: 5, window: 'soon' } },
+    ]);
+    const next = jest.fn();
+
+    await enforceRules(createRequest(), {}, next);
+
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  test('should drop the middleware of rules that leave the active set', async () => {
+    const rule = {
+      id: 'rule_3',
+      name: 'search',
+      target: { type: 'endpoint', pattern: '/api/search' },
+      limit: { requests: 5, window: '1m' },
+      updatedAt: '2026-02-14T12:00:00.000Z',
+    };
+    const run = async (rules) => {
+      getCachedActiveRules.mockResolvedValue(rules);
+      await enforceRules(createRequest(), new EventEmitter(), jest.fn());
+    };
+    createRateLimiterMiddleware.mockClear();
+
+    await run([rule]);
+    await run([rule]);
+    expect(createRateLimiterMiddleware).toHaveBeenCalledTimes(1);
+
+    // Deactivated, then active again: its old middleware must not be reused
+    await run([]);
+    await run([{ ...rule }]);
+    expect(createRateLimiterMiddleware).toHaveBeenCalledTimes(2);
+  });
+});
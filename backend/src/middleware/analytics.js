@@ -0,0 +1,39 @@
+/**
+ * Analytics Middleware
+ *
+ * Counts every finished request in the analytics buckets (services/analytics):
+ * its route, who made it (IP, plus the user and API key once authenticated)
+ * and whether it was blocked. A request counts as blocked when a limiter
+ * rejected it (req.rateLimited, including concurrency rejections) or when the
+ * IP filter, penalty box or user blocklist denied it (req.blocked); the status
+ * code alone would miss the 403s and count other 429s.
+ *
+ * Mount after /health and /metrics so probes and scrapes are not counted.
+ */
+
+const { recordRequest } = require('../services/analytics');
+const { getRouteLabel } = require('../utils/metrics');
+const { extractClientIP } = require('./rateLimiter');
+
+/**
+ * Record the request once the response has been sent
+ */
+const trackRequest = (req, res, next) => {
+  res.on('finish', () => {
+    recordRequest({
+      route: getRouteLabel(req),
+      identifiers: [
+        { type: 'ip', value: extractClientIP(req) },
+        { type: 'user', value: req.user?.id },
+        { type: 'apikey', value: req.apiKey?.id },
+      ],
+      blocked: Boolean(req.rateLimited || req.blocked),
+    });
+  });
+
+  next();
+};
+
+module.exports = {
+  trackRequest,
+};
@@ -0,0 +1,95 @@
+/**
+ * API Key Authentication Middleware
+ *
+ * Verifies the X-API-Key header against issued keys and attaches the key to
+ * req.apiKey. Unknown, revoked and expired keys are rejected.
+ *
+ * Place before the apiKey limiter: API key limiters key on req.apiKey.id and
+ * apply the key's own rate limit override, so a request whose key has not
+ * been verified is not counted against any key.
+ */
+
+const { verifyKey, hasScope } = require('../services/apiKeyService');
+const { isRedisConnected } = require('../config/redis');
+const { createError } = require('./errorHandler');
+const logger = require('../utils/logger');
+const { traceAsync } = require('../utils/tracing');
+
+// Error messages per verification failure
+const FAILURE_MESSAGES = {
+  unknown: 'Invalid API key',
+  revoked: 'API key has been revoked',
+  expired: 'API key has expired',
+};
+
+/**
+ * Require a valid API key
+ *
+ * @param {string} [scope] - Scope the key must grant
+ * @returns {Function} Express middleware
+ */
+const requireApiKey = (scope) => {
+  return async (req, res, next) => {
+    const secret = req.headers['x-api-key'];
+
+    if (!secret) {
+      return next(createError('UNAUTHORIZED', 'API key required'));
+    }
+
+    if (!isRedisConnected()) {
+      return next(createError('SERVICE_UNAVAILABLE', 'API key verification unavailable'));
+    }
+
+    try {
+      const { apiKey, reason } = await traceAsync('auth.verify_api_key', { 'auth.method': 'api_key' }, async (span) => {
+        const result = await verifyKey(secret);
+        span.setAttribute('auth.result', result.apiKey ? 'valid' : result.reason);
+        return result;
+      });
+
+      if (!apiKey) {
+        logger.warn('API key rejected', {
+          reason,
+          prefix: String(secret).slice(0, 12),
+          ip: req.ip,
+          path: req.path,
+        });
+
+        return next(createError('UNAUTHORIZED', FAILURE_MESSAGES[reason]));
+      }
+
+      if (scope && !hasScope(apiKey, scope)) {
+        logger.warn('API key missing scope', {
+          keyId: apiKey.id,
+          requiredScope: scope,
+          ip: req.ip,
+        });
+
+        return next(createError('FORBIDDEN', `API key lacks required scope: ${scope}`));
+      }
+
+      req.apiKey = apiKey;
+      next();
+    } catch (error) {
+      logger.error('API key verification error', { error: error.message });
+      next(createError('SERVICE_UNAVAILABLE', 'API key verification unavailable'));
+    }
+  };
+};
+
+/**
+ * Verify the API key when one is presented
+ * Requests without X-API-Key pass through; invalid keys are still rejected.
+ *
+ * @returns {Function} Express middleware
+ */
+const optionalApiKey = () => {
+  const verify = requireApiKey();
+
+  return (req, res, next) => (req.headers['x-api-key'] ? verify(req, res, next) : next());
+};
+
+module.exports = {
+  requireApiKey,
+  optionalApiKey,
+};
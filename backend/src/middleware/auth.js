@@ -13,8 +13,57 @@ const {
 } = require('../services/jwt');
 const { getRedisClient, isRedisConnected } = require('../config/redis');
 const logger = require('../utils/logger');
+const { traceAsync } = require('../utils/tracing');
+const { getBlock } = require('../services/penaltyBox');
+const { getTokensValidFrom } = require('../services/tokenRevocation');
 const { createError } = require('./errorHandler');
 
+/**
+ * Verify an access token, check the blacklist and the user's revocation
+ * cut-off, and look up a block on its user (manual or placed by the penalty
+ * box), in an auth.verify_token span
+ *
+ * @param {string} token - Access token
+ * @returns {Promise<Object>} { decoded, revoked, block, blacklistChecked }
+ */
+const verifyToken = (token) => traceAsync('auth.verify_token', { 'auth.method': 'jwt' }, async (span) => {
+  const decoded = verifyAccessToken(token);
+  span.setAttribute('enduser.id', decoded.sub);
+
+  if (!isRedisConnected()) {
+    return { decoded, revoked: false, block: null, blacklistChecked: false };
+  }
+
+  const redis = getRedisClient();
+  const [blacklisted, validFrom] = await Promise.all([
+    redis.get(`token:blacklist:${decoded.jti}`),
+    getTokensValidFrom(decoded.sub),
+  ]);
+  // Tokens issued before a role change, password reset or deletion are revoked too
+  const revoked = Boolean(blacklisted) || decoded.iat < validFrom;
+  span.setAttribute('auth.revoked', revoked);
+
+  const block = revoked ? null : await getBlock('user', decoded.sub);
+  span.setAttribute('auth.blocked', Boolean(block));
+
+  return { decoded, revoked, block, blacklistChecked: true };
+});
+
+/**
+ * Error for a request made with the token of a blocked user
+ * The request is flagged as req.blocked for the analytics middleware.
+ *
+ * @param {Object} req - Express request
+ * @param {Object} decoded - Decoded access token
+ * @param {Object} block - Blocked entity of the user
+ * @returns {Error} USER_BLOCKED error
+ */
+const createBlockedError = (req, decoded, block) => {
+  req.blocked = { reason: 'user_blocked' };
+  logger.warn('Blocked user token used', { userId: decoded.sub, expiresAt: block.expiresAt });
+  return createError('USER_BLOCKED', null, block.expiresAt ? { expiresAt: block.expiresAt } : null);
+};
+
 /**
  * Authentication middleware
  * Verifies JWT token and attaches user to request
@@ -24,6 +73,11 @@ const { createError } = require('./errorHandler');
  * @param {Function} next - Express next middleware function
  */
 const authenticate = async (req, res, next) => {
+  // Already verified earlier in the chain (optionalAuthenticate before a user-keyed limiter)
+  if (req.user) {
+    return next();
+  }
+
   try {
     // Extract token from Authorization header
     const authHeader = req.headers.authorization;
@@ -33,19 +87,19 @@ const authenticate = async (req, res, next) => {
       throw createError('UNAUTHORIZED', 'No authentication token provided');
     }
 
-    // Verify token signature and expiration
-    const decoded = verifyAccessToken(token);
+    // Verify token signature and expiration, and check the blacklist (for logout functionality)
+    const { decoded, revoked, block, blacklistChecked } = await verifyToken(token);
 
-    // Check if token is blacklisted (for logout functionality)
-    if (isRedisConnected()) {
-      const redis = getRedisClient();
-      const blacklisted = await redis.get(`token:blacklist:${decoded.jti}`);
+    if (revoked) {
+      logger.warn('Blacklisted token used', { jti: decoded.jti, userId: decoded.sub });
+      throw createError('UNAUTHORIZED', 'Token has been revoked');
+    }
+
+    if (block) {
+      throw createBlockedError(req, decoded, block);
+    }
 
-      if (blacklisted) {
-        logger.warn('Blacklisted token used', { jti: decoded.jti, userId: decoded.sub });
-        throw createError('UNAUTHORIZED', 'Token has been revoked');
-      }
-    } else {
+    if (!blacklistChecked) {
       // If Redis is down, log warning but allow request (graceful degradation)
       // In production, you might want to deny requests instead
       logger.warn('Redis unavailable, cannot check token blacklist', { userId: decoded.sub });
@@ -69,7 +123,7 @@ const authenticate = async (req, res, next) => {
     next();
   } catch (error) {
     // Handle specific error cases
-    if (error.status === 401) {
+    if (error.status === 401 || error.code === 'USER_BLOCKED') {
       return next(error);
     }
 
@@ -111,18 +165,17 @@ const optionalAuthenticate = async (req, res, next) => {
       return next();
     }
 
-    // Try to verify token
-    const decoded = verifyAccessToken(token);
+    // Try to verify token and check the blacklist
+    const { decoded, revoked, block } = await verifyToken(token);
 
-    // Check blacklist
-    if (isRedisConnected()) {
-      const redis = getRedisClient();
-      const blacklisted = await redis.get(`token:blacklist:${decoded.jti}`);
+    if (revoked) {
+      // Token blacklisted, continue without authentication
+      return next();
+    }
 
-      if (blacklisted) {
-        // Token blacklisted, continue without authentication
-        return next();
-      }
+    if (block) {
+      // A blocked user is rejected, not let through as anonymous
+      return next(createBlockedError(req, decoded, block));
     }
 
     // Attach user to request
@@ -182,6 +235,7 @@ const blacklistToken = async (jti, expirySeconds) => {
 
 /**
  * Store refresh token in Redis
+ * The token maps straight to its user, so it can be resolved without a user ID.
  * 
  * @param {string} userId - User ID
  * @param {string} refreshToken - Refresh token
@@ -196,7 +250,7 @@ const storeRefreshToken = async (userId, refreshToken, expirySeconds) => {
 
   try {
     const redis = getRedisClient();
-    const key = `refresh:${userId}:${refreshToken}`;
+    const key = `refresh:${refreshToken}`;
     await redis.set(key, JSON.stringify({ userId, createdAt: Date.now() }), 'EX', expirySeconds);
     logger.info('Refresh token stored', { userId });
     return true;
@@ -207,31 +261,91 @@ const storeRefreshToken = async (userId, refreshToken, expirySeconds) => {
 };
 
 /**
- * Verify refresh token exists in Redis
+ * Get the user a stored refresh token was issued to, unless the token was
+ * stored before the user's revocation cut-off
+ *
+ * @param {string|null} data - Stored refresh token data
+ * @returns {Promise<string|null>} User ID, or null if there is none or it is revoked
+ */
+const getStoredTokenUserId = async (data) => {
+  if (!data) {
+    return null;
+  }
+
+  const { userId, createdAt } = JSON.parse(data);
+  if (createdAt < (await getTokensValidFrom(userId)) * 1000) {
+    logger.warn('Revoked refresh token used', { userId });
+    return null;
+  }
+
+  return userId;
+};
+
+/**
+ * Resolve a refresh token to the user it was issued to
+ * Tokens stored before the user's revocation cut-off are deleted.
  * 
- * @param {string} userId - User ID
  * @param {string} refreshToken - Refresh token
- * @returns {Promise<boolean>} Whether token is valid
+ * @returns {Promise<string|null>} User ID, or null if the token is unknown, expired or revoked
  */
-const verifyRefreshToken = async (userId, refreshToken) => {
+const getRefreshTokenUserId = async (refreshToken) => {
   if (!isRedisConnected()) {
-    logger.warn('Redis unavailable, cannot verify refresh token', { userId });
-    return false;
+    logger.warn('Redis unavailable, cannot verify refresh token');
+    return null;
   }
 
   try {
     const redis = getRedisClient();
-    const key = `refresh:${userId}:${refreshToken}`;
-    const data = await redis.get(key);
-    return data !== null;
+    const data = await redis.get(`refresh:${refreshToken}`);
+    const userId = await getStoredTokenUserId(data);
+    if (data && !userId) {
+      await redis.del(`refresh:${refreshToken}`);
+    }
+    return userId;
   } catch (error) {
-    logger.error('Failed to verify refresh token', { error: error.message, userId });
-    return false;
+    logger.error('Failed to verify refresh token', { error: error.message });
+    return null;
   }
 };
 
+/**
+ * Claim a refresh token for rotation
+ * The token is read and deleted in one step (GETDEL), so of two concurrent
+ * refreshes with the same token only one gets its user.
+ * 
+ * @param {string} refreshToken - Refresh token
+ * @returns {Promise<string|null>} User ID, or null if the token is unknown, expired, revoked or already used
+ */
+const claimRefreshToken = async (refreshToken) => {
+  if (!isRedisConnected()) {
+    logger.warn('Redis unavailable, cannot verify refresh token');
+    return null;
+  }
+
+  try {
+    const redis = getRedisClient();
+    return await getStoredTokenUserId(await redis.getdel(`refresh:${refreshToken}`));
+  } catch (error) {
+    logger.error('Failed to claim refresh token', { error: error.message });
+    return null;
+  }
+};
+
+/**
+ * Verify refresh token exists in Redis and belongs to the user
+ * 
+ * @param {string} userId - User ID
+ * @param {string} refreshToken - Refresh token
+ * @returns {Promise<boolean>} Whether token is valid
+ */
+const verifyRefreshToken = async (userId, refreshToken) => {
+  const tokenUserId = await getRefreshTokenUserId(refreshToken);
+  return tokenUserId !== null && tokenUserId === userId;
+};
+
 /**
  * Delete refresh token from Redis
+ * Tokens issued to other users are left alone.
  * 
  * @param {string} userId - User ID
  * @param {string} refreshToken - Refresh token
@@ -244,9 +358,12 @@ const deleteRefreshToken = async (userId, refreshToken) => {
   }
 
   try {
+    if (!(await verifyRefreshToken(userId, refreshToken))) {
+      return false;
+    }
+
     const redis = getRedisClient();
-    const key = `refresh:${userId}:${refreshToken}`;
-    await redis.del(key);
+    await redis.del(`refresh:${refreshToken}`);
     logger.info('Refresh token deleted', { userId });
     return true;
   } catch (error) {
@@ -261,6 +378,8 @@ module.exports = {
   requireAuth,
   blacklistToken,
   storeRefreshToken,
+  getRefreshTokenUserId,
+  claimRefreshToken,
   verifyRefreshToken,
   deleteRefreshToken,
 };
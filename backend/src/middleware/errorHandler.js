@@ -27,12 +27,15 @@ class ApiError extends Error {
  */
 const ErrorCodes = {
   RATE_LIMIT_EXCEEDED: { status: 429, message: 'Too many requests' },
+  CONCURRENCY_LIMIT_EXCEEDED: { status: 429, message: 'Too many concurrent requests' },
   IP_BLOCKED: { status: 403, message: 'IP address is blocked' },
   USER_BLOCKED: { status: 403, message: 'User is blocked' },
+  ACCOUNT_LOCKED: { status: 423, message: 'Account is temporarily locked' },
   UNAUTHORIZED: { status: 401, message: 'Authentication required' },
   FORBIDDEN: { status: 403, message: 'Insufficient permissions' },
   VALIDATION_ERROR: { status: 400, message: 'Validation failed' },
   NOT_FOUND: { status: 404, message: 'Resource not found' },
+  RULE_NOT_FOUND: { status: 404, message: 'Rate limit rule not found' },
   CONFLICT: { status: 409, message: 'Resource conflict' },
   INTERNAL_ERROR: { status: 500, message: 'Internal server error' },
   SERVICE_UNAVAILABLE: { status: 503, message: 'Service temporarily unavailable' },
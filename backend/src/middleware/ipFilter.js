@@ -0,0 +1,60 @@
+/**
+ * IP Filter Middleware
+ *
+ * Runs before all rate limiters: rejects blocklisted IPs with 403 IP_BLOCKED
+ * and marks allowlisted IPs so every limiter lets them through.
+ * A blocklist entry wins if an IP is on both lists.
+ */
+
+const { checkIp } = require('../services/ipService');
+const { isRedisConnected } = require('../config/redis');
+const { extractClientIP } = require('./rateLimiter');
+const { createError } = require('./errorHandler');
+const { publishBlock } = require('../services/events');
+const logger = require('../utils/logger');
+
+/**
+ * Check the client IP against the blocklist and allowlist
+ */
+const ipFilter = async (req, res, next) => {
+  if (!isRedisConnected()) {
+    return next();
+  }
+
+  const ip = extractClientIP(req);
+
+  try {
+    const { blocked, whitelisted } = await checkIp(ip);
+
+    if (blocked) {
+      logger.warn('Request from blocked IP rejected', {
+        ip,
+        reason: blocked.reason,
+        method: req.method,
+        path: req.path,
+      });
+      req.blocked = { reason: 'ip_blocked' };
+      publishBlock({
+        reason: 'ip_blocked',
+        ip,
+        path: req.path,
+        method: req.method,
+      });
+      return next(createError('IP_BLOCKED', null, blocked.expiresAt ? { expiresAt: blocked.expiresAt } : null));
+    }
+
+    if (whitelisted) {
+      req.rateLimitBypass = true;
+    }
+
+    next();
+  } catch (error) {
+    // Lists unavailable: fall through to the limiters and their failure mode
+    logger.error('IP filter check failed', { error: error.message });
+    next();
+  }
+};
+
+module.exports = {
+  ipFilter,
+};
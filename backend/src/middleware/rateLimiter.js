@@ -3,11 +3,29 @@
  * 
  * Implements rate limiting using rate-limiter-flexible with Redis backend.
  * Supports multiple limiting strategies: by IP, user, and endpoint.
+ * Supports multiple algorithms: fixed window (default), token bucket,
+ * sliding window log, sliding window counter and GCRA, plus long-period
+ * quotas counted per billing period.
  */
 
 const { RateLimiterRedis, RateLimiterMemory } = require('rate-limiter-flexible');
+const { TokenBucketLimiter } = require('../algorithms/tokenBucket');
+const { SlidingWindowLogLimiter } = require('../algorithms/slidingWindowLog');
+const { SlidingWindowCounterLimiter } = require('../algorithms/slidingWindowCounter');
+const { GcraLimiter } = require('../algorithms/gcra');
+const { QuotaLimiter } = require('../algorithms/quota');
+const { ConcurrencyLimiter } = require('../algorithms/concurrency');
+const { CompositeLimiter } = require('../algorithms/composite');
 const { getRedisClient, isRedisConnected, getFailureMode } = require('../config/redis');
+const { isTrustedProxy, getClientIpHeader } = require('../config/proxy');
+const { PENALTY_TYPES, recordViolation, getBlock } = require('../services/penaltyBox');
+const { resolvePlan, getPlanLayers } = require('../services/planService');
 const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
+const analytics = require('../services/analytics');
+const events = require('../services/events');
+const tracing = require('../utils/tracing');
+const { parseIP, normalizeIP } = require('../utils/cidr');
 const { createError } = require('./errorHandler');
 
 // Store rate limiters
@@ -16,11 +34,30 @@ const rateLimiters = new Map();
 // Fallback in-memory limiter for when Redis is unavailable
 let memoryLimiter = null;
 
+// Number of throttled requests currently waiting, per limiter key
+const throttleQueues = new Map();
+
+// Redis-backed limiters for algorithms other than the default fixed window
+const ALGORITHM_LIMITERS = {
+  'token-bucket': TokenBucketLimiter,
+  'sliding-window-log': SlidingWindowLogLimiter,
+  'sliding-window-counter': SlidingWindowCounterLimiter,
+  'gcra': GcraLimiter,
+  'quota': QuotaLimiter,
+};
+
+// Algorithms that report retry-after with millisecond precision
+const PRECISE_RETRY_ALGORITHMS = ['gcra'];
+
+// Supported limiting algorithms
+const ALGORITHMS = ['fixed-window', ...Object.keys(ALGORITHM_LIMITERS)];
+
 /**
  * Get or create a rate limiter for specific configuration
  */
 const getRateLimiter = (config) => {
-  const key = `${config.keyPrefix}-${config.points}-${config.duration}`;
+  const period = config.period ? JSON.stringify(config.period) : '';
+  const key = `${config.keyPrefix}-${config.points}-${config.duration}-${config.algorithm}-${config.burst || ''}-${period}`;
   
   if (rateLimiters.has(key)) {
     return rateLimiters.get(key);
@@ -28,6 +65,21 @@ const getRateLimiter = (config) => {
 
   try {
     const redisClient = getRedisClient();
+
+    const AlgorithmLimiter = ALGORITHM_LIMITERS[config.algorithm];
+    if (AlgorithmLimiter) {
+      const limiter = new AlgorithmLimiter({
+        storeClient: redisClient,
+        keyPrefix: config.keyPrefix,
+        points: config.points,
+        duration: config.duration,
+        capacity: config.burst,
+        period: config.period,
+      });
+
+      rateLimiters.set(key, limiter);
+      return limiter;
+    }
     
     const limiter = new RateLimiterRedis({
       storeClient: redisClient,
@@ -65,109 +117,116 @@ const getMemoryLimiter = (config) => {
 /**
  * Validate if IP address is legitimate
  */
-const isValidIP = (ip) => {
-  if (!ip || ip === 'unknown') return false;
-  
-  // IPv4 validation
-  const ipv4Regex = /^(\d{1,3}\.){3}\d{1,3}$/;
-  if (ipv4Regex.test(ip)) {
-    const parts = ip.split('.');
-    return parts.every(part => parseInt(part, 10) <= 255);
+const isValidIP = (ip) => parseIP(ip) !== null;
+
+/**
+ * Parse one address reported by a proxy
+ * Accepts quoted values, ports and bracketed IPv6 ("[2001:db8::1]:443").
+ *
+ * @param {string} value - Raw address
+ * @returns {string|null} Normalized address, or null if unusable
+ */
+const parseForwardedAddress = (value) => {
+  let address = value.trim().replace(/^"(.*)"$/, '$1');
+
+  const bracketed = address.match(/^\[([^\]]+)\](?::\d+)?$/);
+  if (bracketed) {
+    address = bracketed[1];
+  } else if (/^[\d.]+:\d+$/.test(address)) {
+    address = address.split(':')[0];
   }
-  
-  // IPv6 validation (simplified)
-  const ipv6Regex = /^([0-9a-fA-F]{0,4}:){2,7}[0-9a-fA-F]{0,4}$/;
-  return ipv6Regex.test(ip);
+
+  return normalizeIP(address);
+};
+
+/**
+ * Read the addresses reported in the client IP header, nearest hop last
+ * Unparseable hops (including RFC 7239 "unknown" and obfuscated ids) are null.
+ *
+ * @param {Object} req - Express request
+ * @param {string} header - Lower-case header name
+ * @returns {Array<string|null>} Reported addresses
+ */
+const getForwardedChain = (req, header) => {
+  const value = req.headers[header];
+  if (!value) {
+    return [];
+  }
+
+  // RFC 7239: Forwarded: for=192.0.2.60;proto=http, for="[2001:db8::1]"
+  if (header === 'forwarded') {
+    return value.split(',').map(element => {
+      const pair = element.split(';').map(part => part.trim()).find(part => /^for=/i.test(part));
+      return pair ? parseForwardedAddress(pair.slice(4)) : null;
+    });
+  }
+
+  if (header === 'x-forwarded-for') {
+    return value.split(',').map(parseForwardedAddress);
+  }
+
+  // Single-value headers (X-Real-IP, CF-Connecting-IP, X-Client-IP)
+  return [parseForwardedAddress(value)];
 };
 
 /**
  * Extract real client IP from request
- * Handles X-Forwarded-For with security validation
+ *
+ * Proxy headers are only honoured when the connecting peer is a trusted proxy
+ * (TRUST_PROXY). The chain in CLIENT_IP_HEADER is then walked from the right:
+ * each trusted hop is skipped and the first untrusted address is the client,
+ * so addresses a client prepends itself are never reached.
  */
 const extractClientIP = (req) => {
-  // Priority 1: X-Forwarded-For (if behind proxy)
-  const forwardedFor = req.headers['x-forwarded-for'];
-  if (forwardedFor) {
-    const ips = forwardedFor.split(',').map(ip => ip.trim());
-    
-    for (const ip of ips) {
-      if (isValidIP(ip)) {
-        // Skip private/local IPs in production for security
-        if (process.env.NODE_ENV === 'production') {
-          if (ip.startsWith('127.') || 
-              ip.startsWith('10.') || 
-              ip.startsWith('192.168.') ||
-              ip.startsWith('172.16.') || ip.startsWith('172.17.') || ip.startsWith('172.18.') ||
-              ip.startsWith('172.19.') || ip.startsWith('172.20.') || ip.startsWith('172.21.') ||
-              ip.startsWith('172.22.') || ip.startsWith('172.23.') || ip.startsWith('172.24.') ||
-              ip.startsWith('172.25.') || ip.startsWith('172.26.') || ip.startsWith('172.27.') ||
-              ip.startsWith('172.28.') || ip.startsWith('172.29.') || ip.startsWith('172.30.') ||
-              ip.startsWith('172.31.') || ip === '::1' ||
-              ip.startsWith('fc00:') || ip.startsWith('fe80:') ||
-              ip.startsWith('fd00:') || ip === '::') {
-            continue;
-          }
-        }
-        return ip;
+  const peer = normalizeIP(req.socket?.remoteAddress || req.connection?.remoteAddress);
+
+  if (peer) {
+    if (!isTrustedProxy(peer)) {
+      return peer;
+    }
+
+    let client = peer;
+    const chain = getForwardedChain(req, getClientIpHeader());
+
+    for (let i = chain.length - 1; i >= 0; i--) {
+      // Stop at a malformed hop; the last known address is the best answer
+      if (!chain[i]) {
+        break;
+      }
+      client = chain[i];
+      if (!isTrustedProxy(client)) {
+        break;
       }
     }
+
+    return client;
   }
-  
-  // Priority 2: X-Real-IP header (nginx)
-  const realIP = req.headers['x-real-ip'];
-  if (realIP && isValidIP(realIP)) {
-    return realIP;
-  }
-  
-  // Priority 3: CF-Connecting-IP (Cloudflare)
-  const cfIP = req.headers['cf-connecting-ip'];
-  if (cfIP && isValidIP(cfIP)) {
-    return cfIP;
-  }
-  
-  // Priority 4: X-Client-IP (some proxies)
-  const clientIP = req.headers['x-client-ip'];
-  if (clientIP && isValidIP(clientIP)) {
-    return clientIP;
-  }
-  
-  // Priority 5: req.ip (Express)
-  if (req.ip && isValidIP(req.ip)) {
-    return req.ip;
-  }
-  
-  // Priority 6: Socket remote address
-  const socketIP = req.socket?.remoteAddress || req.connection?.remoteAddress;
-  if (socketIP) {
-    const strippedIP = socketIP.replace(/^::ffff:/, '');
-    if (isValidIP(strippedIP)) {
-      return strippedIP;
-    }
+
+  // No socket address: rely on Express, which applies the same trust setting
+  const ip = normalizeIP(req.ip);
+  if (ip) {
+    return ip;
   }
-  
-  logger.warn('Could not extract valid client IP', {
-    headers: {
-      'x-forwarded-for': req.headers['x-forwarded-for'],
-      'x-real-ip': req.headers['x-real-ip'],
-      'cf-connecting-ip': req.headers['cf-connecting-ip'],
-      'x-client-ip': req.headers['x-client-ip'],
-    },
-    reqIp: req.ip,
-  });
-  
+
+  logger.warn('Could not extract valid client IP', { reqIp: req.ip });
+
   return 'unknown';
 };
 
 /**
  * Extract client identifier from request
+ * Users and API keys are only identified once verified (authenticate /
+ * optionalAuthenticate, requireApiKey); client-supplied headers are never
+ * trusted as an identity.
  */
 const getClientIdentifier = (req, identifierType = 'ip') => {
   switch (identifierType) {
   case 'user':
-    return req.user?.id || req.headers['x-user-id'] || null;
+    return req.user?.id || null;
     
   case 'apiKey':
-    return req.headers['x-api-key'] || null;
+    // Set by requireApiKey once the key is verified; never the raw secret
+    return req.apiKey?.id || null;
     
   case 'ip':
   default:
@@ -175,13 +234,39 @@ const getClientIdentifier = (req, identifierType = 'ip') => {
   }
 };
 
+/**
+ * Apply a verified API key's rate limit override to a limiter config
+ * Only for limiters keyed on the API key itself.
+ */
+const getApiKeyLimitConfig = (req, config) => {
+  const override = req.apiKey?.rateLimit;
+
+  if (config.identifierType !== 'apiKey' || config.customKeyGenerator || !override) {
+    return config;
+  }
+
+  return { ...config, points: override.points, duration: override.duration };
+};
+
+/**
+ * Format a retry-after delay for the X-RateLimit-RetryAfter header
+ * Whole seconds by default; seconds with millisecond precision (e.g. "0.250")
+ * for algorithms that pace requests closer together than a second.
+ */
+const formatRetryAfter = (ms, config) => {
+  if (PRECISE_RETRY_ALGORITHMS.includes(config.algorithm)) {
+    return (Math.max(0, ms) / 1000).toFixed(3);
+  }
+  return String(Math.ceil(ms / 1000));
+};
+
 /**
  * Set comprehensive rate limit headers on response
  */
 const setRateLimitHeaders = (res, rateLimiterRes, config) => {
   const remaining = Math.max(0, rateLimiterRes.remainingPoints);
-  const resetTime = Math.ceil(Date.now() / 1000) + Math.ceil(rateLimiterRes.msBeforeNext / 1000);
-  const resetInSeconds = Math.ceil(rateLimiterRes.msBeforeNext / 1000);
+  // Derive the reset from the exact ms the algorithm reports, rounded once
+  const resetTime = Math.ceil((Date.now() + rateLimiterRes.msBeforeNext) / 1000);
   
   const headers = {
     'X-RateLimit-Limit': String(config.points),
@@ -189,29 +274,295 @@ const setRateLimitHeaders = (res, rateLimiterRes, config) => {
     'X-RateLimit-Reset': String(resetTime),
     'X-RateLimit-Window': `${config.duration}s`,
   };
+
+  if (config.burst) {
+    headers['X-RateLimit-Burst'] = String(config.burst);
+  }
   
   if (remaining === 0) {
-    headers['X-RateLimit-RetryAfter'] = String(resetInSeconds);
+    headers['X-RateLimit-RetryAfter'] = formatRetryAfter(rateLimiterRes.msBeforeNext, config);
   }
   
   res.set(headers);
 };
 
+/**
+ * Work out how many points a request costs
+ * config.cost is either a fixed number or a function of the request;
+ * anything that does not resolve to a positive number costs one point.
+ */
+const getRequestCost = (req, config) => {
+  let cost = config.cost;
+
+  if (typeof cost === 'function') {
+    try {
+      cost = cost(req);
+    } catch (error) {
+      logger.warn('Failed to compute request cost, using 1', { keyPrefix: config.keyPrefix, error: error.message });
+      return 1;
+    }
+  }
+
+  cost = Math.ceil(Number(cost));
+  return Number.isFinite(cost) && cost > 0 ? cost : 1;
+};
+
+/**
+ * Default check for whether a finished request succeeded
+ */
+const isSuccessfulResponse = (req, res) => res.statusCode < 400;
+
+/**
+ * Refund the points a request consumed once its outcome is known
+ * With skipFailedRequests, failed requests are refunded; with
+ * skipSuccessfulRequests, successful ones are; with skipLimitedRequests,
+ * those a later limiter rejected (req.rateLimited) are. A connection closed
+ * before the response finished counts as failed. The limiter result of the
+ * consume is handed to reward, so limiters that log individual requests
+ * (sliding window log) drop this request's entries.
+ */
+const refundOnOutcome = (req, res, rateLimiter, key, cost, config, limiterRes) => {
+  let settled = false;
+
+  const settle = () => {
+    if (settled) return;
+    settled = true;
+
+    let successful = false;
+    if (res.writableFinished !== false) {
+      try {
+        successful = config.requestWasSuccessful(req, res);
+      } catch (error) {
+        logger.warn('requestWasSuccessful check failed', { keyPrefix: config.keyPrefix, error: error.message });
+      }
+    }
+
+    if ((successful && config.skipSuccessfulRequests)
+      || (!successful && config.skipFailedRequests)
+      || (req.rateLimited && config.skipLimitedRequests)) {
+      metrics.timeRedisCall(config.keyPrefix, 'reward', () => rateLimiter.reward(key, cost, limiterRes)).catch((error) => {
+        logger.error('Failed to refund rate limit points', { keyPrefix: config.keyPrefix, error: error.message });
+      });
+    }
+  };
+
+  res.on('finish', settle);
+  res.on('close', settle);
+};
+
+/**
+ * Wait for the given number of milliseconds
+ */
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Hold a rejected request until the limiter has capacity again
+ * Waiting is bounded by config.maxWaitMs, and at most config.maxQueueSize
+ * requests may wait per key at any time.
+ * 
+ * @returns {Promise<Object|null>} Limiter result once admitted, or null if the request must be rejected
+ */
+const throttleRequest = async (rateLimiter, key, cost, config, rejection) => {
+  const queueKey = `${config.keyPrefix}:${key}`;
+  const queued = throttleQueues.get(queueKey) || 0;
+
+  if (queued >= config.maxQueueSize) {
+    return null;
+  }
+
+  const deadline = Date.now() + config.maxWaitMs;
+  let waitMs = Math.max(rejection.msBeforeNext, 1);
+
+  throttleQueues.set(queueKey, queued + 1);
+
+  try {
+    while (Date.now() + waitMs <= deadline) {
+      await sleep(waitMs);
+
+      try {
+        return await metrics.timeRedisCall(config.keyPrefix, 'consume', () => rateLimiter.consume(key, cost));
+      } catch (retryRejection) {
+        if (retryRejection.remainingPoints === undefined) {
+          return null;
+        }
+        waitMs = Math.max(retryRejection.msBeforeNext, 1);
+      }
+    }
+
+    return null;
+  } finally {
+    const remaining = (throttleQueues.get(queueKey) || 1) - 1;
+    if (remaining > 0) {
+      throttleQueues.set(queueKey, remaining);
+    } else {
+      throttleQueues.delete(queueKey);
+    }
+  }
+};
+
+/**
+ * Count a rejection towards the penalty box
+ * Returns the error to raise if this violation placed a block.
+ */
+const penalizeViolation = async (req, config) => {
+  if (!config.penalize || config.customKeyGenerator || !PENALTY_TYPES[config.identifierType]) {
+    return null;
+  }
+
+  try {
+    const identifier = getClientIdentifier(req, config.identifierType);
+    const block = await recordViolation(config.identifierType, identifier, {
+      keyPrefix: config.keyPrefix,
+      path: req.path,
+    });
+
+    return block
+      ? createError(PENALTY_TYPES[config.identifierType], null, { expiresAt: block.expiresAt })
+      : null;
+  } catch (error) {
+    logger.error('Penalty box update failed', { error: error.message });
+    return null;
+  }
+};
+
+/**
+ * Finish a ratelimit.check span with the decision
+ *
+ * @param {Object} span - Span started for the evaluation
+ * @param {string} decision - Decision status, or 'blocked'
+ * @param {Object} [limiterRes] - RateLimiterRes of the decision
+ */
+const endCheckSpan = (span, decision, limiterRes) => {
+  span.setAttribute('ratelimit.decision', decision);
+  if (limiterRes?.remainingPoints !== undefined) {
+    span.setAttribute('ratelimit.remaining', limiterRes.remainingPoints);
+  }
+  span.end();
+};
+
+/**
+ * Record a limiter decision in the Prometheus metrics, the analytics
+ * buckets and the evaluation's trace span, and publish it to the live
+ * event stream. A rejected request is flagged as req.rateLimited.
+ *
+ * @param {Object} req - Express request
+ * @param {Object} config - Limiter config ({ keyPrefix, identifierType, scope? })
+ * @param {string} status - 'allowed', 'limited', 'throttled' or 'logged'
+ * @param {Object} [limiterRes] - RateLimiterRes of the decision
+ * @param {Object} [span] - ratelimit.check span to finish
+ */
+const recordDecision = (req, config, status, limiterRes, span) => {
+  if (span) {
+    endCheckSpan(span, status, limiterRes);
+  }
+  if (status === 'limited') {
+    req.rateLimited = { limiter: config.keyPrefix, scope: config.scope };
+  }
+  metrics.recordDecision(req, config, status);
+  analytics.recordLimiterDecision(config.keyPrefix, status === 'limited');
+  events.publishDecision({
+    limiter: config.keyPrefix,
+    status,
+    ip: extractClientIP(req),
+    identifierType: config.identifierType,
+    route: metrics.getRouteLabel(req),
+    method: req.method,
+    remaining: limiterRes?.remainingPoints ?? null,
+    scope: config.scope,
+  });
+};
+
+/**
+ * Publish a request rejected because its client is blocked
+ * The request is flagged as req.blocked for the analytics middleware.
+ *
+ * @param {Object} req - Express request
+ * @param {string} reason - 'user_blocked' or 'penalty_box'
+ */
+const publishBlock = (req, reason) => {
+  req.blocked = { reason };
+  events.publishBlock({
+    reason,
+    ip: extractClientIP(req),
+    userId: req.user?.id,
+    path: `${req.baseUrl}${req.path}`,
+    method: req.method,
+  });
+};
+
 /**
  * Create rate limiter middleware with configuration
+ * 
+ * The action option controls what happens when the limit is exceeded:
+ * - 'reject' (default): respond with 429
+ * - 'throttle': delay the request until capacity frees up (bounded wait and queue)
+ * - 'log': let the request through and log a "would have been limited" event
+ * 
+ * The cost option sets how many points a request consumes: a number, or a
+ * function of req (e.g. based on req.query.limit or body size). Defaults to 1.
+ * 
+ * skipFailedRequests / skipSuccessfulRequests refund those points once the
+ * response finishes, based on requestWasSuccessful(req, res) (status < 400
+ * by default). skipLimitedRequests refunds them when a later limiter
+ * rejects the request, so it is not counted by a limit it passed.
+ * 
+ * Rejections of IP- and user-keyed limiters count towards the penalty box
+ * (services/penaltyBox), which places escalating timed blocks on repeat
+ * offenders; set penalize: false to opt a limiter out.
+ * 
+ * API key limiters apply the verified key's own rateLimit override
+ * ({ points, duration }) in place of the configured limit.
+ * 
+ * The 'quota' algorithm counts points per billing period instead of per
+ * duration; pass period: { unit: 'month' | 'day', count, anchor? }
+ * (default: calendar months). duration is then only used for headers.
+ * 
+ * Decisions and check latency are recorded in the Prometheus metrics
+ * (utils/metrics) and the analytics buckets (services/analytics), with the
+ * keyPrefix as the limiter name, and published to the live event stream
+ * (services/events). Each evaluation is traced as a ratelimit.check span
+ * (utils/tracing) with the preset, key type, decision and remaining points.
  */
 const createRateLimiterMiddleware = (options = {}) => {
-  const config = {
+  const baseConfig = {
     keyPrefix: options.keyPrefix || 'ratelimit',
     points: options.points || parseInt(process.env.DEFAULT_RATE_LIMIT, 10) || 100,
     duration: options.duration || parseInt(process.env.DEFAULT_RATE_WINDOW, 10) || 60,
     blockDuration: options.blockDuration || 0,
     identifierType: options.identifierType || 'ip', // 'ip', 'user', 'apiKey'
     skipFailedRequests: options.skipFailedRequests || false,
+    skipSuccessfulRequests: options.skipSuccessfulRequests || false,
+    skipLimitedRequests: options.skipLimitedRequests || false,
+    requestWasSuccessful: options.requestWasSuccessful || isSuccessfulResponse,
     customKeyGenerator: options.customKeyGenerator || null,
+    cost: options.cost || 1, // Points per request: number or (req) => number
+    algorithm: options.algorithm || process.env.DEFAULT_RATE_ALGORITHM || 'fixed-window',
+    burst: options.burst || null, // Token bucket capacity (defaults to points) / GCRA burst (defaults to 1)
+    period: options.period || null, // Quota billing period: { unit: 'month' | 'day', count, anchor? }
+    action: options.action || 'reject', // 'reject', 'throttle', 'log'
+    maxWaitMs: options.maxWaitMs || parseInt(process.env.THROTTLE_MAX_WAIT_MS, 10) || 5000,
+    maxQueueSize: options.maxQueueSize || parseInt(process.env.THROTTLE_MAX_QUEUE_SIZE, 10) || 10,
+    penalize: options.penalize !== false, // Count rejections towards the penalty box
   };
 
+  if (!ALGORITHMS.includes(baseConfig.algorithm)) {
+    logger.warn('Unknown rate limit algorithm, using fixed-window', { algorithm: baseConfig.algorithm });
+    baseConfig.algorithm = 'fixed-window';
+  }
+
   return async (req, res, next) => {
+    // Allowlisted clients skip all limiters
+    if (req.rateLimitBypass) {
+      return next();
+    }
+
+    const config = getApiKeyLimitConfig(req, baseConfig);
+
+    let rateLimiter = null;
+    let key = null;
+    let cost = 1;
+    let span = null;
+
     try {
       // Check if Redis is connected
       if (!isRedisConnected()) {
@@ -236,33 +587,111 @@ const createRateLimiterMiddleware = (options = {}) => {
         return next();
       }
 
+      span = tracing.startSpan('ratelimit.check', {
+        'ratelimit.preset': config.keyPrefix,
+        'ratelimit.key_type': config.identifierType,
+        'ratelimit.algorithm': config.algorithm,
+      });
+
+      // Blocked users (IP blocks are enforced earlier by the IP filter)
+      if (config.identifierType === 'user' && !config.customKeyGenerator && isRedisConnected()) {
+        const block = await tracing.withSpan(span, () => getBlock('user', identifier));
+        if (block) {
+          endCheckSpan(span, 'blocked');
+          publishBlock(req, 'user_blocked');
+          return next(createError('USER_BLOCKED', null, block.expiresAt ? { expiresAt: block.expiresAt } : null));
+        }
+      }
+
       // Create composite key with endpoint if needed
-      const key = options.includeEndpoint 
+      key = options.includeEndpoint 
         ? `${identifier}:${req.method}:${req.baseUrl}${req.path}`
         : identifier;
 
       // Get rate limiter
-      const rateLimiter = getRateLimiter(config);
+      rateLimiter = getRateLimiter(config);
+
+      // Consume points for this request
+      cost = getRequestCost(req, config);
+      res.set('X-RateLimit-Cost', String(cost));
+      span.setAttribute('ratelimit.cost', cost);
+
+      const endCheckTimer = metrics.startCheckTimer(config.keyPrefix);
+      let rateLimiterRes;
+      try {
+        rateLimiterRes = await tracing.withSpan(span, () => (
+          metrics.timeRedisCall(config.keyPrefix, 'consume', () => rateLimiter.consume(key, cost))
+        ));
+      } finally {
+        endCheckTimer();
+      }
 
-      // Consume point (sliding window counter)
-      const rateLimiterRes = await rateLimiter.consume(key);
+      if (config.skipFailedRequests || config.skipSuccessfulRequests || config.skipLimitedRequests) {
+        refundOnOutcome(req, res, rateLimiter, key, cost, config, rateLimiterRes);
+      }
 
       // Set comprehensive rate limit headers
       setRateLimitHeaders(res, rateLimiterRes, config);
 
+      recordDecision(req, config, 'allowed', rateLimiterRes, span);
       next();
     } catch (error) {
       // Rate limit exceeded
       if (error.remainingPoints !== undefined) {
+        // Soft-launch mode: record the decision but let the request through
+        if (config.action === 'log') {
+          logger.warn('Rate limit would have been exceeded', {
+            event: 'rate_limit.would_limit',
+            rule: req.rateLimitRule?.id,
+            keyPrefix: config.keyPrefix,
+            identifier: key,
+            ip: extractClientIP(req),
+            method: req.method,
+            path: req.path,
+            cost,
+            limit: config.points,
+            window: config.duration,
+          });
+          setRateLimitHeaders(res, error, config);
+          recordDecision(req, config, 'logged', error, span);
+          return next();
+        }
+
+        // Throttle mode: wait for capacity instead of rejecting outright
+        if (config.action === 'throttle') {
+          const startedAt = Date.now();
+          const admittedRes = await tracing.withSpan(span, () => throttleRequest(rateLimiter, key, cost, config, error));
+
+          if (admittedRes) {
+            if (config.skipFailedRequests || config.skipSuccessfulRequests || config.skipLimitedRequests) {
+              refundOnOutcome(req, res, rateLimiter, key, cost, config, admittedRes);
+            }
+            setRateLimitHeaders(res, admittedRes, config);
+            res.set('X-RateLimit-Throttled', String(Date.now() - startedAt));
+            recordDecision(req, config, 'throttled', admittedRes, span);
+            return next();
+          }
+        }
+
+        recordDecision(req, config, 'limited', error, span);
+
+        // Repeat offenders escalate to a timed block
+        const blockError = await penalizeViolation(req, config);
+        if (blockError) {
+          publishBlock(req, 'penalty_box');
+          return next(blockError);
+        }
+
         const retryAfter = Math.ceil(error.msBeforeNext / 1000);
-        const resetTime = Math.ceil(Date.now() / 1000) + retryAfter;
+        const retryAfterMs = Math.ceil(error.msBeforeNext);
+        const resetTime = Math.ceil((Date.now() + error.msBeforeNext) / 1000);
         
         res.set({
           'X-RateLimit-Limit': String(config.points),
           'X-RateLimit-Remaining': '0',
           'X-RateLimit-Reset': String(resetTime),
           'X-RateLimit-Window': `${config.duration}s`,
-          'X-RateLimit-RetryAfter': String(retryAfter),
+          'X-RateLimit-RetryAfter': formatRetryAfter(error.msBeforeNext, config),
           'Retry-After': String(retryAfter),
         });
 
@@ -272,6 +701,8 @@ const createRateLimiterMiddleware = (options = {}) => {
           method: req.method,
           path: req.path,
           retryAfter,
+          retryAfterMs,
+          cost,
           limit: config.points,
           window: config.duration,
         });
@@ -282,6 +713,8 @@ const createRateLimiterMiddleware = (options = {}) => {
             message: `Too many requests. Please retry after ${retryAfter} seconds.`,
             retryAfter,
             retryAfterSeconds: retryAfter,
+            retryAfterMs,
+            cost,
             limit: config.points,
             window: `${config.duration}s`,
             windowSeconds: config.duration,
@@ -292,6 +725,7 @@ const createRateLimiterMiddleware = (options = {}) => {
 
       // Other errors
       logger.error('Rate limiter error', { error: error.message });
+      tracing.endSpan(span, error);
       
       // In open failure mode, allow the request to proceed
       if (getFailureMode() === 'open') {
@@ -303,6 +737,397 @@ const createRateLimiterMiddleware = (options = {}) => {
   };
 };
 
+/**
+ * Create concurrency limiter middleware
+ * 
+ * Caps in-flight requests per identifier rather than requests per window.
+ * A slot is leased in Redis when the request starts and released once the
+ * response finishes or the connection closes; leases expire after leaseMs
+ * so a crashed instance cannot hold slots forever.
+ * 
+ * Decisions are recorded like those of createRateLimiterMiddleware, with
+ * the keyPrefix as the limiter name.
+ */
+const createConcurrencyLimiterMiddleware = (options = {}) => {
+  const config = {
+    keyPrefix: options.keyPrefix || 'concurrency',
+    maxConcurrent: options.maxConcurrent || parseInt(process.env.DEFAULT_MAX_CONCURRENT, 10) || 5,
+    leaseMs: options.leaseMs || parseInt(process.env.CONCURRENCY_LEASE_MS, 10) || 60000,
+    identifierType: options.identifierType || 'ip', // 'ip', 'user', 'apiKey'
+    customKeyGenerator: options.customKeyGenerator || null,
+  };
+
+  let limiter = null;
+
+  return async (req, res, next) => {
+    if (req.rateLimitBypass) {
+      return next();
+    }
+
+    let span = null;
+
+    try {
+      if (!isRedisConnected()) {
+        if (getFailureMode() === 'closed') {
+          logger.warn('Redis unavailable, denying request (closed mode)');
+          return next(createError('SERVICE_UNAVAILABLE', 'Rate limiting service unavailable'));
+        }
+
+        // Open mode - in-flight requests cannot be tracked without Redis
+        logger.warn('Redis unavailable, skipping concurrency limit (open mode)');
+        return next();
+      }
+
+      const identifier = config.customKeyGenerator
+        ? config.customKeyGenerator(req)
+        : getClientIdentifier(req, config.identifierType);
+
+      if (!identifier) {
+        logger.warn('Could not determine client identifier');
+        return next();
+      }
+
+      if (!limiter) {
+        limiter = new ConcurrencyLimiter({
+          storeClient: getRedisClient(),
+          keyPrefix: config.keyPrefix,
+          maxConcurrent: config.maxConcurrent,
+          leaseMs: config.leaseMs,
+        });
+      }
+
+      span = tracing.startSpan('ratelimit.check', {
+        'ratelimit.preset': config.keyPrefix,
+        'ratelimit.key_type': config.identifierType,
+        'ratelimit.algorithm': 'concurrency',
+      });
+
+      const endCheckTimer = metrics.startCheckTimer(config.keyPrefix);
+      let lease;
+      try {
+        lease = await tracing.withSpan(span, () => (
+          metrics.timeRedisCall(config.keyPrefix, 'acquire', () => limiter.acquire(identifier))
+        ));
+      } finally {
+        endCheckTimer();
+      }
+
+      res.set({
+        'X-Concurrency-Limit': String(config.maxConcurrent),
+        'X-Concurrency-Remaining': String(lease.remaining),
+      });
+
+      recordDecision(req, config, lease.acquired ? 'allowed' : 'limited', { remainingPoints: lease.remaining }, span);
+
+      if (!lease.acquired) {
+        const retryAfter = Math.max(1, Math.ceil(lease.msBeforeNext / 1000));
+
+        res.set('Retry-After', String(retryAfter));
+
+        logger.warn('Concurrency limit exceeded', {
+          identifier,
+          ip: extractClientIP(req),
+          method: req.method,
+          path: req.path,
+          limit: config.maxConcurrent,
+        });
+
+        return res.status(429).json({
+          error: {
+            code: 'CONCURRENCY_LIMIT_EXCEEDED',
+            message: `Too many concurrent requests. At most ${config.maxConcurrent} may be in flight at once.`,
+            limit: config.maxConcurrent,
+            retryAfter,
+          }
+        });
+      }
+
+      // Release exactly once, whichever of finish/close fires first
+      let released = false;
+      const release = () => {
+        if (released) return;
+        released = true;
+        metrics.timeRedisCall(config.keyPrefix, 'release', () => limiter.release(identifier, lease.leaseId)).catch((error) => {
+          logger.error('Failed to release concurrency lease', { error: error.message });
+        });
+      };
+      res.on('finish', release);
+      res.on('close', release);
+
+      next();
+    } catch (error) {
+      logger.error('Concurrency limiter error', { error: error.message });
+      tracing.endSpan(span, error);
+
+      if (getFailureMode() === 'open') {
+        return next();
+      }
+
+      next(createError('SERVICE_UNAVAILABLE', 'Rate limiting service error'));
+    }
+  };
+};
+
+/**
+ * Create composite rate limiter middleware
+ * 
+ * Checks an ordered list of fixed-window limits in one atomic Redis call
+ * (PRD 11.3 multi-layer limiting). The request must pass every layer, and
+ * points are only consumed when it does. Headers describe the most
+ * restrictive layer, named in X-RateLimit-Scope.
+ * 
+ * Each layer: { name, keyPrefix, points, duration, identifierType, includeEndpoint, calendar }
+ * identifierType is 'global' (one shared counter), 'ip', 'user' or 'apiKey';
+ * layers whose identifier is missing (e.g. 'user' for anonymous requests)
+ * are skipped. calendar: 'day' or 'month' counts per UTC calendar period.
+ * 
+ * layers may also be a function of (req, res) returning the layers (or a
+ * promise of them) for that request.
+ * 
+ * Decisions are recorded like those of createRateLimiterMiddleware, with
+ * the middleware's keyPrefix (not the layers') as the limiter name.
+ */
+const createCompositeRateLimiterMiddleware = (options = {}) => {
+  const normalizeLayer = layer => ({
+    name: layer.name || layer.keyPrefix,
+    keyPrefix: layer.keyPrefix || layer.name,
+    points: layer.points,
+    duration: layer.duration,
+    identifierType: layer.identifierType || 'ip',
+    includeEndpoint: layer.includeEndpoint || false,
+    calendar: layer.calendar || null,
+  });
+
+  const config = {
+    layers: typeof options.layers === 'function'
+      ? options.layers
+      : (options.layers || []).map(normalizeLayer),
+    cost: options.cost || 1,
+    keyPrefix: options.keyPrefix || 'composite',
+  };
+
+  let limiter = null;
+
+  return async (req, res, next) => {
+    if (req.rateLimitBypass) {
+      return next();
+    }
+
+    let span = null;
+
+    try {
+      if (!isRedisConnected()) {
+        if (getFailureMode() === 'closed') {
+          logger.warn('Redis unavailable, denying request (closed mode)');
+          return next(createError('SERVICE_UNAVAILABLE', 'Rate limiting service unavailable'));
+        }
+
+        logger.warn('Redis unavailable, skipping layered limits (open mode)');
+        return next();
+      }
+
+      const configuredLayers = typeof config.layers === 'function'
+        ? (await config.layers(req, res)).map(normalizeLayer)
+        : config.layers;
+
+      const layers = configuredLayers
+        .map((layer) => {
+          const identifier = layer.identifierType === 'global'
+            ? 'all'
+            : getClientIdentifier(req, layer.identifierType);
+
+          if (!identifier) return null;
+
+          const key = layer.includeEndpoint
+            ? `${identifier}:${req.method}:${req.baseUrl}${req.path}`
+            : identifier;
+
+          return { ...layer, key };
+        })
+        .filter(Boolean);
+
+      if (layers.length === 0) {
+        return next();
+      }
+
+      if (!limiter) {
+        limiter = new CompositeLimiter({ storeClient: getRedisClient() });
+      }
+
+      const cost = getRequestCost(req, config);
+      res.set('X-RateLimit-Cost', String(cost));
+
+      span = tracing.startSpan('ratelimit.check', {
+        'ratelimit.preset': config.keyPrefix,
+        'ratelimit.algorithm': 'fixed-window',
+        'ratelimit.cost': cost,
+      });
+
+      const endCheckTimer = metrics.startCheckTimer(config.keyPrefix);
+      let outcome;
+      try {
+        outcome = await tracing.withSpan(span, () => (
+          metrics.timeRedisCall(config.keyPrefix, 'composite', () => limiter.consume(layers, cost))
+        ));
+      } finally {
+        endCheckTimer();
+      }
+      const { allowed, deniedBy, results } = outcome;
+
+      // Most restrictive: the layer that denied, otherwise the one with the fewest points left
+      let index = deniedBy;
+      if (!allowed && index < 0) index = 0;
+      if (allowed) {
+        index = results.reduce((lowest, result, i) => (
+          result.remainingPoints < results[lowest].remainingPoints ? i : lowest
+        ), 0);
+      }
+
+      const layer = layers[index];
+      const result = results[index];
+
+      // Recorded under the middleware's keyPrefix, keyed like and scoped to its most restrictive layer
+      const decisionConfig = { keyPrefix: config.keyPrefix, identifierType: layer.identifierType, scope: layer.name };
+      span.setAttribute('ratelimit.key_type', layer.identifierType);
+      span.setAttribute('ratelimit.scope', layer.name);
+      recordDecision(req, decisionConfig, allowed ? 'allowed' : 'limited', result, span);
+
+      if (allowed) {
+        setRateLimitHeaders(res, result, layer);
+        res.set('X-RateLimit-Scope', layer.name);
+        return next();
+      }
+
+      const retryAfter = Math.ceil(result.msBeforeNext / 1000);
+      const resetTime = Math.ceil((Date.now() + result.msBeforeNext) / 1000);
+
+      res.set({
+        'X-RateLimit-Limit': String(layer.points),
+        'X-RateLimit-Remaining': '0',
+        'X-RateLimit-Reset': String(resetTime),
+        'X-RateLimit-Window': `${layer.duration}s`,
+        'X-RateLimit-RetryAfter': String(retryAfter),
+        'X-RateLimit-Scope': layer.name,
+        'Retry-After': String(retryAfter),
+      });
+
+      logger.warn('Rate limit exceeded', {
+        identifier: layer.key,
+        scope: layer.name,
+        ip: extractClientIP(req),
+        method: req.method,
+        path: req.path,
+        retryAfter,
+        cost,
+        limit: layer.points,
+        window: layer.duration,
+      });
+
+      return res.status(429).json({
+        error: {
+          code: 'RATE_LIMIT_EXCEEDED',
+          message: `Too many requests. Please retry after ${retryAfter} seconds.`,
+          retryAfter,
+          retryAfterSeconds: retryAfter,
+          retryAfterMs: Math.ceil(result.msBeforeNext),
+          cost,
+          scope: layer.name,
+          limit: layer.points,
+          window: `${layer.duration}s`,
+          windowSeconds: layer.duration,
+          resetAt: new Date(resetTime * 1000).toISOString(),
+        }
+      });
+    } catch (error) {
+      logger.error('Composite rate limiter error', { error: error.message });
+      tracing.endSpan(span, error);
+
+      if (getFailureMode() === 'open') {
+        return next();
+      }
+
+      next(createError('SERVICE_UNAVAILABLE', 'Rate limiting service error'));
+    }
+  };
+};
+
+/**
+ * Create plan limiter middleware
+ * 
+ * Enforces the limits of the plan assigned to the API key (identifierType
+ * 'apiKey', after requireApiKey) or the authenticated user ('user'). The
+ * plan is resolved per request, and all of its windows are checked at once
+ * through the composite limiter; daily and monthly quotas follow UTC
+ * calendar days and months. The plan name is returned in X-RateLimit-Plan.
+ */
+const createPlanLimiterMiddleware = (options = {}) => {
+  const identifierType = options.identifierType || 'apiKey';
+
+  const limiter = createCompositeRateLimiterMiddleware({
+    keyPrefix: `plan:${identifierType}`,
+    cost: options.cost,
+    layers: req => getPlanLayers(req.ratePlan, identifierType),
+  });
+
+  return async (req, res, next) => {
+    if (req.rateLimitBypass || !getClientIdentifier(req, identifierType)) {
+      return next();
+    }
+
+    try {
+      req.ratePlan = await resolvePlan(req, identifierType);
+    } catch (error) {
+      logger.error('Plan resolution error', { error: error.message });
+
+      if (getFailureMode() === 'open') {
+        return next();
+      }
+      return next(createError('SERVICE_UNAVAILABLE', 'Rate limiting service error'));
+    }
+
+    res.set('X-RateLimit-Plan', req.ratePlan.name);
+
+    return limiter(req, res, next);
+  };
+};
+
+/**
+ * Fixed layers of the expensiveLayered preset
+ * The 'ip' layer is the api preset's per-IP window, counted here so that
+ * it is only consumed when every other layer passes too.
+ */
+const EXPENSIVE_LAYERS = [
+  {
+    name: 'global',
+    keyPrefix: 'global',
+    points: parseInt(process.env.GLOBAL_RATE_LIMIT, 10) || 10000,
+    duration: parseInt(process.env.GLOBAL_RATE_WINDOW, 10) || 60,
+    identifierType: 'global',
+  },
+  {
+    name: 'ip',
+    keyPrefix: 'api',
+    points: parseInt(process.env.API_RATE_LIMIT, 10) || 200,
+    duration: parseInt(process.env.API_RATE_WINDOW, 10) || 60,
+    identifierType: 'ip',
+  },
+  {
+    name: 'user',
+    keyPrefix: 'user',
+    points: parseInt(process.env.USER_RATE_LIMIT, 10) || 100,
+    duration: parseInt(process.env.USER_RATE_WINDOW, 10) || 60,
+    identifierType: 'user',
+  },
+  {
+    name: 'endpoint',
+    keyPrefix: 'expensive',
+    points: parseInt(process.env.EXPENSIVE_RATE_LIMIT, 10) || 10,
+    duration: parseInt(process.env.EXPENSIVE_RATE_WINDOW, 10) || 60,
+    identifierType: 'ip',
+    includeEndpoint: true,
+  },
+];
+
 /**
  * Pre-configured rate limiters for common use cases
  * 
@@ -319,6 +1144,8 @@ const rateLimiters_presets = {
     keyPrefix: 'api',
     points: parseInt(process.env.API_RATE_LIMIT, 10) || 200,
     duration: parseInt(process.env.API_RATE_WINDOW, 10) || 60,
+    algorithm: process.env.API_RATE_ALGORITHM,
+    burst: parseInt(process.env.API_RATE_BURST, 10) || null,
     identifierType: 'ip',
   }),
 
@@ -332,21 +1159,25 @@ const rateLimiters_presets = {
     keyPrefix: 'auth',
     points: parseInt(process.env.AUTH_RATE_LIMIT, 10) || 10,
     duration: parseInt(process.env.AUTH_RATE_WINDOW, 10) || 60,
+    algorithm: process.env.AUTH_RATE_ALGORITHM,
     blockDuration: parseInt(process.env.AUTH_BLOCK_DURATION, 10) || 300,
     identifierType: 'ip',
   }),
 
   /**
    * Login attempts
-   * - 5 attempts per 15 minutes per IP
+   * - 5 failed attempts per 15 minutes per IP
    * - 15 minute block after exceeding limit
+   * - Successful logins are refunded (skipSuccessfulRequests)
    * - Prevents brute-force attacks
    */
   login: createRateLimiterMiddleware({
     keyPrefix: 'login',
     points: parseInt(process.env.LOGIN_RATE_LIMIT, 10) || 5,
     duration: parseInt(process.env.LOGIN_RATE_WINDOW, 10) || 900,
+    algorithm: process.env.LOGIN_RATE_ALGORITHM,
     blockDuration: parseInt(process.env.LOGIN_BLOCK_DURATION, 10) || 900,
+    skipSuccessfulRequests: true,
     identifierType: 'ip',
   }),
 
@@ -354,24 +1185,29 @@ const rateLimiters_presets = {
    * Admin actions
    * - 50 requests per minute per user
    * - Use for administrative operations
-   * - Requires authentication (user-based)
+   * - Keyed on the authenticated user: run authenticate or
+   *   optionalAuthenticate first (anonymous requests are not counted)
    */
   admin: createRateLimiterMiddleware({
     keyPrefix: 'admin',
     points: parseInt(process.env.ADMIN_RATE_LIMIT, 10) || 50,
     duration: parseInt(process.env.ADMIN_RATE_WINDOW, 10) || 60,
+    algorithm: process.env.ADMIN_RATE_ALGORITHM,
     identifierType: 'user',
   }),
 
   /**
    * Search/Query operations
-   * - 30 requests per minute per IP
+   * - 30 points per minute per IP
+   * - Each request costs 1 point per 100 results asked for (?limit=500 costs 5)
    * - Use for search, filter, query endpoints
    */
   search: createRateLimiterMiddleware({
     keyPrefix: 'search',
     points: parseInt(process.env.SEARCH_RATE_LIMIT, 10) || 30,
     duration: parseInt(process.env.SEARCH_RATE_WINDOW, 10) || 60,
+    algorithm: process.env.SEARCH_RATE_ALGORITHM,
+    cost: (req) => Math.ceil((parseInt(req.query?.limit, 10) || 1) / 100),
     identifierType: 'ip',
   }),
 
@@ -384,6 +1220,7 @@ const rateLimiters_presets = {
     keyPrefix: 'expensive',
     points: parseInt(process.env.EXPENSIVE_RATE_LIMIT, 10) || 10,
     duration: parseInt(process.env.EXPENSIVE_RATE_WINDOW, 10) || 60,
+    algorithm: process.env.EXPENSIVE_RATE_ALGORITHM,
     identifierType: 'ip',
   }),
 
@@ -396,6 +1233,7 @@ const rateLimiters_presets = {
     keyPrefix: 'upload',
     points: parseInt(process.env.UPLOAD_RATE_LIMIT, 10) || 5,
     duration: parseInt(process.env.UPLOAD_RATE_WINDOW, 10) || 3600,
+    algorithm: process.env.UPLOAD_RATE_ALGORITHM,
     identifierType: 'ip',
   }),
 
@@ -408,6 +1246,7 @@ const rateLimiters_presets = {
     keyPrefix: 'password_reset',
     points: parseInt(process.env.PASSWORD_RESET_RATE_LIMIT, 10) || 3,
     duration: parseInt(process.env.PASSWORD_RESET_RATE_WINDOW, 10) || 3600,
+    algorithm: process.env.PASSWORD_RESET_RATE_ALGORITHM,
     blockDuration: parseInt(process.env.PASSWORD_RESET_BLOCK_DURATION, 10) || 3600,
     identifierType: 'ip',
   }),
@@ -421,24 +1260,85 @@ const rateLimiters_presets = {
     keyPrefix: 'email',
     points: parseInt(process.env.EMAIL_RATE_LIMIT, 10) || 10,
     duration: parseInt(process.env.EMAIL_RATE_WINDOW, 10) || 3600,
+    algorithm: process.env.EMAIL_RATE_ALGORITHM,
     identifierType: 'ip',
   }),
 
   /**
    * API key based
-   * - 1000 requests per hour per API key
-   * - Use for API key authenticated endpoints
+   * - 1000 requests per hour per API key, unless the key sets its own limit
+   * - Use after requireApiKey (middleware/apiKeyAuth); keyed on the key ID
    */
   apiKey: createRateLimiterMiddleware({
     keyPrefix: 'apikey',
     points: parseInt(process.env.APIKEY_RATE_LIMIT, 10) || 1000,
     duration: parseInt(process.env.APIKEY_RATE_WINDOW, 10) || 3600,
+    algorithm: process.env.APIKEY_RATE_ALGORITHM,
+    burst: parseInt(process.env.APIKEY_RATE_BURST, 10) || null,
+    identifierType: 'apiKey',
+  }),
+
+  /**
+   * Plan limits per API key
+   * - Limits of the key's plan (DEFAULT_PLAN if it has none)
+   * - Use after requireApiKey (middleware/apiKeyAuth)
+   */
+  apiKeyPlan: createPlanLimiterMiddleware({
     identifierType: 'apiKey',
   }),
+
+  /**
+   * Plan limits per user
+   * - Limits of the authenticated user's plan (DEFAULT_PLAN if they have none)
+   */
+  userPlan: createPlanLimiterMiddleware({
+    identifierType: 'user',
+  }),
+
+  /**
+   * Layered limits for expensive operations (PRD 11.3)
+   * - Global: 10000 requests per minute across all clients
+   * - Per IP: the api preset's limit (own counters)
+   * - Per user: 100 requests per minute, plus the windows of the user's
+   *   plan (shared with userPlan); authenticated requests only
+   * - Per endpoint: the expensive preset's limit, per IP (own counters)
+   * - All layers are checked in one Redis round-trip; a denial consumes nothing
+   * - Mount in place of the api and userPlan presets, not behind them
+   */
+  expensiveLayered: createCompositeRateLimiterMiddleware({
+    keyPrefix: 'expensive_layered',
+    layers: async (req, res) => {
+      if (!getClientIdentifier(req, 'user')) {
+        return EXPENSIVE_LAYERS;
+      }
+
+      const plan = await resolvePlan(req, 'user');
+      res.set('X-RateLimit-Plan', plan.name);
+
+      const planLayers = getPlanLayers(plan, 'user').map(layer => ({ ...layer, name: `plan:${layer.name}` }));
+      return [...EXPENSIVE_LAYERS, ...planLayers];
+    },
+  }),
+
+  /**
+   * Concurrent expensive operations
+   * - 5 in-flight requests per IP
+   * - Use together with the expensive preset on slow endpoints
+   */
+  concurrent: createConcurrencyLimiterMiddleware({
+    keyPrefix: 'expensive_concurrency',
+    maxConcurrent: parseInt(process.env.EXPENSIVE_MAX_CONCURRENT, 10) || 5,
+    leaseMs: parseInt(process.env.EXPENSIVE_LEASE_MS, 10) || 60000,
+    identifierType: 'ip',
+  }),
 };
 
 module.exports = {
+  ALGORITHMS,
   createRateLimiterMiddleware,
+  createConcurrencyLimiterMiddleware,
+  createCompositeRateLimiterMiddleware,
+  createPlanLimiterMiddleware,
   rateLimiters: rateLimiters_presets,
   getClientIdentifier,
   extractClientIP,
@@ -7,13 +7,16 @@
 const morgan = require('morgan');
 const { v4: uuidv4 } = require('uuid');
 const logger = require('../utils/logger');
+const { setActiveSpanAttributes } = require('../utils/tracing');
 
 /**
  * Add unique request ID to each request
+ * The ID is also recorded on the request's trace span for correlation.
  */
 const addRequestId = (req, res, next) => {
   req.id = uuidv4();
   res.setHeader('X-Request-ID', req.id);
+  setActiveSpanAttributes({ 'http.request_id': req.id });
   next();
 };
 
@@ -0,0 +1,76 @@
+/**
+ * Route Helpers
+ *
+ * Shared pieces of the admin API routers: the validation result check,
+ * the actor recorded in audit entries, and translation of the plain
+ * Errors thrown by services into API errors.
+ */
+
+const { validationResult } = require('express-validator');
+const { createError } = require('./errorHandler');
+const { extractClientIP } = require('./rateLimiter');
+
+/**
+ * Middleware to check validation results
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Invalid input data',
+        details: errors.array().map(err => ({
+          field: err.path,
+          message: err.msg,
+          value: err.value,
+        })),
+      },
+    });
+  }
+
+  next();
+};
+
+/**
+ * Get the actor of an admin request: the authenticated user and client IP
+ *
+ * @param {Object} req - Express request (after authenticate)
+ * @returns {Object} { id, email, role, ip, ... }
+ */
+const getActor = (req) => ({ ...req.user, ip: extractClientIP(req) });
+
+/**
+ * Build a function that translates service errors into API errors
+ * Each error code lists the service messages it applies to, as exact
+ * strings or RegExps; the service's message is kept. Errors saying a Redis
+ * connection is required become SERVICE_UNAVAILABLE ("<storage> unavailable").
+ *
+ * @param {string} storage - What is unavailable without Redis, e.g. 'User storage'
+ * @param {Object} [codes] - Error code => messages
+ * @returns {Function} (error) => API error (or the original error if unknown)
+ */
+const createErrorTranslator = (storage, codes = {}) => (error) => {
+  const matches = message => (message instanceof RegExp ? message.test(error.message) : message === error.message);
+
+  const code = Object.keys(codes).find(candidate => codes[candidate].some(matches));
+  if (code) {
+    return createError(code, error.message);
+  }
+  if (error.message.includes('Redis connection required')) {
+    return createError('SERVICE_UNAVAILABLE', `${storage} unavailable`);
+  }
+  return error;
+};
+
+module.exports = {
+  validate,
+  getActor,
+  createErrorTranslator,
+};
@@ -0,0 +1,224 @@
+/**
+ * Rule Enforcer Middleware
+ *
+ * Applies dynamic RateLimitRule records stored in Redis to incoming requests.
+ * Rules are loaded by priority, matched against the request and enforced
+ * through the same limiter pipeline as the static presets.
+ */
+
+const { getCachedActiveRules } = require('../services/ruleService');
+const { parseWindow, getQuotaPeriod } = require('../models/RateLimitRule');
+const { compileCostExpression } = require('../utils/costExpression');
+const { matchesCidr } = require('../utils/cidr');
+const {
+  createRateLimiterMiddleware,
+  getClientIdentifier,
+  extractClientIP,
+} = require('./rateLimiter');
+const logger = require('../utils/logger');
+
+// Limiter middleware per rule version (rule ID + updatedAt)
+const ruleMiddlewares = new Map();
+
+// Active rule set the middleware cache was last pruned against
+let prunedRules = null;
+
+// Which client identifier each target type limits on
+const IDENTIFIER_TYPES = {
+  endpoint: 'ip',
+  ip: 'ip',
+  user: 'user',
+  apikey: 'apiKey',
+};
+
+/**
+ * Convert a glob pattern ('*' wildcard) to an anchored regular expression
+ *
+ * @param {string} pattern - Glob pattern
+ * @returns {RegExp} Compiled expression
+ */
+const globToRegExp = (pattern) => {
+  const escaped = pattern
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+
+  return new RegExp(`^${escaped}$`);
+};
+
+/**
+ * Match an endpoint pattern against the request
+ * Patterns may be prefixed with an HTTP method, e.g. 'POST /api/upload'
+ *
+ * @param {string} pattern - Endpoint pattern
+ * @param {Object} req - Express request
+ * @returns {boolean} Whether the endpoint matches
+ */
+const matchesEndpoint = (pattern, req) => {
+  const parts = pattern.trim().split(/\s+/);
+  const method = parts.length > 1 ? parts[0].toUpperCase() : null;
+  const pathPattern = parts.length > 1 ? parts[1] : parts[0];
+
+  if (method && method !== req.method) {
+    return false;
+  }
+
+  const path = `${req.baseUrl || ''}${req.path}`;
+  return globToRegExp(pathPattern).test(path);
+};
+
+/**
+ * Check whether a rule applies to the request
+ *
+ * @param {Object} rule - Rate limit rule
+ * @param {Object} req - Express request
+ * @returns {boolean} Whether the rule matches
+ */
+const matchesRule = (rule, req) => {
+  const { type, pattern } = rule.target || {};
+
+  if (!pattern) {
+    return false;
+  }
+
+  switch (type) {
+  case 'endpoint':
+    return matchesEndpoint(pattern, req);
+
+  case 'ip': {
+    // CIDR ranges (10.0.0.0/8, 2001:db8::/48) or glob patterns (10.0.0.*)
+    const ip = extractClientIP(req);
+    return pattern.includes('/') ? matchesCidr(ip, pattern) : globToRegExp(pattern).test(ip);
+  }
+
+  case 'user':
+  case 'apikey': {
+    // Verified identities only (req.user / req.apiKey), never client headers
+    const identifier = getClientIdentifier(req, IDENTIFIER_TYPES[type]);
+    return identifier !== null && globToRegExp(pattern).test(String(identifier));
+  }
+
+  default:
+    return false;
+  }
+};
+
+/**
+ * Get the request cost for a rule from its limit.cost expression
+ *
+ * @param {Object} rule - Rate limit rule
+ * @returns {number|Function} Fixed cost, or a function of the request
+ */
+const getRuleCost = (rule) => {
+  const cost = rule.limit?.cost;
+  if (cost === undefined || cost === null || cost === '') {
+    return 1;
+  }
+
+  try {
+    return compileCostExpression(cost);
+  } catch (error) {
+    logger.warn('Ignoring invalid rule cost expression', { ruleId: rule.id, cost, error: error.message });
+    return 1;
+  }
+};
+
+/**
+ * Drop cached middleware of rules that are no longer active
+ * Runs once per refresh of the active rule set, so middleware of deleted,
+ * deactivated or edited rules does not outlive them.
+ *
+ * @param {Array} rules - Active rules
+ */
+const pruneRuleMiddlewares = (rules) => {
+  if (rules === prunedRules) {
+    return;
+  }
+  prunedRules = rules;
+
+  const current = new Set(rules.map(rule => `${rule.id}:${rule.updatedAt}`));
+  for (const key of ruleMiddlewares.keys()) {
+    if (!current.has(key)) {
+      ruleMiddlewares.delete(key);
+    }
+  }
+};
+
+/**
+ * Get (or build) the limiter middleware for a rule
+ *
+ * @param {Object} rule - Rate limit rule
+ * @returns {Function|null} Express middleware, or null if the rule is unusable
+ */
+const getRuleMiddleware = (rule) => {
+  const cacheKey = `${rule.id}:${rule.updatedAt}`;
+
+  if (ruleMiddlewares.has(cacheKey)) {
+    return ruleMiddlewares.get(cacheKey);
+  }
+
+  const duration = parseWindow(rule.limit?.window);
+  const points = parseInt(rule.limit?.requests, 10);
+
+  if (!duration || !points) {
+    logger.warn('Skipping rule with invalid limit', { ruleId: rule.id, limit: rule.limit });
+    return null;
+  }
+
+  // Windows over a day are quotas, counted per billing period
+  const period = getQuotaPeriod(rule.limit);
+
+  const middleware = createRateLimiterMiddleware({
+    keyPrefix: `rule:${rule.id}`,
+    points,
+    duration,
+    identifierType: IDENTIFIER_TYPES[rule.target.type] || 'ip',
+    algorithm: period ? 'quota' : rule.limit.algorithm,
+    period,
+    burst: parseInt(rule.limit.burstLimit, 10) || null,
+    cost: getRuleCost(rule),
+    action: rule.action || 'reject',
+    // A request another limiter rejects after this rule passed it is not counted
+    skipLimitedRequests: true,
+  });
+
+  ruleMiddlewares.set(cacheKey, middleware);
+  return middleware;
+};
+
+/**
+ * Enforce the highest-priority rule matching the request
+ * Requests that match no rule pass through untouched
+ */
+const enforceRules = async (req, res, next) => {
+  let rules;
+
+  try {
+    rules = await getCachedActiveRules();
+  } catch (error) {
+    logger.error('Failed to load rate limit rules', { error: error.message });
+    return next();
+  }
+
+  pruneRuleMiddlewares(rules);
+
+  const rule = rules.find(candidate => matchesRule(candidate, req));
+  if (!rule) {
+    return next();
+  }
+
+  const middleware = getRuleMiddleware(rule);
+  if (!middleware) {
+    return next();
+  }
+
+  req.rateLimitRule = { id: rule.id, name: rule.name };
+  return middleware(req, res, next);
+};
+
+module.exports = {
+  enforceRules,
+  matchesRule,
+  matchesEndpoint,
+  globToRegExp,
+};
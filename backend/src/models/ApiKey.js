@@ -0,0 +1,233 @@
+/**
+ * API Key Model
+ *
+ * API key records stored in Redis
+ * Only a SHA-256 hash of the secret is stored; the hash index maps a
+ * presented key back to its record in one lookup.
+ *
+ * Redis layout:
+ * - apikey:{keyId}          Key record (hash)
+ * - apikey:hash:{keyHash}   Key ID for a secret hash
+ * - apikeys                 Set of all key IDs
+ */
+
+const { getRedisClient, isRedisConnected } = require('../config/redis');
+const logger = require('../utils/logger');
+
+// Fields that may change after creation
+const UPDATABLE_FIELDS = ['name', 'scopes', 'rateLimit', 'plan', 'expiresAt', 'status', 'keyHash', 'prefix', 'revokedAt', 'lastUsedAt'];
+
+/**
+ * Convert a stored hash into a key record
+ */
+const parseApiKey = (data) => ({
+  ...data,
+  scopes: JSON.parse(data.scopes || '[]'),
+  rateLimit: data.rateLimit ? JSON.parse(data.rateLimit) : null,
+  plan: data.plan || null,
+  expiresAt: data.expiresAt || null,
+  revokedAt: data.revokedAt || null,
+  lastUsedAt: data.lastUsedAt || null,
+});
+
+/**
+ * Convert key fields into storable hash values
+ */
+const serializeFields = (fields) => {
+  const data = { ...fields };
+
+  if (data.scopes !== undefined) {
+    data.scopes = JSON.stringify(data.scopes || []);
+  }
+  if (data.rateLimit !== undefined) {
+    data.rateLimit = data.rateLimit ? JSON.stringify(data.rateLimit) : '';
+  }
+  for (const field of ['plan', 'expiresAt', 'revokedAt', 'lastUsedAt']) {
+    if (data[field] === null) {
+      data[field] = '';
+    }
+  }
+
+  return data;
+};
+
+/**
+ * Create a new API key record
+ *
+ * @param {Object} keyData - Key data
+ * @param {string} keyData.name - Display name
+ * @param {string} keyData.keyHash - SHA-256 hash of the secret
+ * @param {string} keyData.prefix - First characters of the secret, for display
+ * @param {string} keyData.ownerId - Owning user ID
+ * @param {string[]} [keyData.scopes] - Granted scopes
+ * @param {Object} [keyData.rateLimit] - Limit override: { points, duration }
+ * @param {string} [keyData.plan] - Plan name (default plan if unset)
+ * @param {string} [keyData.expiresAt] - ISO expiry date
+ * @param {string} [keyData.createdBy] - Creating user ID
+ * @returns {Promise<Object>} Created key record
+ */
+const createApiKey = async (keyData) => {
+  if (!isRedisConnected()) {
+    throw new Error('Redis connection required to create API key');
+  }
+
+  const {
+    name,
+    keyHash,
+    prefix,
+    ownerId,
+    scopes = [],
+    rateLimit = null,
+    plan = null,
+    expiresAt = null,
+    createdBy,
+  } = keyData;
+
+  if (!name || !keyHash || !ownerId) {
+    throw new Error('Name, key hash and owner are required');
+  }
+
+  const redis = getRedisClient();
+
+  const keyId = `key_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  const now = new Date().toISOString();
+
+  const apiKey = {
+    id: keyId,
+    name,
+    keyHash,
+    prefix,
+    ownerId,
+    scopes,
+    rateLimit,
+    plan,
+    expiresAt,
+    status: 'active',
+    createdBy: createdBy || ownerId,
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  await redis.hset(`apikey:${keyId}`, serializeFields(apiKey));
+  await redis.set(`apikey:hash:${keyHash}`, keyId);
+  await redis.sadd('apikeys', keyId);
+
+  logger.info('API key created', { keyId, ownerId, prefix });
+
+  return parseApiKey(serializeFields(apiKey));
+};
+
+/**
+ * Get API key by ID
+ *
+ * @param {string} keyId - Key ID
+ * @returns {Promise<Object|null>} Key record or null
+ */
+const getApiKeyById = async (keyId) => {
+  if (!isRedisConnected()) {
+    return null;
+  }
+
+  const redis = getRedisClient();
+  const data = await redis.hgetall(`apikey:${keyId}`);
+
+  if (!data || Object.keys(data).length === 0) {
+    return null;
+  }
+
+  return parseApiKey(data);
+};
+
+/**
+ * Get API key by secret hash
+ *
+ * @param {string} keyHash - SHA-256 hash of the secret
+ * @returns {Promise<Object|null>} Key record or null
+ */
+const getApiKeyByHash = async (keyHash) => {
+  if (!isRedisConnected()) {
+    return null;
+  }
+
+  const redis = getRedisClient();
+  const keyId = await redis.get(`apikey:hash:${keyHash}`);
+  if (!keyId) {
+    return null;
+  }
+
+  return getApiKeyById(keyId);
+};
+
+/**
+ * Update API key
+ * A new keyHash replaces the old hash index entry, so the old secret stops working.
+ *
+ * @param {string} keyId - Key ID
+ * @param {Object} updates - Fields to update
+ * @returns {Promise<Object>} Updated key record
+ */
+const updateApiKey = async (keyId, updates) => {
+  if (!isRedisConnected()) {
+    throw new Error('Redis connection required to update API key');
+  }
+
+  const redis = getRedisClient();
+
+  const apiKey = await getApiKeyById(keyId);
+  if (!apiKey) {
+    throw new Error('API key not found');
+  }
+
+  const updateData = {};
+  for (const key of UPDATABLE_FIELDS) {
+    if (updates[key] !== undefined) {
+      updateData[key] = updates[key];
+    }
+  }
+
+  // lastUsedAt is bookkeeping, not an edit
+  if (Object.keys(updateData).some(key => key !== 'lastUsedAt')) {
+    updateData.updatedAt = new Date().toISOString();
+  }
+
+  if (updateData.keyHash && updateData.keyHash !== apiKey.keyHash) {
+    await redis.del(`apikey:hash:${apiKey.keyHash}`);
+    await redis.set(`apikey:hash:${updateData.keyHash}`, keyId);
+  }
+
+  if (Object.keys(updateData).length > 0) {
+    await redis.hset(`apikey:${keyId}`, serializeFields(updateData));
+  }
+
+  return getApiKeyById(keyId);
+};
+
+/**
+ * Get all API keys
+ *
+ * @param {Object} [options] - Filters
+ * @param {string} [options.ownerId] - Only keys owned by this user
+ * @returns {Promise<Array>} Key records
+ */
+const getAllApiKeys = async (options = {}) => {
+  if (!isRedisConnected()) {
+    return [];
+  }
+
+  const redis = getRedisClient();
+  const keyIds = await redis.smembers('apikeys');
+
+  const keys = await Promise.all(keyIds.map(keyId => getApiKeyById(keyId)));
+
+  return keys
+    .filter(key => key !== null)
+    .filter(key => !options.ownerId || key.ownerId === options.ownerId);
+};
+
+module.exports = {
+  createApiKey,
+  getApiKeyById,
+  getApiKeyByHash,
+  updateApiKey,
+  getAllApiKeys,
+};
@@ -0,0 +1,267 @@
+/**
+ * Blocked Entity Model
+ *
+ * Blocklist and allowlist entries (PRD 10.2) for IPs, users and API keys.
+ *
+ * Redis layout (PRD 10.4):
+ * - ratelimit:{list}:{type}          Set of listed values (index for listing)
+ * - ratelimit:{list}:{type}:{value}  JSON entity, expiring at expiresAt if set
+ * - ratelimit:{list}:ipranges        Set of listed IP CIDR ranges, so ranges can
+ *                                    be loaded without every single address
+ *
+ * The entity key is authoritative: an expired entry disappears on its own and
+ * its stale index member is cleaned up the next time the list is read.
+ */
+
+const { getRedisClient, isRedisConnected } = require('../config/redis');
+const logger = require('../utils/logger');
+
+// Supported lists and their key prefixes
+const LISTS = {
+  blocked: 'ratelimit:blocked',
+  whitelist: 'ratelimit:whitelist',
+};
+
+// Kinds of entities that can be listed
+const ENTITY_TYPES = ['ip', 'user', 'apiKey'];
+
+// Prefix of generated entity IDs per list
+const ID_PREFIXES = {
+  blocked: 'block',
+  whitelist: 'allow',
+};
+
+const getIndexKey = (list, type) => `${LISTS[list]}:${type}`;
+
+const getEntityKey = (list, type, value) => `${LISTS[list]}:${type}:${value}`;
+
+const getRangeIndexKey = list => `${LISTS[list]}:ipranges`;
+
+const isRange = (type, value) => type === 'ip' && value.includes('/');
+
+/**
+ * Add (or replace) an entry on a list
+ *
+ * @param {string} list - 'blocked' or 'whitelist'
+ * @param {Object} data - Entry data
+ * @param {string} data.type - Entity type: ip, user, apiKey
+ * @param {string} data.value - IP address or CIDR range, user ID, or API key hash
+ * @param {string} [data.reason] - Why the entity is listed
+ * @param {string} [data.expiresAt] - ISO date after which the entry is removed
+ * @param {string} data.createdBy - Email of the user (or system component) adding it
+ * @returns {Promise<Object>} Created entity
+ */
+const addEntity = async (list, data) => {
+  if (!isRedisConnected()) {
+    throw new Error('Redis connection required to update blocklist/allowlist');
+  }
+
+  const { type, value, reason = '', expiresAt = null, createdBy = '' } = data;
+
+  if (!LISTS[list] || !ENTITY_TYPES.includes(type) || !value) {
+    throw new Error('Valid list, type and value are required');
+  }
+
+  const ttl = expiresAt ? new Date(expiresAt).getTime() - Date.now() : null;
+  if (ttl !== null && !(ttl > 0)) {
+    throw new Error('Expiry must be in the future');
+  }
+
+  const entity = {
+    id: `${ID_PREFIXES[list]}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    type,
+    value,
+    reason,
+    expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+    createdAt: new Date().toISOString(),
+    createdBy,
+  };
+
+  const redis = getRedisClient();
+  const key = getEntityKey(list, type, value);
+
+  if (ttl) {
+    await redis.set(key, JSON.stringify(entity), 'PX', ttl);
+  } else {
+    await redis.set(key, JSON.stringify(entity));
+  }
+  await redis.sadd(getIndexKey(list, type), value);
+  if (isRange(type, value)) {
+    await redis.sadd(getRangeIndexKey(list), value);
+  }
+
+  logger.info('List entry added', { list, type, value, expiresAt: entity.expiresAt });
+
+  return entity;
+};
+
+/**
+ * Get a list entry
+ *
+ * @param {string} list - 'blocked' or 'whitelist'
+ * @param {string} type - Entity type
+ * @param {string} value - Entity value
+ * @returns {Promise<Object|null>} Entity or null
+ */
+const getEntity = async (list, type, value) => {
+  if (!isRedisConnected()) {
+    return null;
+  }
+
+  const redis = getRedisClient();
+  const entity = await redis.get(getEntityKey(list, type, value));
+
+  return entity ? JSON.parse(entity) : null;
+};
+
+/**
+ * Remove an entry from a list
+ *
+ * @param {string} list - 'blocked' or 'whitelist'
+ * @param {string} type - Entity type
+ * @param {string} value - Entity value
+ * @returns {Promise<boolean>} True if an entry was removed
+ */
+const removeEntity = async (list, type, value) => {
+  if (!isRedisConnected()) {
+    throw new Error('Redis connection required to update blocklist/allowlist');
+  }
+
+  const redis = getRedisClient();
+  const deleted = await redis.del(getEntityKey(list, type, value));
+  await redis.srem(getIndexKey(list, type), value);
+  if (isRange(type, value)) {
+    await redis.srem(getRangeIndexKey(list), value);
+  }
+
+  if (deleted > 0) {
+    logger.info('List entry removed', { list, type, value });
+  }
+
+  return deleted > 0;
+};
+
+/**
+ * Load the live entries behind an index set
+ * Index members whose entry has expired are dropped from the set.
+ *
+ * @param {string} list - 'blocked' or 'whitelist'
+ * @param {string} type - Entity type
+ * @param {string} indexKey - Index set to read
+ * @returns {Promise<Array>} Entities, newest first
+ */
+const loadIndexedEntities = async (list, type, indexKey) => {
+  const redis = getRedisClient();
+  const values = await redis.smembers(indexKey);
+
+  if (values.length === 0) {
+    return [];
+  }
+
+  const entities = await redis.mget(values.map(value => getEntityKey(list, type, value)));
+
+  // Drop index members whose entry has expired
+  const expired = values.filter((value, i) => !entities[i]);
+  if (expired.length > 0) {
+    await redis.srem(indexKey, ...expired);
+  }
+
+  return entities
+    .filter(Boolean)
+    .map(entity => JSON.parse(entity))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+};
+
+/**
+ * Get all live entries of a list
+ *
+ * @param {string} list - 'blocked' or 'whitelist'
+ * @param {string} type - Entity type
+ * @returns {Promise<Array>} Entities, newest first
+ */
+const getEntities = async (list, type) => {
+  if (!isRedisConnected()) {
+    return [];
+  }
+
+  return loadIndexedEntities(list, type, getIndexKey(list, type));
+};
+
+/**
+ * Get the live IP CIDR range entries of a list
+ *
+ * @param {string} list - 'blocked' or 'whitelist'
+ * @returns {Promise<Array>} Range entities, newest first
+ */
+const getRangeEntities = async (list) => {
+  if (!isRedisConnected()) {
+    return [];
+  }
+
+  return loadIndexedEntities(list, 'ip', getRangeIndexKey(list));
+};
+
+/**
+ * Add the IP ranges of a list to its range index
+ * For entries added before the range index existed; the IP index is
+ * scanned for ranges only (SSCAN MATCH), without loading any entity.
+ *
+ * @param {string} list - 'blocked' or 'whitelist'
+ * @returns {Promise<number>} Ranges found
+ */
+const indexRanges = async (list) => {
+  if (!isRedisConnected()) {
+    return 0;
+  }
+
+  const redis = getRedisClient();
+  let cursor = '0';
+  let found = 0;
+
+  do {
+    const [next, ranges] = await redis.sscan(getIndexKey(list, 'ip'), cursor, 'MATCH', '*/*', 'COUNT', 1000);
+    if (ranges.length > 0) {
+      await redis.sadd(getRangeIndexKey(list), ...ranges);
+      found += ranges.length;
+    }
+    cursor = next;
+  } while (cursor !== '0');
+
+  return found;
+};
+
+/**
+ * Look an entity up on both lists in one round-trip
+ *
+ * @param {string} type - Entity type
+ * @param {string} value - Entity value
+ * @returns {Promise<Object>} { blocked: entity|null, whitelisted: entity|null }
+ */
+const checkEntity = async (type, value) => {
+  if (!isRedisConnected()) {
+    return { blocked: null, whitelisted: null };
+  }
+
+  const redis = getRedisClient();
+  const [blocked, whitelisted] = await redis.mget(
+    getEntityKey('blocked', type, value),
+    getEntityKey('whitelist', type, value)
+  );
+
+  return {
+    blocked: blocked ? JSON.parse(blocked) : null,
+    whitelisted: whitelisted ? JSON.parse(whitelisted) : null,
+  };
+};
+
+module.exports = {
+  LISTS,
+  ENTITY_TYPES,
+  addEntity,
+  getEntity,
+  removeEntity,
+  getEntities,
+  getRangeEntities,
+  indexRanges,
+  checkEntity,
+};
@@ -0,0 +1,122 @@
+/**
+ * Plan Model
+ *
+ * Rate limit plans stored in Redis
+ * Built-in plans (services/planService) only get a record once they are edited.
+ *
+ * Redis layout:
+ * - plan:{name}  Plan record (hash)
+ * - plans        Set of stored plan names
+ */
+
+const { getRedisClient, isRedisConnected } = require('../config/redis');
+const logger = require('../utils/logger');
+
+/**
+ * Convert a stored hash into a plan
+ */
+const parsePlan = (data) => ({
+  ...data,
+  limits: JSON.parse(data.limits || '{}'),
+});
+
+/**
+ * Get a stored plan
+ *
+ * @param {string} name - Plan name
+ * @returns {Promise<Object|null>} Plan or null
+ */
+const getPlan = async (name) => {
+  if (!isRedisConnected()) {
+    return null;
+  }
+
+  const redis = getRedisClient();
+  const data = await redis.hgetall(`plan:${name}`);
+
+  if (!data || Object.keys(data).length === 0) {
+    return null;
+  }
+
+  return parsePlan(data);
+};
+
+/**
+ * Get all stored plans
+ *
+ * @returns {Promise<Array>} Plans
+ */
+const getAllPlans = async () => {
+  if (!isRedisConnected()) {
+    return [];
+  }
+
+  const redis = getRedisClient();
+  const names = await redis.smembers('plans');
+  const plans = await Promise.all(names.map(name => getPlan(name)));
+
+  return plans.filter(plan => plan !== null);
+};
+
+/**
+ * Create or replace a plan
+ *
+ * @param {string} name - Plan name
+ * @param {Object} planData - Plan data
+ * @param {string} [planData.description] - Description
+ * @param {Object} planData.limits - { second, minute, hour, day, month }
+ * @returns {Promise<Object>} Stored plan
+ */
+const savePlan = async (name, planData) => {
+  if (!isRedisConnected()) {
+    throw new Error('Redis connection required to save plan');
+  }
+
+  const redis = getRedisClient();
+  const existing = await getPlan(name);
+  const now = new Date().toISOString();
+
+  const plan = {
+    name,
+    description: planData.description || '',
+    limits: JSON.stringify(planData.limits),
+    createdAt: existing?.createdAt || now,
+    updatedAt: now,
+  };
+
+  await redis.hset(`plan:${name}`, plan);
+  await redis.sadd('plans', name);
+
+  logger.info('Plan saved', { name });
+
+  return parsePlan(plan);
+};
+
+/**
+ * Delete a stored plan
+ *
+ * @param {string} name - Plan name
+ * @returns {Promise<boolean>} Whether a plan was deleted
+ */
+const deletePlan = async (name) => {
+  if (!isRedisConnected()) {
+    throw new Error('Redis connection required to delete plan');
+  }
+
+  const redis = getRedisClient();
+  const deleted = await redis.del(`plan:${name}`);
+  await redis.srem('plans', name);
+
+  if (deleted) {
+    logger.info('Plan deleted', { name });
+  }
+
+  return deleted > 0;
+};
+
+module.exports = {
+  getPlan,
+  getAllPlans,
+  savePlan,
+  deletePlan,
+};
@@ -8,6 +8,61 @@
 const { getRedisClient, isRedisConnected } = require('../config/redis');
 const logger = require('../utils/logger');
 
+// Seconds per window unit (months count as 30 days)
+const WINDOW_UNITS = { s: 1, m: 60, h: 3600, d: 86400, w: 604800, mo: 2592000 };
+
+const WINDOW_PATTERN = /^(\d+)(s|m|h|d|w|mo)$/;
+
+// Windows longer than this are counted per billing period by the quota algorithm
+const MAX_SHORT_WINDOW = 86400;
+
+/**
+ * Convert a rule window string to seconds
+ * 
+ * @param {string} window - Time window (e.g., '30s', '1m', '1h', '1d', '2w', '1mo')
+ * @returns {number|null} Window length in seconds, or null if invalid
+ */
+const parseWindow = (window) => {
+  const match = typeof window === 'string' && window.match(WINDOW_PATTERN);
+  if (!match) {
+    return null;
+  }
+
+  return parseInt(match[1], 10) * WINDOW_UNITS[match[2]];
+};
+
+/**
+ * Get the quota billing period of a rule limit
+ * Windows over a day ('7d', '2w', '1mo') and limits using the quota
+ * algorithm count requests per billing period rather than per window.
+ * Monthly windows follow calendar months; limit.periodStart anchors
+ * custom billing cycles (e.g. monthly from the 15th).
+ * 
+ * @param {Object} limit - Rule limit: { window, algorithm, periodStart }
+ * @returns {Object|null} Period ({ unit, count, anchor }), or null for short windows
+ */
+const getQuotaPeriod = (limit) => {
+  const seconds = parseWindow(limit?.window);
+  if (!seconds || (seconds <= MAX_SHORT_WINDOW && limit.algorithm !== 'quota')) {
+    return null;
+  }
+
+  const [, count, unit] = limit.window.match(WINDOW_PATTERN);
+  if (seconds % WINDOW_UNITS.d !== 0) {
+    return null;
+  }
+
+  const period = unit === 'mo'
+    ? { unit: 'month', count: parseInt(count, 10) }
+    : { unit: 'day', count: seconds / WINDOW_UNITS.d };
+
+  if (limit.periodStart) {
+    period.anchor = limit.periodStart;
+  }
+
+  return period;
+};
+
 /**
  * Create a new rate limit rule
  * 
@@ -18,10 +73,15 @@ const logger = require('../utils/logger');
  * @param {string} ruleData.target.pattern - Pattern to match
  * @param {Object} ruleData.limit - Rate limit configuration
  * @param {number} ruleData.limit.requests - Max requests
- * @param {string} ruleData.limit.window - Time window (e.g., '1m', '1h')
+ * @param {string} ruleData.limit.window - Time window (e.g., '1m', '1h', '1mo')
+ * @param {string} [ruleData.limit.algorithm] - Algorithm: fixed-window, token-bucket, sliding-window-log, sliding-window-counter, gcra, quota
+ * @param {string} [ruleData.limit.periodStart] - Billing cycle anchor for quota windows (ISO date)
+ * @param {number} [ruleData.limit.burstLimit] - Token bucket capacity (defaults to requests) or GCRA burst (defaults to 1)
+ * @param {number|string} [ruleData.limit.cost] - Points per request, or a cost expression (e.g. 'ceil(query.limit / 100)')
  * @param {string} ruleData.action - Action: reject, throttle, log
  * @param {number} ruleData.priority - Priority (higher = more important)
  * @param {boolean} ruleData.enabled - Whether rule is active
+ * @param {string} ruleData.createdBy - Email of the user creating the rule
  * @returns {Promise<Object>} Created rule
  */
 const createRule = async (ruleData) => {
@@ -37,6 +97,7 @@ const createRule = async (ruleData) => {
     priority = 100,
     enabled = true,
     description = '',
+    createdBy = '',
   } = ruleData;
 
   if (!name || !target || !limit) {
@@ -64,6 +125,7 @@ const createRule = async (ruleData) => {
     priority,
     enabled: enabled ? 'true' : 'false',
     description,
+    createdBy,
     createdAt: new Date().toISOString(),
     updatedAt: new Date().toISOString(),
   };
@@ -317,4 +379,8 @@ module.exports = {
   enableRule,
   disableRule,
   countRules,
+  parseWindow,
+  getQuotaPeriod,
+  WINDOW_PATTERN,
+  MAX_SHORT_WINDOW,
 };
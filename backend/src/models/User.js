@@ -128,7 +128,7 @@ const updateUser = async (userId, updates) => {
   }
 
   // Don't allow updating certain fields
-  const allowedUpdates = ['role', 'passwordHash'];
+  const allowedUpdates = ['role', 'passwordHash', 'plan'];
   const updateData = {};
 
   for (const key of allowedUpdates) {
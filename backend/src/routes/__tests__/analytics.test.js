@@ -0,0 +1,162 @@
+/**
+ * Analytics Routes Tests
+ *
+ * Tests for GET /admin/metrics and /admin/metrics/top with a mocked analytics service
+ */
+
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../../middleware/auth', () => ({
+  authenticate: (req, res, next) => {
+    const role = req.headers['x-test-role'];
+    if (!role) {
+      const { createError } = require('../../middleware/errorHandler');
+      return next(createError('UNAUTHORIZED'));
+    }
+    req.user = { id: 'admin-001', email: 'admin@example.com', role };
+    next();
+  },
+}));
+
+jest.mock('../../services/analytics', () => ({
+  GRANULARITIES: { minute: {}, hour: {}, day: {} },
+  DIMENSIONS: ['ip', 'user', 'apikey', 'endpoint'],
+  getAnalytics: jest.fn(),
+  getTopOffenders: jest.fn(),
+}));
+
+const analytics = require('../../services/analytics');
+const analyticsRoutes = require('../analytics');
+const errorHandler = require('../../middleware/errorHandler');
+
+const createTestApp = () => {
+  const app = express();
+  app.use('/admin/metrics', analyticsRoutes);
+  app.use(errorHandler);
+  return app;
+};
+
+const report = {
+  from: '2026-01-25T09:00:00.000Z',
+  to: '2026-01-25T10:00:00.000Z',
+  groupBy: 'minute',
+  summary: { totalRequests: 120, blockedRequests: 4, blockRate: 0.0333, activeRules: 3 },
+  series: [],
+  limiters: [],
+  endpoints: [],
+  topIdentifiers: [],
+};
+
+describe('Analytics Routes', () => {
+  let app;
+
+  beforeAll(() => {
+    app = createTestApp();
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    analytics.getAnalytics.mockResolvedValue(report);
+  });
+
+  test('should require authentication', async () => {
+    const response = await request(app).get('/admin/metrics');
+
+    expect(response.status).toBe(401);
+  });
+
+  test('should return analytics for the requested range', async () => {
+    const response = await request(app)
+      .get('/admin/metrics?from=2026-01-25T09:00:00Z&to=2026-01-25T10:00:00Z&groupBy=minute')
+      .set('x-test-role', 'viewer');
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toEqual(report);
+    expect(analytics.getAnalytics).toHaveBeenCalledWith({
+      from: '2026-01-25T09:00:00Z',
+      to: '2026-01-25T10:00:00Z',
+      groupBy: 'minute',
+    });
+  });
+
+  test('should validate the query', async () => {
+    const response = await request(app).get('/admin/metrics?groupBy=week').set('x-test-role', 'viewer');
+
+    expect(response.status).toBe(400);
+    expect(analytics.getAnalytics).not.toHaveBeenCalled();
+  });
+
+  test('should reject invalid ranges', async () => {
+    analytics.getAnalytics.mockRejectedValue(new Error('Invalid time range: from must be before to'));
+
+    const response = await request(app).get('/admin/metrics').set('x-test-role', 'viewer');
+
+    expect(response.status).toBe(400);
+    expect(response.body.error.code).toBe('VALIDATION_ERROR');
+  });
+
+  test('should return 503 when analytics cannot be read', async () => {
+    analytics.getAnalytics.mockRejectedValue(new Error('Redis connection required to read analytics'));
+
+    const response = await request(app).get('/admin/metrics').set('x-test-role', 'viewer');
+
+    expect(response.status).toBe(503);
+  });
+
+  describe('GET /admin/metrics/top', () => {
+    const top = (dimension, identifier) => ({
+      dimension,
+      from: '2026-01-25T09:00:00.000Z',
+      to: '2026-01-25T10:00:00.000Z',
+      groupBy: 'minute',
+      sortBy: 'blocked',
+      entries: [{ identifier, totalRequests: 40, blockedRequests: 25, blockRate: 0.625 }],
+    });
+
+    test('should link IP offenders to the blocklist', async () => {
+      analytics.getTopOffenders.mockResolvedValue(top('ip', '203.0.113.7'));
+
+      const response = await request(app).get('/admin/metrics/top?dimension=ip').set('x-test-role', 'viewer');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.window).toBe('1h');
+      expect(response.body.data.entries[0].block).toEqual({
+        action: 'block',
+        method: 'POST',
+        href: '/admin/ip/block',
+        body: { ip: '203.0.113.7' },
+      });
+      expect(analytics.getTopOffenders).toHaveBeenCalledWith({
+        dimension: 'ip',
+        windowSeconds: 3600,
+        sortBy: undefined,
+        limit: undefined,
+      });
+    });
+
+    test('should link users to a block and API keys to a revoke', async () => {
+      analytics.getTopOffenders.mockResolvedValueOnce(top('user', 'user_1'));
+      analytics.getTopOffenders.mockResolvedValueOnce(top('apikey', 'key_1'));
+      analytics.getTopOffenders.mockResolvedValueOnce(top('endpoint', '/api/search'));
+
+      const user = await request(app).get('/admin/metrics/top?dimension=user&window=24h&limit=5').set('x-test-role', 'viewer');
+      const apiKey = await request(app).get('/admin/metrics/top?dimension=apikey').set('x-test-role', 'viewer');
+      const endpoint = await request(app).get('/admin/metrics/top?dimension=endpoint').set('x-test-role', 'viewer');
+
+      expect(user.body.data.entries[0].block).toEqual({ action: 'block', method: 'POST', href: '/admin/users/user_1/block' });
+      expect(analytics.getTopOffenders).toHaveBeenCalledWith(expect.objectContaining({ windowSeconds: 86400, limit: 5 }));
+      expect(apiKey.body.data.entries[0].block).toEqual({ action: 'revoke', method: 'DELETE', href: '/admin/apikeys/key_1' });
+      expect(endpoint.body.data.entries[0].block).toBeNull();
+    });
+
+    test('should validate dimension and window', async () => {
+      const missing = await request(app).get('/admin/metrics/top').set('x-test-role', 'viewer');
+      const badWindow = await request(app).get('/admin/metrics/top?dimension=ip&window=2y').set('x-test-role', 'viewer');
+
+      expect(missing.status).toBe(400);
+      expect(badWindow.status).toBe(400);
+      expect(analytics.getTopOffenders).not.toHaveBeenCalled();
+    });
+  });
+});
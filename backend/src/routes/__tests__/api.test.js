@@ -6,6 +6,12 @@
 
 const request = require('supertest');
 const express = require('express');
+
+// /api/usage identifies signed-in users; these tests run without JWT keys
+jest.mock('../../middleware/auth', () => ({
+  optionalAuthenticate: (req, res, next) => next(),
+}));
+
 const apiRoutes = require('../../routes/api');
 const { connectRedis, closeRedis } = require('../../config/redis');
 
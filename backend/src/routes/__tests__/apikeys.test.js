@@ -0,0 +1,204 @@
+/**
+ * API Key Routes Tests
+ *
+ * Tests for /admin/apikeys endpoints with a mocked API key service
+ */
+
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../../middleware/auth', () => ({
+  authenticate: (req, res, next) => {
+    const role = req.headers['x-test-role'];
+    if (!role) {
+      const { createError } = require('../../middleware/errorHandler');
+      return next(createError('UNAUTHORIZED'));
+    }
+    req.user = { id: 'admin-001', email: 'admin@example.com', role };
+    next();
+  },
+}));
+
+jest.mock('../../services/apiKeyService', () => ({
+  listKeys: jest.fn(),
+  getKey: jest.fn(),
+  createKey: jest.fn(),
+  updateKey: jest.fn(),
+  rotateKey: jest.fn(),
+  revokeKey: jest.fn(),
+}));
+
+const apiKeyService = require('../../services/apiKeyService');
+const apiKeyRoutes = require('../apikeys');
+const errorHandler = require('../../middleware/errorHandler');
+
+const createTestApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/admin/apikeys', apiKeyRoutes);
+  app.use(errorHandler);
+  return app;
+};
+
+const partnerKey = {
+  id: 'key_1',
+  name: 'Partner',
+  prefix: 'rlk_abcdefgh',
+  ownerId: 'admin-001',
+  scopes: ['data:read'],
+  rateLimit: null,
+  expiresAt: null,
+  status: 'active',
+};
+
+describe('API Key Routes', () => {
+  let app;
+
+  beforeAll(() => {
+    app = createTestApp();
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should require authentication', async () => {
+    const response = await request(app).get('/admin/apikeys');
+
+    expect(response.status).toBe(401);
+  });
+
+  describe('GET /admin/apikeys', () => {
+    test('should list keys, optionally by owner', async () => {
+      apiKeyService.listKeys.mockResolvedValue([partnerKey]);
+
+      const response = await request(app)
+        .get('/admin/apikeys?ownerId=admin-001')
+        .set('x-test-role', 'viewer');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toEqual({ keys: [partnerKey], total: 1 });
+      expect(apiKeyService.listKeys).toHaveBeenCalledWith({ ownerId: 'admin-001' });
+    });
+  });
+
+  describe('POST /admin/apikeys', () => {
+    test('should issue a key and return the secret', async () => {
+      apiKeyService.createKey.mockResolvedValue({ ...partnerKey, key: 'rlk_secret' });
+
+      const response = await request(app)
+        .post('/admin/apikeys')
+        .set('x-test-role', 'admin')
+        .send({ name: 'Partner', scopes: ['data:read'], rateLimit: { points: 500, duration: 3600 } });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.key).toBe('rlk_secret');
+      expect(apiKeyService.createKey).toHaveBeenCalledWith(
+        { name: 'Partner', scopes: ['data:read'], rateLimit: { points: 500, duration: 3600 } },
+        expect.objectContaining({ id: 'admin-001' })
+      );
+    });
+
+    test('should forbid viewers from issuing keys', async () => {
+      const response = await request(app)
+        .post('/admin/apikeys')
+        .set('x-test-role', 'viewer')
+        .send({ name: 'Partner' });
+
+      expect(response.status).toBe(403);
+      expect(apiKeyService.createKey).not.toHaveBeenCalled();
+    });
+
+    test('should validate key settings', async () => {
+      const cases = [
+        {},
+        { name: 'Partner', scopes: 'data:read' },
+        { name: 'Partner', scopes: ['bad scope'] },
+        { name: 'Partner', rateLimit: { points: 0, duration: 60 } },
+        { name: 'Partner', rateLimit: { points: 10 } },
+        { name: 'Partner', expiresAt: '2000-01-01T00:00:00Z' },
+      ];
+
+      for (const body of cases) {
+        const response = await request(app).post('/admin/apikeys').set('x-test-role', 'admin').send(body);
+        expect(response.status).toBe(400);
+      }
+      expect(apiKeyService.createKey).not.toHaveBeenCalled();
+    });
+
+    test('should reject unknown owners', async () => {
+      apiKeyService.createKey.mockRejectedValue(new Error('Owner not found'));
+
+      const response = await request(app)
+        .post('/admin/apikeys')
+        .set('x-test-role', 'admin')
+        .send({ name: 'Partner', ownerId: 'user_9' });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('Key lifecycle', () => {
+    test('should update key settings', async () => {
+      apiKeyService.updateKey.mockResolvedValue({ ...partnerKey, rateLimit: null });
+
+      const response = await request(app)
+        .patch('/admin/apikeys/key_1')
+        .set('x-test-role', 'admin')
+        .send({ rateLimit: null });
+
+      expect(response.status).toBe(200);
+      expect(apiKeyService.updateKey).toHaveBeenCalledWith(
+        'key_1',
+        { name: undefined, scopes: undefined, rateLimit: null, plan: undefined, expiresAt: undefined },
+        expect.any(Object)
+      );
+    });
+
+    test('should assign a plan', async () => {
+      apiKeyService.updateKey.mockResolvedValue({ ...partnerKey, plan: 'pro' });
+
+      const response = await request(app)
+        .patch('/admin/apikeys/key_1')
+        .set('x-test-role', 'admin')
+        .send({ plan: 'pro' });
+      const invalid = await request(app)
+        .patch('/admin/apikeys/key_1')
+        .set('x-test-role', 'admin')
+        .send({ plan: 'Pro Plan' });
+
+      expect(response.status).toBe(200);
+      expect(apiKeyService.updateKey.mock.calls[0][1].plan).toBe('pro');
+      expect(invalid.status).toBe(400);
+    });
+
+    test('should rotate a key', async () => {
+      apiKeyService.rotateKey.mockResolvedValue({ ...partnerKey, key: 'rlk_new' });
+
+      const response = await request(app).post('/admin/apikeys/key_1/rotate').set('x-test-role', 'admin');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.key).toBe('rlk_new');
+    });
+
+    test('should revoke a key', async () => {
+      apiKeyService.revokeKey.mockResolvedValue({ ...partnerKey, status: 'revoked' });
+
+      const response = await request(app).delete('/admin/apikeys/key_1').set('x-test-role', 'admin');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.status).toBe('revoked');
+    });
+
+    test('should map missing and revoked keys', async () => {
+      apiKeyService.getKey.mockRejectedValue(new Error('API key not found'));
+      apiKeyService.rotateKey.mockRejectedValue(new Error('API key is revoked'));
+
+      const missing = await request(app).get('/admin/apikeys/key_9').set('x-test-role', 'viewer');
+      const revoked = await request(app).post('/admin/apikeys/key_1/rotate').set('x-test-role', 'admin');
+
+      expect(missing.status).toBe(404);
+      expect(revoked.status).toBe(409);
+    });
+  });
+});
@@ -0,0 +1,276 @@
+/**
+ * Authentication Routes Tests
+ *
+ * Tests login against Redis-backed users, per-account lockout and refresh
+ * token rotation, with an in-memory Redis stand-in
+ */
+
+const request = require('supertest');
+const express = require('express');
+const bcrypt = require('bcryptjs');
+
+const mockStore = new Map();
+
+const mockClient = {
+  get: async (key) => (mockStore.has(key) ? mockStore.get(key).value : null),
+  set: async (key, value, mode, seconds) => {
+    mockStore.set(key, { value, ttl: mode === 'EX' ? seconds : -1 });
+    return 'OK';
+  },
+  del: async (...keys) => keys.filter(key => mockStore.delete(key)).length,
+  getdel: async (key) => {
+    const value = mockStore.has(key) ? mockStore.get(key).value : null;
+    mockStore.delete(key);
+    return value;
+  },
+  ttl: async (key) => (mockStore.has(key) ? mockStore.get(key).ttl : -2),
+  expire: async (key, seconds) => {
+    mockStore.get(key).ttl = seconds;
+    return 1;
+  },
+  multi() {
+    const ops = [];
+    const chain = {
+      incr: (key) => {
+        ops.push(() => {
+          const entry = mockStore.get(key) || { value: 0, ttl: -1 };
+          entry.value = Number(entry.value) + 1;
+          mockStore.set(key, entry);
+          return entry.value;
+        });
+        return chain;
+      },
+      ttl: (key) => {
+        ops.push(() => (mockStore.has(key) ? mockStore.get(key).ttl : -2));
+        return chain;
+      },
+      exec: async () => ops.map(op => [null, op()]),
+    };
+    return chain;
+  },
+};
+
+jest.mock('../../config/redis', () => ({
+  getRedisClient: () => mockClient,
+  isRedisConnected: jest.fn(() => true),
+  getFailureMode: () => 'open',
+}));
+
+jest.mock('../../middleware/rateLimiter', () => ({
+  rateLimiters: {
+    login: (req, res, next) => next(),
+    search: (req, res, next) => next(),
+  },
+  extractClientIP: (req) => req.ip,
+}));
+
+jest.mock('../../services/auditLog', () => ({
+  logAudit: jest.fn(),
+  logAuditThrottled: jest.fn(),
+}));
+
+let mockTokenCount = 0;
+jest.mock('../../services/jwt', () => ({
+  generateAccessToken: (user) => `access-${user.id}`,
+  generateRefreshToken: () => `refresh-${++mockTokenCount}`,
+  verifyAccessToken: jest.fn(),
+  extractTokenFromHeader: jest.fn(),
+  getTokenExpiry: jest.fn(),
+  decodeToken: jest.fn(),
+}));
+
+jest.mock('../../models/User', () => ({
+  getUserByEmail: jest.fn(),
+  getUserById: jest.fn(),
+}));
+
+const { isRedisConnected } = require('../../config/redis');
+const User = require('../../models/User');
+const { logAudit, logAuditThrottled } = require('../../services/auditLog');
+const authRoutes = require('../auth');
+const errorHandler = require('../../middleware/errorHandler');
+
+const createTestApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/admin/auth', authRoutes);
+  app.use(errorHandler);
+  return app;
+};
+
+const user = {
+  id: 'user_1',
+  email: 'admin@example.com',
+  passwordHash: bcrypt.hashSync('correct-password', 4),
+  role: 'admin',
+};
+
+const login = (app, password) => request(app)
+  .post('/admin/auth/login')
+  .send({ email: 'admin@example.com', password });
+
+describe('Authentication Routes', () => {
+  let app;
+  const originalEnv = { ...process.env };
+
+  beforeAll(() => {
+    app = createTestApp();
+  });
+
+  beforeEach(() => {
+    mockStore.clear();
+    jest.clearAllMocks();
+    isRedisConnected.mockReturnValue(true);
+    User.getUserByEmail.mockImplementation(async (email) => (email === user.email ? user : null));
+    User.getUserById.mockImplementation(async (id) => (id === user.id ? user : null));
+    process.env.LOGIN_MAX_FAILED_ATTEMPTS = '3';
+    process.env.LOGIN_LOCKOUT_DURATION = '900';
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  describe('POST /admin/auth/login', () => {
+    test('should log in a Redis-backed user', async () => {
+      const response = await login(app, 'correct-password');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.user).toEqual({ id: 'user_1', email: 'admin@example.com', role: 'admin' });
+      expect(User.getUserByEmail).toHaveBeenCalledWith('admin@example.com');
+      expect(JSON.parse(mockStore.get(`refresh:${response.body.data.refreshToken}`).value).userId).toBe('user_1');
+    });
+
+    test('should reject unknown emails and wrong passwords alike', async () => {
+      const unknown = await request(app)
+        .post('/admin/auth/login')
+        .send({ email: 'nobody@example.com', password: 'whatever' });
+      const wrong = await login(app, 'wrong-password');
+
+      expect(unknown.status).toBe(401);
+      expect(wrong.status).toBe(401);
+      expect(wrong.body.error.message).toBe(unknown.body.error.message);
+    });
+
+    test('should audit successful and failed logins', async () => {
+      await request(app)
+        .post('/admin/auth/login')
+        .send({ email: 'nobody@example.com', password: 'whatever' });
+      await login(app, 'wrong-password');
+      await login(app, 'correct-password');
+
+      expect(logAuditThrottled.mock.calls).toEqual([
+        [
+          expect.stringMatching(/^auth\.login:unknown:/),
+          900,
+          'auth.login',
+          { id: null, email: 'nobody@example.com', ip: expect.any(String) },
+          { type: 'user', id: null },
+          {},
+          'failure',
+          'Unknown email',
+        ],
+      ]);
+      expect(logAudit.mock.calls).toEqual([
+        [
+          'auth.login',
+          { id: 'user_1', email: 'admin@example.com', ip: expect.any(String) },
+          { type: 'user', id: 'user_1' },
+          { attempts: 1, lockedFor: 0 },
+          'failure',
+          'Incorrect password',
+        ],
+        [
+          'auth.login',
+          { id: 'user_1', email: 'admin@example.com', ip: expect.any(String) },
+          { type: 'user', id: 'user_1' },
+          {},
+          'success',
+          undefined,
+        ],
+      ]);
+    });
+
+    test('should lock the account after repeated wrong passwords', async () => {
+      const statuses = [];
+      for (let i = 0; i < 3; i++) {
+        statuses.push((await login(app, 'wrong-password')).status);
+      }
+      const locked = await login(app, 'correct-password');
+
+      expect(statuses).toEqual([401, 401, 423]);
+      expect(locked.status).toBe(423);
+      expect(locked.body.error.code).toBe('ACCOUNT_LOCKED');
+      expect(locked.headers['retry-after']).toBe('900');
+    });
+
+    test('should reset the failure count after a successful login', async () => {
+      await login(app, 'wrong-password');
+      await login(app, 'wrong-password');
+      await login(app, 'correct-password');
+      const response = await login(app, 'wrong-password');
+
+      expect(response.status).toBe(401);
+    });
+
+    test('should return 503 when Redis is unavailable', async () => {
+      isRedisConnected.mockReturnValue(false);
+
+      const response = await login(app, 'correct-password');
+
+      expect(response.status).toBe(503);
+    });
+  });
+
+  describe('POST /admin/auth/refresh', () => {
+    test('should rotate a refresh token for its user', async () => {
+      const { body } = await login(app, 'correct-password');
+
+      const response = await request(app)
+        .post('/admin/auth/refresh')
+        .send({ refreshToken: body.data.refreshToken });
+      const reused = await request(app)
+        .post('/admin/auth/refresh')
+        .send({ refreshToken: body.data.refreshToken });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.accessToken).toBe('access-user_1');
+      expect(User.getUserById).toHaveBeenCalledWith('user_1');
+      expect(reused.status).toBe(401);
+    });
+
+    test('should rotate a token only once when refreshed concurrently', async () => {
+      const { body } = await login(app, 'correct-password');
+
+      const responses = await Promise.all([1, 2].map(() => request(app)
+        .post('/admin/auth/refresh')
+        .send({ refreshToken: body.data.refreshToken })));
+
+      expect(responses.map(response => response.status).sort()).toEqual([200, 401]);
+    });
+
+    test('should reject tokens of deleted users', async () => {
+      const { body } = await login(app, 'correct-password');
+      User.getUserById.mockResolvedValue(null);
+
+      const response = await request(app)
+        .post('/admin/auth/refresh')
+        .send({ refreshToken: body.data.refreshToken });
+
+      expect(response.status).toBe(401);
+    });
+
+    test('should reject and delete tokens stored before the user\'s tokens were revoked', async () => {
+      const { body } = await login(app, 'correct-password');
+      const validFrom = Math.ceil(Date.now() / 1000) + 1;
+      await mockClient.set('token:valid_from:user_1', String(validFrom), 'EX', 604800);
+
+      const response = await request(app)
+        .post('/admin/auth/refresh')
+        .send({ refreshToken: body.data.refreshToken });
+
+      expect(response.status).toBe(401);
+      expect(mockStore.has(`refresh:${body.data.refreshToken}`)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * Events Routes Tests
+ *
+ * Tests for GET /admin/events with a mocked events service
+ */
+
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../../middleware/auth', () => ({
+  authenticate: (req, res, next) => {
+    const role = req.headers['x-test-role'];
+    if (!role) {
+      const { createError } = require('../../middleware/errorHandler');
+      return next(createError('UNAUTHORIZED'));
+    }
+    req.user = { id: 'admin-001', email: 'admin@example.com', role };
+    next();
+  },
+}));
+
+jest.mock('../../services/events', () => ({
+  ...jest.requireActual('../../services/events'),
+  subscribe: jest.fn(),
+}));
+
+const events = require('../../services/events');
+const eventRoutes = require('../events');
+const errorHandler = require('../../middleware/errorHandler');
+
+const createTestApp = () => {
+  const app = express();
+  app.use('/admin/events', eventRoutes);
+  app.use(errorHandler);
+  return app;
+};
+
+const deny = { type: 'deny', limiter: 'search', status: 'limited', ip: '203.0.113.7' };
+const allow = { type: 'allow', limiter: 'api', status: 'allowed', ip: '198.51.100.1' };
+
+/**
+ * Deliver events to the stream once it is open, then end it
+ */
+const streamEvents = (...published) => {
+  events.subscribe.mockImplementation(async (onEvent, onClose) => {
+    setImmediate(() => {
+      published.forEach(onEvent);
+      onClose();
+    });
+    return jest.fn();
+  });
+};
+
+describe('Events Routes', () => {
+  let app;
+
+  beforeAll(() => {
+    app = createTestApp();
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should require authentication', async () => {
+    const response = await request(app).get('/admin/events');
+
+    expect(response.status).toBe(401);
+    expect(events.subscribe).not.toHaveBeenCalled();
+  });
+
+  test('should stream events as server-sent events', async () => {
+    streamEvents(deny, allow);
+
+    const response = await request(app).get('/admin/events').set('x-test-role', 'viewer');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toMatch(/^text\/event-stream/);
+    expect(response.text).toContain(`data: ${JSON.stringify(deny)}\n\n`);
+    expect(response.text).toContain(`data: ${JSON.stringify(allow)}\n\n`);
+  });
+
+  test('should only send events matching the filters', async () => {
+    streamEvents(deny, allow);
+
+    const response = await request(app)
+      .get('/admin/events?status=limited&ip=203.0.113.7')
+      .set('x-test-role', 'viewer');
+
+    expect(response.text).toContain(JSON.stringify(deny));
+    expect(response.text).not.toContain(JSON.stringify(allow));
+  });
+
+  test('should validate filters', async () => {
+    const response = await request(app).get('/admin/events?status=denied').set('x-test-role', 'viewer');
+
+    expect(response.status).toBe(400);
+    expect(events.subscribe).not.toHaveBeenCalled();
+  });
+
+  test('should return 503 when Redis is unavailable', async () => {
+    events.subscribe.mockRejectedValue(new Error('Redis connection required to stream events'));
+
+    const response = await request(app).get('/admin/events').set('x-test-role', 'viewer');
+
+    expect(response.status).toBe(503);
+  });
+});
@@ -0,0 +1,206 @@
+/**
+ * IP Management Routes Tests
+ *
+ * Tests for /admin/ip blocklist and allowlist endpoints with a mocked IP service
+ */
+
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../../middleware/auth', () => ({
+  authenticate: (req, res, next) => {
+    const role = req.headers['x-test-role'];
+    if (!role) {
+      const { createError } = require('../../middleware/errorHandler');
+      return next(createError('UNAUTHORIZED'));
+    }
+    req.user = { id: 'admin-001', email: 'admin@example.com', role };
+    next();
+  },
+}));
+
+jest.mock('../../services/ipService', () => ({
+  blockIp: jest.fn(),
+  unblockIp: jest.fn(),
+  whitelistIp: jest.fn(),
+  removeFromWhitelist: jest.fn(),
+  getBlockedIps: jest.fn(),
+  getWhitelistedIps: jest.fn(),
+  checkIp: jest.fn(),
+}));
+
+const ipService = require('../../services/ipService');
+const ipRoutes = require('../ip');
+const errorHandler = require('../../middleware/errorHandler');
+
+const createTestApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/admin/ip', ipRoutes);
+  app.use(errorHandler);
+  return app;
+};
+
+const blockedEntity = {
+  id: 'block_1',
+  type: 'ip',
+  value: '203.0.113.9',
+  reason: 'Credential stuffing',
+  expiresAt: null,
+  createdAt: '2026-01-01T00:00:00.000Z',
+  createdBy: 'admin@example.com',
+};
+
+describe('IP Management Routes', () => {
+  let app;
+
+  beforeAll(() => {
+    app = createTestApp();
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('GET /admin/ip/blocked', () => {
+    test('should require authentication', async () => {
+      const response = await request(app).get('/admin/ip/blocked');
+      expect(response.status).toBe(401);
+    });
+
+    test('should list blocked IPs for viewers', async () => {
+      ipService.getBlockedIps.mockResolvedValue([blockedEntity]);
+
+      const response = await request(app)
+        .get('/admin/ip/blocked')
+        .set('x-test-role', 'viewer');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.blocked).toEqual([blockedEntity]);
+      expect(response.body.data.total).toBe(1);
+    });
+  });
+
+  describe('POST /admin/ip/block', () => {
+    test('should block an IP', async () => {
+      ipService.blockIp.mockResolvedValue(blockedEntity);
+
+      const response = await request(app)
+        .post('/admin/ip/block')
+        .set('x-test-role', 'admin')
+        .send({ ip: '203.0.113.9', reason: 'Credential stuffing' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.id).toBe('block_1');
+      expect(ipService.blockIp).toHaveBeenCalledWith(
+        '203.0.113.9',
+        { reason: 'Credential stuffing', expiresAt: undefined },
+        expect.objectContaining({ id: 'admin-001', ip: expect.any(String) })
+      );
+    });
+
+    test('should block a CIDR range', async () => {
+      ipService.blockIp.mockResolvedValue({ ...blockedEntity, value: '203.0.113.0/24' });
+
+      const response = await request(app)
+        .post('/admin/ip/block')
+        .set('x-test-role', 'admin')
+        .send({ ip: '203.0.113.0/24', reason: 'Abusive subnet' });
+
+      expect(response.status).toBe(201);
+      expect(ipService.blockIp).toHaveBeenCalledWith('203.0.113.0/24', expect.any(Object), expect.any(Object));
+    });
+
+    test('should forbid viewers from blocking', async () => {
+      const response = await request(app)
+        .post('/admin/ip/block')
+        .set('x-test-role', 'viewer')
+        .send({ ip: '203.0.113.9' });
+
+      expect(response.status).toBe(403);
+      expect(ipService.blockIp).not.toHaveBeenCalled();
+    });
+
+    test('should reject invalid IPs and past expiry dates', async () => {
+      const invalidIp = await request(app)
+        .post('/admin/ip/block')
+        .set('x-test-role', 'admin')
+        .send({ ip: '999.1.1.1' });
+
+      const pastExpiry = await request(app)
+        .post('/admin/ip/block')
+        .set('x-test-role', 'admin')
+        .send({ ip: '203.0.113.9', expiresAt: '2000-01-01T00:00:00Z' });
+
+      expect(invalidIp.status).toBe(400);
+      expect(pastExpiry.status).toBe(400);
+      expect(ipService.blockIp).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('DELETE /admin/ip/block/:ip', () => {
+    test('should unblock an IP', async () => {
+      ipService.unblockIp.mockResolvedValue();
+
+      const response = await request(app)
+        .delete('/admin/ip/block/203.0.113.9')
+        .set('x-test-role', 'admin');
+
+      expect(response.status).toBe(200);
+      expect(ipService.unblockIp).toHaveBeenCalledWith('203.0.113.9', expect.any(Object));
+    });
+
+    test('should unblock a URL-encoded CIDR range', async () => {
+      ipService.unblockIp.mockResolvedValue();
+
+      const response = await request(app)
+        .delete('/admin/ip/block/2001:db8:abcd::%2F48')
+        .set('x-test-role', 'admin');
+
+      expect(response.status).toBe(200);
+      expect(ipService.unblockIp).toHaveBeenCalledWith('2001:db8:abcd::/48', expect.any(Object));
+    });
+
+    test('should return 404 when the IP is not blocked', async () => {
+      ipService.unblockIp.mockRejectedValue(new Error('IP is not blocked'));
+
+      const response = await request(app)
+        .delete('/admin/ip/block/203.0.113.10')
+        .set('x-test-role', 'admin');
+
+      expect(response.status).toBe(404);
+      expect(response.body.error.code).toBe('NOT_FOUND');
+    });
+  });
+
+  describe('Whitelist', () => {
+    test('should list, add and remove whitelisted IPs', async () => {
+      ipService.getWhitelistedIps.mockResolvedValue([]);
+      ipService.whitelistIp.mockResolvedValue({ ...blockedEntity, id: 'allow_1' });
+      ipService.removeFromWhitelist.mockResolvedValue();
+
+      const list = await request(app).get('/admin/ip/whitelist').set('x-test-role', 'admin');
+      const add = await request(app)
+        .post('/admin/ip/whitelist')
+        .set('x-test-role', 'admin')
+        .send({ ip: '2001:db8::1', reason: 'Monitoring' });
+      const remove = await request(app).delete('/admin/ip/whitelist/2001:db8::1').set('x-test-role', 'admin');
+
+      expect(list.status).toBe(200);
+      expect(list.body.data.whitelist).toEqual([]);
+      expect(add.status).toBe(201);
+      expect(ipService.whitelistIp).toHaveBeenCalledWith('2001:db8::1', expect.any(Object), expect.any(Object));
+      expect(remove.status).toBe(200);
+    });
+
+    test('should return 404 when removing an IP that is not whitelisted', async () => {
+      ipService.removeFromWhitelist.mockRejectedValue(new Error('IP is not whitelisted'));
+
+      const response = await request(app)
+        .delete('/admin/ip/whitelist/203.0.113.11')
+        .set('x-test-role', 'admin');
+
+      expect(response.status).toBe(404);
+    });
+  });
+});
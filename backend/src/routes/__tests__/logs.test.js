@@ -0,0 +1,134 @@
+/**
+ * Audit Log Routes Tests
+ *
+ * Tests for GET /admin/logs with a mocked audit log service
+ */
+
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../../middleware/auth', () => ({
+  authenticate: (req, res, next) => {
+    const role = req.headers['x-test-role'];
+    if (!role) {
+      const { createError } = require('../../middleware/errorHandler');
+      return next(createError('UNAUTHORIZED'));
+    }
+    req.user = { id: 'admin-001', email: 'admin@example.com', role };
+    next();
+  },
+}));
+
+jest.mock('../../services/auditLog', () => ({
+  ...jest.requireActual('../../services/auditLog'),
+  queryAuditLog: jest.fn(),
+  exportAuditLog: jest.fn(),
+}));
+
+const auditLog = require('../../services/auditLog');
+const logRoutes = require('../logs');
+const errorHandler = require('../../middleware/errorHandler');
+
+const createTestApp = () => {
+  const app = express();
+  app.use('/admin/logs', logRoutes);
+  app.use(errorHandler);
+  return app;
+};
+
+const entry = {
+  id: 'audit_1',
+  timestamp: '2026-03-01T12:00:00.000Z',
+  actor: { id: 'admin-001', email: 'admin@example.com', ip: '203.0.113.7' },
+  action: 'ip.block',
+  resource: { type: 'ip', id: '203.0.113.9' },
+  details: { reason: 'Abuse' },
+  result: 'success',
+};
+
+describe('Audit Log Routes', () => {
+  let app;
+
+  beforeAll(() => {
+    app = createTestApp();
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    auditLog.queryAuditLog.mockResolvedValue({
+      entries: [entry],
+      pagination: { page: 2, limit: 10, total: 11, totalPages: 2 },
+    });
+    auditLog.exportAuditLog.mockResolvedValue([entry]);
+  });
+
+  test('should require the system.logs permission', async () => {
+    const anonymous = await request(app).get('/admin/logs');
+    const viewer = await request(app).get('/admin/logs').set('x-test-role', 'viewer');
+
+    expect(anonymous.status).toBe(401);
+    expect(viewer.status).toBe(403);
+    expect(auditLog.queryAuditLog).not.toHaveBeenCalled();
+  });
+
+  test('should return a page of filtered entries', async () => {
+    const response = await request(app)
+      .get('/admin/logs?from=2026-03-01T00:00:00Z&actor=admin@example.com&action=ip&resource=ip:203.0.113.9&page=2&limit=10')
+      .set('x-test-role', 'admin');
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.entries).toEqual([entry]);
+    expect(response.body.data.pagination.total).toBe(11);
+    expect(auditLog.queryAuditLog).toHaveBeenCalledWith({
+      from: '2026-03-01T00:00:00Z',
+      to: undefined,
+      actor: 'admin@example.com',
+      action: 'ip',
+      resource: 'ip:203.0.113.9',
+      result: undefined,
+      page: 2,
+      limit: 10,
+    });
+  });
+
+  test('should validate queries', async () => {
+    const badDate = await request(app).get('/admin/logs?from=yesterday').set('x-test-role', 'admin');
+    const badLimit = await request(app).get('/admin/logs?limit=1000').set('x-test-role', 'admin');
+    const badExport = await request(app).get('/admin/logs?export=xml').set('x-test-role', 'admin');
+
+    expect(badDate.status).toBe(400);
+    expect(badLimit.status).toBe(400);
+    expect(badExport.status).toBe(400);
+    expect(auditLog.queryAuditLog).not.toHaveBeenCalled();
+  });
+
+  test('should export matching entries as CSV', async () => {
+    const response = await request(app).get('/admin/logs?export=csv&result=success').set('x-test-role', 'admin');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toMatch(/^text\/csv/);
+    expect(response.headers['content-disposition']).toMatch(/^attachment; filename="audit-log-\d{4}-\d{2}-\d{2}\.csv"$/);
+    expect(response.text.split('\r\n')).toHaveLength(2);
+    expect(response.text).toContain('"ip.block"');
+    expect(auditLog.exportAuditLog).toHaveBeenCalledWith(expect.objectContaining({ result: 'success' }));
+  });
+
+  test('should export matching entries as JSON', async () => {
+    const response = await request(app).get('/admin/logs?export=json').set('x-test-role', 'admin');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-disposition']).toMatch(/\.json"$/);
+    expect(response.body).toEqual([entry]);
+  });
+
+  test('should map service errors', async () => {
+    auditLog.queryAuditLog.mockRejectedValueOnce(new Error('Invalid time range: from must be before to'));
+    const badRange = await request(app).get('/admin/logs').set('x-test-role', 'admin');
+
+    auditLog.queryAuditLog.mockRejectedValueOnce(new Error('Redis connection required to read the audit log'));
+    const unavailable = await request(app).get('/admin/logs').set('x-test-role', 'admin');
+
+    expect(badRange.status).toBe(400);
+    expect(unavailable.status).toBe(503);
+  });
+});
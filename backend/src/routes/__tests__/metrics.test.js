@@ -0,0 +1,59 @@
+/**
+ * Metrics Routes Tests
+ *
+ * Tests the Prometheus scrape endpoint and its optional bearer token
+ */
+
+const request = require('supertest');
+const express = require('express');
+const metricsRoutes = require('../metrics');
+const errorHandler = require('../../middleware/errorHandler');
+
+const createTestApp = () => {
+  const app = express();
+  app.use('/metrics', metricsRoutes);
+  app.use(errorHandler);
+  return app;
+};
+
+describe('Metrics Routes', () => {
+  let app;
+  const originalToken = process.env.METRICS_TOKEN;
+
+  beforeAll(() => {
+    app = createTestApp();
+  });
+
+  afterEach(() => {
+    if (originalToken === undefined) {
+      delete process.env.METRICS_TOKEN;
+    } else {
+      process.env.METRICS_TOKEN = originalToken;
+    }
+  });
+
+  test('should serve metrics in Prometheus text format', async () => {
+    delete process.env.METRICS_TOKEN;
+
+    const response = await request(app).get('/metrics');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toMatch(/^text\/plain/);
+    expect(response.text).toContain('# TYPE ratelimit_requests_total counter');
+    expect(response.text).toContain('# TYPE ratelimit_check_duration_seconds histogram');
+    expect(response.text).toContain('# TYPE ratelimit_redis_roundtrip_seconds histogram');
+    expect(response.text).toContain('ratelimit_redis_connected 0');
+  });
+
+  test('should require the bearer token when one is configured', async () => {
+    process.env.METRICS_TOKEN = 'scrape-secret';
+
+    const missing = await request(app).get('/metrics');
+    const wrong = await request(app).get('/metrics').set('Authorization', 'Bearer nope');
+    const valid = await request(app).get('/metrics').set('Authorization', 'Bearer scrape-secret');
+
+    expect(missing.status).toBe(401);
+    expect(wrong.status).toBe(401);
+    expect(valid.status).toBe(200);
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * Plan Routes Tests
+ *
+ * Tests for /admin/plans endpoints with a mocked plan service
+ */
+
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../../middleware/auth', () => ({
+  authenticate: (req, res, next) => {
+    const role = req.headers['x-test-role'];
+    if (!role) {
+      const { createError } = require('../../middleware/errorHandler');
+      return next(createError('UNAUTHORIZED'));
+    }
+    req.user = { id: 'admin-001', email: 'admin@example.com', role };
+    next();
+  },
+}));
+
+jest.mock('../../services/planService', () => ({
+  ...jest.requireActual('../../services/planService'),
+  listPlans: jest.fn(),
+  getPlan: jest.fn(),
+  savePlan: jest.fn(),
+  deletePlan: jest.fn(),
+}));
+
+const planService = require('../../services/planService');
+const planRoutes = require('../plans');
+const errorHandler = require('../../middleware/errorHandler');
+
+const createTestApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/admin/plans', planRoutes);
+  app.use(errorHandler);
+  return app;
+};
+
+const proPlan = { name: 'pro', description: 'Paid tier', limits: { second: 20, minute: 600 }, builtIn: true };
+
+describe('Plan Routes', () => {
+  let app;
+
+  beforeAll(() => {
+    app = createTestApp();
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should list plans with the default plan', async () => {
+    planService.listPlans.mockResolvedValue([proPlan]);
+
+    const response = await request(app).get('/admin/plans').set('x-test-role', 'viewer');
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toEqual({ plans: [proPlan], total: 1, defaultPlan: 'free' });
+  });
+
+  test('should return 404 for unknown plans', async () => {
+    planService.getPlan.mockResolvedValue(null);
+
+    const response = await request(app).get('/admin/plans/missing').set('x-test-role', 'viewer');
+
+    expect(response.status).toBe(404);
+  });
+
+  test('should save a plan', async () => {
+    planService.savePlan.mockResolvedValue(proPlan);
+
+    const response = await request(app)
+      .put('/admin/plans/pro')
+      .set('x-test-role', 'admin')
+      .send({ description: 'Paid tier', limits: { second: 20, minute: 600, day: null } });
+
+    expect(response.status).toBe(200);
+    expect(planService.savePlan).toHaveBeenCalledWith(
+      'pro',
+      { description: 'Paid tier', limits: { second: 20, minute: 600, day: null } },
+      expect.objectContaining({ id: 'admin-001' })
+    );
+  });
+
+  test('should forbid viewers from editing plans', async () => {
+    const response = await request(app)
+      .put('/admin/plans/pro')
+      .set('x-test-role', 'viewer')
+      .send({ limits: { minute: 1 } });
+
+    expect(response.status).toBe(403);
+  });
+
+  test('should validate plan names and limits', async () => {
+    const cases = [
+      ['/admin/plans/Not%20Valid', { limits: { minute: 10 } }],
+      ['/admin/plans/pro', {}],
+      ['/admin/plans/pro', { limits: {} }],
+      ['/admin/plans/pro', { limits: { week: 10 } }],
+      ['/admin/plans/pro', { limits: { minute: 0 } }],
+    ];
+
+    for (const [path, body] of cases) {
+      const response = await request(app).put(path).set('x-test-role', 'admin').send(body);
+      expect(response.status).toBe(400);
+    }
+    expect(planService.savePlan).not.toHaveBeenCalled();
+  });
+
+  test('should reset built-in plans and delete custom ones', async () => {
+    planService.deletePlan.mockResolvedValueOnce(proPlan).mockResolvedValueOnce(null);
+
+    const reset = await request(app).delete('/admin/plans/pro').set('x-test-role', 'admin');
+    const deleted = await request(app).delete('/admin/plans/startup').set('x-test-role', 'admin');
+
+    expect(reset.body.message).toBe('Plan reset to defaults');
+    expect(deleted.body.message).toBe('Plan deleted successfully');
+  });
+
+  test('should refuse to delete the default plan', async () => {
+    planService.deletePlan.mockRejectedValue(new Error('Cannot delete the default plan'));
+
+    const response = await request(app).delete('/admin/plans/startup').set('x-test-role', 'admin');
+
+    expect(response.status).toBe(409);
+  });
+});
@@ -0,0 +1,315 @@
+/**
+ * Rule Management Routes Tests
+ *
+ * Tests for /admin/rules CRUD endpoints with a mocked rule service
+ */
+
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../../middleware/auth', () => ({
+  authenticate: (req, res, next) => {
+    const role = req.headers['x-test-role'];
+    if (!role) {
+      const { createError } = require('../../middleware/errorHandler');
+      return next(createError('UNAUTHORIZED'));
+    }
+    req.user = { id: 'admin-001', email: 'admin@example.com', role };
+    next();
+  },
+}));
+
+jest.mock('../../services/ruleService', () => ({
+  getAllRules: jest.fn(),
+  getRule: jest.fn(),
+  createRule: jest.fn(),
+  updateRule: jest.fn(),
+  deleteRule: jest.fn(),
+  enableRule: jest.fn(),
+  disableRule: jest.fn(),
+}));
+
+const ruleService = require('../../services/ruleService');
+const ruleRoutes = require('../rules');
+const errorHandler = require('../../middleware/errorHandler');
+
+const createTestApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/admin/rules', ruleRoutes);
+  app.use(errorHandler);
+  return app;
+};
+
+const existingRule = {
+  id: 'rule_1',
+  name: 'api-general-limit',
+  target: { type: 'endpoint', pattern: '/api/*' },
+  limit: { requests: 100, window: '1m' },
+  action: 'reject',
+  priority: 100,
+  enabled: true,
+};
+
+const validBody = {
+  name: 'search-limit',
+  target: { type: 'endpoint', pattern: '/api/search' },
+  limit: { requests: 30, window: '1m' },
+};
+
+describe('Rule Management Routes', () => {
+  let app;
+
+  beforeAll(() => {
+    app = createTestApp();
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    ruleService.getAllRules.mockResolvedValue([existingRule]);
+    ruleService.getRule.mockImplementation(async (id) => (id === 'rule_1' ? existingRule : null));
+  });
+
+  describe('Access control', () => {
+    test('should require authentication', async () => {
+      const response = await request(app).get('/admin/rules');
+      expect(response.status).toBe(401);
+    });
+
+    test('should forbid viewers from creating rules', async () => {
+      const response = await request(app)
+        .post('/admin/rules')
+        .set('x-test-role', 'viewer')
+        .send(validBody);
+
+      expect(response.status).toBe(403);
+      expect(ruleService.createRule).not.toHaveBeenCalled();
+    });
+
+    test('should allow viewers to list rules', async () => {
+      const response = await request(app)
+        .get('/admin/rules')
+        .set('x-test-role', 'viewer');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.rules).toHaveLength(1);
+    });
+  });
+
+  describe('GET /admin/rules', () => {
+    test('should filter by enabled flag', async () => {
+      const response = await request(app)
+        .get('/admin/rules?enabled=false')
+        .set('x-test-role', 'admin');
+
+      expect(response.body.data.rules).toHaveLength(0);
+      expect(response.body.data.total).toBe(0);
+    });
+  });
+
+  describe('POST /admin/rules', () => {
+    test('should create a rule and return conflict warnings', async () => {
+      ruleService.createRule.mockResolvedValue({ id: 'rule_2', ...validBody });
+
+      const response = await request(app)
+        .post('/admin/rules')
+        .set('x-test-role', 'admin')
+        .send(validBody);
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.id).toBe('rule_2');
+      expect(response.body.warnings).toEqual([
+        expect.objectContaining({ ruleId: 'rule_1', type: 'wildcard_overlap' }),
+      ]);
+      expect(ruleService.createRule).toHaveBeenCalledWith(
+        expect.objectContaining({ name: 'search-limit' }),
+        expect.objectContaining({ id: 'admin-001' })
+      );
+    });
+
+    test('should reject invalid rules', async () => {
+      const response = await request(app)
+        .post('/admin/rules')
+        .set('x-test-role', 'admin')
+        .send({ ...validBody, limit: { requests: 0, window: '1w' } });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+    });
+
+    test('should accept a valid cost expression', async () => {
+      ruleService.createRule.mockResolvedValue({ id: 'rule_2', ...validBody });
+
+      const response = await request(app)
+        .post('/admin/rules')
+        .set('x-test-role', 'admin')
+        .send({ ...validBody, limit: { ...validBody.limit, cost: 'ceil(query.limit / 100)' } });
+
+      expect(response.status).toBe(201);
+    });
+
+    test('should reject an invalid cost expression', async () => {
+      const response = await request(app)
+        .post('/admin/rules')
+        .set('x-test-role', 'admin')
+        .send({ ...validBody, limit: { ...validBody.limit, cost: 'process.exit(1)' } });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+    });
+
+    test('should validate CIDR patterns on IP rules', async () => {
+      ruleService.createRule.mockResolvedValue({ id: 'rule_3', ...validBody });
+
+      const valid = await request(app)
+        .post('/admin/rules')
+        .set('x-test-role', 'admin')
+        .send({ ...validBody, target: { type: 'ip', pattern: '10.0.0.0/8' } });
+
+      const invalid = await request(app)
+        .post('/admin/rules')
+        .set('x-test-role', 'admin')
+        .send({ ...validBody, target: { type: 'ip', pattern: '10.0.0.0/33' } });
+
+      expect(valid.status).toBe(201);
+      expect(invalid.status).toBe(400);
+      expect(invalid.body.error.code).toBe('VALIDATION_ERROR');
+    });
+
+    test('should accept monthly quota windows with a billing cycle start', async () => {
+      ruleService.createRule.mockResolvedValue({ id: 'rule_4', ...validBody });
+
+      const response = await request(app)
+        .post('/admin/rules')
+        .set('x-test-role', 'admin')
+        .send({ ...validBody, limit: { requests: 100000, window: '1mo', periodStart: '2026-01-15T00:00:00Z' } });
+
+      expect(response.status).toBe(201);
+    });
+
+    test('should reject long windows on short-window algorithms', async () => {
+      const tooLong = await request(app)
+        .post('/admin/rules')
+        .set('x-test-role', 'admin')
+        .send({ ...validBody, limit: { requests: 100000, window: '13mo' } });
+
+      const wrongAlgorithm = await request(app)
+        .post('/admin/rules')
+        .set('x-test-role', 'admin')
+        .send({ ...validBody, limit: { requests: 100000, window: '1mo', algorithm: 'token-bucket' } });
+
+      const shortPeriod = await request(app)
+        .post('/admin/rules')
+        .set('x-test-role', 'admin')
+        .send({ ...validBody, limit: { ...validBody.limit, periodStart: '2026-01-15T00:00:00Z' } });
+
+      expect(tooLong.status).toBe(400);
+      expect(wrongAlgorithm.status).toBe(400);
+      expect(shortPeriod.status).toBe(400);
+    });
+
+    test('should return 409 for duplicate names', async () => {
+      ruleService.createRule.mockRejectedValue(new Error('Rule with name \'search-limit\' already exists'));
+
+      const response = await request(app)
+        .post('/admin/rules')
+        .set('x-test-role', 'admin')
+        .send(validBody);
+
+      expect(response.status).toBe(409);
+      expect(response.body.error.code).toBe('CONFLICT');
+    });
+  });
+
+  describe('GET /admin/rules/:id', () => {
+    test('should return a rule', async () => {
+      const response = await request(app)
+        .get('/admin/rules/rule_1')
+        .set('x-test-role', 'viewer');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.name).toBe('api-general-limit');
+    });
+
+    test('should return 404 for unknown rules', async () => {
+      const response = await request(app)
+        .get('/admin/rules/missing')
+        .set('x-test-role', 'viewer');
+
+      expect(response.status).toBe(404);
+      expect(response.body.error.code).toBe('RULE_NOT_FOUND');
+    });
+  });
+
+  describe('PUT/PATCH /admin/rules/:id', () => {
+    test('should not allow renaming through PUT', async () => {
+      const response = await request(app)
+        .put('/admin/rules/rule_1')
+        .set('x-test-role', 'admin')
+        .send(validBody);
+
+      expect(response.status).toBe(400);
+      expect(ruleService.updateRule).not.toHaveBeenCalled();
+    });
+
+    test('should apply partial updates through PATCH', async () => {
+      ruleService.updateRule.mockResolvedValue({ ...existingRule, priority: 500 });
+
+      const response = await request(app)
+        .patch('/admin/rules/rule_1')
+        .set('x-test-role', 'admin')
+        .send({ priority: 500 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.priority).toBe(500);
+      expect(ruleService.updateRule).toHaveBeenCalledWith(
+        'rule_1',
+        { priority: 500 },
+        expect.objectContaining({ id: 'admin-001' })
+      );
+    });
+
+    test('should return 404 when updating unknown rules', async () => {
+      const response = await request(app)
+        .patch('/admin/rules/missing')
+        .set('x-test-role', 'admin')
+        .send({ priority: 500 });
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('DELETE and enable/disable', () => {
+    test('should delete a rule', async () => {
+      ruleService.deleteRule.mockResolvedValue(true);
+
+      const response = await request(app)
+        .delete('/admin/rules/rule_1')
+        .set('x-test-role', 'admin');
+
+      expect(response.status).toBe(200);
+      expect(ruleService.deleteRule).toHaveBeenCalledWith('rule_1', expect.any(Object));
+    });
+
+    test('should map missing rules to 404 on delete', async () => {
+      ruleService.deleteRule.mockRejectedValue(new Error('Rule not found'));
+
+      const response = await request(app)
+        .delete('/admin/rules/missing')
+        .set('x-test-role', 'admin');
+
+      expect(response.status).toBe(404);
+    });
+
+    test('should disable a rule', async () => {
+      ruleService.disableRule.mockResolvedValue({ ...existingRule, enabled: false });
+
+      const response = await request(app)
+        .post('/admin/rules/rule_1/disable')
+        .set('x-test-role', 'admin');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.enabled).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,169 @@
+/**
+ * Usage Routes Tests
+ *
+ * Tests for GET /api/usage and the /admin/usage endpoints with a mocked usage service
+ */
+
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../../middleware/auth', () => ({
+  authenticate: (req, res, next) => {
+    const role = req.headers['x-test-role'];
+    if (!role) {
+      const { createError } = require('../../middleware/errorHandler');
+      return next(createError('UNAUTHORIZED'));
+    }
+    req.user = { id: 'admin-001', email: 'admin@example.com', role };
+    next();
+  },
+  optionalAuthenticate: (req, res, next) => {
+    if (req.headers['x-test-user']) {
+      req.user = { id: req.headers['x-test-user'], role: 'viewer' };
+    }
+    next();
+  },
+}));
+
+jest.mock('../../middleware/apiKeyAuth', () => ({
+  requireApiKey: () => (req, res, next) => next(),
+  optionalApiKey: () => (req, res, next) => {
+    if (req.headers['x-api-key']) {
+      req.apiKey = { id: 'key_1', scopes: [] };
+    }
+    next();
+  },
+}));
+
+jest.mock('../../services/planService', () => ({
+  ...jest.requireActual('../../services/planService'),
+  resolvePlan: jest.fn(async () => ({ name: 'pro', limits: { minute: 600, day: 50000 } })),
+}));
+
+jest.mock('../../services/usageService', () => ({
+  CLIENT_TYPES: ['ip', 'user', 'apikey'],
+  getUsage: jest.fn(),
+  resetUsage: jest.fn(),
+}));
+
+const usageService = require('../../services/usageService');
+const apiRoutes = require('../api');
+const usageRoutes = require('../usage');
+const errorHandler = require('../../middleware/errorHandler');
+
+const createTestApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api', apiRoutes);
+  app.use('/admin/usage', usageRoutes);
+  app.use(errorHandler);
+  return app;
+};
+
+const usage = {
+  type: 'apikey',
+  identifier: 'key_1',
+  plan: 'pro',
+  quotas: [{ source: 'plan', name: 'pro:month', window: 'month', limit: 1000000, used: 10, remaining: 999990 }],
+};
+
+describe('Usage Routes', () => {
+  let app;
+
+  beforeAll(() => {
+    app = createTestApp();
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    usageService.getUsage.mockResolvedValue(usage);
+  });
+
+  describe('GET /api/usage', () => {
+    test('should report usage for the presented API key', async () => {
+      const response = await request(app).get('/api/usage').set('x-api-key', 'rlk_test');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toEqual(usage);
+      expect(usageService.getUsage).toHaveBeenCalledWith({ type: 'apikey', identifier: 'key_1' });
+    });
+
+    test('should fall back to the authenticated user, then the client IP', async () => {
+      await request(app).get('/api/usage').set('x-test-user', 'user_7');
+      await request(app).get('/api/usage');
+
+      expect(usageService.getUsage).toHaveBeenNthCalledWith(1, { type: 'user', identifier: 'user_7' });
+      expect(usageService.getUsage).toHaveBeenNthCalledWith(2, { type: 'ip', identifier: expect.any(String) });
+    });
+
+    test('should apply the plan limits of the authenticated user', async () => {
+      const signedIn = await request(app).get('/api/usage').set('x-test-user', 'user_7');
+      const anonymous = await request(app).get('/api/usage');
+
+      expect(signedIn.headers['x-ratelimit-plan']).toBe('pro');
+      expect(anonymous.headers['x-ratelimit-plan']).toBeUndefined();
+    });
+
+    test('should return 503 when usage cannot be read', async () => {
+      usageService.getUsage.mockRejectedValue(new Error('Redis connection required to read usage'));
+
+      const response = await request(app).get('/api/usage');
+
+      expect(response.status).toBe(503);
+    });
+  });
+
+  describe('GET /admin/usage/:type/:identifier', () => {
+    test('should allow viewers to read any client\'s usage', async () => {
+      const response = await request(app).get('/admin/usage/apikey/key_1').set('x-test-role', 'viewer');
+
+      expect(response.status).toBe(200);
+      expect(usageService.getUsage).toHaveBeenCalledWith({ type: 'apikey', identifier: 'key_1' });
+    });
+
+    test('should normalize IP identifiers', async () => {
+      await request(app).get('/admin/usage/ip/::ffff:203.0.113.5').set('x-test-role', 'viewer');
+
+      expect(usageService.getUsage).toHaveBeenCalledWith({ type: 'ip', identifier: '203.0.113.5' });
+    });
+
+    test('should validate the client type and identifier', async () => {
+      const badType = await request(app).get('/admin/usage/tenant/t1').set('x-test-role', 'viewer');
+      const badIp = await request(app).get('/admin/usage/ip/not-an-ip').set('x-test-role', 'viewer');
+
+      expect(badType.status).toBe(400);
+      expect(badIp.status).toBe(400);
+      expect(usageService.getUsage).not.toHaveBeenCalled();
+    });
+
+    test('should return 404 for unknown API keys', async () => {
+      usageService.getUsage.mockRejectedValue(new Error('API key not found'));
+
+      const response = await request(app).get('/admin/usage/apikey/key_404').set('x-test-role', 'viewer');
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('DELETE /admin/usage/:type/:identifier', () => {
+    test('should forbid viewers from resetting usage', async () => {
+      const response = await request(app).delete('/admin/usage/user/user_7').set('x-test-role', 'viewer');
+
+      expect(response.status).toBe(403);
+      expect(usageService.resetUsage).not.toHaveBeenCalled();
+    });
+
+    test('should reset usage as the acting admin', async () => {
+      usageService.resetUsage.mockResolvedValue({ reset: ['pro:month'] });
+
+      const response = await request(app).delete('/admin/usage/user/user_7').set('x-test-role', 'admin');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toEqual({ reset: ['pro:month'] });
+      expect(usageService.resetUsage).toHaveBeenCalledWith(
+        { type: 'user', identifier: 'user_7' },
+        expect.objectContaining({ id: 'admin-001' })
+      );
+    });
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * User Block Enforcement Tests
+ *
+ * Blocks a user through /admin/users/:userId/block and checks that their
+ * signed access tokens are rejected by the real authentication middleware.
+ * Users and the blocklist are kept in memory; tokens are signed with a
+ * throwaway key pair.
+ */
+
+const crypto = require('crypto');
+const request = require('supertest');
+const express = require('express');
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', {
+  modulusLength: 2048,
+  privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+  publicKeyEncoding: { type: 'spki', format: 'pem' },
+});
+process.env.JWT_PRIVATE_KEY = privateKey;
+process.env.JWT_PUBLIC_KEY = publicKey;
+
+jest.mock('../../config/redis', () => ({
+  getRedisClient: () => ({ get: async () => null }),
+  isRedisConnected: () => true,
+  getFailureMode: () => 'open',
+}));
+
+jest.mock('../../services/auditLog', () => ({
+  logAudit: jest.fn(),
+}));
+
+const mockUsers = {
+  admin_1: { id: 'admin_1', email: 'admin@example.com', role: 'admin' },
+  user_2: { id: 'user_2', email: 'viewer@example.com', role: 'viewer' },
+};
+
+jest.mock('../../models/User', () => ({
+  getUserById: jest.fn(async (id) => mockUsers[id] || null),
+}));
+
+const mockBlocked = new Map();
+
+jest.mock('../../models/BlockedEntity', () => ({
+  addEntity: jest.fn(async (list, data) => {
+    const entity = { id: 'block_1', ...data, expiresAt: data.expiresAt || null };
+    mockBlocked.set(`${data.type}:${data.value}`, entity);
+    return entity;
+  }),
+  checkEntity: jest.fn(async (type, value) => ({
+    blocked: mockBlocked.get(`${type}:${value}`) || null,
+    whitelisted: null,
+  })),
+}));
+
+const { generateAccessToken } = require('../../services/jwt');
+const userRoutes = require('../users');
+const errorHandler = require('../../middleware/errorHandler');
+
+const createTestApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/admin/users', userRoutes);
+  app.use(errorHandler);
+  return app;
+};
+
+describe('User Block Enforcement', () => {
+  const app = createTestApp();
+  const adminToken = generateAccessToken(mockUsers.admin_1);
+  const userToken = generateAccessToken(mockUsers.user_2);
+
+  beforeEach(() => {
+    mockBlocked.clear();
+  });
+
+  test('should reject a valid token once its user is blocked', async () => {
+    const before = await request(app)
+      .get('/admin/users/user_2')
+      .set('Authorization', `Bearer ${userToken}`);
+    expect(before.status).toBe(200);
+
+    const block = await request(app)
+      .post('/admin/users/user_2/block')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ reason: 'Scraping', expiresAt: '2099-01-01T00:00:00.000Z' });
+    expect(block.status).toBe(201);
+
+    const after = await request(app)
+      .get('/admin/users/user_2')
+      .set('Authorization', `Bearer ${userToken}`);
+    expect(after.status).toBe(403);
+    expect(after.body.error.code).toBe('USER_BLOCKED');
+    expect(after.body.error.details).toEqual({ expiresAt: '2099-01-01T00:00:00.000Z' });
+  });
+
+  test('should keep accepting tokens of other users', async () => {
+    await request(app)
+      .post('/admin/users/user_2/block')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ reason: 'Scraping' });
+
+    const response = await request(app)
+      .get('/admin/users/admin_1')
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(response.status).toBe(200);
+  });
+});
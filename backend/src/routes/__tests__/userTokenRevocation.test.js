@@ -0,0 +1,149 @@
+/**
+ * User Token Revocation Tests
+ *
+ * Changes a user through /admin/users and checks that the access tokens
+ * issued to them before the change are rejected by the real authentication
+ * middleware. Users and Redis are kept in memory; tokens are signed with a
+ * throwaway key pair.
+ */
+
+const crypto = require('crypto');
+const request = require('supertest');
+const express = require('express');
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', {
+  modulusLength: 2048,
+  privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+  publicKeyEncoding: { type: 'spki', format: 'pem' },
+});
+process.env.JWT_PRIVATE_KEY = privateKey;
+process.env.JWT_PUBLIC_KEY = publicKey;
+
+const mockStore = new Map();
+
+jest.mock('../../config/redis', () => ({
+  getRedisClient: () => ({
+    get: async key => mockStore.get(key) || null,
+    set: async (key, value) => {
+      mockStore.set(key, value);
+      return 'OK';
+    },
+    del: async (...keys) => keys.filter(key => mockStore.delete(key)).length,
+  }),
+  isRedisConnected: () => true,
+  getFailureMode: () => 'open',
+}));
+
+jest.mock('../../services/auditLog', () => ({
+  logAudit: jest.fn(),
+}));
+
+jest.mock('../../services/penaltyBox', () => ({
+  getBlock: async () => null,
+}));
+
+const mockUsers = new Map();
+
+jest.mock('../../models/User', () => ({
+  getUserById: jest.fn(async id => mockUsers.get(id) || null),
+  getAllUsers: jest.fn(async () => [...mockUsers.values()]),
+  updateUser: jest.fn(async (id, updates) => {
+    const user = { ...mockUsers.get(id), ...updates };
+    mockUsers.set(id, user);
+    return user;
+  }),
+  deleteUser: jest.fn(async id => mockUsers.delete(id)),
+}));
+
+const { generateAccessToken } = require('../../services/jwt');
+const userRoutes = require('../users');
+const errorHandler = require('../../middleware/errorHandler');
+
+const createTestApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/admin/users', userRoutes);
+  app.use(errorHandler);
+  return app;
+};
+
+const admin = { id: 'admin_1', email: 'admin@example.com', role: 'admin', createdAt: '2026-01-01T00:00:00.000Z' };
+const viewer = { id: 'user_2', email: 'viewer@example.com', role: 'viewer', createdAt: '2026-01-02T00:00:00.000Z' };
+
+describe('User Token Revocation', () => {
+  const app = createTestApp();
+  const adminToken = generateAccessToken(admin);
+
+  beforeEach(() => {
+    mockStore.clear();
+    mockUsers.clear();
+    mockUsers.set(admin.id, { ...admin });
+    mockUsers.set(viewer.id, { ...viewer });
+    jest.restoreAllMocks();
+  });
+
+  const getOwnAccount = token => request(app)
+    .get('/admin/users/user_2')
+    .set('Authorization', `Bearer ${token}`);
+
+  test('should reject tokens issued before a role change', async () => {
+    const token = generateAccessToken(viewer);
+    expect((await getOwnAccount(token)).status).toBe(200);
+
+    const update = await request(app)
+      .patch('/admin/users/user_2/role')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ role: 'admin' });
+    expect(update.status).toBe(200);
+
+    expect((await getOwnAccount(token)).status).toBe(401);
+  });
+
+  test('should accept tokens issued after the change', async () => {
+    await request(app)
+      .patch('/admin/users/user_2/role')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ role: 'admin' });
+
+    const later = Date.now() + 1000;
+    jest.spyOn(Date, 'now').mockReturnValue(later);
+    const token = generateAccessToken({ ...viewer, role: 'admin' });
+
+    expect((await getOwnAccount(token)).status).toBe(200);
+  });
+
+  test('should reject tokens issued before a password reset', async () => {
+    const token = generateAccessToken(viewer);
+
+    const reset = await request(app)
+      .put('/admin/users/user_2/password')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ password: 'a-new-password' });
+    expect(reset.status).toBe(200);
+
+    expect((await getOwnAccount(token)).status).toBe(401);
+  });
+
+  test('should reject tokens of deleted users', async () => {
+    const token = generateAccessToken(viewer);
+
+    const removal = await request(app)
+      .delete('/admin/users/user_2')
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(removal.status).toBe(200);
+
+    expect((await getOwnAccount(token)).status).toBe(401);
+  });
+
+  test('should keep accepting the tokens of other users', async () => {
+    await request(app)
+      .delete('/admin/users/user_2')
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    const response = await request(app)
+      .get('/admin/users/admin_1')
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(response.status).toBe(200);
+  });
+});
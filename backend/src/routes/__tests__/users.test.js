@@ -0,0 +1,316 @@
+/**
+ * User Management Routes Tests
+ *
+ * Tests for /admin/users endpoints with a mocked user service
+ */
+
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../../middleware/auth', () => ({
+  authenticate: (req, res, next) => {
+    const role = req.headers['x-test-role'];
+    if (!role) {
+      const { createError } = require('../../middleware/errorHandler');
+      return next(createError('UNAUTHORIZED'));
+    }
+    req.user = { id: req.headers['x-test-user'] || 'admin-001', email: 'admin@example.com', role };
+    next();
+  },
+}));
+
+jest.mock('../../services/userService', () => ({
+  listUsers: jest.fn(),
+  getUser: jest.fn(),
+  createUser: jest.fn(),
+  updateRole: jest.fn(),
+  updatePlan: jest.fn(),
+  resetPassword: jest.fn(),
+  deleteUser: jest.fn(),
+  blockUser: jest.fn(),
+  unblockUser: jest.fn(),
+}));
+
+const userService = require('../../services/userService');
+const userRoutes = require('../users');
+const errorHandler = require('../../middleware/errorHandler');
+
+const createTestApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/admin/users', userRoutes);
+  app.use(errorHandler);
+  return app;
+};
+
+const viewer = {
+  id: 'user_2',
+  email: 'viewer@example.com',
+  role: 'viewer',
+  createdAt: '2026-01-01T00:00:00.000Z',
+  updatedAt: '2026-01-01T00:00:00.000Z',
+};
+
+describe('User Management Routes', () => {
+  let app;
+
+  beforeAll(() => {
+    app = createTestApp();
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('Access control', () => {
+    test('should require authentication', async () => {
+      const response = await request(app).get('/admin/users');
+
+      expect(response.status).toBe(401);
+    });
+
+    test('should forbid viewers from listing users', async () => {
+      const response = await request(app).get('/admin/users').set('x-test-role', 'viewer');
+
+      expect(response.status).toBe(403);
+      expect(userService.listUsers).not.toHaveBeenCalled();
+    });
+
+    test('should let users read their own account only', async () => {
+      userService.getUser.mockResolvedValue(viewer);
+
+      const own = await request(app)
+        .get('/admin/users/user_2')
+        .set('x-test-role', 'viewer')
+        .set('x-test-user', 'user_2');
+      const other = await request(app)
+        .get('/admin/users/user_3')
+        .set('x-test-role', 'viewer')
+        .set('x-test-user', 'user_2');
+
+      expect(own.status).toBe(200);
+      expect(other.status).toBe(403);
+    });
+  });
+
+  describe('GET /admin/users', () => {
+    test('should list users', async () => {
+      userService.listUsers.mockResolvedValue([viewer]);
+
+      const response = await request(app).get('/admin/users').set('x-test-role', 'admin');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toEqual({ users: [viewer], total: 1 });
+    });
+  });
+
+  describe('POST /admin/users', () => {
+    test('should create a user', async () => {
+      userService.createUser.mockResolvedValue(viewer);
+
+      const response = await request(app)
+        .post('/admin/users')
+        .set('x-test-role', 'admin')
+        .send({ email: 'Viewer@Example.com', password: 'long-enough', role: 'viewer' });
+
+      expect(response.status).toBe(201);
+      expect(userService.createUser).toHaveBeenCalledWith(
+        { email: 'viewer@example.com', password: 'long-enough', role: 'viewer' },
+        expect.objectContaining({ id: 'admin-001', ip: expect.any(String) })
+      );
+    });
+
+    test('should reject short passwords and unknown roles', async () => {
+      const shortPassword = await request(app)
+        .post('/admin/users')
+        .set('x-test-role', 'admin')
+        .send({ email: 'new@example.com', password: 'short' });
+      const badRole = await request(app)
+        .post('/admin/users')
+        .set('x-test-role', 'admin')
+        .send({ email: 'new@example.com', password: 'long-enough', role: 'root' });
+
+      expect(shortPassword.status).toBe(400);
+      expect(badRole.status).toBe(400);
+      expect(userService.createUser).not.toHaveBeenCalled();
+    });
+
+    test('should return 409 for duplicate emails', async () => {
+      userService.createUser.mockRejectedValue(new Error('Email already exists'));
+
+      const response = await request(app)
+        .post('/admin/users')
+        .set('x-test-role', 'admin')
+        .send({ email: 'viewer@example.com', password: 'long-enough' });
+
+      expect(response.status).toBe(409);
+      expect(response.body.error.code).toBe('CONFLICT');
+    });
+  });
+
+  describe('PATCH /admin/users/:userId/role', () => {
+    test('should change a role', async () => {
+      userService.updateRole.mockResolvedValue({ ...viewer, role: 'admin' });
+
+      const response = await request(app)
+        .patch('/admin/users/user_2/role')
+        .set('x-test-role', 'admin')
+        .send({ role: 'admin' });
+
+      expect(response.status).toBe(200);
+      expect(userService.updateRole).toHaveBeenCalledWith('user_2', 'admin', expect.any(Object));
+    });
+
+    test('should refuse to demote the last admin', async () => {
+      userService.updateRole.mockRejectedValue(new Error('Cannot remove the last admin'));
+
+      const response = await request(app)
+        .patch('/admin/users/admin-001/role')
+        .set('x-test-role', 'admin')
+        .send({ role: 'viewer' });
+
+      expect(response.status).toBe(409);
+    });
+  });
+
+  describe('PUT /admin/users/:userId/plan', () => {
+    test('should assign a plan', async () => {
+      userService.updatePlan.mockResolvedValue({ ...viewer, plan: 'pro' });
+
+      const response = await request(app)
+        .put('/admin/users/user_2/plan')
+        .set('x-test-role', 'admin')
+        .send({ plan: 'pro' });
+
+      expect(response.status).toBe(200);
+      expect(userService.updatePlan).toHaveBeenCalledWith('user_2', 'pro', expect.any(Object));
+    });
+
+    test('should clear a plan with null', async () => {
+      userService.updatePlan.mockResolvedValue(viewer);
+
+      const response = await request(app)
+        .put('/admin/users/user_2/plan')
+        .set('x-test-role', 'admin')
+        .send({ plan: null });
+
+      expect(response.status).toBe(200);
+      expect(userService.updatePlan).toHaveBeenCalledWith('user_2', null, expect.any(Object));
+    });
+
+    test('should reject missing and unknown plans', async () => {
+      userService.updatePlan.mockRejectedValue(new Error('Plan not found'));
+
+      const missing = await request(app).put('/admin/users/user_2/plan').set('x-test-role', 'admin').send({});
+      const unknown = await request(app)
+        .put('/admin/users/user_2/plan')
+        .set('x-test-role', 'admin')
+        .send({ plan: 'platinum' });
+
+      expect(missing.status).toBe(400);
+      expect(unknown.status).toBe(400);
+    });
+  });
+
+  describe('PUT /admin/users/:userId/password', () => {
+    test('should let users change their own password', async () => {
+      userService.resetPassword.mockResolvedValue();
+
+      const response = await request(app)
+        .put('/admin/users/user_2/password')
+        .set('x-test-role', 'viewer')
+        .set('x-test-user', 'user_2')
+        .send({ password: 'new-password', currentPassword: 'old-password' });
+
+      expect(response.status).toBe(200);
+      expect(userService.resetPassword).toHaveBeenCalledWith(
+        'user_2',
+        { password: 'new-password', currentPassword: 'old-password' },
+        expect.objectContaining({ id: 'user_2' })
+      );
+    });
+
+    test('should reject a wrong current password', async () => {
+      userService.resetPassword.mockRejectedValue(new Error('Current password is incorrect'));
+
+      const response = await request(app)
+        .put('/admin/users/user_2/password')
+        .set('x-test-role', 'viewer')
+        .set('x-test-user', 'user_2')
+        .send({ password: 'new-password', currentPassword: 'wrong' });
+
+      expect(response.status).toBe(400);
+    });
+
+    test('should forbid changing another user\'s password without admin role', async () => {
+      const response = await request(app)
+        .put('/admin/users/user_3/password')
+        .set('x-test-role', 'viewer')
+        .set('x-test-user', 'user_2')
+        .send({ password: 'new-password' });
+
+      expect(response.status).toBe(403);
+      expect(userService.resetPassword).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /admin/users/:userId/block', () => {
+    test('should block a user', async () => {
+      userService.blockUser.mockResolvedValue({ id: 'block_1', type: 'user', value: 'user_2' });
+
+      const response = await request(app)
+        .post('/admin/users/user_2/block')
+        .set('x-test-role', 'admin')
+        .send({ reason: 'Scraping' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.value).toBe('user_2');
+      expect(userService.blockUser).toHaveBeenCalledWith('user_2', { reason: 'Scraping' }, expect.any(Object));
+    });
+
+    test('should reject past expiry dates', async () => {
+      const response = await request(app)
+        .post('/admin/users/user_2/block')
+        .set('x-test-role', 'admin')
+        .send({ expiresAt: '2020-01-01T00:00:00Z' });
+
+      expect(response.status).toBe(400);
+      expect(userService.blockUser).not.toHaveBeenCalled();
+    });
+
+    test('should not let viewers block users', async () => {
+      const response = await request(app).post('/admin/users/user_2/block').set('x-test-role', 'viewer');
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('DELETE /admin/users/:userId/block', () => {
+    test('should return 404 when the user is not blocked', async () => {
+      userService.unblockUser.mockRejectedValue(new Error('User is not blocked'));
+
+      const response = await request(app).delete('/admin/users/user_2/block').set('x-test-role', 'admin');
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('DELETE /admin/users/:userId', () => {
+    test('should delete a user', async () => {
+      userService.deleteUser.mockResolvedValue();
+
+      const response = await request(app).delete('/admin/users/user_2').set('x-test-role', 'admin');
+
+      expect(response.status).toBe(200);
+      expect(userService.deleteUser).toHaveBeenCalledWith('user_2', expect.any(Object));
+    });
+
+    test('should return 404 for unknown users', async () => {
+      userService.deleteUser.mockRejectedValue(new Error('User not found'));
+
+      const response = await request(app).delete('/admin/users/user_9').set('x-test-role', 'admin');
+
+      expect(response.status).toBe(404);
+    });
+  });
+});
@@ -7,11 +7,49 @@
 
 const express = require('express');
 const { rateLimiters } = require('../middleware/rateLimiter');
+const { optionalAuthenticate } = require('../middleware/auth');
+const ruleRoutes = require('./rules');
+const ipRoutes = require('./ip');
+const userRoutes = require('./users');
+const apiKeyRoutes = require('./apikeys');
+const planRoutes = require('./plans');
+const usageRoutes = require('./usage');
+const analyticsRoutes = require('./analytics');
+const eventRoutes = require('./events');
+const logRoutes = require('./logs');
 
 const router = express.Router();
 
-// Apply admin rate limiting
-router.use(rateLimiters.admin);
+// Apply admin rate limiting per authenticated user; the token is verified
+// first so the limiter is keyed on it (the sub-routers still require it)
+router.use(optionalAuthenticate, rateLimiters.admin);
+
+// Rule management (authentication handled by the rule router)
+router.use('/rules', ruleRoutes);
+
+// IP blocklist / allowlist (authentication handled by the IP router)
+router.use('/ip', ipRoutes);
+
+// User management (authentication handled by the user router)
+router.use('/users', userRoutes);
+
+// API key management (authentication handled by the API key router)
+router.use('/apikeys', apiKeyRoutes);
+
+// Rate limit plans (authentication handled by the plan router)
+router.use('/plans', planRoutes);
+
+// Quota usage (authentication handled by the usage router)
+router.use('/usage', usageRoutes);
+
+// Traffic and denial analytics (authentication handled by the analytics router)
+router.use('/metrics', analyticsRoutes);
+
+// Live event stream (authentication handled by the event router)
+router.use('/events', eventRoutes);
+
+// Audit log (authentication handled by the log router)
+router.use('/logs', logRoutes);
 
 /**
  * Placeholder for admin routes
@@ -29,60 +67,19 @@ router.get('/info', (req, res) => {
       message: 'Admin API - Authentication will be implemented in Week 2',
       version: '1.0.0',
       endpoints: {
-        auth: 'Coming soon - /admin/auth/*',
-        rules: 'Coming soon - /admin/rules/*',
-        ip: 'Coming soon - /admin/ip/*',
-        metrics: 'Coming soon - /admin/metrics',
+        auth: '/admin/auth/*',
+        rules: '/admin/rules/*',
+        ip: '/admin/ip/*',
+        users: '/admin/users/*',
+        apikeys: '/admin/apikeys/*',
+        plans: '/admin/plans/*',
+        usage: '/admin/usage/*',
+        metrics: '/admin/metrics',
+        events: '/admin/events',
+        logs: '/admin/logs',
       }
     }
   });
 });
 
-/**
- * Placeholder: List all rules
- * GET /admin/rules
- */
-router.get('/rules', (req, res) => {
-  // TODO: Implement in Week 2
-  res.json({
-    success: true,
-    data: {
-      rules: [],
-      message: 'Rule management coming in Week 2',
-    }
-  });
-});
-
-/**
- * Placeholder: Get blocked IPs
- * GET /admin/ip/blocked
- */
-router.get('/ip/blocked', (req, res) => {
-  // TODO: Implement in Week 2
-  res.json({
-    success: true,
-    data: {
-      blocked: [],
-      message: 'IP management coming in Week 2',
-    }
-  });
-});
-
-/**
- * Placeholder: Get metrics
- * GET /admin/metrics
- */
-router.get('/metrics', (req, res) => {
-  // TODO: Implement in Week 3
-  res.json({
-    success: true,
-    data: {
-      totalRequests: 0,
-      blockedRequests: 0,
-      activeRules: 0,
-      message: 'Metrics coming in Week 3',
-    }
-  });
-});
-
 module.exports = router;
@@ -0,0 +1,112 @@
+/**
+ * Analytics Routes
+ *
+ * Traffic and denial analytics (system.metrics permission).
+ * Mounted under /admin/metrics; all routes require authentication.
+ * Prometheus scrapes use GET /metrics instead.
+ */
+
+const express = require('express');
+const { authenticate } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/authorize');
+const { validate, createErrorTranslator } = require('../middleware/routeHelpers');
+const {
+  analyticsQueryValidationRules,
+  topOffendersValidationRules,
+} = require('../validators/analyticsValidator');
+const { parseWindow } = require('../models/RateLimitRule');
+const analytics = require('../services/analytics');
+
+const router = express.Router();
+
+router.use(authenticate);
+
+// Translate analytics service errors into API errors
+const toApiError = createErrorTranslator('Analytics storage', {
+  VALIDATION_ERROR: [/^Invalid time range/],
+});
+
+/**
+ * Build the admin API call that shuts out a top offender
+ * IPs and users get a reversible block; API keys can only be revoked, which
+ * is permanent, so their action is labelled 'revoke'. Endpoints cannot be
+ * blocked directly; limit them with a rule instead.
+ *
+ * @param {string} dimension - 'ip', 'user', 'apikey' or 'endpoint'
+ * @param {string} identifier - IP, user ID, API key ID or route
+ * @returns {Object|null} { action, method, href, body? } or null
+ */
+const getBlockAction = (dimension, identifier) => {
+  switch (dimension) {
+  case 'ip':
+    return { action: 'block', method: 'POST', href: '/admin/ip/block', body: { ip: identifier } };
+  case 'user':
+    return { action: 'block', method: 'POST', href: `/admin/users/${encodeURIComponent(identifier)}/block` };
+  case 'apikey':
+    return { action: 'revoke', method: 'DELETE', href: `/admin/apikeys/${encodeURIComponent(identifier)}` };
+  default:
+    return null;
+  }
+};
+
+/**
+ * Top offenders: identifiers or endpoints with the most denials (or requests)
+ * GET /admin/metrics/top?dimension=ip|user|apikey|endpoint&window=1h&sortBy=blocked|requests&limit=10
+ */
+router.get(
+  '/top',
+  requirePermission('system.metrics'),
+  topOffendersValidationRules(),
+  validate,
+  async (req, res, next) => {
+    try {
+      const { dimension, window = '1h', sortBy, limit } = req.query;
+      const report = await analytics.getTopOffenders({
+        dimension,
+        windowSeconds: parseWindow(window),
+        sortBy,
+        limit,
+      });
+
+      res.json({
+        success: true,
+        data: {
+          ...report,
+          window,
+          entries: report.entries.map(entry => ({
+            ...entry,
+            block: getBlockAction(dimension, entry.identifier),
+          })),
+        },
+      });
+    } catch (error) {
+      next(toApiError(error));
+    }
+  }
+);
+
+/**
+ * Traffic and denials over time
+ * GET /admin/metrics?from=&to=&groupBy=minute|hour|day
+ */
+router.get(
+  '/',
+  requirePermission('system.metrics'),
+  analyticsQueryValidationRules(),
+  validate,
+  async (req, res, next) => {
+    try {
+      const { from, to, groupBy } = req.query;
+      const data = await analytics.getAnalytics({ from, to, groupBy });
+
+      res.json({
+        success: true,
+        data,
+      });
+    } catch (error) {
+      next(toApiError(error));
+    }
+  }
+);
+
+module.exports = router;
@@ -6,13 +6,59 @@
  */
 
 const express = require('express');
-const { rateLimiters } = require('../middleware/rateLimiter');
+const { rateLimiters, getClientIdentifier } = require('../middleware/rateLimiter');
+const { enforceRules } = require('../middleware/ruleEnforcer');
+const { requireApiKey, optionalApiKey } = require('../middleware/apiKeyAuth');
+const { optionalAuthenticate } = require('../middleware/auth');
+const { createErrorTranslator } = require('../middleware/routeHelpers');
+const usageService = require('../services/usageService');
 
 const router = express.Router();
 
+// Translate usage service errors into API errors
+const toUsageApiError = createErrorTranslator('Usage tracking', {
+  NOT_FOUND: ['User not found', 'API key not found'],
+});
+
+// Verify the bearer token, if any, so user-keyed limits and rules apply to the signed-in user
+router.use(optionalAuthenticate);
+
+/**
+ * Example expensive operation endpoint
+ * GET /api/expensive
+ * Rate limit: 10 req/min (stricter than general), 5 in flight at once
+ * 
+ * Mounted ahead of the router-wide limiters: the layered preset checks the
+ * global, per-IP (api), per-user, plan and per-endpoint limits in one
+ * atomic call, so a denied request consumes none of them. The in-flight
+ * slot is taken first (it is released when the response ends), and dynamic
+ * rules are refunded if the layered check then rejects the request.
+ */
+router.get('/expensive', 
+  rateLimiters.concurrent,
+  enforceRules,
+  rateLimiters.expensiveLayered,
+  (req, res) => {
+    res.json({
+      success: true,
+      data: {
+        message: 'This is an expensive operation with stricter limits (10 req/min)',
+        timestamp: new Date().toISOString(),
+        computationTime: '2.5s',
+      }
+    });
+  }
+);
+
 // Apply general API rate limiting to all routes (200 req/min per IP)
 router.use(rateLimiters.api);
 
+// Apply the limits of the signed-in user's plan (anonymous requests skip it)
+router.use(rateLimiters.userPlan);
+
+// Apply dynamic rules managed through the admin API
+router.use(enforceRules);
+
 /**
  * Example public endpoint
  * GET /api/data
@@ -32,29 +78,10 @@ router.get('/data', (req, res) => {
   });
 });
 
-/**
- * Example expensive operation endpoint
- * GET /api/expensive
- * Rate limit: 10 req/min (stricter than general)
- */
-router.get('/expensive', 
-  rateLimiters.expensive,
-  (req, res) => {
-    res.json({
-      success: true,
-      data: {
-        message: 'This is an expensive operation with stricter limits (10 req/min)',
-        timestamp: new Date().toISOString(),
-        computationTime: '2.5s',
-      }
-    });
-  }
-);
-
 /**
  * Example search endpoint
  * GET /api/search
- * Rate limit: 30 req/min
+ * Rate limit: 30 points/min, ?limit=N costs ceil(N / 100) points
  */
 router.get('/search',
   rateLimiters.search,
@@ -95,6 +122,58 @@ router.post('/upload',
   }
 );
 
+/**
+ * Example API key endpoint
+ * GET /api/partner/data
+ * Requires a valid X-API-Key; rate limit: 1000 req/hour per key
+ * (or the key's own limit), plus the limits of the key's plan
+ */
+router.get('/partner/data',
+  requireApiKey(),
+  rateLimiters.apiKey,
+  rateLimiters.apiKeyPlan,
+  (req, res) => {
+    res.json({
+      success: true,
+      data: {
+        message: 'This is API key authenticated data',
+        keyId: req.apiKey.id,
+        timestamp: new Date().toISOString(),
+      }
+    });
+  }
+);
+
+/**
+ * Long-period quota usage for the calling client
+ * GET /api/usage
+ * The client is the API key in X-API-Key if present, else the
+ * authenticated user, else the client IP. Reports consumed and remaining
+ * requests for the plan's daily and monthly limits and any quota rules.
+ */
+router.get('/usage',
+  optionalApiKey(),
+  async (req, res, next) => {
+    let client = { type: 'ip', identifier: getClientIdentifier(req, 'ip') };
+    if (req.apiKey) {
+      client = { type: 'apikey', identifier: req.apiKey.id };
+    } else if (req.user) {
+      client = { type: 'user', identifier: req.user.id };
+    }
+
+    try {
+      const usage = await usageService.getUsage(client);
+
+      res.json({
+        success: true,
+        data: usage,
+      });
+    } catch (error) {
+      next(toUsageApiError(error));
+    }
+  }
+);
+
 /**
  * Test endpoint to check rate limit status
  * GET /api/status
@@ -124,7 +203,7 @@ router.get('/status', (req, res) => {
       availablePresets: {
         api: '200 req/min',
         auth: '10 req/min (5min block)',
-        login: '5 req/15min (15min block)',
+        login: '5 failed attempts/15min (15min block)',
         admin: '50 req/min (user-based)',
         search: '30 req/min',
         expensive: '10 req/min',
@@ -132,6 +211,10 @@ router.get('/status', (req, res) => {
         passwordReset: '3 req/hour',
         email: '10 req/hour',
         apiKey: '1000 req/hour (key-based)',
+        apiKeyPlan: 'limits of the API key\'s plan (free, pro, enterprise, ...)',
+        userPlan: 'limits of the user\'s plan',
+        expensiveLayered: 'global 10000/min + api per IP + 100/min and plan per user + expensive, checked atomically (in place of api)',
+        concurrent: '5 in-flight requests (expensive endpoints)',
       }
     }
   });
@@ -0,0 +1,188 @@
+/**
+ * API Key Routes
+ *
+ * API key issuance and management endpoints (apikeys.* permissions).
+ * Mounted under /admin/apikeys; all routes require authentication.
+ * Secrets are only returned by create and rotate.
+ */
+
+const express = require('express');
+const { authenticate } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/authorize');
+const { validate, getActor, createErrorTranslator } = require('../middleware/routeHelpers');
+const {
+  createApiKeyValidationRules,
+  updateApiKeyValidationRules,
+  listApiKeysValidationRules,
+  keyIdParamValidationRules,
+} = require('../validators/apiKeyValidator');
+const apiKeyService = require('../services/apiKeyService');
+
+const router = express.Router();
+
+router.use(authenticate);
+
+// Translate API key service errors into API errors
+const toApiError = createErrorTranslator('API key storage', {
+  NOT_FOUND: ['API key not found'],
+  CONFLICT: ['API key is revoked'],
+  VALIDATION_ERROR: ['Owner not found', 'Plan not found'],
+});
+
+/**
+ * List API keys
+ * GET /admin/apikeys?ownerId=
+ */
+router.get(
+  '/',
+  requirePermission('apikeys.list'),
+  listApiKeysValidationRules(),
+  validate,
+  async (req, res, next) => {
+    try {
+      const keys = await apiKeyService.listKeys({ ownerId: req.query.ownerId });
+
+      res.json({
+        success: true,
+        data: {
+          keys,
+          total: keys.length,
+        },
+      });
+    } catch (error) {
+      next(toApiError(error));
+    }
+  }
+);
+
+/**
+ * Create API key
+ * POST /admin/apikeys
+ * Body: { name, ownerId?, scopes?, rateLimit?: { points, duration }, plan?, expiresAt? }
+ */
+router.post(
+  '/',
+  requirePermission('apikeys.create'),
+  createApiKeyValidationRules(),
+  validate,
+  async (req, res, next) => {
+    try {
+      const { name, ownerId, scopes, rateLimit, plan, expiresAt } = req.body;
+      const apiKey = await apiKeyService.createKey(
+        { name, ownerId, scopes, rateLimit, plan, expiresAt },
+        getActor(req)
+      );
+
+      res.status(201).json({
+        success: true,
+        data: apiKey,
+        message: 'Store this key now; it will not be shown again',
+      });
+    } catch (error) {
+      next(toApiError(error));
+    }
+  }
+);
+
+/**
+ * Get API key
+ * GET /admin/apikeys/:keyId
+ */
+router.get(
+  '/:keyId',
+  requirePermission('apikeys.read'),
+  keyIdParamValidationRules(),
+  validate,
+  async (req, res, next) => {
+    try {
+      const apiKey = await apiKeyService.getKey(req.params.keyId);
+
+      res.json({
+        success: true,
+        data: apiKey,
+      });
+    } catch (error) {
+      next(toApiError(error));
+    }
+  }
+);
+
+/**
+ * Update API key settings
+ * PATCH /admin/apikeys/:keyId
+ * Body: { name?, scopes?, rateLimit?, plan?, expiresAt? }
+ */
+router.patch(
+  '/:keyId',
+  requirePermission('apikeys.update'),
+  keyIdParamValidationRules(),
+  updateApiKeyValidationRules(),
+  validate,
+  async (req, res, next) => {
+    try {
+      const { name, scopes, rateLimit, plan, expiresAt } = req.body;
+      const apiKey = await apiKeyService.updateKey(
+        req.params.keyId,
+        { name, scopes, rateLimit, plan, expiresAt },
+        getActor(req)
+      );
+
+      res.json({
+        success: true,
+        data: apiKey,
+      });
+    } catch (error) {
+      next(toApiError(error));
+    }
+  }
+);
+
+/**
+ * Rotate API key secret
+ * POST /admin/apikeys/:keyId/rotate
+ */
+router.post(
+  '/:keyId/rotate',
+  requirePermission('apikeys.update'),
+  keyIdParamValidationRules(),
+  validate,
+  async (req, res, next) => {
+    try {
+      const apiKey = await apiKeyService.rotateKey(req.params.keyId, getActor(req));
+
+      res.json({
+        success: true,
+        data: apiKey,
+        message: 'Store this key now; it will not be shown again',
+      });
+    } catch (error) {
+      next(toApiError(error));
+    }
+  }
+);
+
+/**
+ * Revoke API key
+ * DELETE /admin/apikeys/:keyId
+ */
+router.delete(
+  '/:keyId',
+  requirePermission('apikeys.delete'),
+  keyIdParamValidationRules(),
+  validate,
+  async (req, res, next) => {
+    try {
+      const apiKey = await apiKeyService.revokeKey(req.params.keyId, getActor(req));
+
+      res.json({
+        success: true,
+        data: apiKey,
+        message: 'API key revoked successfully',
+      });
+    } catch (error) {
+      next(toApiError(error));
+    }
+  }
+);
+
+module.exports = router;
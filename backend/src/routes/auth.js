@@ -8,30 +8,77 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const bcrypt = require('bcryptjs');
 const { generateAccessToken, generateRefreshToken, verifyAccessToken, getTokenExpiry, decodeToken } = require('../services/jwt');
-const { authenticate, blacklistToken, storeRefreshToken, verifyRefreshToken, deleteRefreshToken } = require('../middleware/auth');
-const { rateLimiters } = require('../middleware/rateLimiter');
+const { authenticate, blacklistToken, storeRefreshToken, claimRefreshToken, deleteRefreshToken } = require('../middleware/auth');
+const { rateLimiters, extractClientIP } = require('../middleware/rateLimiter');
 const { createError } = require('../middleware/errorHandler');
-const { getRedisClient, isRedisConnected } = require('../config/redis');
+const { isRedisConnected } = require('../config/redis');
+const { getUserByEmail, getUserById } = require('../models/User');
+const { getLockout, recordFailedLogin, clearFailedLogins } = require('../services/accountLockout');
+const { logAudit, logAuditThrottled } = require('../services/auditLog');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 
-// Mock user database (will be replaced with Redis/DB in Task 2.2)
-// For now, using hardcoded admin user
-const MOCK_USERS = {
-  'admin@example.com': {
-    id: 'admin-001',
-    email: 'admin@example.com',
-    // Password: admin123 (bcrypt hashed)
-    passwordHash: '$2a$12$LQv3c1yqBWVHxkd0LHAkCOYz6TtxMQJqhN8/LewY5GyYPGEgJVb4y',
-    role: 'admin',
-  },
+/**
+ * Build the ACCOUNT_LOCKED error for a locked account
+ *
+ * @param {number} lockedFor - Seconds until the account unlocks
+ * @returns {Error} API error
+ */
+const accountLockedError = (lockedFor) => createError(
+  'ACCOUNT_LOCKED',
+  `Too many failed login attempts. Try again in ${lockedFor} seconds.`,
+  { retryAfter: lockedFor, lockedUntil: new Date(Date.now() + lockedFor * 1000).toISOString() }
+);
+
+/**
+ * Record a login attempt in the audit log
+ *
+ * @param {Object} req - Express request
+ * @param {string} email - Email the attempt was made with
+ * @param {Object|null} user - Matching user, if any
+ * @param {string} [errorMessage] - Why the attempt failed (omit on success)
+ * @param {Object} [details] - Attempt details
+ */
+const auditLogin = (req, email, user, errorMessage, details = {}) => logAudit(
+  'auth.login',
+  { id: user ? user.id : null, email, ip: extractClientIP(req) },
+  { type: 'user', id: user ? user.id : null },
+  details,
+  errorMessage ? 'failure' : 'success',
+  errorMessage
+);
+
+/**
+ * Record a failed login with an unknown email in the audit log
+ * Anyone can send these, so at most one entry per IP is written every
+ * AUDIT_UNKNOWN_EMAIL_WINDOW seconds (default 900); the attempts left out
+ * are counted in the next entry's details.suppressed.
+ *
+ * @param {Object} req - Express request
+ * @param {string} email - Email the attempt was made with
+ */
+const auditUnknownEmail = (req, email) => {
+  const ip = extractClientIP(req);
+  const windowSeconds = parseInt(process.env.AUDIT_UNKNOWN_EMAIL_WINDOW, 10) || 900;
+
+  return logAuditThrottled(
+    `auth.login:unknown:${ip}`,
+    windowSeconds,
+    'auth.login',
+    { id: null, email, ip },
+    { type: 'user', id: null },
+    {},
+    'failure',
+    'Unknown email'
+  );
 };
 
 /**
  * POST /admin/auth/login
  * Login with email and password
- * Rate limit: 5 attempts per 15 minutes
+ * Rate limit: 5 failed attempts per 15 minutes per IP
+ * Lockout: LOGIN_MAX_FAILED_ATTEMPTS wrong passwords lock the account
  */
 router.post(
   '/login',
@@ -51,20 +98,43 @@ router.post(
 
       const { email, password } = req.body;
 
-      // Find user (mock for now)
-      const user = MOCK_USERS[email];
+      // Users live in Redis; without it nobody can be authenticated
+      if (!isRedisConnected()) {
+        throw createError('SERVICE_UNAVAILABLE', 'Authentication service unavailable');
+      }
+
+      const user = await getUserByEmail(email);
       if (!user) {
         logger.warn('Login attempt with non-existent email', { email, ip: req.ip });
+        auditUnknownEmail(req, email);
         throw createError('UNAUTHORIZED', 'Invalid email or password');
       }
 
+      // Locked accounts are rejected before the password is even checked
+      const lockedFor = await getLockout(user.id);
+      if (lockedFor > 0) {
+        logger.warn('Login attempt on locked account', { userId: user.id, email, ip: req.ip });
+        auditLogin(req, email, user, 'Account locked', { lockedFor });
+        res.set('Retry-After', String(lockedFor));
+        throw accountLockedError(lockedFor);
+      }
+
       // Verify password
       const isValidPassword = await bcrypt.compare(password, user.passwordHash);
       if (!isValidPassword) {
-        logger.warn('Login attempt with incorrect password', { email, ip: req.ip });
+        const failure = await recordFailedLogin(user.id);
+        logger.warn('Login attempt with incorrect password', { email, ip: req.ip, attempts: failure.attempts });
+        auditLogin(req, email, user, 'Incorrect password', failure);
+
+        if (failure.lockedFor > 0) {
+          res.set('Retry-After', String(failure.lockedFor));
+          throw accountLockedError(failure.lockedFor);
+        }
         throw createError('UNAUTHORIZED', 'Invalid email or password');
       }
 
+      await clearFailedLogins(user.id);
+
       // Generate tokens
       const accessToken = generateAccessToken(user);
       const refreshToken = generateRefreshToken();
@@ -89,6 +159,7 @@ router.post(
       await storeRefreshToken(user.id, refreshToken, refreshExpirySeconds);
 
       logger.info('User logged in successfully', { userId: user.id, email: user.email, ip: req.ip });
+      auditLogin(req, user.email, user);
 
       res.json({
         success: true,
@@ -135,6 +206,7 @@ router.post('/logout', authenticate, async (req, res, next) => {
     }
 
     logger.info('User logged out', { userId: req.user.id, ip: req.ip });
+    logAudit('auth.logout', { ...req.user, ip: extractClientIP(req) }, { type: 'user', id: req.user.id });
 
     res.json({
       success: true,
@@ -164,20 +236,10 @@ router.post(
 
       const { refreshToken } = req.body;
 
-      // Verify refresh token exists in Redis
-      // We need to find which user this token belongs to
-      // In a real implementation, you'd store userId with the token or use a different structure
-      
-      // For now, we'll check all mock users (simplified)
-      let validUser = null;
-      for (const email in MOCK_USERS) {
-        const user = MOCK_USERS[email];
-        const isValid = await verifyRefreshToken(user.id, refreshToken);
-        if (isValid) {
-          validUser = user;
-          break;
-        }
-      }
+      // Claim the token before issuing new ones: it maps straight to its user
+      // and is deleted in the same step, so it can only be rotated once
+      const userId = await claimRefreshToken(refreshToken);
+      const validUser = userId ? await getUserById(userId) : null;
 
       if (!validUser) {
         logger.warn('Invalid refresh token used', { ip: req.ip });
@@ -200,8 +262,7 @@ router.post(
       };
       const refreshExpirySeconds = parseExpiry(refreshTokenExpiry);
 
-      // Delete old refresh token and store new one (token rotation)
-      await deleteRefreshToken(validUser.id, refreshToken);
+      // Store the new refresh token (the old one was deleted when claimed)
       await storeRefreshToken(validUser.id, newRefreshToken, refreshExpirySeconds);
 
       logger.info('Tokens refreshed', { userId: validUser.id, ip: req.ip });
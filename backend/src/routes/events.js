@@ -0,0 +1,76 @@
+/**
+ * Events Routes
+ *
+ * Live stream of limiter decisions, blocks and rule changes from every
+ * instance over Server-Sent Events (system.metrics permission).
+ * Mounted under /admin/events; all routes require authentication.
+ */
+
+const express = require('express');
+const { authenticate } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/authorize');
+const { validate, createErrorTranslator } = require('../middleware/routeHelpers');
+const { eventsQueryValidationRules } = require('../validators/eventsValidator');
+const events = require('../services/events');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+router.use(authenticate);
+
+// Translate events service errors into API errors
+const toApiError = createErrorTranslator('Event stream');
+
+/**
+ * Stream events
+ * GET /admin/events?type=&preset=&ruleId=&ip=&status=
+ *
+ * Each event is sent as a `data:` line holding its JSON; comment lines keep
+ * idle connections open through proxies.
+ */
+router.get(
+  '/',
+  requirePermission('system.metrics'),
+  eventsQueryValidationRules(),
+  validate,
+  async (req, res, next) => {
+    const { type, preset, ruleId, ip, status } = req.query;
+    const matches = events.createEventFilter({ type, preset, ruleId, ip, status });
+
+    let unsubscribe;
+    try {
+      unsubscribe = await events.subscribe(
+        (event) => {
+          if (matches(event)) {
+            res.write(`data: ${JSON.stringify(event)}\n\n`);
+          }
+        },
+        () => res.end()
+      );
+    } catch (error) {
+      return next(toApiError(error));
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+    res.write(': connected\n\n');
+
+    const heartbeatInterval = parseInt(process.env.EVENTS_HEARTBEAT_INTERVAL, 10) || 15000;
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), heartbeatInterval);
+
+    logger.info('Event stream opened', { userId: req.user.id, filter: { type, preset, ruleId, ip, status } });
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+      logger.info('Event stream closed', { userId: req.user.id });
+    });
+  }
+);
+
+module.exports = router;
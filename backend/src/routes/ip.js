@@ -0,0 +1,160 @@
+/**
+ * IP Management Routes
+ *
+ * Blocklist and allowlist endpoints (PRD 9.3).
+ * Mounted under /admin/ip; all routes require authentication.
+ */
+
+const express = require('express');
+const { authenticate } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/authorize');
+const { validate, getActor, createErrorTranslator } = require('../middleware/routeHelpers');
+const { ipEntryValidationRules, ipParamValidationRules } = require('../validators/ipValidator');
+const ipService = require('../services/ipService');
+
+const router = express.Router();
+
+router.use(authenticate);
+
+// Translate IP service errors into API errors
+const toApiError = createErrorTranslator('IP list storage', {
+  NOT_FOUND: ['IP is not blocked', 'IP is not whitelisted'],
+});
+
+/**
+ * List blocked IPs
+ * GET /admin/ip/blocked
+ */
+router.get('/blocked', requirePermission('ip.list'), async (req, res, next) => {
+  try {
+    const blocked = await ipService.getBlockedIps();
+
+    res.json({
+      success: true,
+      data: {
+        blocked,
+        total: blocked.length,
+      },
+    });
+  } catch (error) {
+    next(toApiError(error));
+  }
+});
+
+/**
+ * Block IP
+ * POST /admin/ip/block
+ * Body: { ip, reason?, expiresAt? }
+ */
+router.post(
+  '/block',
+  requirePermission('ip.block'),
+  ipEntryValidationRules(),
+  validate,
+  async (req, res, next) => {
+    try {
+      const { ip, reason, expiresAt } = req.body;
+      const entity = await ipService.blockIp(ip, { reason, expiresAt }, getActor(req));
+
+      res.status(201).json({
+        success: true,
+        data: entity,
+      });
+    } catch (error) {
+      next(toApiError(error));
+    }
+  }
+);
+
+/**
+ * Unblock IP
+ * DELETE /admin/ip/block/:ip
+ */
+router.delete(
+  '/block/:ip',
+  requirePermission('ip.block'),
+  ipParamValidationRules(),
+  validate,
+  async (req, res, next) => {
+    try {
+      await ipService.unblockIp(req.params.ip, getActor(req));
+
+      res.json({
+        success: true,
+        message: 'IP unblocked successfully',
+      });
+    } catch (error) {
+      next(toApiError(error));
+    }
+  }
+);
+
+/**
+ * List whitelisted IPs
+ * GET /admin/ip/whitelist
+ */
+router.get('/whitelist', requirePermission('ip.list'), async (req, res, next) => {
+  try {
+    const whitelist = await ipService.getWhitelistedIps();
+
+    res.json({
+      success: true,
+      data: {
+        whitelist,
+        total: whitelist.length,
+      },
+    });
+  } catch (error) {
+    next(toApiError(error));
+  }
+});
+
+/**
+ * Whitelist IP
+ * POST /admin/ip/whitelist
+ * Body: { ip, reason?, expiresAt? }
+ */
+router.post(
+  '/whitelist',
+  requirePermission('ip.whitelist'),
+  ipEntryValidationRules(),
+  validate,
+  async (req, res, next) => {
+    try {
+      const { ip, reason, expiresAt } = req.body;
+      const entity = await ipService.whitelistIp(ip, { reason, expiresAt }, getActor(req));
+
+      res.status(201).json({
+        success: true,
+        data: entity,
+      });
+    } catch (error) {
+      next(toApiError(error));
+    }
+  }
+);
+
+/**
+ * Remove IP from whitelist
+ * DELETE /admin/ip/whitelist/:ip
+ */
+router.delete(
+  '/whitelist/:ip',
+  requirePermission('ip.whitelist'),
+  ipParamValidationRules(),
+  validate,
+  async (req, res, next) => {
+    try {
+      await ipService.removeFromWhitelist(req.params.ip, getActor(req));
+
+      res.json({
+        success: true,
+        message: 'IP removed from whitelist successfully',
+      });
+    } catch (error) {
+      next(toApiError(error));
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,64 @@
+/**
+ * Audit Log Routes
+ *
+ * Query and export the audit log (system.logs permission).
+ * Mounted under /admin/logs; all routes require authentication.
+ */
+
+const express = require('express');
+const { authenticate } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/authorize');
+const { validate, createErrorTranslator } = require('../middleware/routeHelpers');
+const { logsQueryValidationRules } = require('../validators/logsValidator');
+const auditLog = require('../services/auditLog');
+
+const router = express.Router();
+
+router.use(authenticate);
+
+// Translate audit log service errors into API errors
+const toApiError = createErrorTranslator('Audit log storage', {
+  VALIDATION_ERROR: [/^Invalid time range/],
+});
+
+/**
+ * Query the audit log
+ * GET /admin/logs?from=&to=&actor=&action=&resource=&result=&page=1&limit=50
+ *
+ * With export=csv or export=json, the newest matching entries (up to
+ * MAX_EXPORT_ENTRIES) are downloaded as a file instead of one page.
+ */
+router.get(
+  '/',
+  requirePermission('system.logs'),
+  logsQueryValidationRules(),
+  validate,
+  async (req, res, next) => {
+    try {
+      const { from, to, actor, action, resource, result, page, limit } = req.query;
+      const filters = { from, to, actor, action, resource, result };
+
+      if (req.query.export) {
+        const entries = await auditLog.exportAuditLog(filters);
+        const filename = `audit-log-${new Date().toISOString().split('T')[0]}.${req.query.export}`;
+
+        res.attachment(filename);
+        if (req.query.export === 'csv') {
+          return res.type('text/csv').send(auditLog.formatCsv(entries));
+        }
+        return res.json(entries);
+      }
+
+      const data = await auditLog.queryAuditLog({ ...filters, page, limit });
+
+      res.json({
+        success: true,
+        data,
+      });
+    } catch (error) {
+      next(toApiError(error));
+    }
+  }
+);
+
+module.exports = router;
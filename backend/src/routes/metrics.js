@@ -0,0 +1,60 @@
+/**
+ * Metrics Routes
+ *
+ * Prometheus scrape endpoint (no rate limiting).
+ * Set METRICS_TOKEN to require "Authorization: Bearer <token>"; without it
+ * the endpoint is open, like /health, and should only be reachable from
+ * the monitoring network.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const { createError } = require('../middleware/errorHandler');
+const metrics = require('../utils/metrics');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+/**
+ * Compare a presented token with the configured one in constant time
+ */
+const tokenMatches = (presented, expected) => {
+  const a = crypto.createHash('sha256').update(presented).digest();
+  const b = crypto.createHash('sha256').update(expected).digest();
+  return crypto.timingSafeEqual(a, b);
+};
+
+/**
+ * Require the metrics bearer token when one is configured
+ */
+const requireMetricsToken = (req, res, next) => {
+  const expected = process.env.METRICS_TOKEN;
+  if (!expected) {
+    return next();
+  }
+
+  const match = (req.headers.authorization || '').match(/^Bearer (.+)$/);
+  if (!match || !tokenMatches(match[1], expected)) {
+    return next(createError('UNAUTHORIZED', 'Valid metrics token required'));
+  }
+
+  next();
+};
+
+/**
+ * Prometheus metrics
+ * GET /metrics
+ */
+router.get('/', requireMetricsToken, async (req, res, next) => {
+  try {
+    const body = await metrics.getMetrics();
+
+    res.set('Content-Type', metrics.contentType);
+    res.send(body);
+  } catch (error) {
+    logger.error('Failed to render metrics', { error: error.message });
+    next(error);
+  }
+});
+
+module.exports = router;
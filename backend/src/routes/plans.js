@@ -0,0 +1,123 @@
+/**
+ * Plan Routes
+ *
+ * Rate limit plan endpoints (plans.* permissions).
+ * Mounted under /admin/plans; all routes require authentication.
+ * Plans are assigned through /admin/users/:userId/plan and /admin/apikeys.
+ */
+
+const express = require('express');
+const { authenticate } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/authorize');
+const { validate, getActor, createErrorTranslator } = require('../middleware/routeHelpers');
+const { planValidationRules, planNameParamValidationRules } = require('../validators/planValidator');
+const planService = require('../services/planService');
+
+const router = express.Router();
+
+router.use(authenticate);
+
+// Translate plan service errors into API errors
+const toApiError = createErrorTranslator('Plan storage', {
+  NOT_FOUND: ['Plan not found'],
+  CONFLICT: ['Cannot delete the default plan'],
+});
+
+/**
+ * List plans
+ * GET /admin/plans
+ */
+router.get('/', requirePermission('plans.list'), async (req, res, next) => {
+  try {
+    const plans = await planService.listPlans();
+
+    res.json({
+      success: true,
+      data: {
+        plans,
+        total: plans.length,
+        defaultPlan: planService.getDefaultPlanName(),
+      },
+    });
+  } catch (error) {
+    next(toApiError(error));
+  }
+});
+
+/**
+ * Get plan
+ * GET /admin/plans/:name
+ */
+router.get(
+  '/:name',
+  requirePermission('plans.read'),
+  planNameParamValidationRules(),
+  validate,
+  async (req, res, next) => {
+    try {
+      const plan = await planService.getPlan(req.params.name);
+      if (!plan) {
+        throw new Error('Plan not found');
+      }
+
+      res.json({
+        success: true,
+        data: plan,
+      });
+    } catch (error) {
+      next(toApiError(error));
+    }
+  }
+);
+
+/**
+ * Create or replace plan
+ * PUT /admin/plans/:name
+ * Body: { description?, limits: { second?, minute?, hour?, day?, month? } }
+ */
+router.put(
+  '/:name',
+  requirePermission('plans.update'),
+  planNameParamValidationRules(),
+  planValidationRules(),
+  validate,
+  async (req, res, next) => {
+    try {
+      const { description, limits } = req.body;
+      const plan = await planService.savePlan(req.params.name, { description, limits }, getActor(req));
+
+      res.json({
+        success: true,
+        data: plan,
+      });
+    } catch (error) {
+      next(toApiError(error));
+    }
+  }
+);
+
+/**
+ * Delete a custom plan, or reset a built-in plan to its defaults
+ * DELETE /admin/plans/:name
+ */
+router.delete(
+  '/:name',
+  requirePermission('plans.delete'),
+  planNameParamValidationRules(),
+  validate,
+  async (req, res, next) => {
+    try {
+      const plan = await planService.deletePlan(req.params.name, getActor(req));
+
+      res.json({
+        success: true,
+        data: plan,
+        message: plan ? 'Plan reset to defaults' : 'Plan deleted successfully',
+      });
+    } catch (error) {
+      next(toApiError(error));
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,242 @@
+/**
+ * Rule Management Routes
+ *
+ * CRUD endpoints for dynamic rate limit rules.
+ * Mounted under /admin/rules; all routes require authentication.
+ */
+
+const express = require('express');
+const { authenticate } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/authorize');
+const { createError } = require('../middleware/errorHandler');
+const { validate, getActor, createErrorTranslator } = require('../middleware/routeHelpers');
+const {
+  ruleValidationRules,
+  ruleUpdateValidationRules,
+  checkPatternConflicts,
+} = require('../validators/ruleValidator');
+const ruleService = require('../services/ruleService');
+
+const router = express.Router();
+
+router.use(authenticate);
+
+const translateError = createErrorTranslator('Rule storage', {
+  CONFLICT: [/already exists/],
+});
+
+/**
+ * Translate rule service errors into API errors
+ * Missing rules get RULE_NOT_FOUND with its standard message.
+ *
+ * @param {Error} error - Error thrown by the rule service
+ * @returns {Error} API error (or the original error if unknown)
+ */
+const toApiError = (error) => (
+  error.message === 'Rule not found' ? createError('RULE_NOT_FOUND') : translateError(error)
+);
+
+/**
+ * Find conflicts with other enabled rules
+ *
+ * @param {Object} ruleData - Rule (or update) with a target
+ * @param {string} [excludeId] - Rule ID to ignore (the rule being updated)
+ * @returns {Promise<Array>} Conflict warnings
+ */
+const findConflicts = async (ruleData, excludeId = null) => {
+  if (!ruleData.target) {
+    return [];
+  }
+
+  const existingRules = await ruleService.getAllRules({ enabledOnly: true });
+  return checkPatternConflicts(
+    ruleData,
+    existingRules.filter(rule => rule.id !== excludeId)
+  );
+};
+
+/**
+ * Apply an update and respond with the updated rule
+ */
+const handleUpdate = async (req, res, next) => {
+  try {
+    const updates = { ...req.body };
+    delete updates.name;
+
+    const existingRule = await ruleService.getRule(req.params.id);
+    if (!existingRule) {
+      throw createError('RULE_NOT_FOUND');
+    }
+
+    const warnings = await findConflicts(updates, req.params.id);
+    const rule = await ruleService.updateRule(req.params.id, updates, getActor(req));
+
+    res.json({
+      success: true,
+      data: rule,
+      warnings,
+    });
+  } catch (error) {
+    next(toApiError(error));
+  }
+};
+
+/**
+ * List all rules
+ * GET /admin/rules
+ * Query: enabled=true|false
+ */
+router.get('/', requirePermission('rules.list'), async (req, res, next) => {
+  try {
+    let rules = await ruleService.getAllRules({ sortByPriority: true });
+
+    if (req.query.enabled !== undefined) {
+      const enabled = req.query.enabled === 'true';
+      rules = rules.filter(rule => rule.enabled === enabled);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        rules,
+        total: rules.length,
+      },
+    });
+  } catch (error) {
+    next(toApiError(error));
+  }
+});
+
+/**
+ * Create rule
+ * POST /admin/rules
+ */
+router.post(
+  '/',
+  requirePermission('rules.create'),
+  ruleValidationRules(),
+  validate,
+  async (req, res, next) => {
+    try {
+      const warnings = await findConflicts(req.body);
+      const rule = await ruleService.createRule(req.body, getActor(req));
+
+      res.status(201).json({
+        success: true,
+        data: rule,
+        warnings,
+      });
+    } catch (error) {
+      next(toApiError(error));
+    }
+  }
+);
+
+/**
+ * Get rule by ID
+ * GET /admin/rules/:id
+ */
+router.get('/:id', requirePermission('rules.read'), async (req, res, next) => {
+  try {
+    const rule = await ruleService.getRule(req.params.id);
+    if (!rule) {
+      throw createError('RULE_NOT_FOUND');
+    }
+
+    res.json({
+      success: true,
+      data: rule,
+    });
+  } catch (error) {
+    next(toApiError(error));
+  }
+});
+
+/**
+ * Replace rule
+ * PUT /admin/rules/:id
+ * Requires a complete rule body; the rule name cannot be changed
+ */
+router.put(
+  '/:id',
+  requirePermission('rules.update'),
+  ruleValidationRules(),
+  validate,
+  async (req, res, next) => {
+    try {
+      const existingRule = await ruleService.getRule(req.params.id);
+      if (existingRule && existingRule.name !== req.body.name) {
+        throw createError('VALIDATION_ERROR', 'Rule name cannot be changed');
+      }
+      next();
+    } catch (error) {
+      next(toApiError(error));
+    }
+  },
+  handleUpdate
+);
+
+/**
+ * Partially update rule
+ * PATCH /admin/rules/:id
+ */
+router.patch(
+  '/:id',
+  requirePermission('rules.update'),
+  ruleUpdateValidationRules(),
+  validate,
+  handleUpdate
+);
+
+/**
+ * Delete rule
+ * DELETE /admin/rules/:id
+ */
+router.delete('/:id', requirePermission('rules.delete'), async (req, res, next) => {
+  try {
+    await ruleService.deleteRule(req.params.id, getActor(req));
+
+    res.json({
+      success: true,
+      message: 'Rule deleted successfully',
+    });
+  } catch (error) {
+    next(toApiError(error));
+  }
+});
+
+/**
+ * Enable rule
+ * POST /admin/rules/:id/enable
+ */
+router.post('/:id/enable', requirePermission('rules.update'), async (req, res, next) => {
+  try {
+    const rule = await ruleService.enableRule(req.params.id, getActor(req));
+
+    res.json({
+      success: true,
+      data: rule,
+    });
+  } catch (error) {
+    next(toApiError(error));
+  }
+});
+
+/**
+ * Disable rule
+ * POST /admin/rules/:id/disable
+ */
+router.post('/:id/disable', requirePermission('rules.update'), async (req, res, next) => {
+  try {
+    const rule = await ruleService.disableRule(req.params.id, getActor(req));
+
+    res.json({
+      success: true,
+      data: rule,
+    });
+  } catch (error) {
+    next(toApiError(error));
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,79 @@
+/**
+ * Usage Routes
+ *
+ * Long-period quota usage endpoints (usage.* permissions).
+ * Mounted under /admin/usage; all routes require authentication.
+ * Clients view their own usage through GET /api/usage.
+ */
+
+const express = require('express');
+const { authenticate } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/authorize');
+const { validate, getActor, createErrorTranslator } = require('../middleware/routeHelpers');
+const { usageClientParamValidationRules } = require('../validators/usageValidator');
+const usageService = require('../services/usageService');
+
+const router = express.Router();
+
+router.use(authenticate);
+
+// Translate usage service errors into API errors
+const toApiError = createErrorTranslator('Usage tracking', {
+  NOT_FOUND: ['User not found', 'API key not found'],
+});
+
+/**
+ * Get a client's quota usage
+ * GET /admin/usage/:type/:identifier
+ * type: ip, user or apikey
+ */
+router.get(
+  '/:type/:identifier',
+  requirePermission('usage.read'),
+  usageClientParamValidationRules(),
+  validate,
+  async (req, res, next) => {
+    try {
+      const usage = await usageService.getUsage({
+        type: req.params.type,
+        identifier: req.params.identifier,
+      });
+
+      res.json({
+        success: true,
+        data: usage,
+      });
+    } catch (error) {
+      next(toApiError(error));
+    }
+  }
+);
+
+/**
+ * Reset a client's usage for the current period of every quota
+ * DELETE /admin/usage/:type/:identifier
+ */
+router.delete(
+  '/:type/:identifier',
+  requirePermission('usage.reset'),
+  usageClientParamValidationRules(),
+  validate,
+  async (req, res, next) => {
+    try {
+      const result = await usageService.resetUsage(
+        { type: req.params.type, identifier: req.params.identifier },
+        getActor(req)
+      );
+
+      res.json({
+        success: true,
+        data: result,
+        message: 'Usage reset successfully',
+      });
+    } catch (error) {
+      next(toApiError(error));
+    }
+  }
+);
+
+module.exports = router;
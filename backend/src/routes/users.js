@@ -0,0 +1,251 @@
+/**
+ * User Management Routes
+ *
+ * Account administration endpoints (users.* permissions).
+ * Mounted under /admin/users; all routes require authentication.
+ * Users may read their own account and change their own password.
+ */
+
+const express = require('express');
+const { authenticate } = require('../middleware/auth');
+const { requirePermission, requireAdminOrOwner } = require('../middleware/authorize');
+const { validate, getActor, createErrorTranslator } = require('../middleware/routeHelpers');
+const {
+  createUserValidationRules,
+  roleValidationRules,
+  passwordValidationRules,
+  blockUserValidationRules,
+  userIdParamValidationRules,
+} = require('../validators/userValidator');
+const { planAssignmentValidationRules } = require('../validators/planValidator');
+const userService = require('../services/userService');
+
+const router = express.Router();
+
+router.use(authenticate);
+
+// Translate user service errors into API errors
+const toApiError = createErrorTranslator('User storage', {
+  NOT_FOUND: ['User not found', 'User is not blocked'],
+  CONFLICT: ['Email already exists', 'Cannot remove the last admin'],
+  FORBIDDEN: ['Cannot delete your own account', 'Cannot block your own account'],
+  VALIDATION_ERROR: ['Current password is incorrect', 'Plan not found'],
+});
+
+/**
+ * List users
+ * GET /admin/users
+ */
+router.get('/', requirePermission('users.list'), async (req, res, next) => {
+  try {
+    const users = await userService.listUsers();
+
+    res.json({
+      success: true,
+      data: {
+        users,
+        total: users.length,
+      },
+    });
+  } catch (error) {
+    next(toApiError(error));
+  }
+});
+
+/**
+ * Create user
+ * POST /admin/users
+ * Body: { email, password, role? }
+ */
+router.post(
+  '/',
+  requirePermission('users.create'),
+  createUserValidationRules(),
+  validate,
+  async (req, res, next) => {
+    try {
+      const { email, password, role } = req.body;
+      const user = await userService.createUser({ email, password, role }, getActor(req));
+
+      res.status(201).json({
+        success: true,
+        data: user,
+      });
+    } catch (error) {
+      next(toApiError(error));
+    }
+  }
+);
+
+/**
+ * Get user (admins, or the user themselves)
+ * GET /admin/users/:userId
+ */
+router.get(
+  '/:userId',
+  userIdParamValidationRules(),
+  validate,
+  requireAdminOrOwner('userId'),
+  async (req, res, next) => {
+    try {
+      const user = await userService.getUser(req.params.userId);
+
+      res.json({
+        success: true,
+        data: user,
+      });
+    } catch (error) {
+      next(toApiError(error));
+    }
+  }
+);
+
+/**
+ * Change user role
+ * PATCH /admin/users/:userId/role
+ * Body: { role }
+ */
+router.patch(
+  '/:userId/role',
+  requirePermission('users.update'),
+  userIdParamValidationRules(),
+  roleValidationRules(),
+  validate,
+  async (req, res, next) => {
+    try {
+      const user = await userService.updateRole(req.params.userId, req.body.role, getActor(req));
+
+      res.json({
+        success: true,
+        data: user,
+      });
+    } catch (error) {
+      next(toApiError(error));
+    }
+  }
+);
+
+/**
+ * Assign rate limit plan
+ * PUT /admin/users/:userId/plan
+ * Body: { plan } (null for the default plan)
+ */
+router.put(
+  '/:userId/plan',
+  requirePermission('users.update'),
+  userIdParamValidationRules(),
+  planAssignmentValidationRules(),
+  validate,
+  async (req, res, next) => {
+    try {
+      const user = await userService.updatePlan(req.params.userId, req.body.plan, getActor(req));
+
+      res.json({
+        success: true,
+        data: user,
+      });
+    } catch (error) {
+      next(toApiError(error));
+    }
+  }
+);
+
+/**
+ * Reset password (admins, or the user themselves with their current password)
+ * PUT /admin/users/:userId/password
+ * Body: { password, currentPassword? }
+ */
+router.put(
+  '/:userId/password',
+  userIdParamValidationRules(),
+  passwordValidationRules(),
+  validate,
+  requireAdminOrOwner('userId'),
+  async (req, res, next) => {
+    try {
+      const { password, currentPassword } = req.body;
+      await userService.resetPassword(req.params.userId, { password, currentPassword }, getActor(req));
+
+      res.json({
+        success: true,
+        message: 'Password updated successfully',
+      });
+    } catch (error) {
+      next(toApiError(error));
+    }
+  }
+);
+
+/**
+ * Block user
+ * POST /admin/users/:userId/block
+ * Body: { reason?, expiresAt? }
+ */
+router.post(
+  '/:userId/block',
+  requirePermission('users.update'),
+  userIdParamValidationRules(),
+  blockUserValidationRules(),
+  validate,
+  async (req, res, next) => {
+    try {
+      const { reason, expiresAt } = req.body;
+      const entity = await userService.blockUser(req.params.userId, { reason, expiresAt }, getActor(req));
+
+      res.status(201).json({
+        success: true,
+        data: entity,
+      });
+    } catch (error) {
+      next(toApiError(error));
+    }
+  }
+);
+
+/**
+ * Unblock user
+ * DELETE /admin/users/:userId/block
+ */
+router.delete(
+  '/:userId/block',
+  requirePermission('users.update'),
+  userIdParamValidationRules(),
+  validate,
+  async (req, res, next) => {
+    try {
+      await userService.unblockUser(req.params.userId, getActor(req));
+
+      res.json({
+        success: true,
+        message: 'User unblocked successfully',
+      });
+    } catch (error) {
+      next(toApiError(error));
+    }
+  }
+);
+
+/**
+ * Delete user
+ * DELETE /admin/users/:userId
+ */
+router.delete(
+  '/:userId',
+  requirePermission('users.delete'),
+  userIdParamValidationRules(),
+  validate,
+  async (req, res, next) => {
+    try {
+      await userService.deleteUser(req.params.userId, getActor(req));
+
+      res.json({
+        success: true,
+        message: 'User deleted successfully',
+      });
+    } catch (error) {
+      next(toApiError(error));
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,216 @@
+/**
+ * Analytics Service Tests
+ *
+ * Tests buffering, bucket rollups and range queries against an in-memory Redis
+ */
+
+const mockHashes = new Map();
+const mockSortedSets = new Map();
+const mockTtls = new Map();
+
+const mockCommands = {
+  hincrby: (key, field, by) => {
+    const hash = mockHashes.get(key) || {};
+    hash[field] = String((parseInt(hash[field], 10) || 0) + by);
+    mockHashes.set(key, hash);
+    return parseInt(hash[field], 10);
+  },
+  hgetall: key => ({ ...(mockHashes.get(key) || {}) }),
+  expire: (key, seconds) => mockTtls.set(key, seconds) && 1,
+  zincrby: (key, by, member) => {
+    const set = mockSortedSets.get(key) || new Map();
+    set.set(member, (set.get(member) || 0) + by);
+    mockSortedSets.set(key, set);
+    return String(set.get(member));
+  },
+  zremrangebyrank: (key, start, stop) => {
+    const set = mockSortedSets.get(key) || new Map();
+    const ascending = [...set.entries()].sort((a, b) => a[1] - b[1]);
+    const last = stop < 0 ? ascending.length + stop : stop;
+    ascending.slice(start, last + 1).forEach(([member]) => set.delete(member));
+    return 0;
+  },
+  zrevrange: (key, start, stop) => {
+    const descending = [...(mockSortedSets.get(key) || new Map()).entries()].sort((a, b) => b[1] - a[1]);
+    const last = stop < 0 ? descending.length + stop : stop;
+    return descending.slice(start, last + 1).flatMap(([member, score]) => [member, String(score)]);
+  },
+};
+
+const mockRedis = {
+  pipeline: () => {
+    const queued = [];
+    const pipeline = new Proxy({}, {
+      get: (target, name) => {
+        if (name === 'exec') {
+          return async () => queued.map(([command, args]) => [null, mockCommands[command](...args)]);
+        }
+        return (...args) => {
+          queued.push([name, args]);
+          return pipeline;
+        };
+      },
+    });
+    return pipeline;
+  },
+};
+
+jest.mock('../../config/redis', () => ({
+  ...jest.requireActual('../../config/redis'),
+  getRedisClient: () => mockRedis,
+  isRedisConnected: jest.fn(() => true),
+}));
+
+jest.mock('../ruleService', () => ({
+  getCachedActiveRules: jest.fn(async () => [{ id: 'rule_1' }, { id: 'rule_2' }]),
+}));
+
+const { isRedisConnected } = require('../../config/redis');
+const analytics = require('../analytics');
+
+const at = iso => new Date(iso).getTime();
+
+describe('Analytics Service', () => {
+  let now;
+
+  beforeEach(() => {
+    mockHashes.clear();
+    mockSortedSets.clear();
+    mockTtls.clear();
+    now = at('2026-01-25T10:42:30Z');
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(async () => {
+    await analytics.stopAnalytics();
+    jest.restoreAllMocks();
+  });
+
+  test('should roll minute counts up into hourly and daily buckets', async () => {
+    analytics.recordRequest({ route: '/api/search', identifiers: [{ type: 'ip', value: '203.0.113.7' }], blocked: false });
+    analytics.recordRequest({ route: '/api/search', identifiers: [{ type: 'ip', value: '203.0.113.7' }], blocked: true });
+    analytics.recordLimiterDecision('search', true);
+
+    await analytics.flushAnalytics();
+
+    for (const key of ['ratelimit:metrics:2026-01-25T10:42', 'ratelimit:metrics:2026-01-25T10', 'ratelimit:metrics:2026-01-25']) {
+      expect(mockHashes.get(key)).toEqual({
+        'total_requests': '2',
+        'blocked_requests': '1',
+        'endpoint:/api/search:total_requests': '2',
+        'endpoint:/api/search:blocked_requests': '1',
+        'limiter:search:total_requests': '1',
+        'limiter:search:blocked_requests': '1',
+      });
+    }
+    expect(mockSortedSets.get('ratelimit:metrics:2026-01-25:top:ip:blocked').get('203.0.113.7')).toBe(1);
+  });
+
+  test('should expire buckets after their retention', async () => {
+    analytics.recordRequest({ route: '/api/data', identifiers: [], blocked: false });
+
+    await analytics.flushAnalytics();
+
+    // Retention counts from the end of the bucket
+    expect(mockTtls.get('ratelimit:metrics:2026-01-25T10:42')).toBe(30 + 86400);
+    expect(mockTtls.get('ratelimit:metrics:2026-01-25T10')).toBe(17 * 60 + 30 + 30 * 86400);
+    expect(mockTtls.get('ratelimit:metrics:2026-01-25')).toBe(13 * 3600 + 17 * 60 + 30 + 365 * 86400);
+  });
+
+  test('should drop buffered counts while Redis is unavailable', async () => {
+    analytics.recordRequest({ route: '/api/data', identifiers: [], blocked: false });
+    isRedisConnected.mockReturnValueOnce(false);
+
+    await analytics.flushAnalytics();
+    await analytics.flushAnalytics();
+
+    expect(mockHashes.size).toBe(0);
+  });
+
+  test('should report a time series with limiter, endpoint and identifier breakdowns', async () => {
+    analytics.recordRequest({ route: '/api/search', identifiers: [{ type: 'ip', value: '203.0.113.7' }], blocked: true });
+    analytics.recordLimiterDecision('rule:rule_1', true);
+    await analytics.flushAnalytics();
+
+    now = at('2026-01-25T10:44:10Z');
+    analytics.recordRequest({ route: '/api/data', identifiers: [{ type: 'user', value: 'user_1' }], blocked: false });
+    analytics.recordRequest({ route: '/api/data', identifiers: [{ type: 'user', value: 'user_1' }], blocked: false });
+    await analytics.flushAnalytics();
+
+    const result = await analytics.getAnalytics({ from: '2026-01-25T10:42:00Z', to: '2026-01-25T10:45:00Z' });
+
+    expect(result.groupBy).toBe('minute');
+    expect(result.summary).toEqual({ totalRequests: 3, blockedRequests: 1, blockRate: 0.3333, activeRules: 2 });
+    expect(result.series.map(point => point.totalRequests)).toEqual([1, 0, 2]);
+    expect(result.limiters).toEqual([{ name: 'rule:rule_1', totalRequests: 1, blockedRequests: 1 }]);
+    expect(result.endpoints).toEqual([
+      { route: '/api/data', totalRequests: 2, blockedRequests: 0 },
+      { route: '/api/search', totalRequests: 1, blockedRequests: 1 },
+    ]);
+    expect(result.topIdentifiers).toEqual([
+      { type: 'user', identifier: 'user_1', totalRequests: 2, blockedRequests: 0 },
+      { type: 'ip', identifier: '203.0.113.7', totalRequests: 1, blockedRequests: 1 },
+    ]);
+  });
+
+  test('should read hourly rollups for longer ranges', async () => {
+    analytics.recordRequest({ route: '/api/data', identifiers: [], blocked: false });
+    await analytics.flushAnalytics();
+
+    const result = await analytics.getAnalytics({ from: '2026-01-24T12:00:00Z', to: '2026-01-25T12:00:00Z' });
+
+    expect(result.groupBy).toBe('hour');
+    expect(result.series).toHaveLength(24);
+    expect(result.summary.totalRequests).toBe(1);
+  });
+
+  test('should rank top offenders by denials over a trailing window', async () => {
+    now = at('2026-01-25T10:05:00Z');
+    for (let i = 0; i < 5; i++) {
+      analytics.recordRequest({ route: '/api/data', identifiers: [{ type: 'ip', value: '198.51.100.1' }], blocked: false });
+    }
+    analytics.recordRequest({ route: '/api/search', identifiers: [{ type: 'ip', value: '203.0.113.7' }], blocked: true });
+    await analytics.flushAnalytics();
+
+    now = at('2026-01-25T10:42:30Z');
+    analytics.recordRequest({ route: '/api/search', identifiers: [{ type: 'ip', value: '203.0.113.7' }], blocked: true });
+    analytics.recordRequest({ route: '/api/search', identifiers: [{ type: 'user', value: 'user_1' }], blocked: true });
+    await analytics.flushAnalytics();
+
+    const result = await analytics.getTopOffenders({ dimension: 'ip', windowSeconds: 3600 });
+
+    expect(result).toMatchObject({ dimension: 'ip', groupBy: 'minute', sortBy: 'blocked', from: '2026-01-25T09:42:00.000Z' });
+    expect(result.entries).toEqual([
+      { identifier: '203.0.113.7', totalRequests: 2, blockedRequests: 2, blockRate: 1 },
+    ]);
+
+    const byRequests = await analytics.getTopOffenders({ dimension: 'ip', windowSeconds: 3600, sortBy: 'requests' });
+    expect(byRequests.entries.map(entry => entry.identifier)).toEqual(['198.51.100.1', '203.0.113.7']);
+
+    const recent = await analytics.getTopOffenders({ dimension: 'ip', windowSeconds: 600 });
+    expect(recent.entries).toEqual([
+      { identifier: '203.0.113.7', totalRequests: 1, blockedRequests: 1, blockRate: 1 },
+    ]);
+  });
+
+  test('should rank endpoints from bucket counters', async () => {
+    analytics.recordRequest({ route: '/api/data', identifiers: [], blocked: false });
+    analytics.recordRequest({ route: '/api/search', identifiers: [], blocked: true });
+    await analytics.flushAnalytics();
+
+    const result = await analytics.getTopOffenders({ dimension: 'endpoint', windowSeconds: 86400, sortBy: 'requests' });
+
+    expect(result.groupBy).toBe('hour');
+    expect(result.entries).toEqual([
+      { identifier: '/api/search', totalRequests: 1, blockedRequests: 1, blockRate: 1 },
+      { identifier: '/api/data', totalRequests: 1, blockedRequests: 0, blockRate: 0 },
+    ]);
+  });
+
+  test('should reject empty and oversized ranges', async () => {
+    await expect(analytics.getAnalytics({ from: '2026-01-25T11:00:00Z', to: '2026-01-25T10:00:00Z' }))
+      .rejects.toThrow('Invalid time range');
+    await expect(analytics.getAnalytics({ from: '2026-01-01T00:00:00Z', to: '2026-01-25T00:00:00Z', groupBy: 'minute' }))
+      .rejects.toThrow('Invalid time range');
+  });
+});
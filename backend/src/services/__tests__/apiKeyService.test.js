@@ -0,0 +1,127 @@
+/**
+ * API Key Service Tests
+ *
+ * Tests issuance, hashed storage, rotation, revocation and verification
+ * against the API key model with an in-memory Redis stand-in
+ */
+
+const mockStore = new Map();
+
+const mockClient = {
+  get: async (key) => (mockStore.has(key) ? mockStore.get(key) : null),
+  set: async (key, value) => {
+    mockStore.set(key, value);
+    return 'OK';
+  },
+  del: async (...keys) => keys.filter(key => mockStore.delete(key)).length,
+  hset: async (key, fields) => {
+    mockStore.set(key, { ...(mockStore.get(key) || {}), ...fields });
+    return 1;
+  },
+  hgetall: async (key) => mockStore.get(key) || {},
+  sadd: async (key, member) => {
+    mockStore.set(key, new Set([...(mockStore.get(key) || []), member]));
+    return 1;
+  },
+  smembers: async (key) => [...(mockStore.get(key) || [])],
+};
+
+jest.mock('../../config/redis', () => ({
+  getRedisClient: () => mockClient,
+  isRedisConnected: () => true,
+}));
+
+jest.mock('../../models/User', () => ({
+  getUserById: jest.fn(async (id) => (id === 'user_2' ? { id, role: 'viewer' } : null)),
+}));
+
+jest.mock('../../utils/logger', () => ({
+  info: jest.fn(),
+}));
+
+jest.mock('../auditLog', () => ({
+  logAudit: jest.fn(),
+}));
+
+const { logAudit } = require('../auditLog');
+const apiKeyService = require('../apiKeyService');
+
+const admin = { id: 'admin-001', email: 'admin@example.com', role: 'admin' };
+
+describe('API Key Service', () => {
+  beforeEach(() => {
+    mockStore.clear();
+    jest.clearAllMocks();
+  });
+
+  test('should return the secret once and store only its hash', async () => {
+    const created = await apiKeyService.createKey({ name: 'Partner', scopes: ['data:read'] }, admin);
+
+    expect(created.key).toMatch(/^rlk_[\w-]{32}$/);
+    expect(created.prefix).toBe(created.key.slice(0, 12));
+    expect(created.ownerId).toBe('admin-001');
+    expect(created.keyHash).toBeUndefined();
+
+    const stored = mockStore.get(`apikey:${created.id}`);
+    expect(JSON.stringify(stored)).not.toContain(created.key);
+    expect(mockStore.get(`apikey:hash:${apiKeyService.hashKey(created.key)}`)).toBe(created.id);
+
+    const fetched = await apiKeyService.getKey(created.id);
+    expect(fetched.key).toBeUndefined();
+    expect(fetched.scopes).toEqual(['data:read']);
+
+    expect(JSON.stringify(logAudit.mock.calls)).not.toContain(created.key);
+  });
+
+  test('should verify active keys and reject unknown ones', async () => {
+    const created = await apiKeyService.createKey({ name: 'Partner', rateLimit: { points: 50, duration: 60 } }, admin);
+
+    const valid = await apiKeyService.verifyKey(created.key);
+    const unknown = await apiKeyService.verifyKey('rlk_not-a-real-key');
+
+    expect(valid.apiKey).toMatchObject({ id: created.id, rateLimit: { points: 50, duration: 60 } });
+    expect(unknown).toEqual({ reason: 'unknown' });
+  });
+
+  test('should reject expired keys', async () => {
+    const created = await apiKeyService.createKey({ name: 'Short-lived' }, admin);
+    await apiKeyService.updateKey(created.id, { expiresAt: new Date(Date.now() - 1000).toISOString() }, admin);
+
+    expect(await apiKeyService.verifyKey(created.key)).toEqual({ reason: 'expired' });
+  });
+
+  test('should invalidate the old secret on rotation', async () => {
+    const created = await apiKeyService.createKey({ name: 'Partner' }, admin);
+    const rotated = await apiKeyService.rotateKey(created.id, admin);
+
+    expect(rotated.id).toBe(created.id);
+    expect(rotated.key).not.toBe(created.key);
+    expect(await apiKeyService.verifyKey(created.key)).toEqual({ reason: 'unknown' });
+    expect((await apiKeyService.verifyKey(rotated.key)).apiKey.id).toBe(created.id);
+  });
+
+  test('should reject revoked keys and refuse further changes', async () => {
+    const created = await apiKeyService.createKey({ name: 'Partner' }, admin);
+    const revoked = await apiKeyService.revokeKey(created.id, admin);
+
+    expect(revoked.status).toBe('revoked');
+    expect(revoked.revokedAt).toEqual(expect.any(String));
+    expect(await apiKeyService.verifyKey(created.key)).toEqual({ reason: 'revoked' });
+    await expect(apiKeyService.rotateKey(created.id, admin)).rejects.toThrow('API key is revoked');
+    expect(logAudit).toHaveBeenCalledWith('apikey.revoke', admin, { type: 'apikey', id: created.id }, { name: 'Partner' });
+  });
+
+  test('should issue keys for other existing users only', async () => {
+    const owned = await apiKeyService.createKey({ name: 'Viewer key', ownerId: 'user_2' }, admin);
+
+    expect(owned.ownerId).toBe('user_2');
+    await expect(apiKeyService.createKey({ name: 'Ghost', ownerId: 'user_9' }, admin)).rejects.toThrow('Owner not found');
+    expect(await apiKeyService.listKeys({ ownerId: 'user_2' })).toHaveLength(1);
+  });
+
+  test('should check scopes', () => {
+    expect(apiKeyService.hasScope({ scopes: ['data:read'] }, 'data:read')).toBe(true);
+    expect(apiKeyService.hasScope({ scopes: ['data:read'] }, 'data:write')).toBe(false);
+    expect(apiKeyService.hasScope({ scopes: ['*'] }, 'data:write')).toBe(true);
+  });
+});
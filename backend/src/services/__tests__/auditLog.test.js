@@ -0,0 +1,252 @@
+/**
+ * Audit Log Service Tests
+ *
+ * Tests recording, retention, filters, pagination, scan caps and CSV export
+ * against an in-memory Redis sorted set
+ */
+
+const mockEntries = new Map();
+const mockKeys = new Map();
+
+const mockCommands = {
+  zadd: (key, score, member) => mockEntries.set(member, score) && 1,
+  zremrangebyscore: (key, min, max) => {
+    const below = parseFloat(String(max).replace('(', ''));
+    [...mockEntries].filter(([, score]) => score < below).forEach(([member]) => mockEntries.delete(member));
+    return 0;
+  },
+  zremrangebyrank: (key, start, stop) => {
+    const ascending = [...mockEntries].sort((a, b) => a[1] - b[1]);
+    ascending.slice(start, ascending.length + stop + 1).forEach(([member]) => mockEntries.delete(member));
+    return 0;
+  },
+  incr: key => mockKeys.set(key, (parseInt(mockKeys.get(key), 10) || 0) + 1) && mockKeys.get(key),
+  expire: () => 1,
+};
+
+const mockRedis = {
+  set: async (key, value, ex, seconds, nx) => {
+    if (nx === 'NX' && mockKeys.has(key)) {
+      return null;
+    }
+    mockKeys.set(key, value);
+    return 'OK';
+  },
+  getdel: async (key) => {
+    const value = mockKeys.get(key);
+    mockKeys.delete(key);
+    return value === undefined ? null : String(value);
+  },
+  pipeline: () => {
+    const queued = [];
+    const pipeline = new Proxy({}, {
+      get: (target, name) => {
+        if (name === 'exec') {
+          return async () => queued.map(([command, args]) => [null, mockCommands[command](...args)]);
+        }
+        return (...args) => {
+          queued.push([name, args]);
+          return pipeline;
+        };
+      },
+    });
+    return pipeline;
+  },
+  zrevrangebyscore: jest.fn(async (key, max, min, limit, offset, count) => [...mockEntries]
+    .filter(([, score]) => (min === '-inf' || score >= min) && (max === '+inf' || score <= max))
+    .sort((a, b) => b[1] - a[1])
+    .slice(offset, offset + count)
+    .map(([member]) => member)),
+  zcount: async (key, min, max) => [...mockEntries.values()]
+    .filter(score => (min === '-inf' || score >= min) && (max === '+inf' || score <= max))
+    .length,
+};
+
+jest.mock('../../config/redis', () => ({
+  ...jest.requireActual('../../config/redis'),
+  getRedisClient: () => mockRedis,
+  isRedisConnected: jest.fn(() => true),
+}));
+
+jest.mock('../../utils/logger', () => ({
+  warn: jest.fn(),
+  error: jest.fn(),
+  auditLogger: { info: jest.fn() },
+}));
+
+const { isRedisConnected } = require('../../config/redis');
+const logger = require('../../utils/logger');
+const auditLog = require('../auditLog');
+
+const admin = { id: 'admin-001', email: 'Admin@example.com', role: 'admin', ip: '203.0.113.7' };
+const viewer = { id: 'user_2', email: 'viewer@example.com', role: 'viewer', ip: '198.51.100.1' };
+
+describe('Audit Log Service', () => {
+  /**
+   * Record an entry at the current time, then move the clock on a second
+   */
+  const record = async (...args) => {
+    const entry = await auditLog.logAudit(...args);
+    jest.setSystemTime(Date.now() + 1000);
+    return entry;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockEntries.clear();
+    mockKeys.clear();
+    isRedisConnected.mockReturnValue(true);
+    delete process.env.AUDIT_RETENTION_DAYS;
+    delete process.env.AUDIT_MAX_ENTRIES;
+    delete process.env.AUDIT_MAX_SCAN_ENTRIES;
+    jest.useFakeTimers({ now: new Date('2026-03-01T12:00:00Z'), doNotFake: ['nextTick', 'setImmediate'] });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('should record entries in the AuditLogEntry schema', async () => {
+    const entry = await record('ip.block', admin, { type: 'ip', id: '203.0.113.9' }, { reason: 'Abuse' });
+
+    expect(entry).toEqual({
+      id: expect.stringMatching(/^audit_/),
+      timestamp: expect.any(String),
+      actor: { id: 'admin-001', email: 'Admin@example.com', ip: '203.0.113.7' },
+      action: 'ip.block',
+      resource: { type: 'ip', id: '203.0.113.9' },
+      details: { reason: 'Abuse' },
+      result: 'success',
+    });
+    expect(logger.auditLogger.info).toHaveBeenCalledWith({ type: 'audit', ...entry });
+    expect(mockEntries.size).toBe(1);
+  });
+
+  test('should record failures with their error message', async () => {
+    const entry = await record('auth.login', { email: 'nobody@example.com', ip: '203.0.113.7' }, { type: 'user', id: null }, {}, 'failure', 'Unknown email');
+
+    expect(entry.actor).toEqual({ id: null, email: 'nobody@example.com', ip: '203.0.113.7' });
+    expect(entry.resource.id).toBeNull();
+    expect(entry).toMatchObject({ result: 'failure', errorMessage: 'Unknown email' });
+  });
+
+  test('should record a throttled event once per window and count the rest', async () => {
+    const attempt = () => auditLog.logAuditThrottled(
+      'auth.login:unknown:203.0.113.7', 900,
+      'auth.login', { email: 'nobody@example.com', ip: '203.0.113.7' }, { type: 'user', id: null }, {}, 'failure', 'Unknown email'
+    );
+
+    const first = await attempt();
+    const repeats = [await attempt(), await attempt()];
+    expect(first.details).toEqual({});
+    expect(repeats).toEqual([null, null]);
+    expect(mockEntries.size).toBe(1);
+
+    // Window over: the next entry carries the attempts left out
+    mockKeys.delete('rl:audit:throttle:auth.login:unknown:203.0.113.7');
+    const next = await attempt();
+    expect(next.details).toEqual({ suppressed: 2 });
+    expect((await attempt())).toBeNull();
+    expect(mockEntries.size).toBe(2);
+  });
+
+  test('should throttle per key', async () => {
+    const attempt = ip => auditLog.logAuditThrottled(`auth.login:unknown:${ip}`, 900, 'auth.login', { ip }, { type: 'user', id: null });
+
+    expect(await attempt('203.0.113.7')).not.toBeNull();
+    expect(await attempt('198.51.100.1')).not.toBeNull();
+    expect(await attempt('203.0.113.7')).toBeNull();
+  });
+
+  test('should still log to the console when Redis is down', async () => {
+    isRedisConnected.mockReturnValue(false);
+
+    await record('auth.logout', admin, { type: 'user', id: admin.id });
+
+    expect(logger.auditLogger.info).toHaveBeenCalled();
+    expect(mockEntries.size).toBe(0);
+    await expect(auditLog.queryAuditLog()).rejects.toThrow('Redis connection required');
+  });
+
+  test('should drop entries past retention and beyond the size cap', async () => {
+    process.env.AUDIT_RETENTION_DAYS = '1';
+    process.env.AUDIT_MAX_ENTRIES = '2';
+
+    await record('user.create', admin, { type: 'user', id: 'user_old' });
+    jest.setSystemTime(Date.now() + 2 * 86400 * 1000);
+    await record('user.create', admin, { type: 'user', id: 'user_a' });
+    await record('user.create', admin, { type: 'user', id: 'user_b' });
+    await record('user.create', admin, { type: 'user', id: 'user_c' });
+
+    const { entries } = await auditLog.queryAuditLog();
+    expect(entries.map(entry => entry.resource.id)).toEqual(['user_c', 'user_b']);
+  });
+
+  test('should filter by date range, actor, action, resource and result', async () => {
+    await record('user.create', admin, { type: 'user', id: 'user_2' });
+    const from = new Date().toISOString();
+    await record('ip.block', admin, { type: 'ip', id: '2001:db8::1' });
+    await record('user.block', admin, { type: 'user', id: 'user_2' });
+    const { timestamp: to } = await record('auth.login', viewer, { type: 'user', id: 'user_2' }, {}, 'failure', 'Incorrect password');
+    await record('rule.create', viewer, { type: 'rule', id: 'rule_1' });
+
+    const query = async (filters) => (await auditLog.queryAuditLog(filters)).entries.map(entry => entry.action);
+
+    expect(await query({ from, to })).toEqual(['auth.login', 'user.block', 'ip.block']);
+    expect(await query({ actor: 'admin@example.com' })).toEqual(['user.block', 'ip.block', 'user.create']);
+    expect(await query({ actor: 'user_2' })).toEqual(['rule.create', 'auth.login']);
+    expect(await query({ action: 'user' })).toEqual(['user.block', 'user.create']);
+    expect(await query({ action: 'user.block' })).toEqual(['user.block']);
+    expect(await query({ resource: 'ip:2001:db8::1' })).toEqual(['ip.block']);
+    expect(await query({ resource: 'user:user_2', result: 'failure' })).toEqual(['auth.login']);
+    await expect(auditLog.queryAuditLog({ from: to, to: from })).rejects.toThrow('Invalid time range');
+  });
+
+  test('should paginate newest first', async () => {
+    for (let i = 1; i <= 5; i++) {
+      await record('apikey.create', admin, { type: 'apikey', id: `key_${i}` });
+    }
+
+    const result = await auditLog.queryAuditLog({ page: 2, limit: 2 });
+
+    expect(result.entries.map(entry => entry.resource.id)).toEqual(['key_3', 'key_2']);
+    expect(result.pagination).toEqual({ page: 2, limit: 2, total: 5, totalPages: 3, truncated: false });
+    expect(mockRedis.zrevrangebyscore).toHaveBeenLastCalledWith(auditLog.AUDIT_KEY, '+inf', '-inf', 'LIMIT', 2, 2);
+  });
+
+  test('should cap the entries a filtered query scans', async () => {
+    process.env.AUDIT_MAX_SCAN_ENTRIES = '3';
+    for (let i = 1; i <= 5; i++) {
+      await record('apikey.create', i % 2 ? admin : viewer, { type: 'apikey', id: `key_${i}` });
+    }
+
+    const result = await auditLog.queryAuditLog({ actor: admin.id });
+
+    // key_5 and key_3 are among the newest 3; key_1 is past the cap
+    expect(result.entries.map(entry => entry.resource.id)).toEqual(['key_5', 'key_3']);
+    expect(result.pagination).toEqual({ page: 1, limit: 50, total: 2, totalPages: 1, truncated: true });
+  });
+
+  test('should cap exports at the Redis read', async () => {
+    await record('ip.block', admin, { type: 'ip', id: '203.0.113.9' });
+    mockRedis.zrevrangebyscore.mockClear();
+
+    await auditLog.exportAuditLog();
+
+    expect(mockRedis.zrevrangebyscore).toHaveBeenCalledWith(
+      auditLog.AUDIT_KEY, '+inf', '-inf', 'LIMIT', 0, auditLog.MAX_EXPORT_ENTRIES
+    );
+  });
+
+  test('should export entries as CSV', async () => {
+    await record('ip.block', admin, { type: 'ip', id: '203.0.113.9' }, { reason: 'says "hi", =cmd' });
+
+    const entries = await auditLog.exportAuditLog();
+    const [header, row] = auditLog.formatCsv(entries).split('\r\n');
+
+    expect(header).toBe('id,timestamp,actorId,actorEmail,actorIp,action,resourceType,resourceId,result,errorMessage,details');
+    expect(row).toContain('"admin-001","Admin@example.com","203.0.113.7","ip.block","ip","203.0.113.9","success",,');
+    expect(row).toContain('"{""reason"":""says \\""hi\\"", =cmd""}"');
+    expect(auditLog.formatCsv([{ ...entries[0], action: '=HYPERLINK()' }])).toContain('"\'=HYPERLINK()"');
+  });
+});
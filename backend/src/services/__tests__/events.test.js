@@ -0,0 +1,165 @@
+/**
+ * Events Service Tests
+ *
+ * Tests sampling, publish limits, filters and the shared subscriber
+ */
+
+const mockPublish = jest.fn(async () => 1);
+const mockSubscribers = [];
+
+jest.mock('../../config/redis', () => ({
+  ...jest.requireActual('../../config/redis'),
+  getRedisClient: () => ({
+    publish: mockPublish,
+    duplicate: () => {
+      const EventEmitter = require('events');
+      const subscriber = new EventEmitter();
+      subscriber.subscribe = jest.fn(async () => 1);
+      subscriber.disconnect = jest.fn();
+      mockSubscribers.push(subscriber);
+      return subscriber;
+    },
+  }),
+  isRedisConnected: jest.fn(() => true),
+}));
+
+const events = require('../events');
+
+const ENV_KEYS = ['EVENTS_ALLOW_SAMPLE_RATE', 'EVENTS_DENY_SAMPLE_RATE', 'EVENTS_MAX_PER_SECOND', 'EVENTS_IDLE_BACKOFF'];
+
+const flushPromises = () => new Promise(resolve => setImmediate(resolve));
+
+const publishedEvents = () => mockPublish.mock.calls.map(([, message]) => JSON.parse(message));
+
+describe('Events Service', () => {
+  let now;
+
+  beforeEach(() => {
+    mockPublish.mockClear();
+    mockPublish.mockResolvedValue(1);
+    mockSubscribers.length = 0;
+    ENV_KEYS.forEach(key => delete process.env[key]);
+
+    // Step past any publish window or idle backoff left by the previous test
+    now = (now || Date.now()) + 60000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    events.stopEvents();
+    jest.restoreAllMocks();
+  });
+
+  test('should publish decisions as allow and deny events', async () => {
+    process.env.EVENTS_ALLOW_SAMPLE_RATE = '1';
+
+    const decision = { ip: '203.0.113.7', identifierType: 'ip', route: '/api/search', method: 'GET' };
+    events.publishDecision({ limiter: 'search', status: 'allowed', remaining: 29, ...decision });
+    events.publishDecision({ limiter: 'rule:rule_1', status: 'limited', remaining: 0, ...decision });
+    await flushPromises();
+
+    const [allow, deny] = publishedEvents();
+    expect(mockPublish).toHaveBeenCalledWith(events.CHANNEL, expect.any(String));
+    expect(allow).toMatchObject({ type: 'allow', limiter: 'search', status: 'allowed', remaining: 29 });
+    expect(allow.ruleId).toBeUndefined();
+    expect(deny).toMatchObject({ type: 'deny', limiter: 'rule:rule_1', ruleId: 'rule_1', status: 'limited' });
+    expect(deny.instance).toEqual(expect.any(String));
+  });
+
+  test('should sample decisions but always publish blocks', async () => {
+    process.env.EVENTS_ALLOW_SAMPLE_RATE = '0';
+    process.env.EVENTS_DENY_SAMPLE_RATE = '0';
+
+    events.publishDecision({ limiter: 'api', status: 'allowed' });
+    events.publishDecision({ limiter: 'api', status: 'limited' });
+    events.publishBlock({ reason: 'ip_blocked', ip: '203.0.113.7', path: '/api/data', method: 'GET' });
+    await flushPromises();
+
+    expect(publishedEvents()).toEqual([
+      expect.objectContaining({ type: 'block', status: 'blocked', reason: 'ip_blocked' }),
+    ]);
+  });
+
+  test('should cap events per second', async () => {
+    process.env.EVENTS_MAX_PER_SECOND = '2';
+
+    for (let i = 0; i < 5; i++) {
+      events.publishEvent('block', { reason: 'ip_blocked' });
+    }
+    await flushPromises();
+    expect(mockPublish).toHaveBeenCalledTimes(2);
+
+    now += 1000;
+    events.publishEvent('block', { reason: 'ip_blocked' });
+    await flushPromises();
+    expect(mockPublish).toHaveBeenCalledTimes(3);
+  });
+
+  test('should back off while nobody is listening', async () => {
+    mockPublish.mockResolvedValue(0);
+
+    events.publishEvent('block', { reason: 'ip_blocked' });
+    await flushPromises();
+    events.publishEvent('block', { reason: 'ip_blocked' });
+    await flushPromises();
+    expect(mockPublish).toHaveBeenCalledTimes(1);
+
+    now += 5000;
+    events.publishEvent('block', { reason: 'ip_blocked' });
+    await flushPromises();
+    expect(mockPublish).toHaveBeenCalledTimes(2);
+  });
+
+  test('should not throw when publishing fails', async () => {
+    mockPublish.mockImplementation(() => {
+      throw new Error('Connection is closed.');
+    });
+
+    expect(() => events.publishEvent('block', { reason: 'ip_blocked' })).not.toThrow();
+    await flushPromises();
+  });
+
+  test('should match every given filter', () => {
+    const deny = { type: 'deny', limiter: 'rule:rule_1', ruleId: 'rule_1', ip: '203.0.113.7', status: 'limited' };
+    const change = { type: 'rule-change', action: 'update', ruleId: 'rule_1' };
+
+    expect(events.createEventFilter()(deny)).toBe(true);
+    expect(events.createEventFilter({ ruleId: 'rule_1' })(change)).toBe(true);
+    expect(events.createEventFilter({ ruleId: 'rule_1', status: 'limited' })(deny)).toBe(true);
+    expect(events.createEventFilter({ ruleId: 'rule_1', status: 'limited' })(change)).toBe(false);
+    expect(events.createEventFilter({ preset: 'api' })(deny)).toBe(false);
+    expect(events.createEventFilter({ ip: '198.51.100.1' })(deny)).toBe(false);
+  });
+
+  test('should share one subscriber between listeners and close it after the last', async () => {
+    const first = jest.fn();
+    const second = jest.fn();
+
+    const unsubscribeFirst = await events.subscribe(first);
+    const unsubscribeSecond = await events.subscribe(second);
+
+    expect(mockSubscribers).toHaveLength(1);
+    const [subscriber] = mockSubscribers;
+    expect(subscriber.subscribe).toHaveBeenCalledWith(events.CHANNEL);
+
+    subscriber.emit('message', events.CHANNEL, JSON.stringify({ type: 'deny', ip: '203.0.113.7' }));
+    subscriber.emit('message', events.CHANNEL, 'not json');
+    expect(first).toHaveBeenCalledWith({ type: 'deny', ip: '203.0.113.7' });
+    expect(second).toHaveBeenCalledTimes(1);
+
+    unsubscribeFirst();
+    expect(subscriber.disconnect).not.toHaveBeenCalled();
+    unsubscribeSecond();
+    expect(subscriber.disconnect).toHaveBeenCalled();
+  });
+
+  test('should end streams on shutdown', async () => {
+    const onClose = jest.fn();
+    await events.subscribe(jest.fn(), onClose);
+
+    events.stopEvents();
+
+    expect(onClose).toHaveBeenCalled();
+    expect(mockSubscribers[0].disconnect).toHaveBeenCalled();
+  });
+});
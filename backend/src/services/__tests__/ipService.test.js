@@ -0,0 +1,102 @@
+/**
+ * IP Service Tests
+ *
+ * Tests matching of addresses against single-address and CIDR range
+ * entries, and that ranges are loaded from their own index.
+ * Redis is replaced by an in-memory stand-in.
+ */
+
+const mockStrings = new Map();
+const mockSets = new Map();
+
+const mockGetSet = key => mockSets.get(key) || new Set();
+
+const mockClient = {
+  set: jest.fn(async (key, value) => {
+    mockStrings.set(key, value);
+    return 'OK';
+  }),
+  del: jest.fn(async key => (mockStrings.delete(key) ? 1 : 0)),
+  mget: jest.fn(async (...keys) => keys.flat().map(key => mockStrings.get(key) || null)),
+  sadd: jest.fn(async (key, ...members) => {
+    const set = mockGetSet(key);
+    members.forEach(member => set.add(member));
+    mockSets.set(key, set);
+    return members.length;
+  }),
+  srem: jest.fn(async (key, ...members) => members.filter(member => mockGetSet(key).delete(member)).length),
+  smembers: jest.fn(async key => [...mockGetSet(key)]),
+  sscan: jest.fn(async (key, cursor, match, pattern) => {
+    const regex = new RegExp(`^${pattern.replace(/\*/g, '.*')}$`);
+    return ['0', [...mockGetSet(key)].filter(member => regex.test(member))];
+  }),
+};
+
+jest.mock('../../config/redis', () => ({
+  getRedisClient: () => mockClient,
+  isRedisConnected: () => true,
+  getFailureMode: () => 'open',
+}));
+
+jest.mock('../auditLog', () => ({
+  logAudit: jest.fn(),
+}));
+
+const ipService = require('../ipService');
+
+const admin = { id: 'admin-001', email: 'admin@example.com', role: 'admin' };
+
+describe('IP Service', () => {
+  beforeEach(() => {
+    mockStrings.clear();
+    mockSets.clear();
+    jest.clearAllMocks();
+    ipService.invalidateRangeCache();
+  });
+
+  test('should match single addresses and CIDR ranges', async () => {
+    await ipService.blockIp('198.51.100.7', { reason: 'abuse' }, admin);
+    await ipService.blockIp('203.0.113.0/24', { reason: 'abuse' }, admin);
+    await ipService.whitelistIp('2001:db8::/48', {}, admin);
+
+    expect((await ipService.checkIp('198.51.100.7')).blocked.value).toBe('198.51.100.7');
+    expect((await ipService.checkIp('203.0.113.42')).blocked.value).toBe('203.0.113.0/24');
+    expect((await ipService.checkIp('2001:db8::1')).whitelisted.value).toBe('2001:db8::/48');
+    expect(await ipService.checkIp('192.0.2.1')).toEqual({ blocked: null, whitelisted: null });
+  });
+
+  test('should load ranges from their own index, not every listed address', async () => {
+    await ipService.blockIp('198.51.100.7', {}, admin);
+    await ipService.blockIp('203.0.113.0/24', {}, admin);
+
+    await ipService.checkIp('192.0.2.1');
+
+    const readSets = mockClient.smembers.mock.calls.map(([key]) => key);
+    expect(readSets).toEqual(['ratelimit:blocked:ipranges', 'ratelimit:whitelist:ipranges']);
+    expect(mockClient.mget.mock.calls.flat(2)).not.toContain('ratelimit:blocked:ip:198.51.100.7');
+  });
+
+  test('should drop unblocked ranges from the index', async () => {
+    await ipService.blockIp('203.0.113.0/24', {}, admin);
+    await ipService.unblockIp('203.0.113.0/24', admin);
+
+    expect(await ipService.checkIp('203.0.113.42')).toEqual({ blocked: null, whitelisted: null });
+    expect(mockGetSet('ratelimit:blocked:ipranges').size).toBe(0);
+  });
+
+  test('should index ranges listed before the range index existed', async () => {
+    const entity = { id: 'block_1', type: 'ip', value: '203.0.113.0/24', createdAt: '2026-01-01T00:00:00.000Z' };
+    mockStrings.set('ratelimit:blocked:ip:203.0.113.0/24', JSON.stringify(entity));
+    mockSets.set('ratelimit:blocked:ip', new Set(['203.0.113.0/24', '198.51.100.7']));
+
+    // A freshly started process indexes them on its first range lookup
+    let freshIpService;
+    jest.isolateModules(() => {
+      freshIpService = require('../ipService');
+    });
+    const result = await freshIpService.checkIp('203.0.113.42');
+
+    expect(result.blocked.value).toBe('203.0.113.0/24');
+    expect([...mockGetSet('ratelimit:blocked:ipranges')]).toEqual(['203.0.113.0/24']);
+  });
+});
@@ -0,0 +1,177 @@
+/**
+ * Penalty Box Tests
+ *
+ * Tests violation counting, escalating block durations and the limiter
+ * integration, against an in-memory Redis stand-in
+ */
+
+const mockStore = new Map();
+
+const mockClient = {
+  multi() {
+    const ops = [];
+    const chain = {
+      incr: (key) => {
+        ops.push(() => {
+          const value = (mockStore.get(key)?.value || 0) + 1;
+          mockStore.set(key, { value, ttl: mockStore.get(key)?.ttl ?? -1 });
+          return value;
+        });
+        return chain;
+      },
+      ttl: (key) => {
+        ops.push(() => (mockStore.has(key) ? mockStore.get(key).ttl : -2));
+        return chain;
+      },
+      exec: async () => ops.map(op => [null, op()]),
+    };
+    return chain;
+  },
+  expire: jest.fn(async (key, seconds) => {
+    mockStore.get(key).ttl = seconds;
+    return 1;
+  }),
+  del: jest.fn(async (key) => (mockStore.delete(key) ? 1 : 0)),
+};
+
+jest.mock('../../config/redis', () => ({
+  getRedisClient: () => mockClient,
+  isRedisConnected: jest.fn(() => true),
+  getFailureMode: () => 'open',
+}));
+
+jest.mock('../auditLog', () => ({
+  logAudit: jest.fn(),
+}));
+
+jest.mock('../../models/BlockedEntity', () => ({
+  addEntity: jest.fn(async (list, data) => ({ id: 'block_1', ...data })),
+  checkEntity: jest.fn(async () => ({ blocked: null, whitelisted: null })),
+}));
+
+const BlockedEntity = require('../../models/BlockedEntity');
+const { recordViolation } = require('../penaltyBox');
+
+const violate = async (times, type = 'ip', value = '203.0.113.50') => {
+  let block = null;
+  for (let i = 0; i < times; i++) {
+    block = (await recordViolation(type, value)) || block;
+  }
+  return block;
+};
+
+describe('Penalty Box', () => {
+  const originalEnv = { ...process.env };
+
+  beforeEach(() => {
+    mockStore.clear();
+    jest.clearAllMocks();
+    process.env.PENALTY_THRESHOLD = '3';
+    process.env.PENALTY_WINDOW = '600';
+    process.env.PENALTY_DURATIONS = '300,3600,86400';
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  test('should not block below the threshold', async () => {
+    const block = await violate(2);
+
+    expect(block).toBeNull();
+    expect(BlockedEntity.addEntity).not.toHaveBeenCalled();
+    expect(mockStore.get('ratelimit:violations:ip:203.0.113.50')).toEqual({ value: 2, ttl: 600 });
+  });
+
+  test('should block once the threshold is reached', async () => {
+    const before = Date.now();
+    const block = await violate(3);
+
+    expect(block).toMatchObject({ type: 'ip', value: '203.0.113.50', createdBy: 'penalty-box' });
+    expect(new Date(block.expiresAt).getTime()).toBeGreaterThanOrEqual(before + 300 * 1000);
+    expect(BlockedEntity.addEntity).toHaveBeenCalledWith('blocked', expect.any(Object));
+    expect(mockStore.has('ratelimit:violations:ip:203.0.113.50')).toBe(false);
+  });
+
+  test('should escalate block durations for repeat offenders', async () => {
+    const durations = [];
+    for (let i = 0; i < 4; i++) {
+      const before = Date.now();
+      const block = await violate(3, 'user', 'user_42');
+      durations.push(Math.round((new Date(block.expiresAt).getTime() - before) / 1000));
+    }
+
+    expect(durations).toEqual([300, 3600, 86400, 86400]);
+  });
+
+  test('should ignore unsupported identifier types and disabled config', async () => {
+    expect(await violate(3, 'apiKey', 'key_1')).toBeNull();
+
+    process.env.PENALTY_BOX_ENABLED = 'false';
+    expect(await violate(3)).toBeNull();
+    delete process.env.PENALTY_BOX_ENABLED;
+
+    expect(BlockedEntity.addEntity).not.toHaveBeenCalled();
+  });
+});
+
+describe('Rate Limiter - Penalty box', () => {
+  const { isRedisConnected } = require('../../config/redis');
+  const { createRateLimiterMiddleware } = require('../../middleware/rateLimiter');
+
+  const createResponse = () => ({ set: jest.fn(), status: jest.fn().mockReturnThis(), json: jest.fn() });
+
+  beforeEach(() => {
+    mockStore.clear();
+    jest.clearAllMocks();
+    process.env.PENALTY_THRESHOLD = '2';
+  });
+
+  test('should raise IP_BLOCKED when a rejection places a block', async () => {
+    const middleware = createRateLimiterMiddleware({ keyPrefix: 'penalty_ip', points: 1, duration: 60 });
+    const req = { method: 'GET', path: '/api/data', headers: {}, ip: '203.0.113.51' };
+
+    const results = [];
+    for (let i = 0; i < 3; i++) {
+      // In-memory fallback limiter; the penalty box still sees Redis as connected
+      isRedisConnected.mockReturnValueOnce(false);
+      const res = createResponse();
+      const next = jest.fn();
+      await middleware(req, res, next);
+      results.push(next.mock.calls[0]?.[0]?.code || (res.status.mock.calls[0]?.[0] ?? 'next'));
+    }
+
+    expect(results).toEqual(['next', 429, 'IP_BLOCKED']);
+  });
+
+  test('should reject blocked users before consuming points', async () => {
+    BlockedEntity.checkEntity.mockResolvedValueOnce({
+      blocked: { type: 'user', value: 'user_7', expiresAt: '2099-01-01T00:00:00.000Z' },
+      whitelisted: null,
+    });
+    const middleware = createRateLimiterMiddleware({ keyPrefix: 'penalty_user', identifierType: 'user' });
+    const next = jest.fn();
+
+    await middleware({ method: 'GET', path: '/api/data', headers: {}, user: { id: 'user_7' } }, createResponse(), next);
+
+    expect(next.mock.calls[0][0].code).toBe('USER_BLOCKED');
+    expect(next.mock.calls[0][0].details).toEqual({ expiresAt: '2099-01-01T00:00:00.000Z' });
+  });
+
+  test('should not penalize limiters that opt out', async () => {
+    const middleware = createRateLimiterMiddleware({
+      keyPrefix: 'penalty_optout',
+      points: 1,
+      duration: 60,
+      penalize: false,
+    });
+    const req = { method: 'GET', path: '/api/data', headers: {}, ip: '203.0.113.52' };
+
+    for (let i = 0; i < 4; i++) {
+      isRedisConnected.mockReturnValueOnce(false);
+      await middleware(req, createResponse(), jest.fn());
+    }
+
+    expect(BlockedEntity.addEntity).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * Plan Service Tests
+ *
+ * Tests built-in and stored plans, plan resolution for API keys and users,
+ * and the limiter layers a plan produces
+ */
+
+jest.mock('../../models/Plan', () => ({
+  getPlan: jest.fn(),
+  getAllPlans: jest.fn(),
+  savePlan: jest.fn(async (name, data) => ({ name, ...data, createdAt: 'now', updatedAt: 'now' })),
+  deletePlan: jest.fn(),
+}));
+
+jest.mock('../../models/User', () => ({
+  getUserById: jest.fn(),
+}));
+
+jest.mock('../../utils/logger', () => ({
+  warn: jest.fn(),
+}));
+
+jest.mock('../auditLog', () => ({
+  logAudit: jest.fn(),
+}));
+
+const Plan = require('../../models/Plan');
+const User = require('../../models/User');
+const logger = require('../../utils/logger');
+const { logAudit } = require('../auditLog');
+const planService = require('../planService');
+
+const admin = { id: 'admin-001', email: 'admin@example.com', role: 'admin' };
+const startup = { name: 'startup', description: 'Custom', limits: { minute: 300, month: 200000 } };
+
+describe('Plan Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    planService.invalidatePlanCache();
+    delete process.env.DEFAULT_PLAN;
+    Plan.getPlan.mockImplementation(async name => (name === 'startup' ? startup : null));
+    Plan.getAllPlans.mockResolvedValue([startup]);
+  });
+
+  test('should serve built-in plans until they are edited', async () => {
+    const free = await planService.getPlan('free');
+
+    expect(free).toMatchObject({ name: 'free', builtIn: true, limits: { second: 5, minute: 60, day: 1000, month: 10000 } });
+    expect(await planService.getPlan('missing')).toBeNull();
+  });
+
+  test('should list built-in plans before custom plans', async () => {
+    const plans = await planService.listPlans();
+
+    expect(plans.map(plan => plan.name)).toEqual(['free', 'pro', 'enterprise', 'startup']);
+    expect(plans[3].builtIn).toBe(false);
+  });
+
+  test('should audit plan creation and edits', async () => {
+    await planService.savePlan('growth', { limits: { day: 5000 } }, admin);
+    await planService.savePlan('pro', { limits: { minute: 1000 } }, admin);
+
+    expect(logAudit).toHaveBeenCalledWith('plan.create', admin, { type: 'plan', id: 'growth' }, { limits: { day: 5000 } });
+    expect(logAudit).toHaveBeenCalledWith('plan.update', admin, { type: 'plan', id: 'pro' }, {
+      before: planService.BUILT_IN_PLANS.pro.limits,
+      limits: { minute: 1000 },
+    });
+  });
+
+  test('should reset built-in plans and delete custom ones', async () => {
+    Plan.deletePlan.mockResolvedValue(true);
+
+    const reset = await planService.deletePlan('pro', admin);
+    const deleted = await planService.deletePlan('startup', admin);
+
+    expect(reset).toMatchObject({ name: 'pro', builtIn: true });
+    expect(deleted).toBeNull();
+    expect(logAudit).toHaveBeenCalledWith('plan.reset', admin, { type: 'plan', id: 'pro' });
+    expect(logAudit).toHaveBeenCalledWith('plan.delete', admin, { type: 'plan', id: 'startup' });
+
+    Plan.deletePlan.mockResolvedValue(false);
+    await expect(planService.deletePlan('missing', admin)).rejects.toThrow('Plan not found');
+  });
+
+  test('should not delete a custom default plan', async () => {
+    process.env.DEFAULT_PLAN = 'startup';
+
+    await expect(planService.deletePlan('startup', admin)).rejects.toThrow('Cannot delete the default plan');
+  });
+
+  test('should resolve the API key plan, falling back to the default', async () => {
+    expect((await planService.resolvePlan({ apiKey: { id: 'key_1', plan: 'startup' } }, 'apiKey')).name).toBe('startup');
+    expect((await planService.resolvePlan({ apiKey: { id: 'key_1', plan: null } }, 'apiKey')).name).toBe('free');
+
+    process.env.DEFAULT_PLAN = 'pro';
+    expect((await planService.resolvePlan({ apiKey: { id: 'key_1', plan: 'deleted' } }, 'apiKey')).name).toBe('pro');
+    expect(logger.warn).toHaveBeenCalledWith('Assigned plan not found, using default plan', { plan: 'deleted', default: 'pro' });
+  });
+
+  test('should resolve and cache the user plan', async () => {
+    User.getUserById.mockResolvedValue({ id: 'user_1', plan: 'enterprise' });
+    const req = { user: { id: 'user_1' } };
+
+    expect((await planService.resolvePlan(req, 'user')).name).toBe('enterprise');
+    expect((await planService.resolvePlan(req, 'user')).name).toBe('enterprise');
+    expect(User.getUserById).toHaveBeenCalledTimes(1);
+  });
+
+  test('should turn plan limits into limiter layers', () => {
+    const layers = planService.getPlanLayers(startup, 'user');
+
+    expect(layers).toEqual([
+      { name: 'minute', keyPrefix: 'plan:user:minute', points: 300, duration: 60, calendar: undefined, identifierType: 'user' },
+      { name: 'month', keyPrefix: 'plan:user:month', points: 200000, duration: 2592000, calendar: 'month', identifierType: 'user' },
+    ]);
+  });
+});
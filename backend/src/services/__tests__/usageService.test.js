@@ -0,0 +1,193 @@
+/**
+ * Usage Service Tests
+ *
+ * Tests which quotas are reported for a client and how usage is read and reset
+ */
+
+const mockStore = new Map();
+const mockRedis = {
+  get: jest.fn(async key => mockStore.get(key) ?? null),
+  del: jest.fn(async key => (mockStore.delete(key) ? 1 : 0)),
+  defineCommand: jest.fn(),
+};
+
+jest.mock('../../config/redis', () => ({
+  ...jest.requireActual('../../config/redis'),
+  getRedisClient: () => mockRedis,
+  isRedisConnected: jest.fn(() => true),
+}));
+
+jest.mock('../../models/ApiKey', () => ({
+  getApiKeyById: jest.fn(),
+}));
+
+jest.mock('../../models/User', () => ({
+  getUserById: jest.fn(),
+}));
+
+jest.mock('../ruleService', () => ({
+  getCachedActiveRules: jest.fn(),
+}));
+
+jest.mock('../planService', () => ({
+  ...jest.requireActual('../planService'),
+  resolvePlan: jest.fn(),
+}));
+
+jest.mock('../auditLog', () => ({
+  logAudit: jest.fn(),
+}));
+
+const { isRedisConnected } = require('../../config/redis');
+const ApiKey = require('../../models/ApiKey');
+const User = require('../../models/User');
+const { getCachedActiveRules } = require('../ruleService');
+const { resolvePlan, BUILT_IN_PLANS } = require('../planService');
+const { logAudit } = require('../auditLog');
+const usageService = require('../usageService');
+
+const proPlan = { name: 'pro', ...BUILT_IN_PLANS.pro, builtIn: true };
+
+const monthlyKeyRule = {
+  id: 'rule_month',
+  name: 'partner-monthly',
+  target: { type: 'apikey', pattern: 'key_*' },
+  limit: { requests: 100000, window: '1mo' },
+};
+
+const hourlyKeyRule = {
+  id: 'rule_hour',
+  name: 'partner-hourly',
+  target: { type: 'apikey', pattern: 'key_*' },
+  limit: { requests: 1000, window: '1h' },
+};
+
+const officeRule = {
+  id: 'rule_office',
+  name: 'office-weekly',
+  target: { type: 'ip', pattern: '10.0.0.0/8' },
+  limit: { requests: 5000, window: '1w' },
+};
+
+const searchRule = {
+  id: 'rule_search',
+  name: 'search-monthly',
+  target: { type: 'endpoint', pattern: '/api/search' },
+  limit: { requests: 200, window: '1mo' },
+};
+
+describe('Usage Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockStore.clear();
+    jest.spyOn(Date, 'now').mockReturnValue(new Date('2026-02-14T12:00:00Z').getTime());
+
+    ApiKey.getApiKeyById.mockImplementation(async id => (id === 'key_1' ? { id, plan: 'pro' } : null));
+    User.getUserById.mockResolvedValue(null);
+    resolvePlan.mockResolvedValue(proPlan);
+    getCachedActiveRules.mockResolvedValue([monthlyKeyRule, hourlyKeyRule, officeRule]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should report daily and monthly plan usage and matching quota rules', async () => {
+    mockStore.set('plan:apiKey:day:fw:key_1:d20260214', '1200');
+    mockStore.set('plan:apiKey:month:fw:key_1:m202602', '30000');
+    mockStore.set('rule:rule_month:quota:key_1:20260201T000000Z', '99999');
+
+    const usage = await usageService.getUsage({ type: 'apikey', identifier: 'key_1' });
+
+    expect(resolvePlan).toHaveBeenCalledWith({ apiKey: { id: 'key_1', plan: 'pro' } }, 'apiKey');
+    expect(usage.plan).toBe('pro');
+    expect(usage.quotas).toEqual([
+      {
+        source: 'plan',
+        name: 'pro:day',
+        window: 'day',
+        limit: 50000,
+        used: 1200,
+        remaining: 48800,
+        periodStart: '2026-02-14T00:00:00.000Z',
+        resetAt: '2026-02-15T00:00:00.000Z',
+      },
+      {
+        source: 'plan',
+        name: 'pro:month',
+        window: 'month',
+        limit: 1000000,
+        used: 30000,
+        remaining: 970000,
+        periodStart: '2026-02-01T00:00:00.000Z',
+        resetAt: '2026-03-01T00:00:00.000Z',
+      },
+      {
+        source: 'rule',
+        name: 'partner-monthly',
+        ruleId: 'rule_month',
+        window: '1mo',
+        limit: 100000,
+        used: 99999,
+        remaining: 1,
+        periodStart: '2026-02-01T00:00:00.000Z',
+        resetAt: '2026-03-01T00:00:00.000Z',
+      },
+    ]);
+  });
+
+  test('should report only rule quotas for IP clients', async () => {
+    const inside = await usageService.getUsage({ type: 'ip', identifier: '10.1.2.3' });
+    const outside = await usageService.getUsage({ type: 'ip', identifier: '203.0.113.5' });
+
+    expect(inside.plan).toBeNull();
+    expect(inside.quotas).toEqual([expect.objectContaining({ name: 'office-weekly', used: 0, remaining: 5000 })]);
+    expect(outside.quotas).toEqual([]);
+    expect(resolvePlan).not.toHaveBeenCalled();
+  });
+
+  test('should list endpoint rule quotas separately for IP clients', async () => {
+    getCachedActiveRules.mockResolvedValue([officeRule, searchRule]);
+    mockStore.set('rule:rule_search:quota:10.1.2.3:20260201T000000Z', '150');
+
+    const ip = await usageService.getUsage({ type: 'ip', identifier: '10.1.2.3' });
+    const apiKey = await usageService.getUsage({ type: 'apikey', identifier: 'key_1' });
+
+    expect(ip.quotas).toEqual([expect.objectContaining({ name: 'office-weekly' })]);
+    expect(ip.endpointQuotas).toEqual([expect.objectContaining({
+      name: 'search-monthly',
+      endpoint: '/api/search',
+      used: 150,
+      remaining: 50,
+    })]);
+    expect(apiKey.endpointQuotas).toEqual([]);
+  });
+
+  test('should fail for unknown users and API keys', async () => {
+    await expect(usageService.getUsage({ type: 'apikey', identifier: 'key_404' })).rejects.toThrow('API key not found');
+    await expect(usageService.getUsage({ type: 'user', identifier: 'user_404' })).rejects.toThrow('User not found');
+  });
+
+  test('should require Redis', async () => {
+    isRedisConnected.mockReturnValueOnce(false);
+
+    await expect(usageService.getUsage({ type: 'ip', identifier: '10.1.2.3' })).rejects.toThrow('Redis connection required');
+  });
+
+  test('should reset the current period of every quota and audit it', async () => {
+    mockStore.set('plan:apiKey:month:fw:key_1:m202602', '30000');
+    mockStore.set('rule:rule_month:quota:key_1:20260201T000000Z', '99999');
+    const actor = { id: 'admin-001', email: 'admin@example.com' };
+
+    const result = await usageService.resetUsage({ type: 'apikey', identifier: 'key_1' }, actor);
+
+    expect(result).toEqual({ reset: ['pro:month', 'partner-monthly'] });
+    expect(mockStore.size).toBe(0);
+    expect(logAudit).toHaveBeenCalledWith(
+      'usage.reset',
+      actor,
+      { type: 'apikey', id: 'key_1' },
+      { quotas: ['pro:month', 'partner-monthly'] }
+    );
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * User Service Tests
+ *
+ * Tests password handling, last-admin protection and audit events
+ */
+
+const bcrypt = require('bcryptjs');
+
+jest.mock('../../models/User', () => ({
+  getUserById: jest.fn(),
+  getAllUsers: jest.fn(),
+  createUser: jest.fn(async (data) => ({ id: 'user_new', createdAt: '2026-01-01T00:00:00.000Z', ...data })),
+  updateUser: jest.fn(async (userId, updates) => ({ id: userId, ...updates })),
+  deleteUser: jest.fn(async () => true),
+}));
+
+jest.mock('../../models/BlockedEntity', () => ({
+  addEntity: jest.fn(async (list, data) => ({ id: 'block_1', ...data, expiresAt: data.expiresAt || null })),
+  removeEntity: jest.fn(async () => false),
+}));
+
+jest.mock('../accountLockout', () => ({
+  clearFailedLogins: jest.fn(),
+}));
+
+jest.mock('../tokenRevocation', () => ({
+  revokeUserTokens: jest.fn(),
+}));
+
+jest.mock('../auditLog', () => ({
+  logAudit: jest.fn(),
+}));
+
+jest.mock('../planService', () => ({
+  assertPlanExists: jest.fn(async (name) => {
+    if (name !== 'pro') throw new Error('Plan not found');
+  }),
+  invalidatePlanCache: jest.fn(),
+}));
+
+const User = require('../../models/User');
+const BlockedEntity = require('../../models/BlockedEntity');
+const { logAudit } = require('../auditLog');
+const { revokeUserTokens } = require('../tokenRevocation');
+const userService = require('../userService');
+
+const admin = { id: 'admin-001', email: 'admin@example.com', role: 'admin', passwordHash: bcrypt.hashSync('admin-pass', 4) };
+const viewer = { id: 'user_2', email: 'viewer@example.com', role: 'viewer', passwordHash: bcrypt.hashSync('viewer-pass', 4) };
+
+describe('User Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    User.getUserById.mockImplementation(async (id) => [admin, viewer].find(user => user.id === id) || null);
+    User.getAllUsers.mockResolvedValue([admin, viewer]);
+  });
+
+  test('should hash passwords and never return the hash', async () => {
+    const user = await userService.createUser({ email: 'new@example.com', password: 'secret-pass' }, admin);
+
+    const stored = User.createUser.mock.calls[0][0];
+    expect(stored.role).toBe('viewer');
+    expect(await bcrypt.compare('secret-pass', stored.passwordHash)).toBe(true);
+    expect(user.passwordHash).toBeUndefined();
+    expect(logAudit).toHaveBeenCalledWith('user.create', admin, { type: 'user', id: 'user_new' }, expect.any(Object));
+  });
+
+  test('should protect the last admin from demotion and deletion', async () => {
+    await expect(userService.updateRole('admin-001', 'viewer', viewer)).rejects.toThrow('Cannot remove the last admin');
+    await expect(userService.deleteUser('admin-001', viewer)).rejects.toThrow('Cannot remove the last admin');
+    expect(User.updateUser).not.toHaveBeenCalled();
+    expect(User.deleteUser).not.toHaveBeenCalled();
+  });
+
+  test('should not let users delete themselves', async () => {
+    await expect(userService.deleteUser('admin-001', admin)).rejects.toThrow('Cannot delete your own account');
+  });
+
+  test('should require the current password for self-service changes', async () => {
+    await expect(
+      userService.resetPassword('user_2', { password: 'new-password' }, viewer)
+    ).rejects.toThrow('Current password is incorrect');
+
+    await userService.resetPassword('user_2', { password: 'new-password', currentPassword: 'viewer-pass' }, viewer);
+
+    expect(User.updateUser).toHaveBeenCalledWith('user_2', { passwordHash: expect.any(String) });
+    expect(logAudit).toHaveBeenCalledWith('user.password_reset', viewer, { type: 'user', id: 'user_2' }, { selfService: true });
+  });
+
+  test('should let admins reset other passwords without the current one', async () => {
+    await userService.resetPassword('user_2', { password: 'new-password' }, admin);
+
+    expect(logAudit).toHaveBeenCalledWith('user.password_reset', admin, { type: 'user', id: 'user_2' }, { selfService: false });
+  });
+  test('should assign and clear plans', async () => {
+    const assigned = await userService.updatePlan('user_2', 'pro', admin);
+    await userService.updatePlan('user_2', null, admin);
+
+    expect(assigned.plan).toBe('pro');
+    expect(User.updateUser).toHaveBeenCalledWith('user_2', { plan: 'pro' });
+    expect(User.updateUser).toHaveBeenCalledWith('user_2', { plan: '' });
+    expect(logAudit).toHaveBeenCalledWith('user.plan_update', admin, { type: 'user', id: 'user_2' }, { from: null, to: 'pro' });
+    await expect(userService.updatePlan('user_2', 'platinum', admin)).rejects.toThrow('Plan not found');
+  });
+
+  test('should block existing users other than the caller', async () => {
+    const entity = await userService.blockUser('user_2', { reason: 'Scraping' }, admin);
+
+    expect(entity).toMatchObject({ type: 'user', value: 'user_2', reason: 'Scraping', createdBy: 'admin@example.com' });
+    expect(BlockedEntity.addEntity).toHaveBeenCalledWith('blocked', expect.objectContaining({ type: 'user', value: 'user_2' }));
+    expect(logAudit).toHaveBeenCalledWith('user.block', admin, { type: 'user', id: 'user_2' }, { reason: 'Scraping', expiresAt: null });
+    await expect(userService.blockUser('admin-001', {}, admin)).rejects.toThrow('Cannot block your own account');
+    await expect(userService.blockUser('user_9', {}, admin)).rejects.toThrow('User not found');
+  });
+
+  test('should revoke the tokens of users whose role, password or account changes', async () => {
+    await userService.updateRole('user_2', 'viewer', admin);
+    expect(revokeUserTokens).not.toHaveBeenCalled();
+
+    await userService.updateRole('user_2', 'admin', admin);
+    await userService.resetPassword('user_2', { password: 'new-password' }, admin);
+    await userService.deleteUser('user_2', admin);
+
+    expect(revokeUserTokens.mock.calls).toEqual([
+      ['user_2', 'role_update'],
+      ['user_2', 'password_reset'],
+      ['user_2', 'delete'],
+    ]);
+  });
+
+  test('should report unblocking a user that is not blocked', async () => {
+    await expect(userService.unblockUser('user_2', admin)).rejects.toThrow('User is not blocked');
+
+    BlockedEntity.removeEntity.mockResolvedValueOnce(true);
+    await userService.unblockUser('user_2', admin);
+
+    expect(logAudit).toHaveBeenCalledWith('user.unblock', admin, { type: 'user', id: 'user_2' });
+  });
+});
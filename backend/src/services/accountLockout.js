@@ -0,0 +1,98 @@
+/**
+ * Account Lockout Service
+ *
+ * Locks an account after LOGIN_MAX_FAILED_ATTEMPTS wrong passwords within
+ * LOGIN_FAILED_WINDOW seconds, for LOGIN_LOCKOUT_DURATION seconds. Failures
+ * are counted per account, so an attacker rotating IPs (and slipping past the
+ * per-IP login limiter) still locks the account they are guessing at.
+ *
+ * Redis layout:
+ * - auth:failed:{userId}  Failed attempts in the current window
+ * - auth:locked:{userId}  Present while the account is locked
+ */
+
+const { getRedisClient, isRedisConnected } = require('../config/redis');
+const logger = require('../utils/logger');
+
+/**
+ * Read the lockout settings from the environment
+ *
+ * @returns {Object} { maxAttempts, window, duration }
+ */
+const getLockoutConfig = () => ({
+  maxAttempts: parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS, 10) || 5,
+  window: parseInt(process.env.LOGIN_FAILED_WINDOW, 10) || 900,
+  duration: parseInt(process.env.LOGIN_LOCKOUT_DURATION, 10) || 900,
+});
+
+/**
+ * Get the remaining lockout of an account
+ *
+ * @param {string} userId - User ID
+ * @returns {Promise<number>} Seconds until the account unlocks, 0 if not locked
+ */
+const getLockout = async (userId) => {
+  if (!isRedisConnected()) {
+    return 0;
+  }
+
+  const redis = getRedisClient();
+  const ttl = await redis.ttl(`auth:locked:${userId}`);
+
+  return ttl > 0 ? ttl : 0;
+};
+
+/**
+ * Record a wrong password and lock the account once it has too many
+ *
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} { attempts, lockedFor } (lockedFor in seconds, 0 if not locked)
+ */
+const recordFailedLogin = async (userId) => {
+  if (!isRedisConnected()) {
+    return { attempts: 0, lockedFor: 0 };
+  }
+
+  const config = getLockoutConfig();
+  const redis = getRedisClient();
+  const key = `auth:failed:${userId}`;
+
+  const [[, attempts], [, ttl]] = await redis.multi().incr(key).ttl(key).exec();
+  if (ttl < 0) {
+    await redis.expire(key, config.window);
+  }
+
+  if (attempts < config.maxAttempts) {
+    return { attempts, lockedFor: 0 };
+  }
+
+  await redis.set(`auth:locked:${userId}`, '1', 'EX', config.duration);
+  await redis.del(key);
+
+  logger.warn('Account locked after failed logins', { userId, attempts, duration: config.duration });
+
+  return { attempts, lockedFor: config.duration };
+};
+
+/**
+ * Reset the failed attempt counter and lift any lockout
+ * Called after a successful login or a password reset.
+ *
+ * @param {string} userId - User ID
+ * @returns {Promise<void>}
+ */
+const clearFailedLogins = async (userId) => {
+  if (!isRedisConnected()) {
+    return;
+  }
+
+  const redis = getRedisClient();
+  await redis.del(`auth:failed:${userId}`, `auth:locked:${userId}`);
+};
+
+module.exports = {
+  getLockoutConfig,
+  getLockout,
+  recordFailedLogin,
+  clearFailedLogins,
+};
@@ -0,0 +1,510 @@
+/**
+ * Analytics Service
+ *
+ * Persistent traffic and denial counts, aggregated in Redis time buckets so
+ * the admin API can chart them without an external TSDB.
+ *
+ * Each instance buffers counts in memory and flushes them every
+ * ANALYTICS_FLUSH_INTERVAL ms in one pipeline, adding them to the minute
+ * bucket and its hourly and daily rollups. Buckets expire once they are
+ * older than their retention (seconds): ANALYTICS_MINUTE_RETENTION (1 day),
+ * ANALYTICS_HOUR_RETENTION (30 days) and ANALYTICS_DAY_RETENTION (1 year).
+ *
+ * Redis layout ({bucket}: 2026-01-25T10:42, 2026-01-25T10 or 2026-01-25, UTC):
+ * - ratelimit:metrics:{bucket}               Counters (hash)
+ *     total_requests, blocked_requests
+ *     limiter:{name}:total_requests / limiter:{name}:blocked_requests
+ *     endpoint:{route}:total_requests / endpoint:{route}:blocked_requests
+ * - ratelimit:metrics:{bucket}:top:{type}:requests  Requests per identifier (sorted set)
+ * - ratelimit:metrics:{bucket}:top:{type}:blocked   Denials per identifier (sorted set)
+ *
+ * {type} is ip, user or apikey. Each sorted set keeps only the
+ * ANALYTICS_TOP_SIZE heaviest identifiers, so heavy hitters are exact but
+ * long-tail counts in hourly and daily buckets are approximate.
+ */
+
+const { getRedisClient, isRedisConnected } = require('../config/redis');
+const { getCachedActiveRules } = require('./ruleService');
+const logger = require('../utils/logger');
+
+const KEY_PREFIX = 'ratelimit:metrics';
+
+// Identifier types with per-bucket top lists
+const IDENTIFIER_TYPES = ['ip', 'user', 'apikey'];
+
+// Dimensions of the top offenders report
+const DIMENSIONS = [...IDENTIFIER_TYPES, 'endpoint'];
+
+// Bucket sizes; the bucket ID is the first idLength characters of its ISO start time
+const GRANULARITIES = {
+  minute: { ms: 60 * 1000, idLength: 16, retentionEnv: 'ANALYTICS_MINUTE_RETENTION', retention: 86400 },
+  hour: { ms: 3600 * 1000, idLength: 13, retentionEnv: 'ANALYTICS_HOUR_RETENTION', retention: 30 * 86400 },
+  day: { ms: 86400 * 1000, idLength: 10, retentionEnv: 'ANALYTICS_DAY_RETENTION', retention: 365 * 86400 },
+};
+
+// Most buckets a single query may read
+const MAX_BUCKETS = 1500;
+
+// Entries returned in the limiter, endpoint and identifier breakdowns
+const BREAKDOWN_SIZE = 10;
+
+// Most entries a top offenders report may return
+const MAX_TOP_ENTRIES = 100;
+
+// Counts not yet written to Redis, per minute
+let buffer = new Map();
+let flushTimer = null;
+
+/**
+ * Read the analytics settings from the environment
+ *
+ * @returns {Object} { enabled, flushInterval, topSize }
+ */
+const getAnalyticsConfig = () => ({
+  enabled: process.env.ANALYTICS_ENABLED !== 'false',
+  flushInterval: parseInt(process.env.ANALYTICS_FLUSH_INTERVAL, 10) || 5000,
+  topSize: parseInt(process.env.ANALYTICS_TOP_SIZE, 10) || 1000,
+});
+
+/**
+ * Get the retention of a bucket granularity in seconds
+ */
+const getRetention = (granularity) => {
+  const { retentionEnv, retention } = GRANULARITIES[granularity];
+  return parseInt(process.env[retentionEnv], 10) || retention;
+};
+
+/**
+ * Get the Redis key of a bucket
+ *
+ * @param {string} granularity - 'minute', 'hour' or 'day'
+ * @param {number} start - Bucket start in ms
+ * @returns {string} e.g. ratelimit:metrics:2026-01-25T10
+ */
+const getBucketKey = (granularity, start) => {
+  const id = new Date(start).toISOString().slice(0, GRANULARITIES[granularity].idLength);
+  return `${KEY_PREFIX}:${id}`;
+};
+
+/**
+ * Get the key of a bucket's top identifier list
+ *
+ * @param {string} bucketKey - Bucket key (see getBucketKey)
+ * @param {string} type - Identifier type: ip, user or apikey
+ * @param {string} suffix - 'requests' or 'blocked'
+ * @returns {string} e.g. ratelimit:metrics:2026-01-25T10:top:ip:blocked
+ */
+const getTopKey = (bucketKey, type, suffix) => `${bucketKey}:top:${type}:${suffix}`;
+
+/**
+ * Add to a count in a map
+ */
+const increment = (counts, key, by = 1) => {
+  counts.set(key, (counts.get(key) || 0) + by);
+};
+
+/**
+ * Get the buffered counts of the current minute, starting the flush timer
+ */
+const getBufferEntry = () => {
+  const { ms } = GRANULARITIES.minute;
+  const minute = Math.floor(Date.now() / ms) * ms;
+
+  if (!buffer.has(minute)) {
+    buffer.set(minute, { counters: new Map(), identifiers: new Map() });
+  }
+
+  if (!flushTimer) {
+    flushTimer = setInterval(() => {
+      flushAnalytics().catch(() => {});
+    }, getAnalyticsConfig().flushInterval);
+    flushTimer.unref();
+  }
+
+  return buffer.get(minute);
+};
+
+/**
+ * Record a finished request
+ *
+ * @param {Object} request - Request summary
+ * @param {string} request.route - Route label (see utils/metrics getRouteLabel)
+ * @param {Object[]} request.identifiers - Who made it: [{ type: 'ip' | 'user' | 'apikey', value }]
+ * @param {boolean} request.blocked - Whether it was rate limited
+ */
+const recordRequest = ({ route, identifiers, blocked }) => {
+  if (!getAnalyticsConfig().enabled) {
+    return;
+  }
+
+  const entry = getBufferEntry();
+  const suffixes = blocked ? ['total_requests', 'blocked_requests'] : ['total_requests'];
+
+  for (const suffix of suffixes) {
+    increment(entry.counters, suffix);
+    increment(entry.counters, `endpoint:${route}:${suffix}`);
+  }
+
+  for (const { type, value } of identifiers.filter(identifier => identifier.value)) {
+    if (!entry.identifiers.has(type)) {
+      entry.identifiers.set(type, { requests: new Map(), blocked: new Map() });
+    }
+
+    const counts = entry.identifiers.get(type);
+    increment(counts.requests, value);
+    if (blocked) {
+      increment(counts.blocked, value);
+    }
+  }
+};
+
+/**
+ * Record a limiter decision
+ *
+ * @param {string} limiter - Limiter name: preset key prefix or rule:{ruleId}
+ * @param {boolean} blocked - Whether the limiter rejected the request
+ */
+const recordLimiterDecision = (limiter, blocked) => {
+  if (!getAnalyticsConfig().enabled) {
+    return;
+  }
+
+  const entry = getBufferEntry();
+
+  increment(entry.counters, `limiter:${limiter}:total_requests`);
+  if (blocked) {
+    increment(entry.counters, `limiter:${limiter}:blocked_requests`);
+  }
+};
+
+/**
+ * Write buffered counts to their minute, hour and day buckets
+ * Counts are dropped if Redis is unavailable, so the buffer cannot grow
+ * without bound during an outage.
+ */
+const flushAnalytics = async () => {
+  if (buffer.size === 0) {
+    return;
+  }
+
+  const entries = buffer;
+  buffer = new Map();
+
+  if (!isRedisConnected()) {
+    logger.debug('Redis unavailable, dropping buffered analytics', { minutes: entries.size });
+    return;
+  }
+
+  const { topSize } = getAnalyticsConfig();
+  const pipeline = getRedisClient().pipeline();
+  const now = Date.now();
+
+  for (const [minute, entry] of entries) {
+    for (const [granularity, { ms }] of Object.entries(GRANULARITIES)) {
+      const start = Math.floor(minute / ms) * ms;
+      const key = getBucketKey(granularity, start);
+      const ttl = Math.max(60, Math.ceil((start + ms - now) / 1000) + getRetention(granularity));
+
+      for (const [field, count] of entry.counters) {
+        pipeline.hincrby(key, field, count);
+      }
+      pipeline.expire(key, ttl);
+
+      for (const [type, { requests, blocked }] of entry.identifiers) {
+        for (const [suffix, counts] of [['requests', requests], ['blocked', blocked]]) {
+          if (counts.size === 0) {
+            continue;
+          }
+
+          const topKey = getTopKey(key, type, suffix);
+          for (const [member, count] of counts) {
+            pipeline.zincrby(topKey, count, member);
+          }
+          pipeline.zremrangebyrank(topKey, 0, -(topSize + 1));
+          pipeline.expire(topKey, ttl);
+        }
+      }
+    }
+  }
+
+  try {
+    await pipeline.exec();
+  } catch (error) {
+    logger.error('Failed to flush analytics', { error: error.message });
+  }
+};
+
+/**
+ * Stop the flush timer and write what is left (on shutdown)
+ */
+const stopAnalytics = async () => {
+  if (flushTimer) {
+    clearInterval(flushTimer);
+    flushTimer = null;
+  }
+  await flushAnalytics();
+};
+
+/**
+ * Pick a bucket size for a time range: minutes up to 3 hours,
+ * hours up to 7 days, days beyond
+ *
+ * @param {number} rangeMs - Range length in ms
+ * @returns {string} Granularity
+ */
+const getDefaultGroupBy = (rangeMs) => {
+  if (rangeMs <= 3 * GRANULARITIES.hour.ms) {
+    return 'minute';
+  }
+  return rangeMs <= 7 * GRANULARITIES.day.ms ? 'hour' : 'day';
+};
+
+/**
+ * List the buckets covering a time range
+ *
+ * @param {number} begin - Range start in ms
+ * @param {number} end - Range end in ms
+ * @param {string} granularity - Bucket size
+ * @returns {number[]} Bucket starts in ms
+ */
+const getBucketStarts = (begin, end, granularity) => {
+  const { ms } = GRANULARITIES[granularity];
+
+  const starts = [];
+  for (let start = Math.floor(begin / ms) * ms; start < end; start += ms) {
+    starts.push(start);
+  }
+  if (starts.length > MAX_BUCKETS) {
+    throw new Error(`Invalid time range: more than ${MAX_BUCKETS} ${granularity} buckets`);
+  }
+
+  return starts;
+};
+
+/**
+ * Run a read pipeline and unwrap its replies
+ */
+const execReads = async (pipeline) => (await pipeline.exec()).map(([error, reply]) => {
+  if (error) {
+    throw error;
+  }
+  return reply;
+});
+
+/**
+ * Add the {prefix}:{name}:{suffix} counters of a bucket to per-name totals
+ */
+const addBreakdown = (totals, counters, prefix) => {
+  for (const [field, value] of Object.entries(counters)) {
+    const match = field.startsWith(`${prefix}:`) && field.match(/^[^:]+:(.+):(total|blocked)_requests$/);
+    if (!match) {
+      continue;
+    }
+
+    const entry = totals.get(match[1]) || { totalRequests: 0, blockedRequests: 0 };
+    entry[`${match[2]}Requests`] += parseInt(value, 10) || 0;
+    totals.set(match[1], entry);
+  }
+};
+
+/**
+ * Add a WITHSCORES reply to per-member totals
+ */
+const addScores = (totals, reply) => {
+  for (let i = 0; i < reply.length; i += 2) {
+    increment(totals, reply[i], parseFloat(reply[i + 1]) || 0);
+  }
+};
+
+/**
+ * Share of requests that were blocked, to four decimal places
+ */
+const getBlockRate = (totalRequests, blockedRequests) => (
+  totalRequests > 0 ? Math.round((blockedRequests / totalRequests) * 10000) / 10000 : 0
+);
+
+/**
+ * Sort per-name totals by request count and keep the largest
+ */
+const topEntries = (totals, nameField) => [...totals.entries()]
+  .map(([name, counts]) => ({ [nameField]: name, ...counts }))
+  .sort((a, b) => b.totalRequests - a.totalRequests)
+  .slice(0, BREAKDOWN_SIZE);
+
+/**
+ * Get traffic and denial counts for a time range
+ * Counts lag by up to one flush interval.
+ *
+ * @param {Object} [options] - Query
+ * @param {string} [options.from] - Range start, ISO date (default: an hour before to)
+ * @param {string} [options.to] - Range end, ISO date (default: now)
+ * @param {string} [options.groupBy] - 'minute', 'hour' or 'day' (default: by range length)
+ * @returns {Promise<Object>} { from, to, groupBy, summary, series, limiters, endpoints, topIdentifiers }
+ */
+const getAnalytics = async ({ from, to, groupBy } = {}) => {
+  if (!isRedisConnected()) {
+    throw new Error('Redis connection required to read analytics');
+  }
+
+  const end = to ? new Date(to).getTime() : Date.now();
+  const begin = from ? new Date(from).getTime() : end - GRANULARITIES.hour.ms;
+  if (!(begin < end)) {
+    throw new Error('Invalid time range: from must be before to');
+  }
+
+  const granularity = groupBy || getDefaultGroupBy(end - begin);
+  const starts = getBucketStarts(begin, end, granularity);
+
+  const pipeline = getRedisClient().pipeline();
+  for (const start of starts) {
+    const key = getBucketKey(granularity, start);
+    pipeline.hgetall(key);
+    for (const type of IDENTIFIER_TYPES) {
+      pipeline.zrevrange(getTopKey(key, type, 'requests'), 0, BREAKDOWN_SIZE * 5 - 1, 'WITHSCORES');
+      pipeline.zrevrange(getTopKey(key, type, 'blocked'), 0, BREAKDOWN_SIZE * 5 - 1, 'WITHSCORES');
+    }
+  }
+  const replies = await execReads(pipeline);
+  const repliesPerBucket = 1 + IDENTIFIER_TYPES.length * 2;
+
+  const series = [];
+  const limiters = new Map();
+  const endpoints = new Map();
+  const identifierRequests = new Map(IDENTIFIER_TYPES.map(type => [type, new Map()]));
+  const identifierDenials = new Map(IDENTIFIER_TYPES.map(type => [type, new Map()]));
+
+  starts.forEach((start, i) => {
+    const offset = i * repliesPerBucket;
+    const counters = replies[offset] || {};
+
+    series.push({
+      timestamp: new Date(start).toISOString(),
+      totalRequests: parseInt(counters.total_requests, 10) || 0,
+      blockedRequests: parseInt(counters.blocked_requests, 10) || 0,
+    });
+    addBreakdown(limiters, counters, 'limiter');
+    addBreakdown(endpoints, counters, 'endpoint');
+    IDENTIFIER_TYPES.forEach((type, t) => {
+      addScores(identifierRequests.get(type), replies[offset + 1 + t * 2] || []);
+      addScores(identifierDenials.get(type), replies[offset + 2 + t * 2] || []);
+    });
+  });
+
+  const totalRequests = series.reduce((sum, point) => sum + point.totalRequests, 0);
+  const blockedRequests = series.reduce((sum, point) => sum + point.blockedRequests, 0);
+  const activeRules = (await getCachedActiveRules()).length;
+
+  const topIdentifiers = IDENTIFIER_TYPES
+    .flatMap(type => [...identifierRequests.get(type).entries()].map(([identifier, requests]) => ({
+      type,
+      identifier,
+      totalRequests: requests,
+      blockedRequests: identifierDenials.get(type).get(identifier) || 0,
+    })))
+    .sort((a, b) => b.totalRequests - a.totalRequests)
+    .slice(0, BREAKDOWN_SIZE);
+
+  return {
+    from: new Date(begin).toISOString(),
+    to: new Date(end).toISOString(),
+    groupBy: granularity,
+    summary: {
+      totalRequests,
+      blockedRequests,
+      blockRate: getBlockRate(totalRequests, blockedRequests),
+      activeRules,
+    },
+    series,
+    limiters: topEntries(limiters, 'name'),
+    endpoints: topEntries(endpoints, 'route'),
+    topIdentifiers,
+  };
+};
+
+/**
+ * Get the identifiers (or endpoints) with the most denials or requests
+ * over a trailing window, for spotting abuse
+ *
+ * Reads the same buckets as getAnalytics, so the window is rounded out to
+ * whole buckets and counts lag by up to one flush interval.
+ *
+ * @param {Object} options - Query
+ * @param {string} options.dimension - 'ip', 'user', 'apikey' or 'endpoint'
+ * @param {number} options.windowSeconds - Trailing window length in seconds
+ * @param {string} [options.sortBy='blocked'] - Rank by 'blocked' or 'requests'
+ * @param {number} [options.limit=10] - Entries to return (max 100)
+ * @returns {Promise<Object>} { dimension, from, to, groupBy, sortBy, entries }
+ */
+const getTopOffenders = async ({ dimension, windowSeconds, sortBy = 'blocked', limit = BREAKDOWN_SIZE }) => {
+  if (!isRedisConnected()) {
+    throw new Error('Redis connection required to read analytics');
+  }
+
+  const end = Date.now();
+  const begin = end - windowSeconds * 1000;
+  const granularity = getDefaultGroupBy(end - begin);
+  const starts = getBucketStarts(begin, end, granularity);
+  const size = Math.min(limit, MAX_TOP_ENTRIES);
+
+  const pipeline = getRedisClient().pipeline();
+  for (const start of starts) {
+    const key = getBucketKey(granularity, start);
+    if (dimension === 'endpoint') {
+      pipeline.hgetall(key);
+    } else {
+      // Every member is read: an identifier's rank can differ between buckets
+      pipeline.zrevrange(getTopKey(key, dimension, 'requests'), 0, -1, 'WITHSCORES');
+      pipeline.zrevrange(getTopKey(key, dimension, 'blocked'), 0, -1, 'WITHSCORES');
+    }
+  }
+  const replies = await execReads(pipeline);
+
+  const totals = new Map();
+  if (dimension === 'endpoint') {
+    replies.forEach(counters => addBreakdown(totals, counters || {}, 'endpoint'));
+  } else {
+    const requests = new Map();
+    const denials = new Map();
+    for (let i = 0; i < replies.length; i += 2) {
+      addScores(requests, replies[i] || []);
+      addScores(denials, replies[i + 1] || []);
+    }
+    for (const [identifier, count] of requests) {
+      totals.set(identifier, { totalRequests: count, blockedRequests: denials.get(identifier) || 0 });
+    }
+  }
+
+  const rankField = sortBy === 'requests' ? 'totalRequests' : 'blockedRequests';
+  const otherField = sortBy === 'requests' ? 'blockedRequests' : 'totalRequests';
+
+  const entries = [...totals.entries()]
+    .filter(([, counts]) => counts[rankField] > 0)
+    .sort(([, a], [, b]) => (b[rankField] - a[rankField]) || (b[otherField] - a[otherField]))
+    .slice(0, size)
+    .map(([identifier, counts]) => ({
+      identifier,
+      ...counts,
+      blockRate: getBlockRate(counts.totalRequests, counts.blockedRequests),
+    }));
+
+  return {
+    dimension,
+    from: new Date(starts[0]).toISOString(),
+    to: new Date(end).toISOString(),
+    groupBy: granularity,
+    sortBy,
+    entries,
+  };
+};
+
+module.exports = {
+  GRANULARITIES,
+  DIMENSIONS,
+  getBucketKey,
+  recordRequest,
+  recordLimiterDecision,
+  flushAnalytics,
+  stopAnalytics,
+  getAnalytics,
+  getTopOffenders,
+};
@@ -0,0 +1,256 @@
+/**
+ * API Key Service
+ *
+ * Issues, rotates, revokes and verifies API keys
+ * Secrets are returned once, when issued or rotated; only their SHA-256 hash
+ * is stored. Keys are random 192-bit values, so a fast hash is enough to make
+ * the stored form useless to an attacker while keeping per-request
+ * verification to a single Redis lookup.
+ */
+
+const crypto = require('crypto');
+const ApiKey = require('../models/ApiKey');
+const User = require('../models/User');
+const { assertPlanExists } = require('./planService');
+const { logAudit } = require('./auditLog');
+
+const KEY_PREFIX = 'rlk_';
+
+// Characters of the secret kept for display (rlk_ plus 8)
+const DISPLAY_PREFIX_LENGTH = 12;
+
+// lastUsedAt is refreshed at most this often per key
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+/**
+ * Generate a new API key secret
+ *
+ * @returns {string} Secret, e.g. rlk_3q2...
+ */
+const generateSecret = () => `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+
+/**
+ * Hash an API key secret for storage and lookup
+ *
+ * @param {string} secret - API key secret
+ * @returns {string} Hex SHA-256 digest
+ */
+const hashKey = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+/**
+ * Strip the secret hash from a key record
+ *
+ * @param {Object} apiKey - Stored key record
+ * @returns {Object} Key safe to return from the API
+ */
+const toPublicKey = (apiKey) => {
+  const publicKey = { ...apiKey };
+  delete publicKey.keyHash;
+  return publicKey;
+};
+
+/**
+ * Get a key or fail
+ */
+const getExistingKey = async (keyId) => {
+  const apiKey = await ApiKey.getApiKeyById(keyId);
+  if (!apiKey) {
+    throw new Error('API key not found');
+  }
+  return apiKey;
+};
+
+/**
+ * Get a key that can still be changed
+ */
+const getActiveKey = async (keyId) => {
+  const apiKey = await getExistingKey(keyId);
+  if (apiKey.status === 'revoked') {
+    throw new Error('API key is revoked');
+  }
+  return apiKey;
+};
+
+/**
+ * Issue a new secret: the value handed out plus what gets stored
+ */
+const issueSecret = () => {
+  const key = generateSecret();
+  return { key, keyHash: hashKey(key), prefix: key.slice(0, DISPLAY_PREFIX_LENGTH) };
+};
+
+/**
+ * List API keys
+ *
+ * @param {Object} [filters] - Filters
+ * @param {string} [filters.ownerId] - Only keys owned by this user
+ * @returns {Promise<Array>} Keys, newest first
+ */
+const listKeys = async (filters = {}) => {
+  const keys = await ApiKey.getAllApiKeys(filters);
+
+  return keys
+    .map(toPublicKey)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+};
+
+/**
+ * Get an API key by ID
+ *
+ * @param {string} keyId - Key ID
+ * @returns {Promise<Object>} Key
+ */
+const getKey = async (keyId) => toPublicKey(await getExistingKey(keyId));
+
+/**
+ * Create an API key
+ *
+ * @param {Object} data - Key data
+ * @param {string} data.name - Display name
+ * @param {string} [data.ownerId] - Owning user (default: the actor)
+ * @param {string[]} [data.scopes] - Granted scopes ('*' grants all)
+ * @param {Object} [data.rateLimit] - Limit override: { points, duration }
+ * @param {string} [data.plan] - Plan name (default plan if unset)
+ * @param {string} [data.expiresAt] - ISO expiry date
+ * @param {Object} actor - User performing the action
+ * @returns {Promise<Object>} Created key, with the secret in `key`
+ */
+const createKey = async ({ name, ownerId, scopes = [], rateLimit = null, plan = null, expiresAt = null }, actor) => {
+  const owner = ownerId || actor.id;
+
+  if (owner !== actor.id && !(await User.getUserById(owner))) {
+    throw new Error('Owner not found');
+  }
+  if (plan) {
+    await assertPlanExists(plan);
+  }
+
+  const { key, keyHash, prefix } = issueSecret();
+  const apiKey = await ApiKey.createApiKey({
+    name,
+    keyHash,
+    prefix,
+    ownerId: owner,
+    scopes,
+    rateLimit,
+    plan,
+    expiresAt,
+    createdBy: actor.id,
+  });
+
+  logAudit('apikey.create', actor, { type: 'apikey', id: apiKey.id }, { name, ownerId: owner, scopes, rateLimit, plan, expiresAt });
+
+  return { ...toPublicKey(apiKey), key };
+};
+
+/**
+ * Update an API key's settings
+ *
+ * @param {string} keyId - Key ID
+ * @param {Object} updates - Any of name, scopes, rateLimit, plan, expiresAt
+ * @param {Object} actor - User performing the action
+ * @returns {Promise<Object>} Updated key
+ */
+const updateKey = async (keyId, { name, scopes, rateLimit, plan, expiresAt }, actor) => {
+  await getActiveKey(keyId);
+  if (plan) {
+    await assertPlanExists(plan);
+  }
+
+  const updates = { name, scopes, rateLimit, plan, expiresAt };
+  const updated = await ApiKey.updateApiKey(keyId, updates);
+
+  const changes = Object.fromEntries(Object.entries(updates).filter(([, value]) => value !== undefined));
+  logAudit('apikey.update', actor, { type: 'apikey', id: keyId }, changes);
+
+  return toPublicKey(updated);
+};
+
+/**
+ * Replace an API key's secret
+ * The old secret stops working immediately.
+ *
+ * @param {string} keyId - Key ID
+ * @param {Object} actor - User performing the action
+ * @returns {Promise<Object>} Key, with the new secret in `key`
+ */
+const rotateKey = async (keyId, actor) => {
+  await getActiveKey(keyId);
+
+  const { key, keyHash, prefix } = issueSecret();
+  const updated = await ApiKey.updateApiKey(keyId, { keyHash, prefix });
+
+  logAudit('apikey.rotate', actor, { type: 'apikey', id: keyId }, { prefix });
+
+  return { ...toPublicKey(updated), key };
+};
+
+/**
+ * Revoke an API key
+ * The record is kept so usage and audit history still resolve.
+ *
+ * @param {string} keyId - Key ID
+ * @param {Object} actor - User performing the action
+ * @returns {Promise<Object>} Revoked key
+ */
+const revokeKey = async (keyId, actor) => {
+  await getActiveKey(keyId);
+
+  const updated = await ApiKey.updateApiKey(keyId, {
+    status: 'revoked',
+    revokedAt: new Date().toISOString(),
+  });
+
+  logAudit('apikey.revoke', actor, { type: 'apikey', id: keyId }, { name: updated.name });
+
+  return toPublicKey(updated);
+};
+
+/**
+ * Verify a presented API key
+ *
+ * @param {string} secret - Value of the X-API-Key header
+ * @returns {Promise<Object>} { apiKey } when valid, else { reason: 'unknown' | 'revoked' | 'expired' }
+ */
+const verifyKey = async (secret) => {
+  const apiKey = await ApiKey.getApiKeyByHash(hashKey(secret));
+
+  if (!apiKey) {
+    return { reason: 'unknown' };
+  }
+  if (apiKey.status === 'revoked') {
+    return { reason: 'revoked' };
+  }
+  if (apiKey.expiresAt && new Date(apiKey.expiresAt).getTime() <= Date.now()) {
+    return { reason: 'expired' };
+  }
+
+  const lastUsed = apiKey.lastUsedAt ? new Date(apiKey.lastUsedAt).getTime() : 0;
+  if (Date.now() - lastUsed > LAST_USED_RESOLUTION_MS) {
+    // Bookkeeping only; never fail the request over it
+    ApiKey.updateApiKey(apiKey.id, { lastUsedAt: new Date().toISOString() }).catch(() => {});
+  }
+
+  return { apiKey: toPublicKey(apiKey) };
+};
+
+/**
+ * Check whether a key grants a scope
+ *
+ * @param {Object} apiKey - Key record
+ * @param {string} scope - Required scope
+ * @returns {boolean} Whether the scope is granted
+ */
+const hasScope = (apiKey, scope) => apiKey.scopes.includes('*') || apiKey.scopes.includes(scope);
+
+module.exports = {
+  hashKey,
+  listKeys,
+  getKey,
+  createKey,
+  updateKey,
+  rotateKey,
+  revokeKey,
+  verifyKey,
+  hasScope,
+};
@@ -0,0 +1,380 @@
+/**
+ * Audit Log Service
+ *
+ * One audit trail for every administrative and security event: logins and
+ * logouts, user, API key, IP, plan, usage and rule changes, and automatic
+ * penalty blocks. Entries follow the AuditLogEntry schema (PRD 10.3):
+ *
+ *   { id, timestamp, actor: { id, email, ip }, action, resource: { type, id },
+ *     details, result: 'success' | 'failure', errorMessage? }
+ *
+ * Every entry is written to the audit console logger and, when Redis is
+ * connected, to the rl:audit:log sorted set (score: timestamp in ms) so the
+ * admin API can query it. Entries older than AUDIT_RETENTION_DAYS (90) are
+ * dropped on write, as are the oldest entries beyond AUDIT_MAX_ENTRIES
+ * (100000). Filtered queries scan at most AUDIT_MAX_SCAN_ENTRIES (50000)
+ * entries per request.
+ *
+ * Events any client can trigger at will (failed logins with unknown emails)
+ * go through logAuditThrottled, so they cannot flood the capped log and push
+ * other entries out.
+ */
+
+const crypto = require('crypto');
+const { getRedisClient, isRedisConnected } = require('../config/redis');
+const logger = require('../utils/logger');
+
+const AUDIT_KEY = 'rl:audit:log';
+
+// Prefix of the keys throttling repeated events (logAuditThrottled)
+const THROTTLE_PREFIX = 'rl:audit:throttle';
+
+// Result values of an entry
+const RESULTS = ['success', 'failure'];
+
+// Most entries a single export may return
+const MAX_EXPORT_ENTRIES = 10000;
+
+// Entries read per Redis call while scanning for filter matches
+const SCAN_BATCH_SIZE = 1000;
+
+// Columns of a CSV export
+const CSV_COLUMNS = [
+  ['id', entry => entry.id],
+  ['timestamp', entry => entry.timestamp],
+  ['actorId', entry => entry.actor.id],
+  ['actorEmail', entry => entry.actor.email],
+  ['actorIp', entry => entry.actor.ip],
+  ['action', entry => entry.action],
+  ['resourceType', entry => entry.resource.type],
+  ['resourceId', entry => entry.resource.id],
+  ['result', entry => entry.result],
+  ['errorMessage', entry => entry.errorMessage],
+  ['details', entry => JSON.stringify(entry.details)],
+];
+
+/**
+ * Read the audit log settings from the environment
+ *
+ * @returns {Object} { retentionDays, maxEntries, maxScanEntries }
+ */
+const getAuditConfig = () => ({
+  retentionDays: parseInt(process.env.AUDIT_RETENTION_DAYS, 10) || 90,
+  maxEntries: parseInt(process.env.AUDIT_MAX_ENTRIES, 10) || 100000,
+  maxScanEntries: parseInt(process.env.AUDIT_MAX_SCAN_ENTRIES, 10) || 50000,
+});
+
+/**
+ * Store an entry in Redis and trim entries past retention
+ *
+ * @param {Object} entry - Audit log entry
+ */
+const persistEntry = async (entry) => {
+  if (!isRedisConnected()) {
+    logger.warn('Redis unavailable, audit entry not stored', { action: entry.action });
+    return;
+  }
+
+  try {
+    const { retentionDays, maxEntries } = getAuditConfig();
+    const score = new Date(entry.timestamp).getTime();
+
+    await getRedisClient().pipeline()
+      .zadd(AUDIT_KEY, score, JSON.stringify(entry))
+      .zremrangebyscore(AUDIT_KEY, '-inf', `(${score - retentionDays * 86400 * 1000}`)
+      .zremrangebyrank(AUDIT_KEY, 0, -(maxEntries + 1))
+      .exec();
+  } catch (error) {
+    logger.error('Failed to store audit entry', { error: error.message, action: entry.action });
+  }
+};
+
+/**
+ * Record an audit event
+ * Never throws; a failed write is logged and the entry is still on the console.
+ *
+ * @param {string} action - Dotted action, e.g. 'rule.create' or 'auth.login'
+ * @param {Object} actor - Who acted: { id, email, ip }
+ * @param {Object} resource - What was acted on: { type, id }
+ * @param {Object} [details] - Action-specific details
+ * @param {string} [result] - 'success' or 'failure'
+ * @param {string} [errorMessage] - Why the action failed
+ * @returns {Promise<Object>} The entry, once stored
+ */
+const logAudit = async (action, actor, resource, details = {}, result = 'success', errorMessage) => {
+  const entry = {
+    id: `audit_${crypto.randomUUID()}`,
+    timestamp: new Date().toISOString(),
+    actor: {
+      id: actor.id || null,
+      email: actor.email || null,
+      ip: actor.ip || null,
+    },
+    action,
+    resource: {
+      type: resource.type,
+      id: resource.id === undefined || resource.id === null ? null : String(resource.id),
+    },
+    details,
+    result,
+  };
+  if (errorMessage) {
+    entry.errorMessage = errorMessage;
+  }
+
+  logger.auditLogger.info({ type: 'audit', ...entry });
+  await persistEntry(entry);
+
+  return entry;
+};
+
+/**
+ * Record an audit event at most once per window for a throttle key
+ * Repeats within the window are only counted; the next entry recorded for
+ * the key carries that count in details.suppressed. Without Redis nothing
+ * is stored anyway, so the event is recorded as is.
+ *
+ * @param {string} throttleKey - What repeats are grouped by, e.g. 'auth.login:unknown:{ip}'
+ * @param {number} windowSeconds - Seconds between recorded entries
+ * @param {...*} args - Arguments of logAudit
+ * @returns {Promise<Object|null>} The entry, or null if it was suppressed
+ */
+const logAuditThrottled = async (throttleKey, windowSeconds, ...args) => {
+  if (!isRedisConnected()) {
+    return logAudit(...args);
+  }
+
+  const [action, actor, resource, details = {}, ...rest] = args;
+  const windowKey = `${THROTTLE_PREFIX}:${throttleKey}`;
+  const suppressedKey = `${windowKey}:suppressed`;
+
+  try {
+    const redis = getRedisClient();
+
+    if (!(await redis.set(windowKey, '1', 'EX', windowSeconds, 'NX'))) {
+      await redis.pipeline()
+        .incr(suppressedKey)
+        .expire(suppressedKey, getAuditConfig().retentionDays * 86400)
+        .exec();
+      return null;
+    }
+
+    const suppressed = parseInt(await redis.getdel(suppressedKey), 10) || 0;
+    return logAudit(action, actor, resource, suppressed > 0 ? { ...details, suppressed } : details, ...rest);
+  } catch (error) {
+    logger.error('Failed to throttle audit entry', { error: error.message, action });
+    return logAudit(...args);
+  }
+};
+
+/**
+ * Build a predicate for the actor, action, resource and result filters
+ *
+ * @param {Object} filters - Query filters
+ * @param {string} [filters.actor] - Actor ID or email
+ * @param {string} [filters.action] - Action ('user.block') or its category ('user')
+ * @param {string} [filters.resource] - Resource type ('ip') or type:id ('ip:203.0.113.7')
+ * @param {string} [filters.result] - 'success' or 'failure'
+ * @returns {Function} (entry) => boolean
+ */
+const createEntryFilter = ({ actor, action, resource, result } = {}) => {
+  const actorEmail = actor && actor.toLowerCase();
+  const separator = resource ? resource.indexOf(':') : -1;
+  const resourceType = separator === -1 ? resource : resource.slice(0, separator);
+  const resourceId = separator === -1 ? null : resource.slice(separator + 1);
+
+  return (entry) => {
+    if (actor && entry.actor.id !== actor && (entry.actor.email || '').toLowerCase() !== actorEmail) {
+      return false;
+    }
+    if (action && entry.action !== action && !entry.action.startsWith(`${action}.`)) {
+      return false;
+    }
+    if (resourceType && entry.resource.type !== resourceType) {
+      return false;
+    }
+    if (resourceId !== null && entry.resource.id !== resourceId) {
+      return false;
+    }
+    return !result || entry.result === result;
+  };
+};
+
+/**
+ * Check that the audit log can be read and turn a time range into scores
+ *
+ * @param {string} [from] - ISO 8601 start (default: oldest retained)
+ * @param {string} [to] - ISO 8601 end (default: now)
+ * @returns {Object} { begin, end } sorted set scores
+ */
+const getScoreRange = (from, to) => {
+  if (!isRedisConnected()) {
+    throw new Error('Redis connection required to read the audit log');
+  }
+
+  const begin = from ? new Date(from).getTime() : '-inf';
+  const end = to ? new Date(to).getTime() : '+inf';
+  if (from && to && !(begin < end)) {
+    throw new Error('Invalid time range: from must be before to');
+  }
+
+  return { begin, end };
+};
+
+/**
+ * Read one slice of a time range, newest first
+ *
+ * @param {Object} range - { begin, end } from getScoreRange
+ * @param {number} offset - Entries to skip
+ * @param {number} count - Most entries to read
+ * @returns {Promise<Array>} Entries
+ */
+const readEntries = async ({ begin, end }, offset, count) => {
+  const members = await getRedisClient().zrevrangebyscore(AUDIT_KEY, end, begin, 'LIMIT', offset, count);
+  return members.map(member => JSON.parse(member));
+};
+
+/**
+ * Whether any of the actor, action, resource and result filters is given
+ */
+const hasFilters = ({ actor, action, resource, result }) => Boolean(actor || action || resource || result);
+
+/**
+ * Scan a time range newest first, one batch at a time, for entries that
+ * match the filters
+ * Reads at most AUDIT_MAX_SCAN_ENTRIES entries; truncated is set when the
+ * range holds more, so later matches and the total are missing.
+ *
+ * @param {Object} range - { begin, end } from getScoreRange
+ * @param {Object} filters - Filters (see createEntryFilter)
+ * @param {number} offset - Matches to skip
+ * @param {number} count - Most matches to return
+ * @param {boolean} [countAll] - Keep scanning once count matches are found, to count them all
+ * @returns {Promise<Object>} { entries, total, truncated }
+ */
+const scanEntries = async (range, filters, offset, count, countAll = false) => {
+  const { maxScanEntries } = getAuditConfig();
+  const matches = createEntryFilter(filters);
+  const entries = [];
+  let total = 0;
+  let scanned = 0;
+
+  while (scanned < maxScanEntries) {
+    const batchSize = Math.min(SCAN_BATCH_SIZE, maxScanEntries - scanned);
+    const batch = await readEntries(range, scanned, batchSize);
+    scanned += batch.length;
+
+    for (const entry of batch.filter(matches)) {
+      if (total >= offset && entries.length < count) {
+        entries.push(entry);
+      }
+      total += 1;
+    }
+
+    if (batch.length < batchSize) {
+      return { entries, total, truncated: false };
+    }
+    if (!countAll && entries.length >= count) {
+      return { entries, total, truncated: false };
+    }
+  }
+
+  // Only truncated if anything is left unread
+  const rest = await readEntries(range, scanned, 1);
+  return { entries, total, truncated: rest.length > 0 };
+};
+
+/**
+ * Query the audit log one page at a time, newest first
+ * Without actor, action, resource or result filters only the page is read
+ * from Redis; with them, up to AUDIT_MAX_SCAN_ENTRIES entries are scanned.
+ *
+ * @param {Object} [options] - Query options
+ * @param {string} [options.from] - ISO 8601 start (default: oldest retained)
+ * @param {string} [options.to] - ISO 8601 end (default: now)
+ * @param {string} [options.actor] - Actor filter (see createEntryFilter)
+ * @param {string} [options.action] - Action filter
+ * @param {string} [options.resource] - Resource filter
+ * @param {string} [options.result] - Result filter
+ * @param {number} [options.page] - Page number, from 1
+ * @param {number} [options.limit] - Entries per page
+ * @returns {Promise<Object>} { entries, pagination: { page, limit, total, totalPages, truncated } }
+ */
+const queryAuditLog = async ({ page = 1, limit = 50, from, to, ...filters } = {}) => {
+  const range = getScoreRange(from, to);
+  const offset = (page - 1) * limit;
+
+  let result;
+  if (hasFilters(filters)) {
+    result = await scanEntries(range, filters, offset, limit, true);
+  } else {
+    const [entries, total] = await Promise.all([
+      readEntries(range, offset, limit),
+      getRedisClient().zcount(AUDIT_KEY, range.begin, range.end),
+    ]);
+    result = { entries, total, truncated: false };
+  }
+
+  return {
+    entries: result.entries,
+    pagination: {
+      page,
+      limit,
+      total: result.total,
+      totalPages: Math.ceil(result.total / limit),
+      truncated: result.truncated,
+    },
+  };
+};
+
+/**
+ * Get the entries of an export: the newest MAX_EXPORT_ENTRIES that match
+ * The cap applies to the Redis read; filtered exports also stop after
+ * scanning AUDIT_MAX_SCAN_ENTRIES entries.
+ *
+ * @param {Object} [options] - queryAuditLog options, without page and limit
+ * @returns {Promise<Array>} Matching entries, newest first
+ */
+const exportAuditLog = async ({ from, to, ...filters } = {}) => {
+  const range = getScoreRange(from, to);
+
+  if (!hasFilters(filters)) {
+    return readEntries(range, 0, MAX_EXPORT_ENTRIES);
+  }
+  return (await scanEntries(range, filters, 0, MAX_EXPORT_ENTRIES)).entries;
+};
+
+/**
+ * Quote a CSV field
+ * Values that a spreadsheet would run as a formula are prefixed with '.
+ */
+const toCsvField = (value) => {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  const text = /^[=+\-@\t\r]/.test(String(value)) ? `'${value}` : String(value);
+  return `"${text.replace(/"/g, '""')}"`;
+};
+
+/**
+ * Format audit entries as CSV, with a header row
+ *
+ * @param {Array} entries - Audit entries
+ * @returns {string} CSV document
+ */
+const formatCsv = (entries) => [
+  CSV_COLUMNS.map(([name]) => name).join(','),
+  ...entries.map(entry => CSV_COLUMNS.map(([, get]) => toCsvField(get(entry))).join(',')),
+].join('\r\n');
+
+module.exports = {
+  AUDIT_KEY,
+  RESULTS,
+  MAX_EXPORT_ENTRIES,
+  logAudit,
+  logAuditThrottled,
+  createEntryFilter,
+  queryAuditLog,
+  exportAuditLog,
+  formatCsv,
+};
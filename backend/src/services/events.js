@@ -0,0 +1,267 @@
+/**
+ * Events Service
+ *
+ * Live stream of limiter decisions, blocks and rule changes for the admin
+ * SSE endpoint (GET /admin/events).
+ *
+ * Every instance publishes its events on one Redis pub/sub channel; an
+ * instance with SSE clients holds a single subscriber connection and fans
+ * the messages out to them, so each client sees the whole cluster.
+ *
+ * To stay cheap under load, events are:
+ * - sampled: EVENTS_ALLOW_SAMPLE_RATE (default 0.1) of allow decisions and
+ *   EVENTS_DENY_SAMPLE_RATE (default 1) of denials; blocks and rule changes
+ *   are always published
+ * - capped at EVENTS_MAX_PER_SECOND (default 200) per instance
+ * - not published for EVENTS_IDLE_BACKOFF ms (default 5000) after a publish
+ *   reaches no subscriber
+ *
+ * Event types:
+ * - allow / deny   Limiter decision ({ limiter, ruleId?, status, ip, identifierType, route, method, remaining })
+ * - block          Request rejected by a block ({ status: 'blocked', reason, ip, userId?, path, method })
+ * - rule-change    Rule created, updated, deleted, enabled or disabled ({ action, ruleId, ruleName, actor })
+ */
+
+const os = require('os');
+const { getRedisClient, isRedisConnected } = require('../config/redis');
+const logger = require('../utils/logger');
+
+const CHANNEL = 'ratelimit:events';
+
+const EVENT_TYPES = ['allow', 'deny', 'block', 'rule-change'];
+
+// Identifies the publishing instance in each event
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+// Local SSE listeners and the subscriber connection feeding them
+const listeners = new Set();
+let subscriber = null;
+
+// Publish budget for the current second, and when publishing resumes after an idle publish
+let windowStart = 0;
+let publishedInWindow = 0;
+let idleUntil = 0;
+
+/**
+ * Parse a sample rate between 0 and 1
+ */
+const parseRate = (value, fallback) => {
+  const rate = parseFloat(value);
+  return Number.isFinite(rate) ? Math.min(Math.max(rate, 0), 1) : fallback;
+};
+
+/**
+ * Read the event stream settings from the environment
+ *
+ * @returns {Object} { enabled, allowSampleRate, denySampleRate, maxPerSecond, idleBackoff }
+ */
+const getEventsConfig = () => ({
+  enabled: process.env.EVENTS_ENABLED !== 'false',
+  allowSampleRate: parseRate(process.env.EVENTS_ALLOW_SAMPLE_RATE, 0.1),
+  denySampleRate: parseRate(process.env.EVENTS_DENY_SAMPLE_RATE, 1),
+  maxPerSecond: parseInt(process.env.EVENTS_MAX_PER_SECOND, 10) || 200,
+  idleBackoff: parseInt(process.env.EVENTS_IDLE_BACKOFF, 10) || 5000,
+});
+
+/**
+ * Take one event from this second's publish budget
+ *
+ * @returns {boolean} Whether the event may be published
+ */
+const takePublishBudget = (maxPerSecond) => {
+  const now = Date.now();
+  if (now - windowStart >= 1000) {
+    windowStart = now;
+    publishedInWindow = 0;
+  }
+  if (publishedInWindow >= maxPerSecond) {
+    return false;
+  }
+  publishedInWindow += 1;
+  return true;
+};
+
+/**
+ * Publish an event to every instance (fire-and-forget)
+ *
+ * @param {string} type - Event type (see EVENT_TYPES)
+ * @param {Object} data - Event fields
+ */
+const publishEvent = (type, data) => {
+  const config = getEventsConfig();
+  if (!config.enabled || !isRedisConnected() || Date.now() < idleUntil) {
+    return;
+  }
+
+  const sampleRate = { allow: config.allowSampleRate, deny: config.denySampleRate }[type] ?? 1;
+  if (sampleRate < 1 && Math.random() >= sampleRate) {
+    return;
+  }
+  if (!takePublishBudget(config.maxPerSecond)) {
+    return;
+  }
+
+  const event = {
+    type,
+    timestamp: new Date().toISOString(),
+    instance: INSTANCE_ID,
+    ...data,
+  };
+
+  // Never let the event stream fail the request being decided
+  Promise.resolve()
+    .then(() => getRedisClient().publish(CHANNEL, JSON.stringify(event)))
+    .then((receivers) => {
+      if (receivers === 0) {
+        idleUntil = Date.now() + config.idleBackoff;
+      }
+    })
+    .catch((error) => {
+      logger.debug('Failed to publish event', { error: error.message });
+    });
+};
+
+/**
+ * Publish a limiter decision
+ *
+ * @param {Object} decision - Decision details
+ * @param {string} decision.limiter - Limiter name: preset key prefix or rule:{ruleId}
+ * @param {string} decision.status - 'allowed', 'limited', 'throttled' or 'logged'
+ * @param {string} decision.ip - Client IP
+ * @param {string} decision.identifierType - What the limiter is keyed by
+ * @param {string} decision.route - Route label
+ * @param {string} decision.method - HTTP method
+ * @param {number|null} decision.remaining - Points left in the window
+ * @param {string} [decision.scope] - Most restrictive layer of a layered or plan limiter
+ */
+const publishDecision = ({ limiter, status, ...rest }) => {
+  const ruleId = limiter.startsWith('rule:') ? limiter.slice('rule:'.length) : undefined;
+  publishEvent(status === 'limited' ? 'deny' : 'allow', { limiter, ruleId, status, ...rest });
+};
+
+/**
+ * Publish a request rejected because its client is blocked
+ *
+ * @param {Object} block - Block details
+ * @param {string} block.reason - 'ip_blocked', 'user_blocked' or 'penalty_box'
+ * @param {string} block.ip - Client IP
+ * @param {string} [block.userId] - Signed-in user
+ * @param {string} block.path - Request path
+ * @param {string} block.method - HTTP method
+ */
+const publishBlock = (block) => {
+  publishEvent('block', { status: 'blocked', ...block });
+};
+
+/**
+ * Build a predicate for the events a client asked for
+ * Every given filter must match; events without the filtered field never do.
+ *
+ * @param {Object} [filter] - Filters
+ * @param {string} [filter.type] - Event type
+ * @param {string} [filter.preset] - Limiter name (preset key prefix)
+ * @param {string} [filter.ruleId] - Rule ID (decisions of the rule and its changes)
+ * @param {string} [filter.ip] - Client IP
+ * @param {string} [filter.status] - Decision status, or 'blocked'
+ * @returns {Function} (event) => boolean
+ */
+const createEventFilter = ({ type, preset, ruleId, ip, status } = {}) => {
+  const expected = { type, limiter: preset, ruleId, ip, status };
+  const fields = Object.keys(expected).filter(field => expected[field] !== undefined);
+
+  return event => fields.every(field => event[field] === expected[field]);
+};
+
+/**
+ * Hand a published message to the local listeners
+ */
+const dispatch = (channel, message) => {
+  let event;
+  try {
+    event = JSON.parse(message);
+  } catch (error) {
+    logger.debug('Ignoring malformed event', { error: error.message });
+    return;
+  }
+
+  for (const listener of listeners) {
+    listener.onEvent(event);
+  }
+};
+
+/**
+ * Close the subscriber connection
+ */
+const closeSubscriber = () => {
+  if (subscriber) {
+    subscriber.disconnect();
+    subscriber = null;
+  }
+};
+
+/**
+ * Listen to events from every instance
+ * The subscriber connection is opened for the first listener and closed
+ * after the last one leaves.
+ *
+ * @param {Function} onEvent - Called with each event
+ * @param {Function} [onClose] - Called if the stream is shut down
+ * @returns {Promise<Function>} Stops listening
+ */
+const subscribe = async (onEvent, onClose = () => {}) => {
+  if (!isRedisConnected()) {
+    throw new Error('Redis connection required to stream events');
+  }
+
+  const listener = { onEvent, onClose };
+  listeners.add(listener);
+
+  if (!subscriber) {
+    subscriber = getRedisClient().duplicate();
+    subscriber.on('message', dispatch);
+    subscriber.on('error', (error) => {
+      logger.error('Event subscriber error', { error: error.message });
+    });
+
+    try {
+      await subscriber.subscribe(CHANNEL);
+    } catch (error) {
+      listeners.delete(listener);
+      closeSubscriber();
+      throw new Error(`Redis connection required to stream events: ${error.message}`);
+    }
+  }
+
+  // Let our own instance publish again right away
+  idleUntil = 0;
+
+  return () => {
+    listeners.delete(listener);
+    if (listeners.size === 0) {
+      closeSubscriber();
+    }
+  };
+};
+
+/**
+ * End every stream and close the subscriber (on shutdown)
+ */
+const stopEvents = () => {
+  for (const listener of listeners) {
+    listener.onClose();
+  }
+  listeners.clear();
+  closeSubscriber();
+};
+
+module.exports = {
+  CHANNEL,
+  EVENT_TYPES,
+  getEventsConfig,
+  publishEvent,
+  publishDecision,
+  publishBlock,
+  createEventFilter,
+  subscribe,
+  stopEvents,
+};
@@ -0,0 +1,215 @@
+/**
+ * IP Service
+ *
+ * Business logic for the IP blocklist and allowlist
+ * Wraps the BlockedEntity model and records audit events
+ *
+ * Entries are single addresses or CIDR ranges (203.0.113.0/24, 2001:db8::/48),
+ * stored in canonical form. Exact addresses are looked up directly; ranges are
+ * kept in their own index and matched from an in-memory copy refreshed every
+ * IP_RANGE_CACHE_TTL ms.
+ */
+
+const BlockedEntity = require('../models/BlockedEntity');
+const { logAudit } = require('./auditLog');
+const { normalizeIP, normalizeCidr, matchesCidr } = require('../utils/cidr');
+
+const RANGE_CACHE_TTL = parseInt(process.env.IP_RANGE_CACHE_TTL, 10) || 5000;
+
+// Range entries of both lists, loaded lazily
+let rangeCache = null;
+
+// Indexing of ranges listed before the range index existed, once per process
+let rangesIndexed = null;
+
+/**
+ * Canonical form of an address or range, so equivalent notations share one entry
+ */
+const normalizeEntry = (ip) => normalizeCidr(ip) || ip;
+
+/**
+ * Drop the cached ranges after a local list change
+ */
+const invalidateRangeCache = () => {
+  rangeCache = null;
+};
+
+/**
+ * Get the CIDR range entries of both lists
+ *
+ * @returns {Promise<Object>} { blocked: entity[], whitelist: entity[] }
+ */
+const getRanges = async () => {
+  if (rangeCache && rangeCache.expiresAt > Date.now()) {
+    return rangeCache;
+  }
+
+  if (!rangesIndexed) {
+    rangesIndexed = Promise.all([
+      BlockedEntity.indexRanges('blocked'),
+      BlockedEntity.indexRanges('whitelist'),
+    ]).catch((error) => {
+      rangesIndexed = null;
+      throw error;
+    });
+  }
+  await rangesIndexed;
+
+  const [blocked, whitelist] = await Promise.all([
+    BlockedEntity.getRangeEntities('blocked'),
+    BlockedEntity.getRangeEntities('whitelist'),
+  ]);
+
+  rangeCache = {
+    blocked,
+    whitelist,
+    expiresAt: Date.now() + RANGE_CACHE_TTL,
+  };
+
+  return rangeCache;
+};
+
+/**
+ * Find the first live range entry containing an address
+ */
+const findRange = (entities, ip) => {
+  const now = Date.now();
+  return entities.find(entity =>
+    (!entity.expiresAt || new Date(entity.expiresAt).getTime() > now) &&
+    matchesCidr(ip, entity.value)
+  ) || null;
+};
+
+/**
+ * Block an IP address
+ *
+ * @param {string} ip - IP address or CIDR range
+ * @param {Object} options - Block options
+ * @param {string} [options.reason] - Why the IP is blocked
+ * @param {string} [options.expiresAt] - ISO date for automatic unblock
+ * @param {Object} actor - User performing the action
+ * @returns {Promise<Object>} Blocked entity
+ */
+const blockIp = async (ip, { reason, expiresAt } = {}, actor) => {
+  const entry = normalizeEntry(ip);
+  const entity = await BlockedEntity.addEntity('blocked', {
+    type: 'ip',
+    value: entry,
+    reason,
+    expiresAt,
+    createdBy: actor.email,
+  });
+  invalidateRangeCache();
+
+  logAudit('ip.block', actor, { type: 'ip', id: entry }, { reason, expiresAt: entity.expiresAt });
+
+  return entity;
+};
+
+/**
+ * Remove an IP address from the blocklist
+ *
+ * @param {string} ip - IP address or CIDR range
+ * @param {Object} actor - User performing the action
+ * @returns {Promise<void>}
+ */
+const unblockIp = async (ip, actor) => {
+  const entry = normalizeEntry(ip);
+  const removed = await BlockedEntity.removeEntity('blocked', 'ip', entry);
+  if (!removed) {
+    throw new Error('IP is not blocked');
+  }
+  invalidateRangeCache();
+
+  logAudit('ip.unblock', actor, { type: 'ip', id: entry });
+};
+
+/**
+ * Add an IP address to the allowlist (bypasses all rate limiters)
+ *
+ * @param {string} ip - IP address or CIDR range
+ * @param {Object} options - Allowlist options
+ * @param {string} [options.reason] - Why the IP is allowlisted
+ * @param {string} [options.expiresAt] - ISO date for automatic removal
+ * @param {Object} actor - User performing the action
+ * @returns {Promise<Object>} Allowlisted entity
+ */
+const whitelistIp = async (ip, { reason, expiresAt } = {}, actor) => {
+  const entry = normalizeEntry(ip);
+  const entity = await BlockedEntity.addEntity('whitelist', {
+    type: 'ip',
+    value: entry,
+    reason,
+    expiresAt,
+    createdBy: actor.email,
+  });
+  invalidateRangeCache();
+
+  logAudit('ip.whitelist', actor, { type: 'ip', id: entry }, { reason, expiresAt: entity.expiresAt });
+
+  return entity;
+};
+
+/**
+ * Remove an IP address from the allowlist
+ *
+ * @param {string} ip - IP address or CIDR range
+ * @param {Object} actor - User performing the action
+ * @returns {Promise<void>}
+ */
+const removeFromWhitelist = async (ip, actor) => {
+  const entry = normalizeEntry(ip);
+  const removed = await BlockedEntity.removeEntity('whitelist', 'ip', entry);
+  if (!removed) {
+    throw new Error('IP is not whitelisted');
+  }
+  invalidateRangeCache();
+
+  logAudit('ip.unwhitelist', actor, { type: 'ip', id: entry });
+};
+
+/**
+ * Get all blocked IP addresses
+ *
+ * @returns {Promise<Array>} Blocked entities
+ */
+const getBlockedIps = () => BlockedEntity.getEntities('blocked', 'ip');
+
+/**
+ * Get all allowlisted IP addresses
+ *
+ * @returns {Promise<Array>} Allowlisted entities
+ */
+const getWhitelistedIps = () => BlockedEntity.getEntities('whitelist', 'ip');
+
+/**
+ * Check an IP address against both lists, including CIDR range entries
+ *
+ * @param {string} ip - Client IP address
+ * @returns {Promise<Object>} { blocked, whitelisted }
+ */
+const checkIp = async (ip) => {
+  const address = normalizeIP(ip) || ip;
+  const result = await BlockedEntity.checkEntity('ip', address);
+
+  if (!result.blocked || !result.whitelisted) {
+    const ranges = await getRanges();
+    return {
+      blocked: result.blocked || findRange(ranges.blocked, address),
+      whitelisted: result.whitelisted || findRange(ranges.whitelist, address),
+    };
+  }
+
+  return result;
+};
+
+module.exports = {
+  blockIp,
+  unblockIp,
+  whitelistIp,
+  removeFromWhitelist,
+  getBlockedIps,
+  getWhitelistedIps,
+  checkIp,
+  invalidateRangeCache,
+};
@@ -0,0 +1,136 @@
+/**
+ * Penalty Box Service
+ *
+ * Escalates repeated rate limit violations into timed blocks. Violations are
+ * counted per identifier over PENALTY_WINDOW seconds; the request that reaches
+ * PENALTY_THRESHOLD places a block on the blocklist, lasting the next entry of
+ * PENALTY_DURATIONS (5m, 1h, 24h by default). The offense level is remembered
+ * for PENALTY_DECAY seconds, so clients that keep coming back are blocked for
+ * longer each time.
+ *
+ * Blocks are regular BlockedEntity entries: IP blocks are enforced by the IP
+ * filter and listed under /admin/ip/blocked, user blocks by the user-keyed
+ * limiters. Both can be lifted through the admin API.
+ *
+ * Redis layout:
+ * - ratelimit:violations:{type}:{value}  Violation count in the current window
+ * - ratelimit:penalty:{type}:{value}     Offense level
+ */
+
+const { getRedisClient, isRedisConnected } = require('../config/redis');
+const BlockedEntity = require('../models/BlockedEntity');
+const logger = require('../utils/logger');
+const { logAudit } = require('./auditLog');
+
+// Identifier types that can be penalized, and the error their block raises
+const PENALTY_TYPES = {
+  ip: 'IP_BLOCKED',
+  user: 'USER_BLOCKED',
+};
+
+// Actor recorded on automatic blocks
+const PENALTY_ACTOR = { id: 'system', email: 'penalty-box', ip: null };
+
+/**
+ * Read the penalty box settings from the environment
+ *
+ * @returns {Object} { enabled, threshold, window, durations, decay }
+ */
+const getPenaltyConfig = () => {
+  const durations = (process.env.PENALTY_DURATIONS || '300,3600,86400')
+    .split(',')
+    .map(value => parseInt(value, 10))
+    .filter(value => value > 0);
+
+  return {
+    enabled: process.env.PENALTY_BOX_ENABLED !== 'false',
+    threshold: parseInt(process.env.PENALTY_THRESHOLD, 10) || 10,
+    window: parseInt(process.env.PENALTY_WINDOW, 10) || 3600,
+    durations: durations.length > 0 ? durations : [300],
+    decay: parseInt(process.env.PENALTY_DECAY, 10) || 604800,
+  };
+};
+
+/**
+ * Increment a counter, starting its TTL on first use
+ */
+const incrementWithTtl = async (redis, key, ttlSeconds) => {
+  const [[, count], [, ttl]] = await redis.multi().incr(key).ttl(key).exec();
+
+  if (ttl < 0) {
+    await redis.expire(key, ttlSeconds);
+  }
+
+  return count;
+};
+
+/**
+ * Record a rate limit violation and block the identifier once it has
+ * exceeded the threshold
+ *
+ * @param {string} type - Identifier type: 'ip' or 'user'
+ * @param {string} value - IP address or user ID
+ * @param {Object} [context] - Where the violation happened (keyPrefix, path)
+ * @returns {Promise<Object|null>} Block entity if one was placed, else null
+ */
+const recordViolation = async (type, value, context = {}) => {
+  const config = getPenaltyConfig();
+
+  if (!config.enabled || !PENALTY_TYPES[type] || !value || !isRedisConnected()) {
+    return null;
+  }
+
+  const redis = getRedisClient();
+  const violations = await incrementWithTtl(redis, `ratelimit:violations:${type}:${value}`, config.window);
+
+  // Only the request that crosses the threshold places the block
+  if (violations !== config.threshold) {
+    return null;
+  }
+
+  await redis.del(`ratelimit:violations:${type}:${value}`);
+  const level = await incrementWithTtl(redis, `ratelimit:penalty:${type}:${value}`, config.decay);
+
+  const duration = config.durations[Math.min(level, config.durations.length) - 1];
+  const expiresAt = new Date(Date.now() + duration * 1000).toISOString();
+
+  const entity = await BlockedEntity.addEntity('blocked', {
+    type,
+    value,
+    reason: `Automatic block: ${violations} rate limit violations within ${config.window}s (offense ${level})`,
+    expiresAt,
+    createdBy: PENALTY_ACTOR.email,
+  });
+
+  logger.warn('Penalty box block placed', {
+    type,
+    value,
+    level,
+    duration,
+    expiresAt,
+    ...context,
+  });
+
+  logAudit('penalty.block', PENALTY_ACTOR, { type, id: value }, { level, duration, expiresAt, ...context });
+
+  return entity;
+};
+
+/**
+ * Get the active block on an identifier, if any
+ *
+ * @param {string} type - Identifier type
+ * @param {string} value - Identifier value
+ * @returns {Promise<Object|null>} Block entity or null
+ */
+const getBlock = async (type, value) => {
+  const { blocked } = await BlockedEntity.checkEntity(type, value);
+  return blocked;
+};
+
+module.exports = {
+  PENALTY_TYPES,
+  getPenaltyConfig,
+  recordViolation,
+  getBlock,
+};
@@ -0,0 +1,248 @@
+/**
+ * Plan Service
+ *
+ * Named rate limit plans (free, pro, enterprise, ...) that set limits for
+ * several windows at once: per second, minute and hour, plus daily and
+ * monthly quotas that reset on UTC calendar boundaries.
+ *
+ * Plans are assigned to API keys and users (their `plan` field); anything
+ * without a plan, or with a plan that no longer exists, gets DEFAULT_PLAN.
+ * The built-in plans can be edited and reset; custom plans can be added.
+ * Plans and user assignments are cached per instance for PLAN_CACHE_TTL ms.
+ */
+
+const Plan = require('../models/Plan');
+const User = require('../models/User');
+const logger = require('../utils/logger');
+const { logAudit } = require('./auditLog');
+
+const PLAN_CACHE_TTL = parseInt(process.env.PLAN_CACHE_TTL, 10) || 5000;
+
+// Limit windows a plan can set, in evaluation order
+const PLAN_WINDOWS = {
+  second: { duration: 1 },
+  minute: { duration: 60 },
+  hour: { duration: 3600 },
+  day: { duration: 86400, calendar: 'day' },
+  month: { duration: 30 * 86400, calendar: 'month' },
+};
+
+// Plans available out of the box
+const BUILT_IN_PLANS = {
+  free: {
+    description: 'Free tier',
+    limits: { second: 5, minute: 60, day: 1000, month: 10000 },
+  },
+  pro: {
+    description: 'Paid tier',
+    limits: { second: 20, minute: 600, day: 50000, month: 1000000 },
+  },
+  enterprise: {
+    description: 'Enterprise tier',
+    limits: { second: 100, minute: 5000, day: 1000000, month: 25000000 },
+  },
+};
+
+// name -> { plan, expiresAt }
+const planCache = new Map();
+// userId -> { plan, expiresAt }
+const userPlanCache = new Map();
+
+/**
+ * Name of the plan used when none is assigned
+ *
+ * @returns {string} Plan name
+ */
+const getDefaultPlanName = () => process.env.DEFAULT_PLAN || 'free';
+
+/**
+ * Drop cached plans and user assignments
+ * Called after every plan or assignment change on this instance
+ */
+const invalidatePlanCache = () => {
+  planCache.clear();
+  userPlanCache.clear();
+};
+
+/**
+ * Get a plan: the stored version if any, else the built-in one
+ *
+ * @param {string} name - Plan name
+ * @returns {Promise<Object|null>} Plan or null
+ */
+const getPlan = async (name) => {
+  const cached = planCache.get(name);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.plan;
+  }
+
+  const stored = await Plan.getPlan(name);
+  const builtIn = Object.prototype.hasOwnProperty.call(BUILT_IN_PLANS, name);
+
+  let plan = null;
+  if (stored) {
+    plan = { ...stored, builtIn };
+  } else if (builtIn) {
+    plan = { name, ...BUILT_IN_PLANS[name], builtIn };
+  }
+
+  planCache.set(name, { plan, expiresAt: Date.now() + PLAN_CACHE_TTL });
+
+  return plan;
+};
+
+/**
+ * List all plans: built-in plans first, then custom plans by name
+ *
+ * @returns {Promise<Array>} Plans
+ */
+const listPlans = async () => {
+  const stored = await Plan.getAllPlans();
+  const custom = stored
+    .filter(plan => !BUILT_IN_PLANS[plan.name])
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  const builtIn = await Promise.all(Object.keys(BUILT_IN_PLANS).map(name => getPlan(name)));
+
+  return [...builtIn, ...custom.map(plan => ({ ...plan, builtIn: false }))];
+};
+
+/**
+ * Create or replace a plan
+ *
+ * @param {string} name - Plan name
+ * @param {Object} data - { description?, limits: { second?, minute?, hour?, day?, month? } }
+ * @param {Object} actor - User performing the action
+ * @returns {Promise<Object>} Saved plan
+ */
+const savePlan = async (name, { description, limits }, actor) => {
+  const existing = await getPlan(name);
+
+  const stored = await Plan.savePlan(name, { description, limits });
+  invalidatePlanCache();
+
+  logAudit(existing ? 'plan.update' : 'plan.create', actor, { type: 'plan', id: name }, {
+    ...(existing ? { before: existing.limits } : {}),
+    limits,
+  });
+
+  return { ...stored, builtIn: Boolean(BUILT_IN_PLANS[name]) };
+};
+
+/**
+ * Delete a custom plan, or reset a built-in plan to its defaults
+ *
+ * @param {string} name - Plan name
+ * @param {Object} actor - User performing the action
+ * @returns {Promise<Object|null>} The built-in plan after a reset, null after a delete
+ */
+const deletePlan = async (name, actor) => {
+  const builtIn = Boolean(BUILT_IN_PLANS[name]);
+
+  if (!builtIn && name === getDefaultPlanName()) {
+    throw new Error('Cannot delete the default plan');
+  }
+
+  const deleted = await Plan.deletePlan(name);
+  if (!deleted && !builtIn) {
+    throw new Error('Plan not found');
+  }
+
+  invalidatePlanCache();
+
+  if (deleted) {
+    logAudit(builtIn ? 'plan.reset' : 'plan.delete', actor, { type: 'plan', id: name });
+  }
+
+  return builtIn ? getPlan(name) : null;
+};
+
+/**
+ * Check that a plan exists before it is assigned
+ *
+ * @param {string} name - Plan name
+ * @returns {Promise<void>}
+ */
+const assertPlanExists = async (name) => {
+  if (!(await getPlan(name))) {
+    throw new Error('Plan not found');
+  }
+};
+
+/**
+ * Get the plan assigned to a user
+ */
+const getUserPlanName = async (userId) => {
+  if (!userId) {
+    return null;
+  }
+
+  const cached = userPlanCache.get(userId);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.plan;
+  }
+
+  const user = await User.getUserById(userId);
+  const plan = user?.plan || null;
+  userPlanCache.set(userId, { plan, expiresAt: Date.now() + PLAN_CACHE_TTL });
+
+  return plan;
+};
+
+/**
+ * Resolve the plan that applies to a request
+ *
+ * @param {Object} req - Express request (after requireApiKey / authenticate)
+ * @param {string} identifierType - 'apiKey' or 'user'
+ * @returns {Promise<Object>} Plan
+ */
+const resolvePlan = async (req, identifierType) => {
+  const name = identifierType === 'apiKey'
+    ? req.apiKey?.plan
+    : await getUserPlanName(req.user?.id);
+
+  if (name) {
+    const plan = await getPlan(name);
+    if (plan) {
+      return plan;
+    }
+    logger.warn('Assigned plan not found, using default plan', { plan: name, default: getDefaultPlanName() });
+  }
+
+  const defaultPlan = await getPlan(getDefaultPlanName());
+  return defaultPlan || { name: 'free', ...BUILT_IN_PLANS.free, builtIn: true };
+};
+
+/**
+ * Turn a plan into composite limiter layers, shortest window first
+ *
+ * @param {Object} plan - Plan
+ * @param {string} identifierType - 'apiKey' or 'user'
+ * @returns {Object[]} Limiter layers
+ */
+const getPlanLayers = (plan, identifierType) => {
+  return Object.entries(PLAN_WINDOWS)
+    .filter(([window]) => plan.limits[window] > 0)
+    .map(([window, { duration, calendar }]) => ({
+      name: window,
+      keyPrefix: `plan:${identifierType}:${window}`,
+      points: plan.limits[window],
+      duration,
+      calendar,
+      identifierType,
+    }));
+};
+
+module.exports = {
+  PLAN_WINDOWS,
+  BUILT_IN_PLANS,
+  getDefaultPlanName,
+  invalidatePlanCache,
+  getPlan,
+  listPlans,
+  savePlan,
+  deletePlan,
+  assertPlanExists,
+  resolvePlan,
+  getPlanLayers,
+};
@@ -27,6 +27,11 @@ const ROLES = {
       'rules.list',
       'rules.apply',
       
+      // IP blocklist / allowlist
+      'ip.list',
+      'ip.block',
+      'ip.whitelist',
+      
       // API keys
       'apikeys.create',
       'apikeys.read',
@@ -34,6 +39,16 @@ const ROLES = {
       'apikeys.delete',
       'apikeys.list',
       
+      // Rate limit plans
+      'plans.read',
+      'plans.update',
+      'plans.delete',
+      'plans.list',
+      
+      // Quota usage
+      'usage.read',
+      'usage.reset',
+      
       // System
       'system.health',
       'system.metrics',
@@ -49,8 +64,12 @@ const ROLES = {
       // Read-only permissions
       'rules.read',
       'rules.list',
+      'ip.list',
       'apikeys.read',
       'apikeys.list',
+      'plans.read',
+      'plans.list',
+      'usage.read',
       'system.health',
       'system.metrics',
     ],
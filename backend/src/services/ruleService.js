@@ -6,8 +6,24 @@
  */
 
 const RateLimitRule = require('../models/RateLimitRule');
-const { getRedisClient, isRedisConnected } = require('../config/redis');
 const logger = require('../utils/logger');
+const { publishEvent } = require('./events');
+const { logAudit } = require('./auditLog');
+
+// Local cache of active rules so the request pipeline does not hit Redis on every request
+const RULE_CACHE_TTL = parseInt(process.env.RULE_CACHE_TTL, 10) || 5000;
+let activeRulesCache = null;
+let activeRulesCachedAt = 0;
+
+/**
+ * Drop the local active rules cache
+ * Called after every rule change so this instance picks it up immediately;
+ * other instances pick it up once their cache expires
+ */
+const invalidateRuleCache = () => {
+  activeRulesCache = null;
+  activeRulesCachedAt = 0;
+};
 
 /**
  * Create a new rule with validation
@@ -29,17 +45,12 @@ const createRule = async (ruleData, actor) => {
   }
 
   // Create the rule
-  const rule = await RateLimitRule.createRule(ruleData);
+  const rule = await RateLimitRule.createRule({ ...ruleData, createdBy: actor.email });
+
+  invalidateRuleCache();
 
   // Log audit trail
-  await logAudit({
-    action: 'create',
-    ruleId: rule.id,
-    ruleName: rule.name,
-    actor: actor.id,
-    actorEmail: actor.email,
-    data: rule,
-  });
+  await recordRuleChange('create', rule.id, actor, { name: rule.name, rule });
 
   logger.info('Rule created via service', { ruleId: rule.id, actor: actor.id });
 
@@ -64,16 +75,10 @@ const updateRule = async (ruleId, updates, actor) => {
   // Update the rule
   const updatedRule = await RateLimitRule.updateRule(ruleId, updates);
 
+  invalidateRuleCache();
+
   // Log audit trail
-  await logAudit({
-    action: 'update',
-    ruleId: ruleId,
-    ruleName: existingRule.name,
-    actor: actor.id,
-    actorEmail: actor.email,
-    before: existingRule,
-    after: updatedRule,
-  });
+  await recordRuleChange('update', ruleId, actor, { name: existingRule.name, before: existingRule, after: updatedRule });
 
   logger.info('Rule updated via service', { ruleId, actor: actor.id });
 
@@ -98,15 +103,10 @@ const deleteRule = async (ruleId, actor) => {
   const success = await RateLimitRule.deleteRule(ruleId);
 
   if (success) {
+    invalidateRuleCache();
+
     // Log audit trail
-    await logAudit({
-      action: 'delete',
-      ruleId: ruleId,
-      ruleName: existingRule.name,
-      actor: actor.id,
-      actorEmail: actor.email,
-      data: existingRule,
-    });
+    await recordRuleChange('delete', ruleId, actor, { name: existingRule.name, rule: existingRule });
 
     logger.info('Rule deleted via service', { ruleId, actor: actor.id });
   }
@@ -123,14 +123,9 @@ const deleteRule = async (ruleId, actor) => {
  */
 const enableRule = async (ruleId, actor) => {
   const rule = await RateLimitRule.enableRule(ruleId);
+  invalidateRuleCache();
 
-  await logAudit({
-    action: 'enable',
-    ruleId: ruleId,
-    ruleName: rule.name,
-    actor: actor.id,
-    actorEmail: actor.email,
-  });
+  await recordRuleChange('enable', ruleId, actor, { name: rule.name });
 
   logger.info('Rule enabled via service', { ruleId, actor: actor.id });
 
@@ -146,14 +141,9 @@ const enableRule = async (ruleId, actor) => {
  */
 const disableRule = async (ruleId, actor) => {
   const rule = await RateLimitRule.disableRule(ruleId);
+  invalidateRuleCache();
 
-  await logAudit({
-    action: 'disable',
-    ruleId: ruleId,
-    ruleName: rule.name,
-    actor: actor.id,
-    actorEmail: actor.email,
-  });
+  await recordRuleChange('disable', ruleId, actor, { name: rule.name });
 
   logger.info('Rule disabled via service', { ruleId, actor: actor.id });
 
@@ -193,6 +183,25 @@ const getActiveRules = async () => {
   });
 };
 
+/**
+ * Get active rules through the local cache
+ * Used on the hot path by the rule enforcer middleware
+ * 
+ * @returns {Promise<Array>} Array of enabled rules, highest priority first
+ */
+const getCachedActiveRules = async () => {
+  const now = Date.now();
+
+  if (activeRulesCache && now - activeRulesCachedAt < RULE_CACHE_TTL) {
+    return activeRulesCache;
+  }
+
+  activeRulesCache = await getActiveRules();
+  activeRulesCachedAt = now;
+
+  return activeRulesCache;
+};
+
 /**
  * Check for rule conflicts
  * Detects overlapping patterns that might cause issues
@@ -222,82 +231,22 @@ const checkConflicts = async (ruleData) => {
 };
 
 /**
- * Log audit entry for rule changes
- * 
- * @param {Object} entry - Audit log entry
- */
-const logAudit = async (entry) => {
-  if (!isRedisConnected()) {
-    logger.warn('Redis unavailable, cannot log audit entry');
-    return;
-  }
-
-  try {
-    const redis = getRedisClient();
-    const date = new Date().toISOString().split('T')[0]; // YYYY-MM-DD
-    const timestamp = new Date().toISOString();
-
-    const auditEntry = {
-      ...entry,
-      timestamp,
-    };
-
-    // Store in daily audit log list
-    await redis.lpush(`rl:audit:${date}`, JSON.stringify(auditEntry));
-
-    // Set expiration for 90 days
-    await redis.expire(`rl:audit:${date}`, 90 * 24 * 60 * 60);
-
-    logger.info('Audit entry logged', { action: entry.action, ruleId: entry.ruleId });
-  } catch (error) {
-    logger.error('Failed to log audit entry', { error: error.message });
-  }
-};
-
-/**
- * Get audit log for a specific date
- * 
- * @param {string} date - Date in YYYY-MM-DD format
- * @param {number} limit - Max entries to retrieve
- * @returns {Promise<Array>} Array of audit entries
- */
-const getAuditLog = async (date, limit = 100) => {
-  if (!isRedisConnected()) {
-    return [];
-  }
-
-  try {
-    const redis = getRedisClient();
-    const entries = await redis.lrange(`rl:audit:${date}`, 0, limit - 1);
-
-    return entries.map(entry => JSON.parse(entry));
-  } catch (error) {
-    logger.error('Failed to retrieve audit log', { error: error.message, date });
-    return [];
-  }
-};
-
-/**
- * Get audit log for a specific rule
- * 
+ * Record a rule change in the audit log and announce it on the live event stream
+ *
+ * @param {string} action - 'create', 'update', 'delete', 'enable' or 'disable'
  * @param {string} ruleId - Rule ID
- * @param {number} days - Number of days to look back
- * @returns {Promise<Array>} Array of audit entries for the rule
+ * @param {Object} actor - User performing the action
+ * @param {Object} details - Rule name and action-specific details
  */
-const getRuleAuditLog = async (ruleId, days = 7) => {
-  const entries = [];
-
-  for (let i = 0; i < days; i++) {
-    const date = new Date();
-    date.setDate(date.getDate() - i);
-    const dateStr = date.toISOString().split('T')[0];
-
-    const dayEntries = await getAuditLog(dateStr);
-    const ruleEntries = dayEntries.filter(entry => entry.ruleId === ruleId);
-    entries.push(...ruleEntries);
-  }
+const recordRuleChange = async (action, ruleId, actor, details) => {
+  publishEvent('rule-change', {
+    action,
+    ruleId,
+    ruleName: details.name,
+    actor: actor.email,
+  });
 
-  return entries.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+  await logAudit(`rule.${action}`, actor, { type: 'rule', id: ruleId }, details);
 };
 
 module.exports = {
@@ -309,7 +258,7 @@ module.exports = {
   getRule,
   getAllRules,
   getActiveRules,
+  getCachedActiveRules,
+  invalidateRuleCache,
   checkConflicts,
-  getAuditLog,
-  getRuleAuditLog,
 };
@@ -0,0 +1,63 @@
+/**
+ * Token Revocation Service
+ *
+ * Revokes every token of a user at once, after a change that must end their
+ * sessions (role change, password reset, deletion). Instead of tracking each
+ * token, the user gets a cut-off: access tokens issued (iat) and refresh
+ * tokens stored before it are rejected.
+ *
+ * Redis layout:
+ * - token:valid_from:{userId}  Cut-off in Unix seconds, kept as long as a
+ *                              refresh token lives (JWT_REFRESH_TOKEN_EXPIRY)
+ */
+
+const { getRedisClient, isRedisConnected } = require('../config/redis');
+const { parseWindow } = require('../models/RateLimitRule');
+const logger = require('../utils/logger');
+
+/**
+ * Revoke every access and refresh token issued to a user so far
+ * The cut-off is rounded up to the next second, so a token issued within the
+ * same second as the change is revoked too.
+ *
+ * @param {string} userId - User ID
+ * @param {string} reason - Why the tokens are revoked (for the log)
+ * @returns {Promise<boolean>} Whether the cut-off was stored
+ */
+const revokeUserTokens = async (userId, reason) => {
+  if (!isRedisConnected()) {
+    logger.warn('Redis unavailable, cannot revoke user tokens', { userId, reason });
+    return false;
+  }
+
+  const validFrom = Math.ceil(Date.now() / 1000);
+  const lifetime = parseWindow(process.env.JWT_REFRESH_TOKEN_EXPIRY || '7d') || 7 * 86400;
+
+  const redis = getRedisClient();
+  await redis.set(`token:valid_from:${userId}`, String(validFrom), 'EX', lifetime);
+
+  logger.info('User tokens revoked', { userId, reason, validFrom });
+  return true;
+};
+
+/**
+ * Get the cut-off before which a user's tokens are revoked
+ *
+ * @param {string} userId - User ID
+ * @returns {Promise<number>} Cut-off in Unix seconds, 0 if none
+ */
+const getTokensValidFrom = async (userId) => {
+  if (!isRedisConnected()) {
+    return 0;
+  }
+
+  const redis = getRedisClient();
+  const validFrom = await redis.get(`token:valid_from:${userId}`);
+
+  return validFrom ? parseInt(validFrom, 10) : 0;
+};
+
+module.exports = {
+  revokeUserTokens,
+  getTokensValidFrom,
+};
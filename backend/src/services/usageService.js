@@ -0,0 +1,239 @@
+/**
+ * Usage Service
+ *
+ * Reports and resets long-period quota usage for a client: the daily and
+ * monthly limits of its plan, and rules with windows over a day (quota
+ * rules, counted per billing period). Short windows are left to the
+ * X-RateLimit-* headers on each response.
+ *
+ * A client is identified by { type, identifier }, where type is 'ip',
+ * 'user' or 'apikey' (the rule target types).
+ *
+ * Endpoint rules are counted per IP but only limit requests to their
+ * endpoint, so IP clients get them as a separate list of per-endpoint quotas.
+ */
+
+const { getRedisClient, isRedisConnected } = require('../config/redis');
+const { CompositeLimiter } = require('../algorithms/composite');
+const { QuotaLimiter, getPeriodBounds } = require('../algorithms/quota');
+const { getQuotaPeriod } = require('../models/RateLimitRule');
+const ApiKey = require('../models/ApiKey');
+const User = require('../models/User');
+const { getCachedActiveRules } = require('./ruleService');
+const { resolvePlan, getPlanLayers } = require('./planService');
+const { globToRegExp } = require('../middleware/ruleEnforcer');
+const { matchesCidr } = require('../utils/cidr');
+const { logAudit } = require('./auditLog');
+
+// Rate limiter identifier type per client type
+const IDENTIFIER_TYPES = {
+  ip: 'ip',
+  user: 'user',
+  apikey: 'apiKey',
+};
+
+// Rule target types counted against each client type
+const RULE_TARGET_TYPES = {
+  ip: ['ip'],
+  user: ['user'],
+  apikey: ['apikey'],
+};
+
+/**
+ * Fail unless usage counters can be read
+ */
+const requireRedis = () => {
+  if (!isRedisConnected()) {
+    throw new Error('Redis connection required to read usage');
+  }
+  return getRedisClient();
+};
+
+/**
+ * Get the plan assigned to a client
+ * IP clients have no plan; users and API keys must exist.
+ *
+ * @param {Object} client - { type, identifier }
+ * @returns {Promise<Object|null>} Plan, or null
+ */
+const getClientPlan = async ({ type, identifier }) => {
+  if (type === 'user') {
+    if (!(await User.getUserById(identifier))) {
+      throw new Error('User not found');
+    }
+    return resolvePlan({ user: { id: identifier } }, 'user');
+  }
+  if (type === 'apikey') {
+    const apiKey = await ApiKey.getApiKeyById(identifier);
+    if (!apiKey) {
+      throw new Error('API key not found');
+    }
+    return resolvePlan({ apiKey }, 'apiKey');
+  }
+  return null;
+};
+
+/**
+ * Check whether a quota rule counts requests from a client
+ *
+ * @param {Object} rule - Rate limit rule
+ * @param {Object} client - { type, identifier }
+ * @returns {boolean} Whether the client is limited by the rule
+ */
+const ruleAppliesTo = (rule, { type, identifier }) => {
+  const { type: targetType, pattern } = rule.target || {};
+
+  if (!pattern || !RULE_TARGET_TYPES[type].includes(targetType)) {
+    return false;
+  }
+  if (targetType === 'ip' && pattern.includes('/')) {
+    return matchesCidr(identifier, pattern);
+  }
+  return globToRegExp(pattern).test(String(identifier));
+};
+
+/**
+ * Get the endpoint an endpoint rule counts a client's requests to
+ * Endpoint rules are keyed by IP, so only IP clients have such counters.
+ *
+ * @param {Object} rule - Rate limit rule
+ * @param {Object} client - { type, identifier }
+ * @returns {string|null} Endpoint pattern, or null
+ */
+const getRuleEndpoint = (rule, { type }) => {
+  const { type: targetType, pattern } = rule.target || {};
+
+  return type === 'ip' && targetType === 'endpoint' && pattern ? pattern : null;
+};
+
+/**
+ * Get the counters tracking a client's long-period usage
+ * Each counter can read and reset its current period; counters of endpoint
+ * rules carry the endpoint they are limited to.
+ *
+ * @param {Object} client - { type, identifier }
+ * @returns {Promise<Object>} { plan, counters }
+ */
+const getCounters = async (client) => {
+  const redis = requireRedis();
+  const identifierType = IDENTIFIER_TYPES[client.type];
+  const counters = [];
+
+  const plan = await getClientPlan(client);
+  if (plan) {
+    const composite = new CompositeLimiter({ storeClient: redis });
+
+    for (const layer of getPlanLayers(plan, identifierType).filter(planLayer => planLayer.calendar)) {
+      const { windowKey } = composite.getWindow({ ...layer, key: client.identifier });
+      const { start, end } = getPeriodBounds({ unit: layer.calendar, count: 1 });
+
+      counters.push({
+        source: 'plan',
+        name: `${plan.name}:${layer.name}`,
+        window: layer.name,
+        limit: layer.points,
+        get: async () => ({ start, end, used: parseInt(await redis.get(windowKey), 10) || 0 }),
+        reset: async () => (await redis.del(windowKey)) > 0,
+      });
+    }
+  }
+
+  const rules = await getCachedActiveRules();
+  for (const rule of rules) {
+    const period = getQuotaPeriod(rule.limit);
+    const endpoint = getRuleEndpoint(rule, client);
+    if (!period || !(endpoint || ruleAppliesTo(rule, client))) {
+      continue;
+    }
+
+    const limiter = new QuotaLimiter({
+      storeClient: redis,
+      keyPrefix: `rule:${rule.id}`,
+      points: parseInt(rule.limit.requests, 10),
+      period,
+    });
+
+    counters.push({
+      source: 'rule',
+      name: rule.name,
+      ruleId: rule.id,
+      endpoint,
+      window: rule.limit.window,
+      limit: limiter.points,
+      get: async () => {
+        const { start, end } = getPeriodBounds(period);
+        const { used } = await limiter.get(client.identifier);
+        return { start, end, used };
+      },
+      reset: () => limiter.delete(client.identifier),
+    });
+  }
+
+  return { plan, counters };
+};
+
+/**
+ * Get a client's usage of its long-period quotas
+ * Quotas of endpoint rules, which only limit requests to their endpoint,
+ * are listed separately in endpointQuotas.
+ *
+ * @param {Object} client - { type: 'ip' | 'user' | 'apikey', identifier }
+ * @returns {Promise<Object>} { type, identifier, plan, quotas, endpointQuotas }
+ */
+const getUsage = async (client) => {
+  const { plan, counters } = await getCounters(client);
+
+  const quotas = await Promise.all(counters.map(async (counter) => {
+    const { start, end, used } = await counter.get();
+
+    const quota = {
+      source: counter.source,
+      name: counter.name,
+      window: counter.window,
+      limit: counter.limit,
+      used,
+      remaining: Math.max(0, counter.limit - used),
+      periodStart: new Date(start).toISOString(),
+      resetAt: new Date(end).toISOString(),
+    };
+    if (counter.ruleId) {
+      quota.ruleId = counter.ruleId;
+    }
+    if (counter.endpoint) {
+      quota.endpoint = counter.endpoint;
+    }
+    return quota;
+  }));
+
+  return {
+    type: client.type,
+    identifier: client.identifier,
+    plan: plan ? plan.name : null,
+    quotas: quotas.filter(quota => !quota.endpoint),
+    endpointQuotas: quotas.filter(quota => quota.endpoint),
+  };
+};
+
+/**
+ * Reset a client's usage in the current period of all its quotas
+ *
+ * @param {Object} client - { type: 'ip' | 'user' | 'apikey', identifier }
+ * @param {Object} actor - User performing the action
+ * @returns {Promise<Object>} { reset: names of the quotas that had usage }
+ */
+const resetUsage = async (client, actor) => {
+  const { counters } = await getCounters(client);
+
+  const results = await Promise.all(counters.map(counter => counter.reset()));
+  const reset = counters.filter((counter, i) => results[i]).map(counter => counter.name);
+
+  logAudit('usage.reset', actor, { type: client.type, id: client.identifier }, { quotas: reset });
+
+  return { reset };
+};
+
+module.exports = {
+  CLIENT_TYPES: Object.keys(IDENTIFIER_TYPES),
+  getUsage,
+  resetUsage,
+};
@@ -0,0 +1,257 @@
+/**
+ * User Service
+ *
+ * Business logic for admin user management
+ * Wraps the User model, hashes passwords and records audit events
+ */
+
+const bcrypt = require('bcryptjs');
+const User = require('../models/User');
+const BlockedEntity = require('../models/BlockedEntity');
+const { logAudit } = require('./auditLog');
+const { clearFailedLogins } = require('./accountLockout');
+const { revokeUserTokens } = require('./tokenRevocation');
+const { assertPlanExists, invalidatePlanCache } = require('./planService');
+
+const BCRYPT_ROUNDS = 12;
+
+/**
+ * Strip secrets from a stored user
+ *
+ * @param {Object} user - Stored user
+ * @returns {Object} User safe to return from the API
+ */
+const toPublicUser = (user) => {
+  const publicUser = { ...user, plan: user.plan || null };
+  delete publicUser.passwordHash;
+  return publicUser;
+};
+
+/**
+ * Get a user or fail
+ */
+const getExistingUser = async (userId) => {
+  const user = await User.getUserById(userId);
+  if (!user) {
+    throw new Error('User not found');
+  }
+  return user;
+};
+
+/**
+ * Make sure an admin change leaves at least one admin
+ */
+const assertOtherAdminExists = async (userId) => {
+  const users = await User.getAllUsers();
+  const otherAdmins = users.filter(user => user.role === 'admin' && user.id !== userId);
+
+  if (otherAdmins.length === 0) {
+    throw new Error('Cannot remove the last admin');
+  }
+};
+
+/**
+ * List all users
+ *
+ * @returns {Promise<Array>} Users, oldest first
+ */
+const listUsers = async () => {
+  const users = await User.getAllUsers();
+
+  return users
+    .map(toPublicUser)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+};
+
+/**
+ * Get a user by ID
+ *
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} User
+ */
+const getUser = async (userId) => toPublicUser(await getExistingUser(userId));
+
+/**
+ * Create a user account
+ *
+ * @param {Object} data - Account data
+ * @param {string} data.email - Email (unique)
+ * @param {string} data.password - Plain-text password
+ * @param {string} [data.role] - Role (default viewer)
+ * @param {Object} actor - User performing the action
+ * @returns {Promise<Object>} Created user
+ */
+const createUser = async ({ email, password, role = 'viewer' }, actor) => {
+  const passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+  const user = await User.createUser({ email, passwordHash, role });
+
+  logAudit('user.create', actor, { type: 'user', id: user.id }, { email, role });
+
+  return toPublicUser(user);
+};
+
+/**
+ * Change a user's role
+ * The user's tokens are revoked, so they sign in again under the new role.
+ *
+ * @param {string} userId - User ID
+ * @param {string} role - New role
+ * @param {Object} actor - User performing the action
+ * @returns {Promise<Object>} Updated user
+ */
+const updateRole = async (userId, role, actor) => {
+  const user = await getExistingUser(userId);
+
+  if (user.role === 'admin' && role !== 'admin') {
+    await assertOtherAdminExists(userId);
+  }
+
+  const updated = await User.updateUser(userId, { role });
+  if (role !== user.role) {
+    await revokeUserTokens(userId, 'role_update');
+  }
+
+  logAudit('user.role_update', actor, { type: 'user', id: userId }, { from: user.role, to: role });
+
+  return toPublicUser(updated);
+};
+
+/**
+ * Assign a rate limit plan to a user
+ *
+ * @param {string} userId - User ID
+ * @param {string|null} plan - Plan name, or null for the default plan
+ * @param {Object} actor - User performing the action
+ * @returns {Promise<Object>} Updated user
+ */
+const updatePlan = async (userId, plan, actor) => {
+  const user = await getExistingUser(userId);
+  if (plan) {
+    await assertPlanExists(plan);
+  }
+
+  const updated = await User.updateUser(userId, { plan: plan || '' });
+  invalidatePlanCache();
+
+  logAudit('user.plan_update', actor, { type: 'user', id: userId }, { from: user.plan || null, to: plan || null });
+
+  return toPublicUser(updated);
+};
+
+/**
+ * Set a user's password
+ * Users changing their own password must confirm the current one. Every
+ * session of the user ends, the current one included.
+ *
+ * @param {string} userId - User ID
+ * @param {Object} data - Password data
+ * @param {string} data.password - New plain-text password
+ * @param {string} [data.currentPassword] - Current password (self-service)
+ * @param {Object} actor - User performing the action
+ * @returns {Promise<void>}
+ */
+const resetPassword = async (userId, { password, currentPassword }, actor) => {
+  const user = await getExistingUser(userId);
+  const isSelfService = actor.id === userId;
+
+  if (isSelfService) {
+    const matches = currentPassword
+      ? await bcrypt.compare(currentPassword, user.passwordHash)
+      : false;
+    if (!matches) {
+      throw new Error('Current password is incorrect');
+    }
+  }
+
+  const passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+  await User.updateUser(userId, { passwordHash });
+  await revokeUserTokens(userId, 'password_reset');
+
+  // A reset also lifts any lockout from earlier failed logins
+  await clearFailedLogins(userId);
+
+  logAudit('user.password_reset', actor, { type: 'user', id: userId }, { selfService: isSelfService });
+};
+
+/**
+ * Delete a user account
+ * Their tokens are revoked until they would have expired.
+ *
+ * @param {string} userId - User ID
+ * @param {Object} actor - User performing the action
+ * @returns {Promise<void>}
+ */
+const deleteUser = async (userId, actor) => {
+  if (actor.id === userId) {
+    throw new Error('Cannot delete your own account');
+  }
+
+  const user = await getExistingUser(userId);
+  if (user.role === 'admin') {
+    await assertOtherAdminExists(userId);
+  }
+
+  await User.deleteUser(userId);
+  await revokeUserTokens(userId, 'delete');
+
+  logAudit('user.delete', actor, { type: 'user', id: userId }, { email: user.email });
+};
+
+/**
+ * Block a user: requests made with their tokens are rejected with
+ * USER_BLOCKED when the token is verified (same block the penalty box places)
+ *
+ * @param {string} userId - User ID
+ * @param {Object} options - Block options
+ * @param {string} [options.reason] - Why the user is blocked
+ * @param {string} [options.expiresAt] - ISO date for automatic unblock
+ * @param {Object} actor - User performing the action
+ * @returns {Promise<Object>} Blocked entity
+ */
+const blockUser = async (userId, { reason, expiresAt } = {}, actor) => {
+  if (actor.id === userId) {
+    throw new Error('Cannot block your own account');
+  }
+
+  await getExistingUser(userId);
+
+  const entity = await BlockedEntity.addEntity('blocked', {
+    type: 'user',
+    value: userId,
+    reason,
+    expiresAt,
+    createdBy: actor.email,
+  });
+
+  logAudit('user.block', actor, { type: 'user', id: userId }, { reason, expiresAt: entity.expiresAt });
+
+  return entity;
+};
+
+/**
+ * Remove a user's block (manual or placed by the penalty box)
+ *
+ * @param {string} userId - User ID
+ * @param {Object} actor - User performing the action
+ * @returns {Promise<void>}
+ */
+const unblockUser = async (userId, actor) => {
+  const removed = await BlockedEntity.removeEntity('blocked', 'user', userId);
+  if (!removed) {
+    throw new Error('User is not blocked');
+  }
+
+  logAudit('user.unblock', actor, { type: 'user', id: userId });
+};
+
+module.exports = {
+  listUsers,
+  getUser,
+  createUser,
+  updateRole,
+  updatePlan,
+  resetPassword,
+  deleteUser,
+  blockUser,
+  unblockUser,
+};
@@ -0,0 +1,88 @@
+/**
+ * CIDR Tests
+ *
+ * Tests address normalization, range parsing and range matching
+ */
+
+const {
+  normalizeIP,
+  isCidr,
+  normalizeCidr,
+  matchesCidr,
+  createCidrMatcher,
+  isPrivateIP,
+} = require('../cidr');
+
+describe('CIDR - Addresses', () => {
+  test('should normalize IPv4 and IPv6 addresses', () => {
+    expect(normalizeIP('203.0.113.7')).toBe('203.0.113.7');
+    expect(normalizeIP('2001:0DB8:0000:0000:0000:0000:0000:0001')).toBe('2001:db8::1');
+    expect(normalizeIP('1:0:0:1:0:0:0:1')).toBe('1:0:0:1::1');
+    expect(normalizeIP('::1')).toBe('::1');
+  });
+
+  test('should unwrap IPv4-mapped IPv6 addresses', () => {
+    expect(normalizeIP('::ffff:203.0.113.7')).toBe('203.0.113.7');
+    expect(normalizeIP('::ffff:cb00:7107')).toBe('203.0.113.7');
+  });
+
+  test('should reject invalid addresses', () => {
+    expect(normalizeIP('256.1.1.1')).toBeNull();
+    expect(normalizeIP('unknown')).toBeNull();
+    expect(normalizeIP(null)).toBeNull();
+  });
+});
+
+describe('CIDR - Ranges', () => {
+  test('should parse and normalize ranges', () => {
+    expect(normalizeCidr('203.0.113.77/24')).toBe('203.0.113.0/24');
+    expect(normalizeCidr('2001:db8:abcd:12::/48')).toBe('2001:db8:abcd::/48');
+    expect(normalizeCidr('::ffff:10.1.2.3/104')).toBe('10.0.0.0/8');
+    expect(normalizeCidr('203.0.113.7/32')).toBe('203.0.113.7');
+    expect(normalizeCidr('0.0.0.0/0')).toBe('0.0.0.0/0');
+  });
+
+  test('should reject malformed ranges', () => {
+    expect(isCidr('10.0.0.0/33')).toBe(false);
+    expect(isCidr('2001:db8::/129')).toBe(false);
+    expect(isCidr('10.0.0.0/')).toBe(false);
+    expect(isCidr('10.0.0.0/8/8')).toBe(false);
+    expect(isCidr('10.0.0.*')).toBe(false);
+  });
+
+  test('should match addresses within IPv4 and IPv6 ranges', () => {
+    expect(matchesCidr('203.0.113.200', '203.0.113.0/24')).toBe(true);
+    expect(matchesCidr('203.0.114.1', '203.0.113.0/24')).toBe(false);
+    expect(matchesCidr('::ffff:203.0.113.9', '203.0.113.0/24')).toBe(true);
+    expect(matchesCidr('2001:db8:abcd:ffff::1', '2001:db8:abcd::/48')).toBe(true);
+    expect(matchesCidr('2001:db8:abce::1', '2001:db8:abcd::/48')).toBe(false);
+  });
+
+  test('should not match across address families', () => {
+    expect(matchesCidr('10.0.0.1', '::/0')).toBe(false);
+    expect(matchesCidr('2001:db8::1', '0.0.0.0/0')).toBe(false);
+  });
+
+  test('should build a matcher for a list of ranges', () => {
+    const matches = createCidrMatcher(['198.51.100.0/24', '2001:db8::/32', 'not-a-range']);
+
+    expect(matches('198.51.100.10')).toBe(true);
+    expect(matches('2001:db8:1::1')).toBe(true);
+    expect(matches('203.0.113.1')).toBe(false);
+  });
+});
+
+describe('CIDR - Private Ranges', () => {
+  test('should detect private, loopback and link-local addresses', () => {
+    ['10.1.2.3', '127.0.0.1', '172.16.0.1', '172.31.255.255', '192.168.1.1', '169.254.1.1',
+      '::1', '::', 'fd12:3456::1', 'fe80::1', '::ffff:192.168.1.1'].forEach(ip => {
+      expect(isPrivateIP(ip)).toBe(true);
+    });
+  });
+
+  test('should treat public addresses as public', () => {
+    ['8.8.8.8', '172.15.0.1', '172.32.0.1', '203.0.113.1', '2001:db8::1'].forEach(ip => {
+      expect(isPrivateIP(ip)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,60 @@
+/**
+ * Cost Expression Tests
+ *
+ * Tests parsing and evaluation of rule cost expressions
+ */
+
+const { compileCostExpression } = require('../costExpression');
+
+const req = {
+  query: { limit: '500', page: 'two' },
+  params: { id: '7' },
+  body: { items: 12 },
+  headers: { 'content-length': '2048' },
+};
+
+describe('Cost Expressions - Evaluation', () => {
+  test('should evaluate arithmetic with precedence and parentheses', () => {
+    expect(compileCostExpression('2 + 3 * 4')(req)).toBe(14);
+    expect(compileCostExpression('(2 + 3) * 4')(req)).toBe(20);
+    expect(compileCostExpression('-2 + 5')(req)).toBe(3);
+  });
+
+  test('should read numeric request values', () => {
+    expect(compileCostExpression('ceil(query.limit / 100)')(req)).toBe(5);
+    expect(compileCostExpression('params.id + body.items')(req)).toBe(19);
+    expect(compileCostExpression('bodySize / 1024')(req)).toBe(2);
+  });
+
+  test('should treat missing or non-numeric values as zero', () => {
+    expect(compileCostExpression('max(1, query.page)')(req)).toBe(1);
+    expect(compileCostExpression('query.missing + 1')(req)).toBe(1);
+    expect(compileCostExpression('1 + query.limit')({ headers: {} })).toBe(1);
+  });
+
+  test('should not fail on division by zero', () => {
+    expect(compileCostExpression('query.limit / 0')(req)).toBe(0);
+  });
+
+  test('should accept a fixed number', () => {
+    expect(compileCostExpression(4)(req)).toBe(4);
+  });
+});
+
+describe('Cost Expressions - Validation', () => {
+  test.each([
+    ['', 'non-empty'],
+    ['process.exit(1)', 'Unknown function'],
+    ['constructor', 'Unknown variable'],
+    ['query.limit; 1', 'Unexpected character'],
+    ['min(1, 2', 'Expected ")"'],
+    ['1 +', 'Unexpected end'],
+    ['2 3', 'Unexpected "3"'],
+  ])('should reject %p', (expression, message) => {
+    expect(() => compileCostExpression(expression)).toThrow(message);
+  });
+
+  test('should reject overly long expressions', () => {
+    expect(() => compileCostExpression('1+'.repeat(150) + '1')).toThrow('at most 200 characters');
+  });
+});
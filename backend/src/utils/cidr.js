@@ -0,0 +1,259 @@
+/**
+ * CIDR Utilities
+ *
+ * Parses IPv4/IPv6 addresses and CIDR ranges and matches addresses against
+ * them. IPv4-mapped IPv6 addresses (::ffff:203.0.113.7) are treated as the
+ * IPv4 address they carry, so one entry covers both notations.
+ *
+ * Addresses are compared as BigInts: 32 bits for IPv4, 128 bits for IPv6.
+ */
+
+const net = require('net');
+
+// Private, loopback, link-local and unspecified ranges
+const PRIVATE_RANGES = [
+  '0.0.0.0/32',
+  '10.0.0.0/8',
+  '127.0.0.0/8',
+  '169.254.0.0/16',
+  '172.16.0.0/12',
+  '192.168.0.0/16',
+  '::/128',
+  '::1/128',
+  'fc00::/7',
+  'fe80::/10',
+];
+
+const MAPPED_IPV4_PREFIX = 0xffffn << 32n;
+
+/**
+ * Parse an IPv6 address into a 128-bit BigInt
+ */
+const parseIPv6 = (ip) => {
+  let address = ip;
+
+  // Trailing dotted IPv4 part (e.g. ::ffff:1.2.3.4)
+  const lastColon = address.lastIndexOf(':');
+  const tail = address.slice(lastColon + 1);
+  if (net.isIPv4(tail)) {
+    const [a, b, c, d] = tail.split('.').map(Number);
+    address = `${address.slice(0, lastColon + 1)}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+
+  const [head, rest] = address.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const restGroups = rest ? rest.split(':') : [];
+  const missing = 8 - headGroups.length - restGroups.length;
+  const groups = rest === undefined
+    ? headGroups
+    : [...headGroups, ...new Array(missing).fill('0'), ...restGroups];
+
+  return groups.reduce((value, group) => (value << 16n) | BigInt(parseInt(group, 16)), 0n);
+};
+
+/**
+ * Parse an IP address
+ *
+ * @param {string} ip - IPv4 or IPv6 address
+ * @returns {Object|null} { version: 4|6, value: BigInt }, or null if invalid
+ */
+const parseIP = (ip) => {
+  if (typeof ip !== 'string') {
+    return null;
+  }
+
+  if (net.isIPv4(ip)) {
+    const value = ip.split('.').reduce((acc, octet) => (acc << 8n) | BigInt(octet), 0n);
+    return { version: 4, value };
+  }
+
+  if (net.isIPv6(ip)) {
+    const value = parseIPv6(ip);
+
+    // IPv4-mapped IPv6 address
+    if (value >> 32n === 0xffffn) {
+      return { version: 4, value: value - MAPPED_IPV4_PREFIX };
+    }
+    return { version: 6, value };
+  }
+
+  return null;
+};
+
+/**
+ * Format a parsed address back into its canonical string form
+ */
+const formatIP = ({ version, value }) => {
+  if (version === 4) {
+    return [24n, 16n, 8n, 0n].map(shift => String((value >> shift) & 0xffn)).join('.');
+  }
+
+  const groups = [];
+  for (let shift = 112n; shift >= 0n; shift -= 16n) {
+    groups.push(((value >> shift) & 0xffffn).toString(16));
+  }
+
+  // Compress the longest run of zero groups (RFC 5952)
+  let bestStart = -1;
+  let bestLength = 1;
+  for (let i = 0; i < groups.length; i++) {
+    let length = 0;
+    while (groups[i + length] === '0') length++;
+    if (length > bestLength) {
+      bestStart = i;
+      bestLength = length;
+    }
+  }
+
+  if (bestStart === -1) {
+    return groups.join(':');
+  }
+  const head = groups.slice(0, bestStart).join(':');
+  const tail = groups.slice(bestStart + bestLength).join(':');
+  return `${head}::${tail}`;
+};
+
+/**
+ * Normalize an IP address to its canonical form
+ * IPv4-mapped IPv6 addresses become plain IPv4.
+ *
+ * @param {string} ip - IP address
+ * @returns {string|null} Canonical address, or null if invalid
+ */
+const normalizeIP = (ip) => {
+  const parsed = parseIP(ip);
+  return parsed ? formatIP(parsed) : null;
+};
+
+/**
+ * Parse a CIDR range; a bare address is a range of one
+ *
+ * @param {string} cidr - e.g. '10.0.0.0/8', '2001:db8::/48', '203.0.113.7'
+ * @returns {Object|null} { version, network: BigInt, prefix }, or null if invalid
+ */
+const parseCidr = (cidr) => {
+  if (typeof cidr !== 'string') {
+    return null;
+  }
+
+  const [address, prefixPart, extra] = cidr.trim().split('/');
+  if (extra !== undefined) {
+    return null;
+  }
+
+  const parsed = parseIP(address);
+  if (!parsed) {
+    return null;
+  }
+
+  const isMapped = parsed.version === 4 && net.isIPv6(address);
+  const bits = parsed.version === 4 ? 32 : 128;
+  let prefix = bits;
+
+  if (prefixPart !== undefined) {
+    if (!/^\d{1,3}$/.test(prefixPart)) {
+      return null;
+    }
+    prefix = parseInt(prefixPart, 10);
+
+    // ::ffff:0:0/96 style prefixes count the 96 mapping bits
+    if (isMapped) {
+      prefix -= 96;
+    }
+    if (prefix < 0 || prefix > bits) {
+      return null;
+    }
+  }
+
+  const hostBits = BigInt(bits - prefix);
+  const network = (parsed.value >> hostBits) << hostBits;
+
+  return { version: parsed.version, network, prefix };
+};
+
+/**
+ * Check whether a string is a valid IP address or CIDR range
+ *
+ * @param {string} value - Candidate
+ * @returns {boolean} Whether it parses
+ */
+const isCidr = (value) => parseCidr(value) !== null;
+
+/**
+ * Normalize a CIDR range to its canonical form
+ * Host bits are cleared and single addresses lose their /32 or /128.
+ *
+ * @param {string} cidr - CIDR range or address
+ * @returns {string|null} e.g. '203.0.113.0/24', or null if invalid
+ */
+const normalizeCidr = (cidr) => {
+  const range = parseCidr(cidr);
+  if (!range) {
+    return null;
+  }
+
+  const address = formatIP({ version: range.version, value: range.network });
+  const bits = range.version === 4 ? 32 : 128;
+  return range.prefix === bits ? address : `${address}/${range.prefix}`;
+};
+
+/**
+ * Check whether an address falls within a parsed range
+ */
+const rangeContains = (range, parsed) => {
+  if (!parsed || parsed.version !== range.version) {
+    return false;
+  }
+
+  const bits = range.version === 4 ? 32 : 128;
+  const hostBits = BigInt(bits - range.prefix);
+  return (parsed.value >> hostBits) << hostBits === range.network;
+};
+
+/**
+ * Check whether an IP address falls within a CIDR range
+ *
+ * @param {string} ip - IP address
+ * @param {string} cidr - CIDR range or address
+ * @returns {boolean} Whether the address is in the range
+ */
+const matchesCidr = (ip, cidr) => {
+  const range = parseCidr(cidr);
+  return range !== null && rangeContains(range, parseIP(ip));
+};
+
+/**
+ * Build a matcher for a list of ranges, parsing them once
+ * Invalid ranges are ignored.
+ *
+ * @param {string[]} cidrs - CIDR ranges or addresses
+ * @returns {Function} (ip) => boolean
+ */
+const createCidrMatcher = (cidrs) => {
+  const ranges = cidrs.map(parseCidr).filter(Boolean);
+
+  return (ip) => {
+    const parsed = parseIP(ip);
+    return ranges.some(range => rangeContains(range, parsed));
+  };
+};
+
+/**
+ * Check whether an IP address is private, loopback, link-local or unspecified
+ *
+ * @param {string} ip - IP address
+ * @returns {boolean} Whether the address is not publicly routable
+ */
+const isPrivateIP = createCidrMatcher(PRIVATE_RANGES);
+
+module.exports = {
+  PRIVATE_RANGES,
+  parseIP,
+  normalizeIP,
+  parseCidr,
+  isCidr,
+  normalizeCidr,
+  matchesCidr,
+  createCidrMatcher,
+  isPrivateIP,
+};
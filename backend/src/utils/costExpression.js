@@ -0,0 +1,215 @@
+/**
+ * Cost Expressions
+ *
+ * Rules can weight requests with a small arithmetic expression instead of a
+ * fixed cost, e.g. "ceil(query.limit / 100)" or "1 + bodySize / 1048576".
+ * Expressions are parsed into a tree once and evaluated per request; nothing
+ * is ever passed to eval or the Function constructor.
+ *
+ * Supported:
+ * - numbers, + - * /, parentheses, unary minus
+ * - min(a, b, ...), max(a, b, ...), ceil(x), floor(x), round(x), abs(x)
+ * - query.<name>, params.<name>, body.<name> (numeric value, 0 when missing)
+ * - bodySize (request Content-Length in bytes)
+ */
+
+const MAX_EXPRESSION_LENGTH = 200;
+
+const FUNCTIONS = {
+  min: Math.min,
+  max: Math.max,
+  ceil: Math.ceil,
+  floor: Math.floor,
+  round: Math.round,
+  abs: Math.abs,
+};
+
+const SOURCES = ['query', 'params', 'body'];
+
+/**
+ * Split an expression into tokens
+ */
+const tokenize = (expression) => {
+  const tokens = [];
+  const pattern = /\s*(?:(\d+(?:\.\d+)?)|([A-Za-z_][A-Za-z0-9_]*(?:\.[A-Za-z_][A-Za-z0-9_]*)?)|([-+*/(),]))/y;
+  let index = 0;
+
+  while (index < expression.length) {
+    if (/^\s*$/.test(expression.slice(index))) break;
+
+    pattern.lastIndex = index;
+    const match = pattern.exec(expression);
+    if (!match) {
+      throw new Error(`Unexpected character in cost expression at position ${index + 1}`);
+    }
+
+    if (match[1] !== undefined) {
+      tokens.push({ type: 'number', value: parseFloat(match[1]) });
+    } else if (match[2] !== undefined) {
+      tokens.push({ type: 'name', value: match[2] });
+    } else {
+      tokens.push({ type: 'op', value: match[3] });
+    }
+    index = pattern.lastIndex;
+  }
+
+  return tokens;
+};
+
+/**
+ * Parse tokens into an expression tree (recursive descent)
+ */
+const parse = (tokens) => {
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const isOp = (value) => peek()?.type === 'op' && peek().value === value;
+  const expect = (value) => {
+    if (!isOp(value)) {
+      throw new Error(`Expected "${value}" in cost expression`);
+    }
+    position++;
+  };
+
+  const parseFactor = () => {
+    const token = peek();
+    if (!token) {
+      throw new Error('Unexpected end of cost expression');
+    }
+
+    if (isOp('-')) {
+      position++;
+      return { type: 'negate', operand: parseFactor() };
+    }
+
+    if (isOp('(')) {
+      position++;
+      const node = parseExpression();
+      expect(')');
+      return node;
+    }
+
+    if (token.type === 'number') {
+      position++;
+      return { type: 'number', value: token.value };
+    }
+
+    if (token.type === 'name') {
+      position++;
+
+      if (isOp('(')) {
+        if (!FUNCTIONS[token.value]) {
+          throw new Error(`Unknown function in cost expression: ${token.value}`);
+        }
+        position++;
+        const args = [parseExpression()];
+        while (isOp(',')) {
+          position++;
+          args.push(parseExpression());
+        }
+        expect(')');
+        return { type: 'call', name: token.value, args };
+      }
+
+      if (token.value === 'bodySize') {
+        return { type: 'bodySize' };
+      }
+
+      const [source, field] = token.value.split('.');
+      if (!SOURCES.includes(source) || !field) {
+        throw new Error(`Unknown variable in cost expression: ${token.value}`);
+      }
+      return { type: 'variable', source, field };
+    }
+
+    throw new Error(`Unexpected "${token.value}" in cost expression`);
+  };
+
+  const parseTerm = () => {
+    let node = parseFactor();
+    while (isOp('*') || isOp('/')) {
+      const op = tokens[position++].value;
+      node = { type: 'binary', op, left: node, right: parseFactor() };
+    }
+    return node;
+  };
+
+  const parseExpression = () => {
+    let node = parseTerm();
+    while (isOp('+') || isOp('-')) {
+      const op = tokens[position++].value;
+      node = { type: 'binary', op, left: node, right: parseTerm() };
+    }
+    return node;
+  };
+
+  const tree = parseExpression();
+  if (position < tokens.length) {
+    throw new Error(`Unexpected "${tokens[position].value}" in cost expression`);
+  }
+  return tree;
+};
+
+/**
+ * Read a request value as a number, 0 when missing or not numeric
+ */
+const toNumber = (value) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : 0;
+};
+
+/**
+ * Evaluate an expression tree against a request
+ */
+const evaluate = (node, req) => {
+  switch (node.type) {
+  case 'number':
+    return node.value;
+  case 'negate':
+    return -evaluate(node.operand, req);
+  case 'bodySize':
+    return toNumber(req.headers?.['content-length']);
+  case 'variable':
+    return toNumber(req[node.source]?.[node.field]);
+  case 'call':
+    return FUNCTIONS[node.name](...node.args.map(arg => evaluate(arg, req)));
+  case 'binary': {
+    const left = evaluate(node.left, req);
+    const right = evaluate(node.right, req);
+    if (node.op === '+') return left + right;
+    if (node.op === '-') return left - right;
+    if (node.op === '*') return left * right;
+    return right === 0 ? 0 : left / right;
+  }
+  default:
+    return 0;
+  }
+};
+
+/**
+ * Compile a cost expression into a function of the request
+ *
+ * @param {string|number} expression - Cost expression or fixed cost
+ * @returns {Function} (req) => number
+ * @throws {Error} If the expression is invalid
+ */
+const compileCostExpression = (expression) => {
+  if (typeof expression === 'number') {
+    return () => expression;
+  }
+
+  if (typeof expression !== 'string' || !expression.trim()) {
+    throw new Error('Cost expression must be a non-empty string');
+  }
+
+  if (expression.length > MAX_EXPRESSION_LENGTH) {
+    throw new Error(`Cost expression must be at most ${MAX_EXPRESSION_LENGTH} characters`);
+  }
+
+  const tree = parse(tokenize(expression));
+  return (req) => evaluate(tree, req);
+};
+
+module.exports = {
+  compileCostExpression,
+};
@@ -105,6 +105,7 @@ const logger = winston.createLogger({
 
 /**
  * Create audit logger for security events
+ * Entries are recorded through services/auditLog, which also stores them.
  */
 const auditLogger = winston.createLogger({
   level: 'info',
@@ -121,25 +122,5 @@ const auditLogger = winston.createLogger({
   exitOnError: false,
 });
 
-/**
- * Log audit event
- */
-const logAudit = (action, actor, resource, details = {}, result = 'success') => {
-  auditLogger.info({
-    type: 'audit',
-    action,
-    actor: {
-      id: actor.id,
-      email: actor.email,
-      ip: actor.ip,
-    },
-    resource,
-    details,
-    result,
-    timestamp: new Date().toISOString(),
-  });
-};
-
 module.exports = logger;
 module.exports.auditLogger = auditLogger;
-module.exports.logAudit = logAudit;
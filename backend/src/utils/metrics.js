@@ -0,0 +1,166 @@
+/**
+ * Metrics
+ *
+ * Prometheus metrics for rate limiter decisions and Redis health (PRD 14.1),
+ * kept in one registry and exposed in text format by routes/metrics.
+ *
+ * - ratelimit_requests_total{limiter, identifier_type, route, status}
+ *   status: allowed, limited, throttled (admitted after waiting) or
+ *   logged (over the limit, let through by action 'log')
+ * - ratelimit_check_duration_seconds{limiter}: time to reach a decision
+ * - ratelimit_redis_roundtrip_seconds{limiter, operation}: Redis calls made
+ *   by the limiters (consume, reward, composite, acquire, release)
+ * - ratelimit_redis_connected / _connection_attempts / _latency_seconds
+ *   (the latency gauge is a PING sampled on each scrape)
+ *
+ * limiter is the limiter's key prefix: the preset name (api, login, ...)
+ * or rule:{ruleId} for dynamic rules.
+ */
+
+const client = require('prom-client');
+const { getConnectionStatus, isRedisConnected, pingRedis } = require('../config/redis');
+
+const register = new client.Registry();
+
+if (process.env.METRICS_DEFAULT_METRICS !== 'false') {
+  // Process and Node.js runtime metrics (CPU, memory, event loop lag)
+  client.collectDefaultMetrics({ register });
+}
+
+const LATENCY_BUCKETS = [0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1];
+
+const requestsTotal = new client.Counter({
+  name: 'ratelimit_requests_total',
+  help: 'Requests checked by rate limiters, by decision',
+  labelNames: ['limiter', 'identifier_type', 'route', 'status'],
+  registers: [register],
+});
+
+const checkDuration = new client.Histogram({
+  name: 'ratelimit_check_duration_seconds',
+  help: 'Time taken by a rate limiter to decide on a request',
+  labelNames: ['limiter'],
+  buckets: LATENCY_BUCKETS,
+  registers: [register],
+});
+
+const redisRoundTrip = new client.Histogram({
+  name: 'ratelimit_redis_roundtrip_seconds',
+  help: 'Round-trip time of the Redis calls made by rate limiters',
+  labelNames: ['limiter', 'operation'],
+  buckets: LATENCY_BUCKETS,
+  registers: [register],
+});
+
+const redisConnected = new client.Gauge({
+  name: 'ratelimit_redis_connected',
+  help: 'Whether Redis is connected (1) or not (0)',
+  registers: [register],
+});
+
+const redisConnectionAttempts = new client.Gauge({
+  name: 'ratelimit_redis_connection_attempts',
+  help: 'Redis connection attempts since the last successful connection',
+  registers: [register],
+});
+
+const redisLatency = new client.Gauge({
+  name: 'ratelimit_redis_latency_seconds',
+  help: 'Latest Redis PING round-trip time',
+  registers: [register],
+});
+
+/**
+ * Get the route label for a request
+ * The matched route pattern (never the raw path, which may contain IDs);
+ * limiters mounted with router.use() only know the router's mount path.
+ *
+ * @param {Object} req - Express request
+ * @returns {string} Route label, e.g. '/api/search'
+ */
+const getRouteLabel = (req) => `${req.baseUrl || ''}${req.route?.path || ''}` || '/';
+
+/**
+ * Count a limiter decision
+ *
+ * @param {Object} req - Express request
+ * @param {Object} config - Limiter config ({ keyPrefix, identifierType })
+ * @param {string} status - 'allowed', 'limited', 'throttled' or 'logged'
+ */
+const recordDecision = (req, config, status) => {
+  requestsTotal.inc({
+    limiter: config.keyPrefix,
+    identifier_type: config.identifierType,
+    route: getRouteLabel(req),
+    status,
+  });
+};
+
+/**
+ * Start timing a limiter check
+ *
+ * @param {string} limiter - Limiter key prefix
+ * @returns {Function} Call when the check completes
+ */
+const startCheckTimer = (limiter) => checkDuration.startTimer({ limiter });
+
+/**
+ * Time a Redis call made by a limiter
+ * Rejections (such as a limiter's denial) are timed too and passed on.
+ * Calls made while Redis is disconnected go to the in-memory fallback and
+ * are not timed.
+ *
+ * @param {string} limiter - Limiter key prefix
+ * @param {string} operation - 'consume', 'reward', 'composite', 'acquire' or 'release'
+ * @param {Function} call - Makes the call and returns its promise
+ * @returns {Promise<*>} Result of the call
+ */
+const timeRedisCall = async (limiter, operation, call) => {
+  if (!isRedisConnected()) {
+    return call();
+  }
+
+  const endTimer = redisRoundTrip.startTimer({ limiter, operation });
+  try {
+    return await call();
+  } finally {
+    endTimer();
+  }
+};
+
+/**
+ * Refresh the Redis gauges from the connection status and a fresh PING
+ */
+const sampleRedis = async () => {
+  const status = getConnectionStatus();
+
+  redisConnected.set(status.connected ? 1 : 0);
+  redisConnectionAttempts.set(status.attempts || 0);
+
+  const latency = isRedisConnected() ? await pingRedis() : null;
+  if (latency !== null) {
+    redisLatency.set(latency / 1000);
+  } else {
+    redisLatency.reset();
+  }
+};
+
+/**
+ * Render all metrics in Prometheus text format
+ *
+ * @returns {Promise<string>} Exposition text
+ */
+const getMetrics = async () => {
+  await sampleRedis();
+  return register.metrics();
+};
+
+module.exports = {
+  register,
+  contentType: register.contentType,
+  getRouteLabel,
+  recordDecision,
+  startCheckTimer,
+  timeRedisCall,
+  getMetrics,
+};
@@ -0,0 +1,98 @@
+/**
+ * Tracing Helpers
+ *
+ * Thin wrappers over the OpenTelemetry API for the spans this service
+ * creates itself (limiter evaluations, auth verification). Without a
+ * registered SDK (see config/tracing) every call is a no-op.
+ */
+
+const { trace, context, SpanStatusCode } = require('@opentelemetry/api');
+const { version } = require('../../package.json');
+
+const tracer = trace.getTracer('ratetui-backend', version);
+
+/**
+ * Start a span as a child of the active one
+ *
+ * @param {string} name - Span name
+ * @param {Object} [attributes] - Initial attributes
+ * @returns {Object} Span (end it with endSpan)
+ */
+const startSpan = (name, attributes = {}) => tracer.startSpan(name, { attributes });
+
+/**
+ * Run a function with a span active, so spans it creates (e.g. Redis
+ * commands) become its children
+ *
+ * @param {Object} span - Parent span
+ * @param {Function} fn - Function to run
+ * @returns {*} Whatever fn returns
+ */
+const withSpan = (span, fn) => context.with(trace.setSpan(context.active(), span), fn);
+
+/**
+ * Mark a span as failed
+ *
+ * @param {Object} span - Span
+ * @param {Error} error - Failure
+ */
+const recordError = (span, error) => {
+  span.recordException(error);
+  span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+};
+
+/**
+ * End a span, marking it failed if an error is given
+ *
+ * @param {Object} span - Span (ignored if null)
+ * @param {Error} [error] - Failure
+ */
+const endSpan = (span, error) => {
+  if (!span) {
+    return;
+  }
+  if (error) {
+    recordError(span, error);
+  }
+  span.end();
+};
+
+/**
+ * Run an async function in its own active span
+ * The span is failed if the function throws, and always ended.
+ *
+ * @param {string} name - Span name
+ * @param {Object} attributes - Initial attributes
+ * @param {Function} fn - async (span) => result
+ * @returns {Promise<*>} fn's result
+ */
+const traceAsync = (name, attributes, fn) => tracer.startActiveSpan(name, { attributes }, async (span) => {
+  try {
+    return await fn(span);
+  } catch (error) {
+    recordError(span, error);
+    throw error;
+  } finally {
+    span.end();
+  }
+});
+
+/**
+ * Add attributes to the active span (the HTTP server span in middleware)
+ *
+ * @param {Object} attributes - Attributes to set
+ */
+const setActiveSpanAttributes = (attributes) => {
+  const span = trace.getActiveSpan();
+  if (span) {
+    span.setAttributes(attributes);
+  }
+};
+
+module.exports = {
+  startSpan,
+  withSpan,
+  endSpan,
+  traceAsync,
+  setActiveSpanAttributes,
+};
@@ -0,0 +1,76 @@
+/**
+ * Analytics Validator
+ *
+ * Validates analytics queries
+ * Uses express-validator for validation
+ */
+
+const { query } = require('express-validator');
+const { GRANULARITIES, DIMENSIONS } = require('../services/analytics');
+const { parseWindow } = require('../models/RateLimitRule');
+
+const GROUP_BY = Object.keys(GRANULARITIES);
+
+// Longest trailing window of a top offenders report (the daily bucket retention)
+const MAX_TOP_WINDOW = 365 * 86400;
+
+/**
+ * Validation rules for GET /admin/metrics
+ */
+const analyticsQueryValidationRules = () => {
+  return [
+    query('from')
+      .optional()
+      .isISO8601()
+      .withMessage('from must be an ISO 8601 date'),
+
+    query('to')
+      .optional()
+      .isISO8601()
+      .withMessage('to must be an ISO 8601 date'),
+
+    query('groupBy')
+      .optional()
+      .isIn(GROUP_BY)
+      .withMessage(`groupBy must be one of: ${GROUP_BY.join(', ')}`),
+  ];
+};
+
+/**
+ * Validation rules for GET /admin/metrics/top
+ */
+const topOffendersValidationRules = () => {
+  return [
+    query('dimension')
+      .notEmpty()
+      .withMessage('Dimension is required')
+      .isIn(DIMENSIONS)
+      .withMessage(`Dimension must be one of: ${DIMENSIONS.join(', ')}`),
+
+    query('window')
+      .optional()
+      .custom((value) => {
+        const seconds = parseWindow(value);
+        if (!seconds || seconds > MAX_TOP_WINDOW) {
+          throw new Error('Window must be a duration such as 15m, 1h or 7d, up to 365 days');
+        }
+        return true;
+      }),
+
+    query('sortBy')
+      .optional()
+      .isIn(['blocked', 'requests'])
+      .withMessage('sortBy must be one of: blocked, requests'),
+
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100')
+      .toInt(),
+  ];
+};
+
+module.exports = {
+  analyticsQueryValidationRules,
+  topOffendersValidationRules,
+};
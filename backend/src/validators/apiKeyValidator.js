@@ -0,0 +1,118 @@
+/**
+ * API Key Validator
+ *
+ * Validates API key management requests
+ * Uses express-validator for validation
+ */
+
+const { body, param, query } = require('express-validator');
+const { planReferenceRule } = require('./planValidator');
+
+const SCOPE_PATTERN = /^[\w.:*-]{1,64}$/;
+const ID_PATTERN = /^[\w-]{1,100}$/;
+
+/**
+ * Validation rules shared by create and update
+ *
+ * @param {boolean} isUpdate - Whether every field is optional
+ */
+const keySettingsRules = (isUpdate) => {
+  const name = body('name');
+
+  return [
+    (isUpdate ? name.optional() : name)
+      .isString()
+      .withMessage('Name is required')
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Name must be 1-100 characters'),
+
+    body('scopes')
+      .optional()
+      .isArray({ max: 50 })
+      .withMessage('Scopes must be an array of at most 50 entries'),
+
+    body('scopes.*')
+      .matches(SCOPE_PATTERN)
+      .withMessage('Scopes may only contain letters, digits and . : * _ -'),
+
+    body('rateLimit')
+      .optional({ nullable: true })
+      .isObject()
+      .withMessage('Rate limit must be an object: { points, duration }'),
+
+    body('rateLimit.points')
+      .if(body('rateLimit').exists({ checkNull: true }))
+      .isInt({ min: 1, max: 1000000 })
+      .withMessage('Rate limit points must be between 1 and 1000000')
+      .toInt(),
+
+    body('rateLimit.duration')
+      .if(body('rateLimit').exists({ checkNull: true }))
+      .isInt({ min: 1, max: 86400 })
+      .withMessage('Rate limit duration must be between 1 and 86400 seconds')
+      .toInt(),
+
+    planReferenceRule(),
+
+    body('expiresAt')
+      .optional({ nullable: true })
+      .isISO8601()
+      .withMessage('Expiry must be an ISO 8601 date')
+      .custom((value) => {
+        if (new Date(value).getTime() <= Date.now()) {
+          throw new Error('Expiry must be in the future');
+        }
+        return true;
+      }),
+  ];
+};
+
+/**
+ * Validation rules for creating an API key
+ */
+const createApiKeyValidationRules = () => {
+  return [
+    ...keySettingsRules(false),
+
+    body('ownerId')
+      .optional()
+      .matches(ID_PATTERN)
+      .withMessage('Invalid owner ID'),
+  ];
+};
+
+/**
+ * Validation rules for updating an API key
+ */
+const updateApiKeyValidationRules = () => keySettingsRules(true);
+
+/**
+ * Validation rules for listing API keys
+ */
+const listApiKeysValidationRules = () => {
+  return [
+    query('ownerId')
+      .optional()
+      .matches(ID_PATTERN)
+      .withMessage('Invalid owner ID'),
+  ];
+};
+
+/**
+ * Validation rules for the :keyId route parameter
+ */
+const keyIdParamValidationRules = () => {
+  return [
+    param('keyId')
+      .matches(ID_PATTERN)
+      .withMessage('Invalid API key ID'),
+  ];
+};
+
+module.exports = {
+  createApiKeyValidationRules,
+  updateApiKeyValidationRules,
+  listApiKeysValidationRules,
+  keyIdParamValidationRules,
+};
@@ -0,0 +1,50 @@
+/**
+ * Events Validator
+ *
+ * Validates event stream filters
+ * Uses express-validator for validation
+ */
+
+const { query } = require('express-validator');
+const { normalizeIP } = require('../utils/cidr');
+const { EVENT_TYPES } = require('../services/events');
+
+const STATUSES = ['allowed', 'limited', 'throttled', 'logged', 'blocked'];
+
+/**
+ * Validation rules for GET /admin/events
+ * IPs are normalized the way the rate limiter reports them.
+ */
+const eventsQueryValidationRules = () => {
+  return [
+    query('type')
+      .optional()
+      .isIn(EVENT_TYPES)
+      .withMessage(`Type must be one of: ${EVENT_TYPES.join(', ')}`),
+
+    query('preset')
+      .optional()
+      .matches(/^[\w:-]{1,100}$/)
+      .withMessage('Invalid preset'),
+
+    query('ruleId')
+      .optional()
+      .matches(/^[\w-]{1,100}$/)
+      .withMessage('Invalid rule ID'),
+
+    query('ip')
+      .optional()
+      .custom(value => normalizeIP(value) !== null)
+      .withMessage('Must be a valid IPv4/IPv6 address')
+      .customSanitizer(value => normalizeIP(value) || value),
+
+    query('status')
+      .optional()
+      .isIn(STATUSES)
+      .withMessage(`Status must be one of: ${STATUSES.join(', ')}`),
+  ];
+};
+
+module.exports = {
+  eventsQueryValidationRules,
+};
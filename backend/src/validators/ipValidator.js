@@ -0,0 +1,58 @@
+/**
+ * IP Validator
+ * 
+ * Validates blocklist/allowlist requests
+ * Uses express-validator for validation
+ */
+
+const { body, param } = require('express-validator');
+const { isCidr } = require('../utils/cidr');
+
+/**
+ * Validation rules for adding an IP to the blocklist or allowlist
+ */
+const ipEntryValidationRules = () => {
+  return [
+    body('ip')
+      .trim()
+      .notEmpty()
+      .withMessage('IP address is required')
+      .custom(isCidr)
+      .withMessage('Must be a valid IPv4/IPv6 address or CIDR range'),
+
+    body('reason')
+      .optional()
+      .isString()
+      .withMessage('Reason must be a string')
+      .isLength({ max: 500 })
+      .withMessage('Reason must be at most 500 characters'),
+
+    body('expiresAt')
+      .optional({ nullable: true })
+      .isISO8601()
+      .withMessage('Expiry must be an ISO 8601 date')
+      .custom((value) => {
+        if (new Date(value).getTime() <= Date.now()) {
+          throw new Error('Expiry must be in the future');
+        }
+        return true;
+      }),
+  ];
+};
+
+/**
+ * Validation rules for the :ip route parameter
+ * CIDR ranges are passed URL-encoded (203.0.113.0%2F24).
+ */
+const ipParamValidationRules = () => {
+  return [
+    param('ip')
+      .custom(isCidr)
+      .withMessage('Must be a valid IPv4/IPv6 address or CIDR range'),
+  ];
+};
+
+module.exports = {
+  ipEntryValidationRules,
+  ipParamValidationRules,
+};
@@ -0,0 +1,71 @@
+/**
+ * Audit Logs Validator
+ *
+ * Validates audit log queries
+ * Uses express-validator for validation
+ */
+
+const { query } = require('express-validator');
+const { RESULTS } = require('../services/auditLog');
+
+const EXPORT_FORMATS = ['csv', 'json'];
+
+/**
+ * Validation rules for GET /admin/logs
+ */
+const logsQueryValidationRules = () => {
+  return [
+    query('from')
+      .optional()
+      .isISO8601()
+      .withMessage('from must be an ISO 8601 date'),
+
+    query('to')
+      .optional()
+      .isISO8601()
+      .withMessage('to must be an ISO 8601 date'),
+
+    query('actor')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 254 })
+      .withMessage('Actor must be a user ID or email'),
+
+    query('action')
+      .optional()
+      .matches(/^[\w.]{1,100}$/)
+      .withMessage('Invalid action'),
+
+    query('resource')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 200 })
+      .withMessage('Resource must be a type or type:id'),
+
+    query('result')
+      .optional()
+      .isIn(RESULTS)
+      .withMessage(`Result must be one of: ${RESULTS.join(', ')}`),
+
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer')
+      .toInt(),
+
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 500 })
+      .withMessage('Limit must be between 1 and 500')
+      .toInt(),
+
+    query('export')
+      .optional()
+      .isIn(EXPORT_FORMATS)
+      .withMessage(`Export must be one of: ${EXPORT_FORMATS.join(', ')}`),
+  ];
+};
+
+module.exports = {
+  logsQueryValidationRules,
+};
@@ -0,0 +1,91 @@
+/**
+ * Plan Validator
+ *
+ * Validates plan management and plan assignment requests
+ * Uses express-validator for validation
+ */
+
+const { body, param } = require('express-validator');
+const { PLAN_WINDOWS } = require('../services/planService');
+
+const PLAN_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,49}$/;
+const PLAN_NAME_MESSAGE = 'Plan name must be 1-50 lowercase letters, digits, _ or -';
+
+/**
+ * Validation rule for a plan reference in a request body
+ * null clears the assignment (the default plan applies).
+ *
+ * @param {string} field - Body field
+ */
+const planReferenceRule = (field = 'plan') => {
+  return body(field)
+    .optional({ nullable: true })
+    .matches(PLAN_NAME_PATTERN)
+    .withMessage(PLAN_NAME_MESSAGE);
+};
+
+/**
+ * Validation rules for creating or replacing a plan
+ */
+const planValidationRules = () => {
+  const windows = Object.keys(PLAN_WINDOWS);
+
+  return [
+    body('description')
+      .optional()
+      .isString()
+      .withMessage('Description must be a string')
+      .isLength({ max: 200 })
+      .withMessage('Description must be at most 200 characters'),
+
+    body('limits')
+      .isObject()
+      .withMessage(`Limits must be an object with any of: ${windows.join(', ')}`)
+      .custom((limits) => {
+        const unknown = Object.keys(limits).filter(window => !windows.includes(window));
+        if (unknown.length > 0) {
+          throw new Error(`Unknown limit windows: ${unknown.join(', ')}`);
+        }
+        if (!windows.some(window => limits[window] !== undefined && limits[window] !== null)) {
+          throw new Error('At least one limit is required');
+        }
+        return true;
+      }),
+
+    ...windows.map(window => body(`limits.${window}`)
+      .optional({ nullable: true })
+      .isInt({ min: 1 })
+      .withMessage(`limits.${window} must be a positive integer`)
+      .toInt()),
+  ];
+};
+
+/**
+ * Validation rules for the :name route parameter
+ */
+const planNameParamValidationRules = () => {
+  return [
+    param('name')
+      .matches(PLAN_NAME_PATTERN)
+      .withMessage(PLAN_NAME_MESSAGE),
+  ];
+};
+
+/**
+ * Validation rules for assigning a plan
+ */
+const planAssignmentValidationRules = () => {
+  return [
+    body('plan')
+      .exists()
+      .withMessage('Plan is required (null for the default plan)'),
+    planReferenceRule(),
+  ];
+};
+
+module.exports = {
+  planReferenceRule,
+  planValidationRules,
+  planNameParamValidationRules,
+  planAssignmentValidationRules,
+};
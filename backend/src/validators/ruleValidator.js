@@ -5,7 +5,81 @@
  * Uses express-validator for validation
  */
 
-const { body, validationResult } = require('express-validator');
+const { body } = require('express-validator');
+const { compileCostExpression } = require('../utils/costExpression');
+const { isCidr } = require('../utils/cidr');
+const { parseWindow, getQuotaPeriod, MAX_SHORT_WINDOW } = require('../models/RateLimitRule');
+
+const ALGORITHMS = ['fixed-window', 'token-bucket', 'sliding-window-log', 'sliding-window-counter', 'gcra', 'quota'];
+
+// Longest quota window: a year (12mo, 52w or 366d)
+const MAX_QUOTA_WINDOW = 366 * 86400;
+
+/**
+ * Check that a limit.cost value is a positive number or a valid cost expression
+ */
+const validateCost = (value) => {
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value) || value <= 0) {
+      throw new Error('Cost must be a positive number');
+    }
+    return true;
+  }
+  compileCostExpression(value);
+  return true;
+};
+
+/**
+ * Check a limit.window value against the rule's algorithm
+ * Windows up to a day work with every algorithm. Longer windows are quotas:
+ * whole days, weeks or months counted per billing period.
+ */
+const validateWindow = (value, { req }) => {
+  const seconds = parseWindow(value);
+  if (seconds === null) {
+    throw new Error('Time window must be in format: <number><unit> (e.g., 1m, 1h, 1d, 1mo)');
+  }
+  if (seconds < 1) {
+    throw new Error('Time window must be at least 1 second');
+  }
+
+  const algorithm = req.body.limit?.algorithm;
+  if (seconds <= MAX_SHORT_WINDOW && algorithm !== 'quota') {
+    return true;
+  }
+
+  if (algorithm && algorithm !== 'quota') {
+    throw new Error('Time windows longer than 1 day require the quota algorithm');
+  }
+  if (!getQuotaPeriod({ window: value, algorithm: 'quota' })) {
+    throw new Error('Quota windows must be whole days, weeks or months');
+  }
+  if (seconds > MAX_QUOTA_WINDOW) {
+    throw new Error('Quota windows must not exceed 12 months');
+  }
+  return true;
+};
+
+/**
+ * Check that limit.periodStart is only set on quota windows
+ */
+const validatePeriodStart = (value, { req }) => {
+  if (!getQuotaPeriod(req.body.limit)) {
+    throw new Error('Period start only applies to quota windows (longer than 1 day)');
+  }
+  return true;
+};
+
+/**
+ * Validate that an IP target written as a CIDR range parses
+ * Glob patterns (10.0.0.*) are matched as text and need no check.
+ */
+const validateTargetPattern = (value, { req }) => {
+  if (req.body.target?.type === 'ip' && value.includes('/') && !isCidr(value)) {
+    throw new Error('IP target pattern must be a valid CIDR range');
+  }
+  return true;
+};
 
 /**
  * Validation rules for creating/updating rate limit rules
@@ -48,7 +122,8 @@ const ruleValidationRules = () => {
       .isString()
       .withMessage('Target pattern must be a string')
       .isLength({ min: 1, max: 200 })
-      .withMessage('Target pattern must be 1-200 characters'),
+      .withMessage('Target pattern must be 1-200 characters')
+      .custom(validateTargetPattern),
 
     // Limit validation
     body('limit')
@@ -68,27 +143,38 @@ const ruleValidationRules = () => {
       .withMessage('Time window is required')
       .isString()
       .withMessage('Time window must be a string')
-      .matches(/^(\d+)(s|m|h|d)$/)
-      .withMessage('Time window must be in format: <number><unit> (e.g., 1m, 1h, 1d)')
-      .custom((value) => {
-        const match = value.match(/^(\d+)(s|m|h|d)$/);
-        if (!match) return false;
-
-        const num = parseInt(match[1]);
-        const unit = match[2];
-
-        // Convert to seconds for validation
-        const multipliers = { s: 1, m: 60, h: 3600, d: 86400 };
-        const seconds = num * multipliers[unit];
-
-        // Window must be between 1 second and 1 day
-        if (seconds < 1 || seconds > 86400) {
-          throw new Error('Time window must be between 1 second and 1 day');
-        }
+      .custom(validateWindow),
+
+    body('limit.algorithm')
+      .optional()
+      .isIn(ALGORITHMS)
+      .withMessage(`Algorithm must be one of: ${ALGORITHMS.join(', ')}`),
+
+    body('limit.periodStart')
+      .optional()
+      .isISO8601()
+      .withMessage('Period start must be an ISO 8601 date')
+      .custom(validatePeriodStart),
 
+    body('limit.burstLimit')
+      .optional()
+      .isInt({ min: 1, max: 1000000 })
+      .withMessage('Burst limit must be between 1 and 1,000,000')
+      .custom((value, { req }) => {
+        // GCRA bursts are counted in requests back to back, so they may be lower
+        if (req.body.limit.algorithm === 'gcra') {
+          return true;
+        }
+        if (parseInt(value) < parseInt(req.body.limit.requests)) {
+          throw new Error('Burst limit must not be lower than the request limit');
+        }
         return true;
       }),
 
+    body('limit.cost')
+      .optional()
+      .custom(validateCost),
+
     // Action validation
     body('action')
       .optional()
@@ -137,7 +223,8 @@ const ruleUpdateValidationRules = () => {
       .isString()
       .withMessage('Target pattern must be a string')
       .isLength({ min: 1, max: 200 })
-      .withMessage('Target pattern must be 1-200 characters'),
+      .withMessage('Target pattern must be 1-200 characters')
+      .custom(validateTargetPattern),
 
     // Limit (optional, but if provided must be complete)
     body('limit')
@@ -154,20 +241,27 @@ const ruleUpdateValidationRules = () => {
       .optional()
       .isString()
       .withMessage('Time window must be a string')
-      .matches(/^(\d+)(s|m|h|d)$/)
-      .withMessage('Time window must be in format: <number><unit>')
-      .custom((value) => {
-        const match = value.match(/^(\d+)(s|m|h|d)$/);
-        if (!match) return false;
-        const num = parseInt(match[1]);
-        const unit = match[2];
-        const multipliers = { s: 1, m: 60, h: 3600, d: 86400 };
-        const seconds = num * multipliers[unit];
-        if (seconds < 1 || seconds > 86400) {
-          throw new Error('Time window must be between 1 second and 1 day');
-        }
-        return true;
-      }),
+      .custom(validateWindow),
+
+    body('limit.algorithm')
+      .optional()
+      .isIn(ALGORITHMS)
+      .withMessage(`Algorithm must be one of: ${ALGORITHMS.join(', ')}`),
+
+    body('limit.periodStart')
+      .optional()
+      .isISO8601()
+      .withMessage('Period start must be an ISO 8601 date')
+      .custom(validatePeriodStart),
+
+    body('limit.burstLimit')
+      .optional()
+      .isInt({ min: 1, max: 1000000 })
+      .withMessage('Burst limit must be between 1 and 1,000,000'),
+
+    body('limit.cost')
+      .optional()
+      .custom(validateCost),
 
     // Action
     body('action')
@@ -189,34 +283,6 @@ const ruleUpdateValidationRules = () => {
   ];
 };
 
-/**
- * Middleware to check validation results
- * 
- * @param {Object} req - Express request
- * @param {Object} res - Express response
- * @param {Function} next - Next middleware
- */
-const validate = (req, res, next) => {
-  const errors = validationResult(req);
-  
-  if (!errors.isEmpty()) {
-    return res.status(400).json({
-      success: false,
-      error: {
-        code: 'VALIDATION_ERROR',
-        message: 'Invalid input data',
-        details: errors.array().map(err => ({
-          field: err.path,
-          message: err.msg,
-          value: err.value,
-        })),
-      },
-    });
-  }
-
-  next();
-};
-
 /**
  * Custom validation: Check for pattern conflicts
  * This is applied in the route handler, not as middleware
@@ -266,6 +332,5 @@ const checkPatternConflicts = (ruleData, existingRules) => {
 module.exports = {
   ruleValidationRules,
   ruleUpdateValidationRules,
-  validate,
   checkPatternConflicts,
 };
@@ -0,0 +1,41 @@
+/**
+ * Usage Validator
+ *
+ * Validates quota usage lookup and reset requests
+ * Uses express-validator for validation
+ */
+
+const { param } = require('express-validator');
+const { normalizeIP } = require('../utils/cidr');
+const { CLIENT_TYPES } = require('../services/usageService');
+
+const ID_PATTERN = /^[\w-]{1,100}$/;
+
+/**
+ * Validation rules for the :type/:identifier route parameters
+ * IP identifiers are normalized the way the rate limiter keys them.
+ */
+const usageClientParamValidationRules = () => {
+  return [
+    param('type')
+      .isIn(CLIENT_TYPES)
+      .withMessage(`Type must be one of: ${CLIENT_TYPES.join(', ')}`),
+
+    param('identifier')
+      .custom((value, { req }) => {
+        const valid = req.params.type === 'ip'
+          ? normalizeIP(value) !== null
+          : ID_PATTERN.test(value);
+
+        if (!valid) {
+          throw new Error(req.params.type === 'ip' ? 'Must be a valid IPv4/IPv6 address' : 'Invalid identifier');
+        }
+        return true;
+      })
+      .customSanitizer((value, { req }) => (req.params.type === 'ip' ? normalizeIP(value) || value : value)),
+  ];
+};
+
+module.exports = {
+  usageClientParamValidationRules,
+};
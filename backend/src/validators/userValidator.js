@@ -0,0 +1,115 @@
+/**
+ * User Validator
+ * 
+ * Validates user management requests
+ * Uses express-validator for validation
+ */
+
+const { body, param } = require('express-validator');
+const { getAllRoles } = require('../services/rbac');
+
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * Role names accepted by the API
+ */
+const getRoleNames = () => getAllRoles().map(role => role.name);
+
+/**
+ * Validation rules for creating a user
+ */
+const createUserValidationRules = () => {
+  return [
+    body('email')
+      .trim()
+      .isEmail()
+      .withMessage('Valid email is required')
+      .normalizeEmail(),
+
+    body('password')
+      .isString()
+      .withMessage('Password is required')
+      .isLength({ min: MIN_PASSWORD_LENGTH, max: 128 })
+      .withMessage(`Password must be ${MIN_PASSWORD_LENGTH}-128 characters`),
+
+    body('role')
+      .optional()
+      .custom(value => getRoleNames().includes(value))
+      .withMessage(() => `Role must be one of: ${getRoleNames().join(', ')}`),
+  ];
+};
+
+/**
+ * Validation rules for changing a user's role
+ */
+const roleValidationRules = () => {
+  return [
+    body('role')
+      .notEmpty()
+      .withMessage('Role is required')
+      .custom(value => getRoleNames().includes(value))
+      .withMessage(() => `Role must be one of: ${getRoleNames().join(', ')}`),
+  ];
+};
+
+/**
+ * Validation rules for setting a password
+ */
+const passwordValidationRules = () => {
+  return [
+    body('password')
+      .isString()
+      .withMessage('Password is required')
+      .isLength({ min: MIN_PASSWORD_LENGTH, max: 128 })
+      .withMessage(`Password must be ${MIN_PASSWORD_LENGTH}-128 characters`),
+
+    body('currentPassword')
+      .optional()
+      .isString()
+      .withMessage('Current password must be a string'),
+  ];
+};
+
+/**
+ * Validation rules for blocking a user
+ */
+const blockUserValidationRules = () => {
+  return [
+    body('reason')
+      .optional()
+      .isString()
+      .withMessage('Reason must be a string')
+      .isLength({ max: 500 })
+      .withMessage('Reason must be at most 500 characters'),
+
+    body('expiresAt')
+      .optional({ nullable: true })
+      .isISO8601()
+      .withMessage('Expiry must be an ISO 8601 date')
+      .custom((value) => {
+        if (new Date(value).getTime() <= Date.now()) {
+          throw new Error('Expiry must be in the future');
+        }
+        return true;
+      }),
+  ];
+};
+
+/**
+ * Validation rules for the :userId route parameter
+ */
+const userIdParamValidationRules = () => {
+  return [
+    param('userId')
+      .matches(/^[\w-]{1,100}$/)
+      .withMessage('Invalid user ID'),
+  ];
+};
+
+module.exports = {
+  createUserValidationRules,
+  roleValidationRules,
+  passwordValidationRules,
+  blockUserValidationRules,
+  userIdParamValidationRules,
+};